@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const { runCli } = require('../lib/cli');
+
+runCli(process.argv.slice(2)).then(code => {
+    // serve resolves to null and keeps the process running
+    if (code !== null) {
+        process.exitCode = code;
+    }
+});
@@ -1,151 +1,574 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const postmanToOpenAPI = require('@readme/postman-to-openapi');
+const os = require('os');
+const crypto = require('crypto');
+const openApiToPostman = require('openapi-to-postmanv2');
 const swaggerUi = require('swagger-ui-express');
 const chokidar = require('chokidar');
 const lockfile = require('proper-lockfile');
 const debounce = require('lodash.debounce');
 const yaml = require('js-yaml');
-const multer = require('multer');
 const bodyParser = require('body-parser');
+const archiver = require('archiver');
+const { validateOpenAPI } = require('./lib/validate-openapi');
+const { validatePostmanCollection } = require('./lib/validate-postman');
+const { getOperations, diffOpenAPI, diffToMarkdown, diffToHtml } = require('./lib/diff-openapi');
+const { slugify, parseEnvironment, maskEnvironment } = require('./lib/environments');
+const { loadAuthConfig, createAuth, hasRole } = require('./lib/auth');
+const { createAuditLog, summarizeCollectionChanges, summarizeSpecDiff } = require('./lib/audit');
+const { createGitHistory } = require('./lib/git-history');
+const { createMockRoutes, createMockResponse } = require('./lib/mock-server');
+const { runContractTests, toJUnitXml } = require('./lib/contract-test');
+const { DEFAULT_CONVERTER_CONFIG, validateConverterConfig, loadConverterConfig } = require('./lib/converter-config');
+const { validateOverlay, loadOverlays } = require('./lib/overlay');
+const { convertCollection } = require('./lib/convert');
+const { createEventStream } = require('./lib/events');
+const { loadImportSources, createImportScheduler } = require('./lib/import-sources');
+const { loadRetentionPolicy, resolveBackupPath, listBackups, queryBackups, createBackup, pruneBackups, setPinned, deleteBackup } = require('./lib/backups');
+const { resolveInside, writeFileAtomic, withFileLock, createUploader } = require('./lib/safe-storage');
+const { IMPORT_FORMATS, importCollection, listRequests } = require('./lib/importers');
+const { generateMarkdownReference } = require('./lib/markdown-reference');
+const { ensureItemIds, listItems, findItem, updateItem, addItem, duplicateItem, moveItem, removeItem } = require('./lib/collection-items');
+const { mergeJson } = require('./lib/json-merge');
+const { renderSitePage, buildStaticSite } = require('./lib/static-site');
+const { createJobQueue } = require('./lib/job-queue');
+const { createMetricsRegistry } = require('./lib/metrics');
 
 const app = express();
-const PORT = 3001;
+const PORT = Number(process.env.PORT) || 3001;
 
 // Paths
-const POSTMAN_JSON_PATH = path.join(__dirname, 'postman_collection.json');
-const OPENAPI_JSON_PATH = path.join(__dirname, 'openapi.json');
-const BACKUP_DIR = path.join(__dirname, 'backups');
+const COLLECTIONS_DIR = process.env.COLLECTIONS_DIR || path.join(__dirname, 'collections');
+const AUTH_CONFIG_PATH = process.env.AUTH_CONFIG_PATH || path.join(__dirname, 'auth.config.json');
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, 'audit', 'audit.jsonl');
+const GIT_HISTORY_DIR = process.env.GIT_HISTORY_DIR || path.join(__dirname, 'history');
+const IMPORT_SOURCES_PATH = process.env.IMPORT_SOURCES_PATH || path.join(__dirname, 'import-sources.json');
+// Converter settings of the default collection; other collections keep theirs in their directory
+const CONVERTER_CONFIG_PATH = process.env.CONVERTER_CONFIG_PATH || path.join(__dirname, 'converter.config');
+// Uploads are received here and only reach a collection once they have been validated
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'postman-to-swagger-uploads');
+const UPLOAD_MAX_SIZE = (Number(process.env.UPLOAD_MAX_SIZE_MB) || 50) * 1024 * 1024;
+// Every *.postman_collection.json dropped into WATCH_DIR is imported as a collection
+const WATCH_DIR = process.env.WATCH_DIR || null;
+const DEFAULT_COLLECTION = 'default';
 
-// Ensure backup directory exists
-if (!fs.existsSync(BACKUP_DIR)) {
-    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+// Collection names are used in URLs and directory names, so keep them to simple slugs
+const COLLECTION_NAME_PATTERN = '[a-z0-9][a-z0-9_-]{0,63}';
+const COLLECTION_NAME_REGEX = new RegExp(`^${COLLECTION_NAME_PATTERN}$`);
+
+// Number of requests listed in an upload preview
+const UPLOAD_PREVIEW_LIMIT = 200;
+
+// Registry of all hosted collections, keyed by name
+const collections = new Map();
+
+// Append-only log of every change to the collections
+const auditLog = createAuditLog(AUDIT_LOG_PATH);
+
+// Server-Sent Events stream that tells the UI about file changes and conversions
+const events = createEventStream();
+
+// Prometheus metrics served at /metrics. Counters and durations are recorded as conversions
+// finish; the gauges are read from the collections when the metrics are scraped.
+const metrics = createMetricsRegistry();
+const conversionsTotal = metrics.counter('postman_swagger_conversions_total', 'Conversions run, by collection and trigger');
+const conversionFailuresTotal = metrics.counter('postman_swagger_conversion_failures_total', 'Conversions that failed, by collection and trigger');
+const conversionDuration = metrics.histogram('postman_swagger_conversion_duration_seconds', 'Time taken by conversions');
+const lastConversionTimestamp = metrics.gauge('postman_swagger_last_conversion_timestamp_seconds', 'When the last conversion of the collection finished');
+const lastConversionSuccess = metrics.gauge('postman_swagger_last_conversion_success', 'Whether the last conversion of the collection succeeded');
+const conversionQueueLength = metrics.gauge('postman_swagger_conversion_queue_length', 'Conversions waiting or running');
+const specOperations = metrics.gauge('postman_swagger_spec_operations', 'Operations in the OpenAPI spec of the collection');
+const specPaths = metrics.gauge('postman_swagger_spec_paths', 'Paths in the OpenAPI spec of the collection');
+const backupDirectorySize = metrics.gauge('postman_swagger_backup_directory_bytes', 'Size of the backup directory of the collection');
+
+// Conversions run one at a time through this queue, so the watcher, the API and restores
+// never write the same files at once. A conversion requested while one of the same
+// collection is waiting is merged into it. JOB_HISTORY_LIMIT finished jobs are kept in memory.
+const conversionQueue = createJobQueue(
+    (job, details) => convertPostmanToOpenAPI(details.collection, details.auditActor, job.action),
+    {
+        historyLimit: Number(process.env.JOB_HISTORY_LIMIT) || 500,
+        onFinish: job => {
+            conversionsTotal.inc({ collection: job.collection, trigger: job.trigger });
+            if (job.status === 'failed') {
+                conversionFailuresTotal.inc({ collection: job.collection, trigger: job.trigger });
+            }
+            conversionDuration.observe({ collection: job.collection }, job.durationMs / 1000);
+        }
+    }
+);
+
+// How many backups to keep, from BACKUP_KEEP_LAST, BACKUP_KEEP_DAILY_DAYS and BACKUP_MAX_SIZE_MB
+const backupRetention = loadRetentionPolicy();
+
+// With VERSIONING=git every change is committed to a local git repository instead of
+// being copied to backups/. Commits are pushed to GIT_REMOTE when it is set.
+const gitHistory = process.env.VERSIONING === 'git'
+    ? createGitHistory({ dir: GIT_HISTORY_DIR, remote: process.env.GIT_REMOTE || null, branch: process.env.GIT_BRANCH || 'main' })
+    : null;
+
+// Configure middleware. The mock server accepts any request body, so bodies sent to it are not parsed.
+const MOCK_PATH_REGEX = /^\/mocks?(\/|$)/;
+const unlessMock = middleware => (req, res, next) => (MOCK_PATH_REGEX.test(req.path) ? next() : middleware(req, res, next));
+app.use(unlessMock(bodyParser.json({ limit: '50mb' })));
+app.use(unlessMock(bodyParser.urlencoded({ extended: true, limit: '50mb' })));
+
+// Authentication: API keys and local users from the auth config file. Without a config
+// file everyone has full access, as before.
+const auth = createAuth(loadAuthConfig(AUTH_CONFIG_PATH));
+app.use(auth.identify);
+
+// File uploads go to UPLOAD_TMP_DIR and must contain JSON, so they can be validated
+// before they replace the collection's postman_collection.json
+const upload = createUploader({ dir: UPLOAD_TMP_DIR, extensions: ['.json'], formats: ['json'], maxSize: UPLOAD_MAX_SIZE });
+
+// Collection uploads can also be HAR files, Insomnia exports or text files of cURL commands
+const importUpload = createUploader({ dir: UPLOAD_TMP_DIR, extensions: ['.json', '.har', '.txt', '.sh', '.curl'], formats: ['json', 'yaml'], maxSize: UPLOAD_MAX_SIZE });
+
+// Separate uploader for OpenAPI specs and overlays, which can also be YAML
+const specUpload = createUploader({ dir: UPLOAD_TMP_DIR, extensions: ['.json', '.yaml', '.yml'], formats: ['json', 'yaml'], maxSize: UPLOAD_MAX_SIZE });
+
+// Get the file locations for a collection. The default collection keeps the original
+// root-level paths so existing volume mounts keep working.
+function getCollectionPaths(name) {
+    const dir = name === DEFAULT_COLLECTION ? __dirname : path.join(COLLECTIONS_DIR, name);
+    return {
+        postmanPath: path.join(dir, 'postman_collection.json'),
+        openapiPath: path.join(dir, 'openapi.json'),
+        backupDir: path.join(dir, 'backups'),
+        environmentsDir: path.join(dir, 'environments'),
+        configPath: name === DEFAULT_COLLECTION ? CONVERTER_CONFIG_PATH : path.join(dir, 'converter.config'),
+        overlaysDir: path.join(dir, 'overlays'),
+        referenceDir: path.join(dir, 'reference')
+    };
 }
 
-// Configure middleware
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+// Register a collection: create its directories, watcher and debounced converter
+function registerCollection(name) {
+    if (collections.has(name)) {
+        return collections.get(name);
+    }
+
+    const collection = { name, ...getCollectionPaths(name) };
 
-// Set up multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, __dirname);
-    },
-    filename: (req, file, cb) => {
-        // Always save as postman_collection.json
-        cb(null, 'postman_collection.json');
+    // Ensure backup directory exists
+    if (!fs.existsSync(collection.backupDir)) {
+        fs.mkdirSync(collection.backupDir, { recursive: true });
     }
-});
 
-const upload = multer({ 
-    storage: storage,
-    limits: { fileSize: 50 * 1024 * 1024 }, // 50 MB limit
-    fileFilter: (req, file, cb) => {
-        // Accept only json files
-        if (!file.originalname.match(/\.(json)$/)) {
-            return cb(new Error('Only JSON files are allowed'), false);
+    // Create a debounced version of the conversion function
+    collection.debouncedConvert = debounce(() => {
+        console.log(`Detected change in Postman JSON for collection "${name}". Converting...`);
+        // Credit the conversion to whoever saved the file through the API, if anyone did
+        const actor = collection.pendingActor || WATCHER_ACTOR;
+        collection.pendingActor = null;
+        collection.pendingClientId = null;
+        queueConversion(collection, 'watcher', actor);
+    }, 2000); // Wait 2 seconds after the last change before converting
+
+    // Tell the UI about the change. The client id lets the page that saved the file
+    // recognise its own change.
+    const publishFileChanged = () => {
+        const actor = collection.pendingActor || WATCHER_ACTOR;
+        events.publish('file-changed', name, { file: path.basename(collection.postmanPath), actor: actor.actor, clientId: collection.pendingClientId || null });
+    };
+
+    // Watch for changes in the Postman JSON file
+    collection.watcher = chokidar.watch(collection.postmanPath, {
+        persistent: true,
+        ignoreInitial: true,
+        awaitWriteFinish: {
+            stabilityThreshold: 2000,
+            pollInterval: 100
+        }
+    }).on('add', () => {
+        publishFileChanged();
+        collection.debouncedConvert();
+    }).on('change', () => {
+        publishFileChanged();
+        collection.debouncedConvert();
+    }).on('ready', () => {
+        // Files written while the watcher was starting are not reported, so pick them up here
+        if (fs.existsSync(collection.postmanPath) && !fs.existsSync(collection.openapiPath)) {
+            collection.debouncedConvert();
+        }
+    });
+
+    collections.set(name, collection);
+    return collection;
+}
+
+// Remove a collection from the registry and delete its files
+async function removeCollection(collection) {
+    collection.debouncedConvert.cancel();
+    await collection.watcher.close();
+    collections.delete(collection.name);
+    fs.rmSync(path.dirname(collection.postmanPath), { recursive: true, force: true });
+}
+
+// Middleware that resolves the collection named in the route, falling back to the
+// default collection for the original single-collection routes. With `create`, unknown
+// names resolve to an unregistered collection that is registered once something is saved.
+function resolveCollection({ create = false } = {}) {
+    return (req, res, next) => {
+        const name = req.params.name || DEFAULT_COLLECTION;
+        if (!COLLECTION_NAME_REGEX.test(name)) {
+            return res.status(400).send('Invalid collection name. Use lowercase letters, digits, "-" and "_".');
+        }
+
+        let collection = collections.get(name);
+        if (!collection && create) {
+            collection = { name, ...getCollectionPaths(name) };
+        }
+        if (!collection) {
+            return res.status(404).send(`Collection "${name}" not found`);
         }
-        cb(null, true);
+
+        req.collection = collection;
+        next();
+    };
+}
+
+// Who made a change, for the audit log. Conversions started by the file watcher or at
+// startup have no request to take the user from.
+const WATCHER_ACTOR = { actor: 'watcher', role: null, via: 'file-watcher', ip: null };
+const STARTUP_ACTOR = { actor: 'system', role: null, via: 'startup', ip: null };
+const WATCH_DIR_ACTOR = { actor: 'watch-dir', role: null, via: 'watch-dir', ip: null };
+
+function getAuditActor(req) {
+    return { actor: req.user.name, role: req.user.role, via: req.user.via, ip: req.ip };
+}
+
+// Add an entry to the audit log. A failure to write the log is reported but does not
+// undo or fail the change itself.
+function recordAudit(collection, action, actor, details = {}) {
+    try {
+        auditLog.append({ collection: collection.name, action, ...actor, ...details });
+    } catch (error) {
+        console.error(`Error writing audit log entry for collection "${collection.name}":`, error.message);
     }
-});
+}
+
+// Describe an audit summary in commit message lines
+function describeSummary(summary) {
+    const lines = summary.requestsAdded !== undefined
+        ? [`${summary.requestsAdded} request(s) added, ${summary.requestsRemoved} removed, ${summary.requestsChanged} changed`]
+        : [`${summary.total} spec change(s), ${summary.breaking} breaking`];
+    summary.changes.forEach(change => {
+        lines.push(change.request ? `- ${change.action} ${change.request}` : `- ${change.endpoint}: ${change.message}`);
+    });
+    return lines.join('\n');
+}
+
+// Commit the collection's current files to the version history, when git versioning is on.
+// Resolves to the commit sha, or null when nothing was committed.
+async function commitCollectionVersion(collection, message, actor) {
+    if (!gitHistory) {
+        return null;
+    }
+    try {
+        return await gitHistory.commit(collection.name, {
+            'postman_collection.json': collection.postmanPath,
+            'openapi.json': collection.openapiPath
+        }, message, actor.actor);
+    } catch (error) {
+        console.error(`Error committing version of collection "${collection.name}":`, error.message);
+        return null;
+    }
+}
+
+// Back up a collection file and prune the backups the retention policy does not keep.
+// Nothing is written when the file is the same as its newest backup.
+function backupCollectionFile(collection, kind, sourcePath) {
+    const filename = createBackup(collection.backupDir, kind, sourcePath);
+    if (filename) {
+        console.log(`Backed up ${path.basename(sourcePath)} of collection "${collection.name}" to ${filename}`);
+    }
+    const pruned = pruneBackups(collection.backupDir, backupRetention);
+    if (pruned.length > 0) {
+        console.log(`Pruned ${pruned.length} backup(s) of collection "${collection.name}"`);
+    }
+    return filename;
+}
+
+// Read and parse a JSON file, or null when it is missing or not valid JSON
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Queue a conversion of a collection. `trigger` says what asked for it: watcher, startup,
+// update, restore, revert or settings. Returns a promise of the finished job.
+function queueConversion(collection, trigger, actor = WATCHER_ACTOR, action = 'convert') {
+    return conversionQueue.enqueue(collection.name, { trigger, actor: actor.actor, action, collection, auditActor: actor });
+}
 
-// Function to convert Postman JSON to OpenAPI JSON with improved error handling and versioning
-async function convertPostmanToOpenAPI() {
+// Function to convert Postman JSON to OpenAPI JSON with improved error handling and versioning.
+// The conversion is recorded in the audit log as `action`, made by `actor`. Only run it through
+// queueConversion. Resolves to { success, inputHash, result, error } for the job record.
+async function convertPostmanToOpenAPI(collection, actor = WATCHER_ACTOR, action = 'convert') {
     let release;
+    let inputHash = null;
+    events.publish('conversion-started', collection.name, { actor: actor.actor, action });
     try {
         // Make sure the openapi.json file exists before trying to lock it
-        if (!fs.existsSync(OPENAPI_JSON_PATH)) {
-            fs.writeFileSync(OPENAPI_JSON_PATH, '{}', 'utf8');
+        if (!fs.existsSync(collection.openapiPath)) {
+            writeFileAtomic(collection.openapiPath, '{}');
         }
         
         // Acquire a lock on the OpenAPI file
-        release = await lockfile.lock(OPENAPI_JSON_PATH, { retries: 5 });
+        release = await lockfile.lock(collection.openapiPath, { retries: 5 });
 
         // Validate that the Postman JSON is valid
-        const postmanData = JSON.parse(fs.readFileSync(POSTMAN_JSON_PATH, 'utf8'));
+        const postmanContent = fs.readFileSync(collection.postmanPath, 'utf8');
+        inputHash = crypto.createHash('sha256').update(postmanContent).digest('hex');
+        const postmanData = JSON.parse(postmanContent);
+        
+        // Keep the current spec to record what the conversion changed
+        const previousSpec = readJsonFile(collection.openapiPath) || {};
         
-        // Backup existing OpenAPI file
-        if (fs.existsSync(OPENAPI_JSON_PATH) && fs.statSync(OPENAPI_JSON_PATH).size > 2) {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = path.join(BACKUP_DIR, `openapi-${timestamp}.json`);
-            fs.copyFileSync(OPENAPI_JSON_PATH, backupPath);
-            console.log(`Backed up existing OpenAPI file to ${backupPath}`);
+        // Backup existing OpenAPI file, unless the git history keeps the previous versions
+        if (!gitHistory && fs.existsSync(collection.openapiPath) && fs.statSync(collection.openapiPath).size > 2) {
+            backupCollectionFile(collection, 'openapi', collection.openapiPath);
         }
 
-        // Create a temporary file for conversion output
-        const tempOutputPath = path.join(__dirname, 'temp-openapi.json');
-
-        // Proceed with conversion
-        await postmanToOpenAPI(POSTMAN_JSON_PATH, tempOutputPath, { 
-            defaultTag: 'General',
-            outputFormat: 'json'  // Explicitly request JSON output
+        // Proceed with conversion, using the collection's converter settings, selected
+        // environments and overlays
+        const { spec: openApiSpec, warnings, inference } = await convertCollection(postmanData, {
+            config: loadConverterConfig(collection.configPath),
+            environments: loadEnvironments(collection).filter(environment => environment.selected),
+            overlays: loadOverlays(collection.overlaysDir)
         });
-        
-        // Read the output file
-        const openApiContent = fs.readFileSync(tempOutputPath, 'utf8');
-        
-        // Check if it's YAML (starts with 'openapi:') and convert if needed
-        if (openApiContent.trim().startsWith('openapi:')) {
-            console.log('Detected YAML output, converting to JSON...');
-            try {
-                const yamlObject = yaml.load(openApiContent);
-                fs.writeFileSync(OPENAPI_JSON_PATH, JSON.stringify(yamlObject, null, 2));
-            } catch (yamlError) {
-                console.error('Error converting YAML to JSON:', yamlError.message);
-                throw yamlError;
-            }
-        } else {
-            // It's already JSON or another format, just copy it
-            fs.copyFileSync(tempOutputPath, OPENAPI_JSON_PATH);
+        warnings.forEach(warning => console.warn(`Conversion warning for collection "${collection.name}": ${warning}`));
+        if (inference) {
+            console.log(`Inferred schemas for ${inference.inferred} body(ies) of collection "${collection.name}", ${inference.components} shared schema(s).`);
         }
         
-        // Clean up temp file
-        if (fs.existsSync(tempOutputPath)) {
-            fs.unlinkSync(tempOutputPath);
-        }
+        writeFileAtomic(collection.openapiPath, JSON.stringify(openApiSpec, null, 2));
+        collection.mock = createMockRoutes(openApiSpec);
         
-        console.log('Postman JSON converted to OpenAPI JSON successfully.');
+        console.log(`Postman JSON for collection "${collection.name}" converted to OpenAPI JSON successfully.`);
         
         // Check if output is valid without strict JSON parsing
-        const finalContent = fs.readFileSync(OPENAPI_JSON_PATH, 'utf8');
+        const finalContent = fs.readFileSync(collection.openapiPath, 'utf8');
         if (!finalContent || finalContent.trim() === '') {
             throw new Error('Generated OpenAPI file is empty');
         }
         
-        // Try to parse as JSON to verify
-        try {
-            JSON.parse(finalContent);
-        } catch (jsonError) {
-            console.warn('Warning: Output file is not valid JSON. Swagger UI may not work correctly.');
+        // Validate the generated document against the OpenAPI schema and our own checks
+        const validation = validateCollectionSpec(collection, finalContent);
+        if (validation.errors.length > 0) {
+            console.warn(`Warning: Generated OpenAPI document for collection "${collection.name}" has ${validation.errors.length} validation error(s). Swagger UI may not work correctly.`);
         }
         
-        return true;
+        collection.lastConvertedAt = new Date().toISOString();
+        writeMarkdownReference(collection, openApiSpec);
+        
+        // Restarts convert every collection again, only record the ones that changed
+        const summary = summarizeSpecDiff(diffOpenAPI(previousSpec, openApiSpec));
+        const commit = await commitCollectionVersion(collection, `Regenerate OpenAPI spec of "${collection.name}"\n\n${describeSummary(summary)}`, actor);
+        if (actor !== STARTUP_ACTOR || summary.total > 0) {
+            recordAudit(collection, action, actor, { status: 'success', summary, commit });
+        }
+        events.publish('conversion-succeeded', collection.name, {
+            actor: actor.actor,
+            action,
+            summary,
+            validation: { valid: validation.valid, errors: validation.errors.length, warnings: validation.warnings.length }
+        });
+        return {
+            success: true,
+            inputHash,
+            result: {
+                paths: Object.keys(openApiSpec.paths || {}).length,
+                operations: getOperations(openApiSpec).size,
+                changes: summary.total,
+                breaking: summary.breaking,
+                validationErrors: validation.errors.length,
+                validationWarnings: validation.warnings.length
+            }
+        };
     } catch (error) {
-        console.error('Error converting Postman JSON:', error.message);
+        console.error(`Error converting Postman JSON for collection "${collection.name}":`, error.message);
+        recordAudit(collection, action, actor, { status: 'failed', error: error.message });
+        events.publish('conversion-failed', collection.name, { actor: actor.actor, action, error: error.message });
+        
+        // Restore the last committed spec if the current conversion failed
+        if (gitHistory) {
+            const committedSpec = await gitHistory.readFile(collection.name, 'HEAD', 'openapi.json');
+            if (committedSpec !== null) {
+                console.log(`Restoring the last committed OpenAPI file of collection "${collection.name}"`);
+                writeFileAtomic(collection.openapiPath, committedSpec);
+                collection.mock = null;
+                validateCollectionSpec(collection);
+                events.publish('backup-restored', collection.name, { file: 'openapi.json', commit: 'HEAD', automatic: true });
+            }
+            return { success: false, inputHash, error: error.message };
+        }
         
         // Restore from the most recent backup if the current conversion failed
-        const backupFiles = fs.readdirSync(BACKUP_DIR).filter(file => file.startsWith('openapi-'));
+        const backupFiles = fs.readdirSync(collection.backupDir).filter(file => file.startsWith('openapi-'));
         if (backupFiles.length > 0) {
             // Sort by timestamp (newest first)
             backupFiles.sort().reverse();
-            const latestBackup = path.join(BACKUP_DIR, backupFiles[0]);
+            const latestBackup = path.join(collection.backupDir, backupFiles[0]);
             console.log(`Restoring from backup: ${latestBackup}`);
-            fs.copyFileSync(latestBackup, OPENAPI_JSON_PATH);
+            writeFileAtomic(collection.openapiPath, fs.readFileSync(latestBackup));
+            collection.mock = null;
+            validateCollectionSpec(collection);
+            events.publish('backup-restored', collection.name, { file: 'openapi.json', backup: backupFiles[0], automatic: true });
         }
         
-        return false;
+        return { success: false, inputHash, error: error.message };
     } finally {
         // Always release the lock
         if (release) await release();
     }
 }
 
-// Create a debounced version of the conversion function
-const debouncedConvert = debounce(() => {
-    console.log('Detected change in Postman JSON. Converting...');
-    convertPostmanToOpenAPI();
-}, 2000); // Wait 2 seconds after the last change before converting
+// Read the names of the environments selected for the spec's servers
+function readEnvironmentSelection(collection) {
+    const selectionPath = path.join(collection.environmentsDir, 'selection.json');
+    try {
+        const selection = JSON.parse(fs.readFileSync(selectionPath, 'utf8'));
+        return Array.isArray(selection) ? selection : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Save the names of the environments selected for the spec's servers
+function writeEnvironmentSelection(collection, selection) {
+    fs.mkdirSync(collection.environmentsDir, { recursive: true });
+    writeFileAtomic(path.join(collection.environmentsDir, 'selection.json'), JSON.stringify(selection, null, 2));
+}
+
+// Load all environment files of a collection, marking the ones selected for the spec
+function loadEnvironments(collection) {
+    if (!fs.existsSync(collection.environmentsDir)) {
+        return [];
+    }
+
+    const selection = readEnvironmentSelection(collection);
+    return fs.readdirSync(collection.environmentsDir)
+        .filter(file => file.endsWith('.postman_environment.json'))
+        .sort()
+        .map(file => {
+            const slug = file.replace(/\.postman_environment\.json$/, '');
+            const environment = JSON.parse(fs.readFileSync(path.join(collection.environmentsDir, file), 'utf8'));
+            return { slug, selected: selection.includes(slug), ...environment };
+        });
+}
+
+// Names of the Markdown reference pages, as written by writeMarkdownReference
+const REFERENCE_PAGE_REGEX = /^[a-z0-9-]+\.md$/;
+
+// Write the Markdown reference of a collection's spec to its reference directory and
+// remove the pages of tags that are gone. A failure is logged but does not fail the conversion.
+function writeMarkdownReference(collection, spec) {
+    try {
+        const pages = generateMarkdownReference(spec);
+        fs.mkdirSync(collection.referenceDir, { recursive: true });
+        fs.readdirSync(collection.referenceDir)
+            .filter(file => REFERENCE_PAGE_REGEX.test(file) && !pages[file])
+            .forEach(file => fs.unlinkSync(path.join(collection.referenceDir, file)));
+        Object.keys(pages).forEach(file => writeFileAtomic(path.join(collection.referenceDir, file), pages[file]));
+        console.log(`Wrote ${Object.keys(pages).length} Markdown reference page(s) of collection "${collection.name}".`);
+    } catch (error) {
+        console.error(`Error writing the Markdown reference of collection "${collection.name}":`, error.message);
+    }
+}
+
+// Validate the collection's OpenAPI document and keep the result on the collection.
+// Content can be passed in when it has already been read.
+function validateCollectionSpec(collection, content) {
+    let validation;
+    try {
+        const spec = JSON.parse(content === undefined ? fs.readFileSync(collection.openapiPath, 'utf8') : content);
+        validation = validateOpenAPI(spec);
+    } catch (error) {
+        validation = {
+            valid: false,
+            version: null,
+            errors: [{ rule: 'json', message: `OpenAPI file is not valid JSON: ${error.message}`, pointer: '' }],
+            warnings: []
+        };
+    }
+
+    collection.validation = { ...validation, validatedAt: new Date().toISOString() };
+    return collection.validation;
+}
+
+// Function to convert an OpenAPI 3.x spec (JSON or YAML) to a Postman v2.1 collection.
+// Requests are grouped into folders by tag, bodies are generated from schema examples
+// and the first server becomes the {{baseUrl}} collection variable.
+function convertOpenAPIToPostman(specContent) {
+    return new Promise((resolve, reject) => {
+        let spec;
+        try {
+            // YAML is a superset of JSON, so this handles both formats
+            spec = yaml.load(specContent);
+        } catch (error) {
+            return reject(new Error(`Spec is not valid JSON or YAML: ${error.reason || error.message}`));
+        }
+
+        if (!spec || typeof spec !== 'object' || !String(spec.openapi).startsWith('3.')) {
+            return reject(new Error('Only OpenAPI 3.x specs are supported'));
+        }
+
+        openApiToPostman.convert({ type: 'json', data: spec }, {
+            folderStrategy: 'Tags',
+            requestParametersResolution: 'Example',
+            exampleParametersResolution: 'Example'
+        }, (error, result) => {
+            if (error) {
+                return reject(error);
+            }
+            if (!result.result) {
+                return reject(new Error(result.reason || 'Conversion failed'));
+            }
+            const postmanCollection = result.output[0].data;
+            normalizePostmanCollection(postmanCollection);
+            resolve(postmanCollection);
+        });
+    });
+}
+
+// openapi-to-postmanv2 returns the Postman SDK representation, where URLs have no `raw`
+// string and descriptions are objects. Rewrite it in place to the collection file format.
+function normalizePostmanCollection(node) {
+    if (Array.isArray(node)) {
+        node.forEach(normalizePostmanCollection);
+        return;
+    }
+    if (!node || typeof node !== 'object') {
+        return;
+    }
+
+    if (node.description && typeof node.description === 'object') {
+        if (node.description.content) {
+            node.description = node.description.content;
+        } else {
+            delete node.description;
+        }
+    }
+
+    if (node.url && typeof node.url === 'object' && !node.url.raw) {
+        const host = [].concat(node.url.host || []).join('.');
+        const urlPath = [].concat(node.url.path || []).join('/');
+        const query = (node.url.query || [])
+            .filter(param => !param.disabled)
+            .map(param => `${param.key}=${param.value === undefined || param.value === null ? '' : param.value}`)
+            .join('&');
+        node.url.raw = `${host}${urlPath ? '/' + urlPath : ''}${query ? '?' + query : ''}`;
+    }
+
+    Object.values(node).forEach(normalizePostmanCollection);
+}
 
 // HTML Templates for the UI
 const getBaseHTML = (content) => `
@@ -162,12 +585,30 @@ const getBaseHTML = (content) => `
         pre { background-color: #f8f9fa; padding: 15px; border-radius: 5px; max-height: 500px; overflow: auto; }
         .nav-tabs { margin-bottom: 20px; }
         #editor { height: 500px; border: 1px solid #ced4da; border-radius: 5px; }
+        #itemTree { min-height: 200px; max-height: 600px; overflow: auto; border: 1px solid #ced4da; border-radius: 5px; padding: 6px; }
+        #itemTree ul ul { padding-left: 16px; }
+        .tree-node { cursor: pointer; padding: 2px 6px; border-radius: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .tree-node:hover { background-color: #f1f3f5; }
+        .tree-node.active { background-color: #e7f1ff; }
+        .drop-target { outline: 2px dashed #0d6efd; }
         .alert-fixed { position: fixed; top: 20px; right: 20px; width: 300px; z-index: 9999; }
     </style>
 </head>
 <body>
     <div class="container">
-        <h1 class="mb-4">API Endpoint Manager</h1>
+        <div class="d-flex justify-content-between align-items-center mb-4">
+            <h1 class="mb-0">API Endpoint Manager</h1>
+            <div class="d-flex align-items-center gap-2">
+                <span id="liveStatus" class="badge bg-secondary">Connecting...</span>
+                <div id="userInfo"></div>
+            </div>
+        </div>
+        <div class="d-flex gap-2 mb-3">
+            <select class="form-select w-auto" id="collectionSelect" onchange="switchCollection(this.value)"></select>
+            <input class="form-control w-auto" type="text" id="newCollectionName" placeholder="new-collection-name">
+            <button class="btn btn-outline-primary" onclick="createCollection()">New Collection</button>
+            <button class="btn btn-outline-danger" id="deleteCollectionButton" onclick="deleteCollection()">Delete Collection</button>
+        </div>
         <ul class="nav nav-tabs" id="myTab" role="tablist">
             <li class="nav-item" role="presentation">
                 <button class="nav-link active" id="editor-tab" data-bs-toggle="tab" data-bs-target="#editor-tab-pane" type="button" role="tab">Editor</button>
@@ -178,6 +619,9 @@ const getBaseHTML = (content) => `
             <li class="nav-item" role="presentation">
                 <button class="nav-link" id="status-tab" data-bs-toggle="tab" data-bs-target="#status-tab-pane" type="button" role="tab">Status</button>
             </li>
+            <li class="nav-item" role="presentation">
+                <button class="nav-link" id="settings-tab" data-bs-toggle="tab" data-bs-target="#settings-tab-pane" type="button" role="tab">Settings</button>
+            </li>
         </ul>
         
         <div class="tab-content" id="myTabContent">
@@ -195,6 +639,142 @@ const getBaseHTML = (content) => `
         editor.setTheme("ace/theme/monokai");
         editor.session.setMode("ace/mode/json");
         
+        // Currently selected collection
+        let currentCollection = new URLSearchParams(window.location.search).get('collection') || 'default';
+        
+        // Sent with saves so the file-changed event of our own save can be told apart
+        const clientId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        
+        // Track unsaved edits, to warn when someone else changes the collection meanwhile
+        let editorDirty = false;
+        let loadingEditor = false;
+        
+        // The collection as it was loaded and its ETag. Saves send the ETag, and a save that
+        // conflicts merges our edits of the loaded version with the current one.
+        let collectionBase = null;
+        let collectionEtag = null;
+        editor.session.on('change', () => {
+            if (!loadingEditor) {
+                editorDirty = true;
+            }
+        });
+        
+        // Build the API URL for the selected collection
+        function collectionUrl(resource = '') {
+            return \`/api/collections/\${currentCollection}\${resource ? '/' + resource : ''}\`;
+        }
+        
+        // Load the list of collections into the selector
+        async function loadCollections() {
+            try {
+                const response = await fetch('/api/collections');
+                if (!response.ok) {
+                    throw new Error('Failed to load collections');
+                }
+                const data = await response.json();
+                const select = document.getElementById('collectionSelect');
+                select.innerHTML = data.map(collection => \`
+                    <option value="\${collection.name}" \${collection.name === currentCollection ? 'selected' : ''}>\${collection.name}</option>
+                \`).join('');
+            } catch (error) {
+                console.error('Error loading collections:', error);
+                showAlert('Error loading collections: ' + error.message, 'danger');
+            }
+        }
+        
+        // Point the page at another collection
+        function switchCollection(name) {
+            currentCollection = name;
+            history.replaceState(null, '', \`/?collection=\${name}\${window.location.hash}\`);
+            document.getElementById('uploadForm').action = collectionUrl('upload');
+            document.getElementById('specUploadForm').action = collectionUrl('upload-openapi');
+            document.getElementById('docsLink').href = \`/docs/\${name}/\`;
+            document.getElementById('yamlLink').href = collectionUrl('openapi') + '?format=yaml';
+            document.getElementById('exportLink').href = collectionUrl('export');
+            document.getElementById('siteLink').href = collectionUrl('export/site');
+            document.getElementById('deleteCollectionButton').disabled = name === 'default';
+            loadPostmanCollection();
+            selectedItemId = null;
+            itemFormDirty = false;
+            if (editorMode === 'structured') {
+                loadItemTree();
+            }
+            loadEnvironments();
+            loadSettings();
+            refreshStatus();
+            connectEvents();
+        }
+        
+        // Create a new, empty collection
+        async function createCollection() {
+            const name = document.getElementById('newCollectionName').value.trim();
+            if (!name) {
+                showAlert('Please enter a collection name', 'warning');
+                return;
+            }
+            try {
+                const response = await fetch(\`/api/collections/\${encodeURIComponent(name)}\`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        info: {
+                            name,
+                            schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+                        },
+                        item: []
+                    })
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to create collection');
+                }
+                
+                document.getElementById('newCollectionName').value = '';
+                showAlert(\`Collection "\${name}" created successfully!\`);
+                currentCollection = name;
+                await loadCollections();
+                switchCollection(name);
+            } catch (error) {
+                console.error('Error creating collection:', error);
+                showAlert('Error creating collection: ' + error.message, 'danger');
+            }
+        }
+        
+        // Delete the selected collection
+        async function deleteCollection() {
+            if (!confirm(\`Delete collection "\${currentCollection}" and all of its backups?\`)) {
+                return;
+            }
+            try {
+                const response = await fetch(collectionUrl(), {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to delete collection');
+                }
+                
+                showAlert('Collection deleted successfully!');
+                currentCollection = 'default';
+                await loadCollections();
+                switchCollection('default');
+            } catch (error) {
+                console.error('Error deleting collection:', error);
+                showAlert('Error deleting collection: ' + error.message, 'danger');
+            }
+        }
+        
+        // Escape text before putting it into HTML
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+        
         // Function to show alerts
         function showAlert(message, type = 'success') {
             const alertHTML = \`
@@ -219,20 +799,157 @@ const getBaseHTML = (content) => `
         
         // Load Postman Collection into Editor
         async function loadPostmanCollection() {
+            collectionBase = null;
+            collectionEtag = null;
             try {
-                const response = await fetch('/api/collection');
+                const response = await fetch(collectionUrl());
                 if (!response.ok) {
                     throw new Error('Failed to load collection');
                 }
                 const data = await response.json();
+                collectionBase = data;
+                collectionEtag = response.headers.get('ETag');
+                closeMergePanel();
+                loadingEditor = true;
                 editor.setValue(JSON.stringify(data, null, 2));
+                loadingEditor = false;
+                editorDirty = false;
                 editor.clearSelection();
+                await validateCollection(false);
             } catch (error) {
                 console.error('Error loading collection:', error);
                 showAlert('Error loading collection: ' + error.message, 'danger');
             }
         }
         
+        // Find the editor row of every JSON pointer in a JSON document
+        function mapPointerRows(text) {
+            const rows = {};
+            let pos = 0;
+            let row = 0;
+            
+            const advance = () => {
+                if (text[pos] === '\\n') row++;
+                pos++;
+            };
+            const skipWhitespace = () => {
+                while (pos < text.length && /\\s/.test(text[pos])) advance();
+            };
+            const readString = () => {
+                advance();
+                const start = pos;
+                while (pos < text.length && text[pos] !== '"') {
+                    if (text[pos] === '\\\\') advance();
+                    advance();
+                }
+                const raw = text.slice(start, pos);
+                advance();
+                try {
+                    return JSON.parse('"' + raw + '"');
+                } catch (e) {
+                    return raw;
+                }
+            };
+            const readValue = pointer => {
+                skipWhitespace();
+                rows[pointer] = row;
+                if (text[pos] === '{') {
+                    advance();
+                    skipWhitespace();
+                    while (pos < text.length && text[pos] === '"') {
+                        const key = readString();
+                        skipWhitespace();
+                        advance(); // colon
+                        readValue(pointer + '/' + key.replace(/~/g, '~0').replace(/\\//g, '~1'));
+                        skipWhitespace();
+                        if (text[pos] === ',') {
+                            advance();
+                            skipWhitespace();
+                        }
+                    }
+                    advance();
+                } else if (text[pos] === '[') {
+                    advance();
+                    skipWhitespace();
+                    let index = 0;
+                    while (pos < text.length && text[pos] !== ']') {
+                        readValue(pointer + '/' + index++);
+                        skipWhitespace();
+                        if (text[pos] === ',') advance();
+                        else break;
+                    }
+                    advance();
+                } else if (text[pos] === '"') {
+                    readString();
+                } else {
+                    while (pos < text.length && !/[,\\]\\}\\s]/.test(text[pos])) advance();
+                }
+            };
+            
+            readValue('');
+            return rows;
+        }
+        
+        // Show validation issues as annotations in the editor
+        function showValidationAnnotations(validation) {
+            const rows = mapPointerRows(editor.getValue());
+            const rowFor = pointer => {
+                // Fall back to the closest parent for pointers to missing properties
+                let current = pointer || '';
+                while (current && !(current in rows)) {
+                    current = current.slice(0, current.lastIndexOf('/'));
+                }
+                return rows[current] || 0;
+            };
+            const toAnnotation = type => issue => ({
+                row: rowFor(issue.pointer),
+                column: 0,
+                text: \`[\${issue.rule}] \${issue.message}\`,
+                type
+            });
+            
+            editor.session.setAnnotations((validation.errors || []).map(toAnnotation('error'))
+                .concat((validation.warnings || []).map(toAnnotation('warning'))));
+        }
+        
+        // Validate the editor content without saving it
+        async function validateCollection(notify = true) {
+            try {
+                const editorContent = editor.getValue();
+                
+                // Validate JSON
+                try {
+                    JSON.parse(editorContent);
+                } catch (e) {
+                    if (notify) showAlert('Invalid JSON: ' + e.message, 'danger');
+                    return;
+                }
+                
+                const response = await fetch(collectionUrl('validate'), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: editorContent
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to validate collection');
+                }
+                
+                const validation = await response.json();
+                showValidationAnnotations(validation);
+                if (notify) {
+                    showAlert(\`Validation found \${validation.errors.length} error(s) and \${validation.warnings.length} warning(s)\`,
+                        validation.errors.length ? 'danger' : validation.warnings.length ? 'warning' : 'success');
+                }
+            } catch (error) {
+                console.error('Error validating collection:', error);
+                if (notify) showAlert('Error validating collection: ' + error.message, 'danger');
+            }
+        }
+        
         // Save Collection from Editor
         async function saveCollection() {
             try {
@@ -246,20 +963,41 @@ const getBaseHTML = (content) => `
                     return;
                 }
                 
-                const response = await fetch('/api/collection', {
+                const response = await fetch(collectionUrl(), {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json'
+                        'Content-Type': 'application/json',
+                        'X-Client-Id': clientId,
+                        ...(collectionEtag ? { 'If-Match': collectionEtag } : {})
                     },
                     body: editorContent
                 });
                 
+                if (response.status === 409) {
+                    await showMergePanel(JSON.parse(editorContent));
+                    return;
+                }
+                
+                if (response.status === 422) {
+                    const validation = await response.json();
+                    showValidationAnnotations(validation);
+                    showAlert(\`Collection was not saved: \${validation.errors.length} validation error(s). See the editor annotations.\`, 'danger');
+                    return;
+                }
+                
                 if (!response.ok) {
                     const errorText = await response.text();
                     throw new Error(errorText || 'Failed to save collection');
                 }
                 
-                showAlert('Collection saved successfully!');
+                const result = await response.json();
+                editorDirty = false;
+                collectionBase = JSON.parse(editorContent);
+                collectionEtag = response.headers.get('ETag');
+                showValidationAnnotations(result);
+                showAlert(result.warnings.length
+                    ? \`Collection saved with \${result.warnings.length} warning(s)\`
+                    : 'Collection saved successfully!', result.warnings.length ? 'warning' : 'success');
                 
                 // Trigger conversion
                 await triggerConversion();
@@ -269,345 +1007,3500 @@ const getBaseHTML = (content) => `
             }
         }
         
-        // Trigger conversion
-        async function triggerConversion() {
+        // Show the detected format and the requests an upload would import
+        let previewUploadTimer = null;
+        
+        function schedulePreviewUpload() {
+            clearTimeout(previewUploadTimer);
+            previewUploadTimer = setTimeout(previewUpload, 500);
+        }
+        
+        async function previewUpload() {
+            const form = document.getElementById('uploadForm');
+            const previewElement = document.getElementById('uploadPreview');
+            const file = document.getElementById('collectionFile').files[0];
+            if (!file && !document.getElementById('collectionText').value.trim()) {
+                previewElement.innerHTML = '';
+                return;
+            }
             try {
-                const response = await fetch('/api/update', {
-                    method: 'POST'
+                const response = await fetch(collectionUrl('upload/preview'), {
+                    method: 'POST',
+                    headers: { 'Accept': 'application/json' },
+                    body: new FormData(form)
                 });
-                
+                const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+                if (response.status === 422 && isJson) {
+                    const result = await response.json();
+                    previewElement.innerHTML = \`<div class="alert alert-danger">\${escapeHtml(result.errors.map(issue => issue.message).join('; '))}</div>\`;
+                    return;
+                }
                 if (!response.ok) {
                     const errorText = await response.text();
-                    throw new Error(errorText || 'Failed to trigger conversion');
+                    throw new Error(errorText || 'Failed to preview upload');
                 }
                 
-                showAlert('Conversion triggered successfully!');
-                
-                // Refresh status
-                await refreshStatus();
+                const preview = await response.json();
+                const validation = preview.validation;
+                let previewHtml = \`<p>
+                    <span class="badge bg-info">\${escapeHtml(preview.formatLabel)}</span>
+                    <strong>\${escapeHtml(preview.name || '')}</strong>:
+                    \${preview.total} request(s)\${preview.skipped ? \`, \${preview.skipped} skipped as they are not API calls\` : ''}
+                </p>\`;
+                if (!validation.valid) {
+                    previewHtml += \`<div class="alert alert-danger">
+                        <strong>The imported collection has \${validation.errors.length} error(s)</strong>
+                        <ul class="mb-0">\${validation.errors.map(issue => \`<li><code>\${escapeHtml(issue.pointer || '/')}</code> \${escapeHtml(issue.message)}</li>\`).join('')}</ul>
+                    </div>\`;
+                } else if (validation.warnings.length) {
+                    previewHtml += \`<p class="text-muted">\${validation.warnings.length} warning(s), shown after the upload.</p>\`;
+                }
+                previewHtml += \`<table class="table table-sm">
+                    <thead><tr><th>Method</th><th>Request</th><th>URL</th></tr></thead>
+                    <tbody>\${preview.requests.map(request => \`
+                        <tr>
+                            <td><code>\${escapeHtml(request.method)}</code></td>
+                            <td>\${request.folder ? \`<span class="text-muted">\${escapeHtml(request.folder)} / </span>\` : ''}\${escapeHtml(request.name)}</td>
+                            <td class="text-break">\${escapeHtml(request.url)}</td>
+                        </tr>\`).join('')}</tbody>
+                </table>\`;
+                if (preview.total > preview.requests.length) {
+                    previewHtml += \`<p class="text-muted">Showing the first \${preview.requests.length} of \${preview.total} requests.</p>\`;
+                }
+                previewElement.innerHTML = previewHtml;
             } catch (error) {
-                console.error('Error triggering conversion:', error);
-                showAlert('Error triggering conversion: ' + error.message, 'danger');
+                console.error('Error previewing upload:', error);
+                previewElement.innerHTML = \`<div class="alert alert-danger">Error previewing upload: \${escapeHtml(error.message)}</div>\`;
             }
         }
         
-        // Refresh Status
-        async function refreshStatus() {
+        // Submit an upload form with fetch so validation results can be shown
+        async function submitUpload(event) {
+            event.preventDefault();
+            const form = event.target;
+            const resultElement = document.getElementById('uploadResult');
+            resultElement.innerHTML = '';
             try {
-                const healthResponse = await fetch('/health');
-                const healthData = await healthResponse.json();
-                
-                let statusHtml = \`<div class="card mb-3">
-                    <div class="card-header bg-\${healthData.status === 'ok' ? 'success' : 'danger'} text-white">
-                        Service Status: \${healthData.status.toUpperCase()}
-                    </div>
-                    <div class="card-body">
-                        <p>\${healthData.message}</p>
-                    </div>
-                </div>\`;
+                const response = await fetch(form.action, {
+                    method: 'POST',
+                    headers: {
+                        'Accept': 'application/json',
+                        'X-Client-Id': clientId
+                    },
+                    body: new FormData(form)
+                });
+                const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
                 
-                // Get backups
-                const backupsResponse = await fetch('/api/backups');
-                if (backupsResponse.ok) {
-                    const backupsData = await backupsResponse.json();
-                    
-                    statusHtml += \`<div class="card mb-3">
-                        <div class="card-header">Backup Files</div>
-                        <div class="card-body">
-                            <table class="table table-striped">
-                                <thead>
-                                    <tr>
-                                        <th>Filename</th>
-                                        <th>Created</th>
-                                        <th>Actions</th>
-                                    </tr>
-                                </thead>
-                                <tbody>\`;
-                    
-                    backupsData.forEach(backup => {
-                        const filename = backup.filename;
-                        const date = new Date(backup.created).toLocaleString();
-                        statusHtml += \`
-                            <tr>
-                                <td>\${filename}</td>
-                                <td>\${date}</td>
-                                <td>
-                                    <button class="btn btn-sm btn-warning" onclick="restoreBackup('\${filename}')">Restore</button>
-                                </td>
-                            </tr>
-                        \`;
-                    });
-                    
-                    statusHtml += \`</tbody></table></div></div>\`;
+                if (response.status === 422 && isJson) {
+                    const validation = await response.json();
+                    resultElement.innerHTML = \`<div class="alert alert-danger">
+                        <strong>\${escapeHtml(validation.message)}</strong>
+                        <ul class="mb-0">\${validation.errors.map(issue => \`<li><code>\${escapeHtml(issue.pointer || '/')}</code> \${escapeHtml(issue.message)}</li>\`).join('')}</ul>
+                    </div>\`;
+                    return;
                 }
                 
-                document.getElementById('status-content').innerHTML = statusHtml;
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to upload file');
+                }
+                
+                const result = await response.json();
+                if (result.warnings.length) {
+                    resultElement.innerHTML = \`<div class="alert alert-warning">
+                        <strong>Uploaded with \${result.warnings.length} warning(s)</strong>
+                        <ul class="mb-0">\${result.warnings.map(issue => \`<li><code>\${escapeHtml(issue.pointer || '/')}</code> \${escapeHtml(issue.message)}</li>\`).join('')}</ul>
+                    </div>\`;
+                }
+                showAlert(result.message);
+                form.reset();
+                if (form.id === 'uploadForm') {
+                    document.getElementById('uploadPreview').innerHTML = '';
+                }
+                await loadPostmanCollection();
             } catch (error) {
-                console.error('Error refreshing status:', error);
-                document.getElementById('status-content').innerHTML = \`
-                    <div class="alert alert-danger">
-                        Error loading status: \${error.message}
-                    </div>
-                \`;
+                console.error('Error uploading file:', error);
+                showAlert('Error uploading file: ' + error.message, 'danger');
             }
         }
         
-        // Restore backup
-        async function restoreBackup(filename) {
+        // Load the environments of the selected collection
+        async function loadEnvironments() {
+            const listElement = document.getElementById('environment-list');
             try {
-                const response = await fetch(\`/api/restore/\${filename}\`, {
-                    method: 'POST'
+                const response = await fetch(collectionUrl('environments'));
+                if (!response.ok) {
+                    throw new Error('Failed to load environments');
+                }
+                const environments = await response.json();
+                
+                if (environments.length === 0) {
+                    listElement.innerHTML = '<p class="text-muted mb-0">No environments uploaded.</p>';
+                    return;
+                }
+                
+                listElement.innerHTML = \`<table class="table table-sm mb-0">
+                    <thead>
+                        <tr>
+                            <th>Use for servers</th>
+                            <th>Name</th>
+                            <th>Variables</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>\${environments.map(environment => \`
+                        <tr>
+                            <td><input class="form-check-input environment-selected" type="checkbox" value="\${environment.slug}" \${environment.selected ? 'checked' : ''} onchange="saveEnvironmentSelection()"></td>
+                            <td>\${escapeHtml(environment.name)}</td>
+                            <td>\${environment.values.map(value => \`<code>\${escapeHtml(value.key)}</code>\${value.type === 'secret' ? ' (secret)' : ''}\`).join(', ')}</td>
+                            <td><button class="btn btn-sm btn-outline-danger" onclick="deleteEnvironment('\${environment.slug}')">Delete</button></td>
+                        </tr>
+                    \`).join('')}</tbody>
+                </table>\`;
+            } catch (error) {
+                console.error('Error loading environments:', error);
+                listElement.innerHTML = \`<div class="alert alert-danger">Error loading environments: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+        
+        // Upload a Postman environment file
+        async function uploadEnvironment(event) {
+            event.preventDefault();
+            try {
+                const response = await fetch(collectionUrl('environments'), {
+                    method: 'POST',
+                    body: new FormData(event.target)
                 });
                 
                 if (!response.ok) {
                     const errorText = await response.text();
-                    throw new Error(errorText || 'Failed to restore backup');
+                    throw new Error(errorText || 'Failed to upload environment');
                 }
                 
-                showAlert('Backup restored successfully!');
+                showAlert('Environment uploaded successfully!');
+                event.target.reset();
+                await loadEnvironments();
+            } catch (error) {
+                console.error('Error uploading environment:', error);
+                showAlert('Error uploading environment: ' + error.message, 'danger');
+            }
+        }
+        
+        // Save which environments are used for the spec's servers
+        async function saveEnvironmentSelection() {
+            try {
+                const selected = Array.from(document.querySelectorAll('.environment-selected:checked')).map(input => input.value);
+                const response = await fetch(collectionUrl('environments/selection'), {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ selected })
+                });
                 
-                // Refresh status
-                await refreshStatus();
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to save environment selection');
+                }
                 
-                // Reload editor content
-                await loadPostmanCollection();
+                showAlert('Environment selection saved. The spec is being regenerated.');
             } catch (error) {
-                console.error('Error restoring backup:', error);
-                showAlert('Error restoring backup: ' + error.message, 'danger');
+                console.error('Error saving environment selection:', error);
+                showAlert('Error saving environment selection: ' + error.message, 'danger');
             }
         }
         
-        // Load initial data
-        document.addEventListener('DOMContentLoaded', () => {
+        // Delete an environment
+        async function deleteEnvironment(slug) {
+            try {
+                const response = await fetch(collectionUrl(\`environments/\${slug}\`), {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to delete environment');
+                }
+                
+                showAlert('Environment deleted successfully!');
+                await loadEnvironments();
+            } catch (error) {
+                console.error('Error deleting environment:', error);
+                showAlert('Error deleting environment: ' + error.message, 'danger');
+            }
+        }
+        
+        // Show validation errors of the settings or of an overlay
+        function showSettingsErrors(validation) {
+            document.getElementById('settingsResult').innerHTML = \`<div class="alert alert-danger">
+                <strong>\${escapeHtml(validation.message)}</strong>
+                <ul class="mb-0">\${validation.errors.map(issue => \`<li><code>\${escapeHtml(issue.pointer || '/')}</code> \${escapeHtml(issue.message)}</li>\`).join('')}</ul>
+            </div>\`;
+        }
+        
+        // Load the converter settings and overlays of the collection
+        let converterDefaults = {};
+        async function loadSettings() {
+            const listElement = document.getElementById('overlay-list');
+            document.getElementById('settingsResult').innerHTML = '';
+            try {
+                const response = await fetch(collectionUrl('settings'));
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to load settings');
+                }
+                const settings = await response.json();
+                converterDefaults = settings.defaults;
+                document.getElementById('converterConfig').value = JSON.stringify(settings.converter, null, 2);
+                
+                if (settings.overlays.length === 0) {
+                    listElement.innerHTML = '<p class="text-muted mb-0">No overlays uploaded.</p>';
+                    return;
+                }
+                
+                listElement.innerHTML = \`<table class="table table-sm mb-0">
+                    <thead>
+                        <tr>
+                            <th>File</th>
+                            <th>Title</th>
+                            <th>Actions</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>\${settings.overlays.map(item => \`
+                        <tr>
+                            <td><code>\${escapeHtml(item.name)}</code></td>
+                            <td>\${escapeHtml((item.overlay && item.overlay.info && item.overlay.info.title) || '')}</td>
+                            <td>\${item.overlay && Array.isArray(item.overlay.actions) ? item.overlay.actions.length : 0}</td>
+                            <td><button class="btn btn-sm btn-outline-danger" onclick="deleteOverlay('\${encodeURIComponent(item.name)}')">Delete</button></td>
+                        </tr>
+                    \`).join('')}</tbody>
+                </table>\`;
+            } catch (error) {
+                console.error('Error loading settings:', error);
+                listElement.innerHTML = \`<div class="alert alert-danger">Error loading settings: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+        
+        // Save the converter settings; the spec is regenerated with them
+        async function saveSettings() {
+            document.getElementById('settingsResult').innerHTML = '';
+            try {
+                let converter;
+                try {
+                    converter = JSON.parse(document.getElementById('converterConfig').value);
+                } catch (parseError) {
+                    showAlert('Settings are not valid JSON: ' + parseError.message, 'danger');
+                    return;
+                }
+                
+                const response = await fetch(collectionUrl('settings'), {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ converter })
+                });
+                
+                if (response.status === 422) {
+                    showSettingsErrors(await response.json());
+                    return;
+                }
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to save settings');
+                }
+                
+                const result = await response.json();
+                document.getElementById('converterConfig').value = JSON.stringify(result.converter, null, 2);
+                showAlert('Settings saved. The spec is being regenerated.');
+            } catch (error) {
+                console.error('Error saving settings:', error);
+                showAlert('Error saving settings: ' + error.message, 'danger');
+            }
+        }
+        
+        // Put the default settings in the editor; they apply once saved
+        function resetSettings() {
+            document.getElementById('converterConfig').value = JSON.stringify(converterDefaults, null, 2);
+            showAlert('Default settings loaded. Save to apply them.', 'info');
+        }
+        
+        // Upload an OpenAPI overlay file
+        async function uploadOverlay(event) {
+            event.preventDefault();
+            document.getElementById('settingsResult').innerHTML = '';
+            try {
+                const response = await fetch(collectionUrl('settings/overlays'), {
+                    method: 'POST',
+                    body: new FormData(event.target)
+                });
+                
+                if (response.status === 422) {
+                    showSettingsErrors(await response.json());
+                    return;
+                }
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to upload overlay');
+                }
+                
+                showAlert('Overlay uploaded. The spec is being regenerated.');
+                event.target.reset();
+                await loadSettings();
+            } catch (error) {
+                console.error('Error uploading overlay:', error);
+                showAlert('Error uploading overlay: ' + error.message, 'danger');
+            }
+        }
+        
+        // Delete an overlay
+        async function deleteOverlay(name) {
+            try {
+                const response = await fetch(collectionUrl(\`settings/overlays/\${name}\`), {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to delete overlay');
+                }
+                
+                showAlert('Overlay deleted successfully!');
+                await loadSettings();
+            } catch (error) {
+                console.error('Error deleting overlay:', error);
+                showAlert('Error deleting overlay: ' + error.message, 'danger');
+            }
+        }
+        
+        // Merge a save that was rejected because the collection changed since it was loaded:
+        // the server merges our edits with theirs and lists the values both sides changed
+        let pendingMerge = null;
+
+        async function requestMerge(mine, resolutions = {}) {
+            const response = await fetch(collectionUrl('merge'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ base: collectionBase, mine, resolutions })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(errorText || 'Failed to merge the changes');
+            }
+            return response.json();
+        }
+
+        // Show a value of a conflict, shortened
+        function previewValue(value) {
+            if (value === undefined) {
+                return '<em class="text-muted">(removed)</em>';
+            }
+            const text = JSON.stringify(value, null, 2);
+            return \`<pre class="small mb-0">\${escapeHtml(text.length > 600 ? text.slice(0, 600) + '\\n...' : text)}</pre>\`;
+        }
+
+        async function showMergePanel(mine) {
+            const result = await requestMerge(mine);
+            pendingMerge = { mine, result };
+            const changes = result.theirs.changes.map(change => \`<li>\${escapeHtml(change.action + ' ' + change.request)}</li>\`).join('');
+            const conflicts = result.conflicts.map((conflict, index) => \`
+                <div class="border rounded p-2 mb-2">
+                    <div class="fw-semibold mb-1">\${escapeHtml(conflict.location)}</div>
+                    <div class="row">
+                        <div class="col-6">
+                            <label class="form-check-label"><input class="form-check-input" type="radio" name="mergeConflict\${index}" value="mine" checked> Keep mine</label>
+                            \${previewValue(conflict.mine)}
+                        </div>
+                        <div class="col-6">
+                            <label class="form-check-label"><input class="form-check-input" type="radio" name="mergeConflict\${index}" value="theirs"> Take theirs</label>
+                            \${previewValue(conflict.theirs)}
+                        </div>
+                    </div>
+                </div>\`).join('');
+            const panel = document.getElementById('mergePanel');
+            panel.innerHTML = \`
+                <div class="alert alert-warning mb-0">
+                    <h6>The collection was changed by someone else since you loaded it</h6>
+                    \${changes ? \`<p class="mb-1">Their changes:</p><ul>\${changes}</ul>\` : '<p>They changed details of the collection, not its requests.</p>'}
+                    \${conflicts
+                        ? \`<p class="mb-1">You both changed these values. Choose which to keep:</p>\${conflicts}\`
+                        : '<p>Your changes do not overlap with theirs and can be merged.</p>'}
+                    <button class="btn btn-primary btn-sm" onclick="applyMerge()">Merge Into Editor</button>
+                    <button class="btn btn-outline-danger btn-sm" onclick="keepMine()">Overwrite Their Changes</button>
+                    <button class="btn btn-outline-secondary btn-sm" onclick="takeTheirs()">Discard Mine</button>
+                </div>\`;
+            panel.classList.remove('d-none');
+        }
+
+        function closeMergePanel() {
+            pendingMerge = null;
+            document.getElementById('mergePanel').classList.add('d-none');
+        }
+
+        // Put the merge into the editor. It is based on the current version now, so saving
+        // it only conflicts if the collection changes again.
+        async function applyMerge() {
+            try {
+                const resolutions = {};
+                pendingMerge.result.conflicts.forEach((conflict, index) => {
+                    if (document.querySelector(\`input[name="mergeConflict\${index}"]:checked\`).value === 'theirs') {
+                        resolutions[conflict.path] = 'theirs';
+                    }
+                });
+                const result = await requestMerge(pendingMerge.mine, resolutions);
+                editor.setValue(JSON.stringify(result.merged, null, 2));
+                editor.clearSelection();
+                collectionBase = result.current;
+                collectionEtag = result.etag;
+                closeMergePanel();
+                await validateCollection(false);
+                showAlert('The changes were merged. Review the result and save it.', 'info');
+            } catch (error) {
+                console.error('Error merging collection:', error);
+                showAlert('Error merging collection: ' + error.message, 'danger');
+            }
+        }
+
+        async function keepMine() {
+            collectionBase = pendingMerge.result.current;
+            collectionEtag = pendingMerge.result.etag;
+            closeMergePanel();
+            await saveCollection();
+        }
+
+        function takeTheirs() {
+            closeMergePanel();
             loadPostmanCollection();
-            refreshStatus();
-            
-            // Set up tab change event
-            const triggerTabList = document.querySelectorAll('#myTab button');
-            triggerTabList.forEach(triggerEl => {
-                triggerEl.addEventListener('click', event => {
-                    const tabTarget = event.target.getAttribute('data-bs-target');
-                    if (tabTarget === '#status-tab-pane') {
-                        refreshStatus();
+        }
+
+        // Structured editor: a tree of folders and requests with a form for the selected one.
+        // Every change is saved on its own through the items API.
+        let editorMode = 'raw';
+        let itemTree = [];
+        let selectedItemId = null;
+        let selectedItem = null;
+        let selectedItemEtag = null;
+        let itemFormDirty = false;
+        let draggedItemId = null;
+
+        const REQUEST_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+        const BODY_MODES = ['none', 'raw', 'urlencoded', 'formdata'];
+
+        // Switch between the raw JSON editor and the structured editor
+        function setEditorMode(mode) {
+            if (mode === 'structured' && editorDirty && !confirm('Discard your unsaved JSON edits and open the structured editor?')) {
+                document.getElementById('editorModeRaw').checked = true;
+                return;
+            }
+            if (mode === 'raw' && itemFormDirty && !confirm('Discard your unsaved changes to this item?')) {
+                document.getElementById('editorModeStructured').checked = true;
+                return;
+            }
+            editorMode = mode;
+            document.getElementById('rawEditorPane').classList.toggle('d-none', mode !== 'raw');
+            document.getElementById('rawEditorButtons').classList.toggle('d-none', mode !== 'raw');
+            document.getElementById('structuredEditorPane').classList.toggle('d-none', mode !== 'structured');
+            itemFormDirty = false;
+            if (mode === 'structured') {
+                loadItemTree();
+            } else {
+                // Pick up the changes made in the structured editor
+                loadPostmanCollection();
+                editor.resize();
+            }
+        }
+
+        // Find a node of the tree with the list it is in and its parent folder
+        function findTreeNode(id, items = itemTree, parent = null) {
+            for (let index = 0; index < items.length; index++) {
+                const node = items[index];
+                if (node.id === id) {
+                    return { node, siblings: items, index, parent };
+                }
+                if (node.type === 'folder') {
+                    const found = findTreeNode(id, node.items, node);
+                    if (found) {
+                        return found;
+                    }
+                }
+            }
+            return null;
+        }
+
+        async function loadItemTree() {
+            try {
+                const response = await fetch(collectionUrl('items'), {
+                    headers: {
+                        'X-Client-Id': clientId
                     }
                 });
-            });
-        });
-    </script>
-</body>
-</html>
-`;
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to load collection items');
+                }
+                itemTree = (await response.json()).items;
+                renderItemTree();
+                if (selectedItemId && findTreeNode(selectedItemId)) {
+                    await selectItem(selectedItemId);
+                } else {
+                    selectedItemId = null;
+                    selectedItem = null;
+                    renderItemForm();
+                }
+            } catch (error) {
+                console.error('Error loading collection items:', error);
+                showAlert('Error loading collection items: ' + error.message, 'danger');
+            }
+        }
 
-const editorTabContent = `
-<div class="tab-pane fade show active" id="editor-tab-pane" role="tabpanel" aria-labelledby="editor-tab" tabindex="0">
-    <div class="card mb-3">
-        <div class="card-header">Edit Postman Collection JSON</div>
-        <div class="card-body">
-            <div id="editor"></div>
-            <div class="mt-3">
-                <button class="btn btn-primary" onclick="saveCollection()">Save Collection</button>
-                <button class="btn btn-secondary" onclick="loadPostmanCollection()">Reload</button>
-                <button class="btn btn-success" onclick="triggerConversion()">Convert to OpenAPI</button>
-                <a href="/docs" class="btn btn-info" target="_blank">View Swagger UI</a>
-            </div>
-        </div>
-    </div>
-</div>
-`;
+        function renderItemTree() {
+            const renderNodes = items => \`<ul class="list-unstyled mb-0">\${items.map(node => \`
+                <li>
+                    <div class="tree-node\${node.id === selectedItemId ? ' active' : ''}" draggable="true" data-id="\${escapeHtml(node.id)}"
+                        onclick="selectItem(this.dataset.id)" ondragstart="startItemDrag(event)" ondragover="dragItemOver(event)"
+                        ondragleave="this.classList.remove('drop-target')" ondrop="dropItem(event)">
+                        \${node.type === 'folder'
+                            ? \`<span class="text-muted">&#128193;</span> \${escapeHtml(node.name)}\`
+                            : \`<span class="badge bg-secondary">\${escapeHtml(node.method)}</span> \${escapeHtml(node.name)}\`}
+                    </div>
+                    \${node.type === 'folder' ? renderNodes(node.items) : ''}
+                </li>\`).join('')}</ul>\`;
+            document.getElementById('itemTree').innerHTML = itemTree.length
+                ? renderNodes(itemTree)
+                : '<p class="text-muted small mb-0">No requests yet.</p>';
+            document.getElementById('duplicateItemButton').disabled = !selectedItemId;
+            document.getElementById('deleteItemButton').disabled = !selectedItemId;
+        }
+
+        async function selectItem(id) {
+            if (id !== selectedItemId && itemFormDirty && !confirm('Discard your unsaved changes to this item?')) {
+                return;
+            }
+            try {
+                const response = await fetch(collectionUrl('items/' + encodeURIComponent(id)));
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to load item');
+                }
+                selectedItemId = id;
+                selectedItemEtag = response.headers.get('ETag');
+                selectedItem = await response.json();
+                itemFormDirty = false;
+                renderItemTree();
+                renderItemForm();
+            } catch (error) {
+                console.error('Error loading item:', error);
+                showAlert('Error loading item: ' + error.message, 'danger');
+            }
+        }
+
+        // Rows of key/value inputs, for headers and form bodies. data-index points back at the
+        // original entry so its other fields (description, disabled) are kept.
+        function renderKeyValueRows(listId, entries) {
+            return \`<div id="\${listId}">\${entries.map((entry, index) => keyValueRow(entry, index)).join('')}</div>
+                <button type="button" class="btn btn-sm btn-outline-secondary" onclick="addKeyValueRow('\${listId}')">Add</button>\`;
+        }
+
+        function keyValueRow(entry = {}, index = '') {
+            return \`<div class="input-group input-group-sm mb-1 kv-row" data-index="\${index}">
+                <input type="text" class="form-control kv-key" placeholder="Key" value="\${escapeHtml(entry.key || '')}">
+                <input type="text" class="form-control kv-value" placeholder="Value" value="\${escapeHtml(entry.value || '')}">
+                <button type="button" class="btn btn-outline-danger" onclick="this.parentElement.remove(); itemFormDirty = true;">&times;</button>
+            </div>\`;
+        }
+
+        function addKeyValueRow(listId) {
+            document.getElementById(listId).insertAdjacentHTML('beforeend', keyValueRow());
+            itemFormDirty = true;
+        }
+
+        function readKeyValueRows(listId, original = []) {
+            return Array.from(document.querySelectorAll(\`#\${listId} .kv-row\`))
+                .map(row => ({
+                    ...(original[row.dataset.index] || {}),
+                    key: row.querySelector('.kv-key').value,
+                    value: row.querySelector('.kv-value').value
+                }))
+                .filter(entry => entry.key);
+        }
+
+        function renderExample(example, index) {
+            return \`<div class="border rounded p-2 mb-2 example-row" data-index="\${index}">
+                <div class="input-group input-group-sm mb-1">
+                    <input type="text" class="form-control example-name" placeholder="Example name" value="\${escapeHtml(example.name || '')}">
+                    <input type="number" class="form-control example-code" placeholder="Status" style="max-width: 90px" value="\${escapeHtml(String(example.code || 200))}">
+                    <button type="button" class="btn btn-outline-danger" onclick="this.closest('.example-row').remove(); itemFormDirty = true;">Remove</button>
+                </div>
+                <textarea class="form-control form-control-sm font-monospace example-body" rows="4" placeholder="Response body">\${escapeHtml(example.body || '')}</textarea>
+            </div>\`;
+        }
+
+        function addExample() {
+            const list = document.getElementById('itemExamples');
+            list.insertAdjacentHTML('beforeend', renderExample({ name: 'Example', code: 200 }, ''));
+            itemFormDirty = true;
+        }
+
+        // Show the fields of the selected body mode
+        function showBodyFields() {
+            const mode = document.getElementById('itemBodyMode').value;
+            document.getElementById('itemBodyRaw').classList.toggle('d-none', mode !== 'raw');
+            document.getElementById('itemBodyParams').classList.toggle('d-none', !['urlencoded', 'formdata'].includes(mode));
+        }
+
+        function renderItemForm() {
+            const form = document.getElementById('itemForm');
+            const item = selectedItem;
+            if (!item) {
+                form.innerHTML = '<p class="text-muted">Select a request or folder to edit it, or drag it to another place.</p>';
+                return;
+            }
+
+            const common = \`
+                <div id="itemFormErrors"></div>
+                <div class="mb-2">
+                    <label class="form-label" for="itemName">Name</label>
+                    <input type="text" class="form-control" id="itemName" value="\${escapeHtml(item.name || '')}">
+                </div>
+                <div class="mb-2">
+                    <label class="form-label" for="itemDescription">Description</label>
+                    <textarea class="form-control" id="itemDescription" rows="2">\${escapeHtml(typeof item.description === 'string' ? item.description : '')}</textarea>
+                </div>\`;
+            const buttons = \`
+                <div class="mt-3">
+                    <button type="button" class="btn btn-primary" onclick="saveItem()">Save \${Array.isArray(item.item) ? 'Folder' : 'Request'}</button>
+                    <button type="button" class="btn btn-secondary" onclick="itemFormDirty = false; selectItem(selectedItemId)">Revert</button>
+                </div>\`;
+            if (Array.isArray(item.item)) {
+                form.innerHTML = common + buttons;
+                return;
+            }
+
+            const request = item.request && typeof item.request === 'object' ? item.request : { url: item.request };
+            const url = typeof request.url === 'string' ? request.url : (request.url && request.url.raw) || '';
+            const method = (request.method || 'GET').toUpperCase();
+            const body = request.body || {};
+            const bodyMode = body.mode || 'none';
+            const editableBody = BODY_MODES.includes(bodyMode);
+            const language = (body.options && body.options.raw && body.options.raw.language) || 'json';
+            form.innerHTML = common + \`
+                <div class="input-group mb-2">
+                    <select class="form-select" id="itemMethod" style="max-width: 120px">
+                        \${REQUEST_METHODS.concat(REQUEST_METHODS.includes(method) ? [] : [method]).map(option => \`<option \${option === method ? 'selected' : ''}>\${escapeHtml(option)}</option>\`).join('')}
+                    </select>
+                    <input type="text" class="form-control font-monospace" id="itemUrl" placeholder="{{baseUrl}}/path" value="\${escapeHtml(url)}">
+                </div>
+                <h6 class="mt-3">Headers</h6>
+                \${renderKeyValueRows('itemHeaders', Array.isArray(request.header) ? request.header : [])}
+                <h6 class="mt-3">Body</h6>
+                \${editableBody ? \`
+                    <select class="form-select form-select-sm w-auto mb-2" id="itemBodyMode" onchange="showBodyFields()">
+                        \${BODY_MODES.map(mode => \`<option \${mode === bodyMode ? 'selected' : ''}>\${mode}</option>\`).join('')}
+                    </select>
+                    <div id="itemBodyRaw">
+                        <select class="form-select form-select-sm w-auto mb-1" id="itemBodyLanguage">
+                            \${['json', 'text', 'xml', 'html', 'javascript'].map(option => \`<option \${option === language ? 'selected' : ''}>\${option}</option>\`).join('')}
+                        </select>
+                        <textarea class="form-control font-monospace" id="itemBodyText" rows="6">\${escapeHtml(body.raw || '')}</textarea>
+                    </div>
+                    <div id="itemBodyParams">\${renderKeyValueRows('itemBodyParamList', body[bodyMode] || [])}</div>
+                \` : \`<p class="text-muted small">The \${escapeHtml(bodyMode)} body can only be edited in the raw JSON editor.</p>\`}
+                <h6 class="mt-3">Saved examples</h6>
+                <div id="itemExamples">\${(Array.isArray(item.response) ? item.response : []).map(renderExample).join('')}</div>
+                <button type="button" class="btn btn-sm btn-outline-secondary" onclick="addExample()">Add Example</button>
+            \` + buttons;
+            if (editableBody) {
+                showBodyFields();
+            }
+        }
+
+        // Collect the changes of the form as a PATCH body
+        function readItemForm() {
+            const item = selectedItem;
+            const changes = {
+                name: document.getElementById('itemName').value.trim(),
+                description: document.getElementById('itemDescription').value || null
+            };
+            if (Array.isArray(item.item)) {
+                return changes;
+            }
+
+            const request = item.request && typeof item.request === 'object' ? item.request : {};
+            changes.request = {
+                method: document.getElementById('itemMethod').value,
+                url: document.getElementById('itemUrl').value.trim(),
+                header: readKeyValueRows('itemHeaders', Array.isArray(request.header) ? request.header : [])
+            };
+            const modeSelect = document.getElementById('itemBodyMode');
+            if (modeSelect) {
+                const mode = modeSelect.value;
+                const previous = request.body || {};
+                if (mode === 'none') {
+                    changes.request.body = null;
+                } else if (mode === 'raw') {
+                    changes.request.body = {
+                        mode,
+                        raw: document.getElementById('itemBodyText').value,
+                        options: { raw: { language: document.getElementById('itemBodyLanguage').value } }
+                    };
+                } else {
+                    changes.request.body = { mode, [mode]: readKeyValueRows('itemBodyParamList', previous[mode] || []) };
+                }
+            }
+
+            const examples = Array.isArray(item.response) ? item.response : [];
+            changes.response = Array.from(document.querySelectorAll('#itemExamples .example-row')).map(row => {
+                const code = Number(row.querySelector('.example-code').value) || 200;
+                const original = examples[row.dataset.index] || { originalRequest: request, header: [] };
+                return {
+                    ...original,
+                    name: row.querySelector('.example-name').value.trim() || 'Example',
+                    code,
+                    status: original.code === code ? original.status : undefined,
+                    body: row.querySelector('.example-body').value
+                };
+            });
+            return changes;
+        }
+
+        // Send a change of the structured editor. Returns the response data, or null when
+        // the change was rejected; validation errors are shown above the form. With an ETag
+        // the change is only made if nobody else changed the item since it was loaded.
+        async function sendItemChange(method, resource, body, etag = null) {
+            const response = await fetch(collectionUrl(resource), {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Client-Id': clientId,
+                    ...(etag ? { 'If-Match': etag } : {})
+                },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            if (response.status === 409) {
+                const conflict = await response.json();
+                if (confirm('Someone else changed this item since you opened it. Overwrite their changes? Cancel shows their version.')) {
+                    return sendItemChange(method, resource, body, conflict.etag);
+                }
+                itemFormDirty = false;
+                await selectItem(selectedItemId);
+                return null;
+            }
+            if (response.status === 422) {
+                const validation = await response.json();
+                const errors = document.getElementById('itemFormErrors');
+                const message = \`Not saved: \${escapeHtml(validation.errors.map(issue => issue.message).join('; '))}\`;
+                if (errors) {
+                    errors.innerHTML = \`<div class="alert alert-danger py-2">\${message}</div>\`;
+                } else {
+                    showAlert(message, 'danger');
+                }
+                return null;
+            }
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(errorText || 'Failed to save the change');
+            }
+            return response.json();
+        }
+
+        async function saveItem() {
+            try {
+                const result = await sendItemChange('PATCH', 'items/' + encodeURIComponent(selectedItemId), readItemForm(), selectedItemEtag);
+                if (!result) {
+                    return;
+                }
+                itemFormDirty = false;
+                showAlert(result.warnings.length ? \`Saved with \${result.warnings.length} warning(s)\` : 'Saved successfully!', result.warnings.length ? 'warning' : 'success');
+                await loadItemTree();
+            } catch (error) {
+                console.error('Error saving item:', error);
+                showAlert('Error saving item: ' + error.message, 'danger');
+            }
+        }
+
+        // Add a request or folder next to the selection, or into it when it is a folder
+        async function addTreeItem(type) {
+            if (itemFormDirty && !confirm('Discard your unsaved changes to this item?')) {
+                return;
+            }
+            const selected = selectedItemId ? findTreeNode(selectedItemId) : null;
+            const parentId = selected ? (selected.node.type === 'folder' ? selected.node.id : selected.parent && selected.parent.id) : null;
+            const item = type === 'folder'
+                ? { name: 'New folder', item: [] }
+                : { name: 'New request', request: { method: 'GET', header: [], url: '' }, response: [] };
+            try {
+                const result = await sendItemChange('POST', 'items', { parentId, item });
+                if (result) {
+                    itemFormDirty = false;
+                    selectedItemId = result.item.id;
+                    await loadItemTree();
+                }
+            } catch (error) {
+                console.error('Error adding item:', error);
+                showAlert('Error adding item: ' + error.message, 'danger');
+            }
+        }
+
+        async function duplicateTreeItem() {
+            try {
+                const result = await sendItemChange('POST', \`items/\${encodeURIComponent(selectedItemId)}/duplicate\`);
+                if (result) {
+                    itemFormDirty = false;
+                    selectedItemId = result.item.id;
+                    await loadItemTree();
+                }
+            } catch (error) {
+                console.error('Error duplicating item:', error);
+                showAlert('Error duplicating item: ' + error.message, 'danger');
+            }
+        }
+
+        async function deleteTreeItem() {
+            const selected = findTreeNode(selectedItemId);
+            if (!selected || !confirm(\`Delete "\${selected.node.name}"\${selected.node.type === 'folder' ? ' and everything in it' : ''}?\`)) {
+                return;
+            }
+            try {
+                const result = await sendItemChange('DELETE', 'items/' + encodeURIComponent(selectedItemId));
+                if (result) {
+                    itemFormDirty = false;
+                    selectedItemId = null;
+                    await loadItemTree();
+                }
+            } catch (error) {
+                console.error('Error deleting item:', error);
+                showAlert('Error deleting item: ' + error.message, 'danger');
+            }
+        }
+
+        // Drag and drop: dropping on a folder moves the item into it, dropping on a request
+        // moves the item in front of that request, dropping below the tree moves it to the end
+        function startItemDrag(event) {
+            draggedItemId = event.currentTarget.dataset.id;
+            event.dataTransfer.effectAllowed = 'move';
+        }
+
+        function dragItemOver(event) {
+            if (draggedItemId) {
+                event.preventDefault();
+                event.stopPropagation();
+                event.currentTarget.classList.add('drop-target');
+            }
+        }
+
+        async function dropItem(event) {
+            event.preventDefault();
+            event.stopPropagation();
+            const target = event.currentTarget;
+            target.classList.remove('drop-target');
+            const id = draggedItemId;
+            draggedItemId = null;
+            const targetId = target.dataset.id;
+            if (!id || id === targetId) {
+                return;
+            }
+
+            let parentId = null;
+            let index;
+            const dropped = targetId ? findTreeNode(targetId) : null;
+            if (dropped && dropped.node.type === 'folder') {
+                parentId = dropped.node.id;
+            } else if (dropped) {
+                parentId = dropped.parent ? dropped.parent.id : null;
+                // The index counts the items left once the moved one has been taken out
+                const moved = findTreeNode(id);
+                index = dropped.index - (moved.siblings === dropped.siblings && moved.index < dropped.index ? 1 : 0);
+            }
+            try {
+                const result = await sendItemChange('POST', \`items/\${encodeURIComponent(id)}/move\`, { parentId, index });
+                if (result) {
+                    await loadItemTree();
+                }
+            } catch (error) {
+                console.error('Error moving item:', error);
+                showAlert('Error moving item: ' + error.message, 'danger');
+            }
+        }
+
+        // Live updates from the server about the selected collection
+        let eventSource = null;
+        function connectEvents() {
+            if (eventSource) {
+                eventSource.close();
+            }
+            eventSource = new EventSource(\`/api/events?collection=\${encodeURIComponent(currentCollection)}\`);
+            eventSource.onopen = () => setLiveStatus('Live', 'success');
+            eventSource.onerror = () => setLiveStatus('Reconnecting...', 'secondary');
+            eventSource.addEventListener('file-changed', event => handleFileChanged(JSON.parse(event.data)));
+            eventSource.addEventListener('conversion-started', () => setLiveStatus('Converting...', 'info'));
+            eventSource.addEventListener('conversion-succeeded', event => handleConversionSucceeded(JSON.parse(event.data)));
+            eventSource.addEventListener('conversion-failed', event => handleConversionFailed(JSON.parse(event.data)));
+            eventSource.addEventListener('backup-restored', event => handleBackupRestored(JSON.parse(event.data)));
+        }
+        
+        // Show the state of the live connection and the last conversion
+        function setLiveStatus(text, type) {
+            const badge = document.getElementById('liveStatus');
+            badge.textContent = text;
+            badge.className = \`badge bg-\${type}\`;
+        }
+        
+        // Refresh the Status tab if it is open
+        function refreshStatusIfShown() {
+            if (document.getElementById('status-tab-pane').classList.contains('active')) {
+                refreshStatus();
+            }
+        }
+        
+        // Someone changed the Postman file: reload the editor, or warn if it has unsaved edits
+        function handleFileChanged(event) {
+            if (event.clientId === clientId) {
+                return;
+            }
+            if (editorMode === 'structured') {
+                if (itemFormDirty) {
+                    showAlert(\`\${escapeHtml(event.actor)} changed the collection while you were editing this item. If they changed this item too, saving asks before overwriting their changes.\`, 'warning');
+                    return;
+                }
+                showAlert(\`The collection was changed by \${escapeHtml(event.actor)}. The structured editor has been reloaded.\`, 'info');
+                loadItemTree();
+                return;
+            }
+            if (editorDirty) {
+                showAlert(\`\${escapeHtml(event.actor)} changed the collection while you were editing. When you save, you can merge their changes with yours.\`, 'warning');
+                return;
+            }
+            showAlert(\`The collection was changed by \${escapeHtml(event.actor)}. The editor has been reloaded.\`, 'info');
+            loadPostmanCollection();
+        }
+        
+        // Conversions that change nothing only update the badge
+        function handleConversionSucceeded(event) {
+            const validationErrors = event.validation.errors;
+            setLiveStatus(validationErrors ? 'Spec has errors' : 'Up to date', validationErrors ? 'warning' : 'success');
+            if (event.summary.total > 0 || validationErrors) {
+                showAlert(\`Spec regenerated: \${event.summary.total} change(s), \${event.summary.breaking} breaking\${validationErrors ? \`, \${validationErrors} validation error(s)\` : ''}\`, validationErrors || event.summary.breaking ? 'warning' : 'success');
+            }
+            refreshStatusIfShown();
+        }
+        
+        function handleConversionFailed(event) {
+            setLiveStatus('Conversion failed', 'danger');
+            showAlert('Conversion failed: ' + escapeHtml(event.error), 'danger');
+            refreshStatusIfShown();
+        }
+        
+        function handleBackupRestored(event) {
+            const source = event.commit ? \`commit \${event.commit.slice(0, 7)}\` : event.backup;
+            showAlert(event.automatic
+                ? \`The last conversion failed, so \${escapeHtml(event.file)} was restored from \${escapeHtml(source)}\`
+                : \`\${escapeHtml(event.file)} was restored from \${escapeHtml(source)} by \${escapeHtml(event.actor)}\`, 'info');
+            if (event.file === 'postman_collection.json' && !editorDirty) {
+                loadPostmanCollection();
+            }
+            refreshStatusIfShown();
+        }
+        
+        // Trigger conversion
+        async function triggerConversion() {
+            try {
+                const response = await fetch(collectionUrl('update'), {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to trigger conversion');
+                }
+                
+                showAlert('Conversion triggered successfully!');
+                
+                // Refresh status
+                await refreshStatus();
+            } catch (error) {
+                console.error('Error triggering conversion:', error);
+                showAlert('Error triggering conversion: ' + error.message, 'danger');
+            }
+        }
+        
+        // Refresh Status
+        async function refreshStatus() {
+            try {
+                const healthResponse = await fetch('/health');
+                const healthData = await healthResponse.json();
+                const collectionHealth = (healthData.collections || {})[currentCollection] || healthData;
+                
+                let statusHtml = \`<div class="card mb-3">
+                    <div class="card-header bg-\${{ ok: 'success', degraded: 'warning' }[collectionHealth.status] || 'danger'} text-white">
+                        Collection "\${currentCollection}" Status: \${collectionHealth.status.toUpperCase()}
+                    </div>
+                    <div class="card-body">
+                        <p>\${collectionHealth.message}</p>
+                    </div>
+                </div>\`;
+                
+                // Get validation results of the last conversion
+                const validationResponse = await fetch(collectionUrl('validation'));
+                if (validationResponse.ok) {
+                    const validationData = await validationResponse.json();
+                    const issues = validationData.errors.map(issue => ({ ...issue, level: 'error' }))
+                        .concat(validationData.warnings.map(issue => ({ ...issue, level: 'warning' })));
+                    
+                    statusHtml += \`<div class="card mb-3">
+                        <div class="card-header">OpenAPI Validation (\${validationData.errors.length} errors, \${validationData.warnings.length} warnings)</div>
+                        <div class="card-body">\`;
+                    
+                    if (issues.length === 0) {
+                        statusHtml += \`<p class="mb-0">The generated OpenAPI \${validationData.version} document is valid.</p>\`;
+                    } else {
+                        statusHtml += \`<table class="table table-sm">
+                            <thead>
+                                <tr>
+                                    <th>Level</th>
+                                    <th>Rule</th>
+                                    <th>Location</th>
+                                    <th>Message</th>
+                                </tr>
+                            </thead>
+                            <tbody>\`;
+                        issues.forEach(issue => {
+                            statusHtml += \`
+                                <tr>
+                                    <td><span class="badge bg-\${issue.level === 'error' ? 'danger' : 'warning'}">\${issue.level}</span></td>
+                                    <td>\${issue.rule}</td>
+                                    <td><code>\${escapeHtml(issue.pointer || '/')}</code></td>
+                                    <td>\${escapeHtml(issue.message)}</td>
+                                </tr>
+                            \`;
+                        });
+                        statusHtml += \`</tbody></table>\`;
+                    }
+                    
+                    statusHtml += \`</div></div>\`;
+                }
+                
+                // With git versioning the commit history replaces the backup files
+                let specVersions = [];
+                const historyResponse = await fetch(collectionUrl('history'));
+                if (historyResponse.ok) {
+                    const historyData = await historyResponse.json();
+                    
+                    statusHtml += \`<div class="card mb-3">
+                        <div class="card-header">Version History (\${historyData.total} commits)</div>
+                        <div class="card-body">
+                            <table class="table table-striped">
+                                <thead>
+                                    <tr>
+                                        <th>Commit</th>
+                                        <th>Date</th>
+                                        <th>Author</th>
+                                        <th>Message</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>\`;
+                    
+                    historyData.commits.forEach(commit => {
+                        statusHtml += \`
+                            <tr>
+                                <td><a href="\${collectionUrl('history/' + commit.sha)}?format=patch" target="_blank"><code>\${commit.shortSha}</code></a></td>
+                                <td>\${new Date(commit.date).toLocaleString()}</td>
+                                <td>\${escapeHtml(commit.author)}</td>
+                                <td>\${escapeHtml(commit.subject)}</td>
+                                <td>
+                                    <button class="btn btn-sm btn-warning" onclick="revertToCommit('\${commit.sha}')">Revert</button>
+                                    <button class="btn btn-sm btn-outline-secondary" onclick="compareSpecs('\${commit.sha}', 'current')">Compare</button>
+                                </td>
+                            </tr>
+                        \`;
+                    });
+                    
+                    statusHtml += \`</tbody></table></div></div>\`;
+                    specVersions = historyData.commits.map(commit => ({ value: commit.sha, label: \`\${commit.shortSha} \${commit.subject}\` }));
+                } else {
+                    // Backups are paged separately; the compare card offers the recent spec backups
+                    statusHtml += \`<div class="card mb-3">
+                        <div class="card-header">Backup Files</div>
+                        <div class="card-body">
+                            <div id="backup-result"></div>
+                            <div id="backup-preview"></div>
+                        </div>
+                    </div>\`;
+                    const specBackupsResponse = await fetch(collectionUrl('backups') + '?kind=openapi&limit=100');
+                    if (specBackupsResponse.ok) {
+                        const specBackups = await specBackupsResponse.json();
+                        specVersions = specBackups.backups.map(backup => ({ value: backup.filename, label: backup.filename }));
+                    }
+                }
+                
+                // Spec versions that can be compared
+                const versionOptions = versions => versions.map(version => \`<option value="\${version.value}">\${escapeHtml(version.label)}</option>\`).join('');
+                statusHtml += \`<div class="card mb-3">
+                    <div class="card-header">Compare Spec Versions</div>
+                    <div class="card-body">
+                        <div class="d-flex gap-2 mb-3">
+                            <select class="form-select" id="diffFrom">\${versionOptions(specVersions)}</select>
+                            <select class="form-select" id="diffTo">\${versionOptions([{ value: 'current', label: 'current' }].concat(specVersions))}</select>
+                            <button class="btn btn-primary" onclick="compareSpecs(document.getElementById('diffFrom').value, document.getElementById('diffTo').value)" \${specVersions.length ? '' : 'disabled'}>Compare</button>
+                        </div>
+                        <div id="diff-result"></div>
+                    </div>
+                </div>\`;
+                
+                // Contract tests against a running service, the collection's mock server by default
+                const mockUrl = location.origin + (currentCollection === 'default' ? '/mock' : \`/mocks/\${currentCollection}\`);
+                statusHtml += \`<div class="card mb-3">
+                    <div class="card-header">Contract Test</div>
+                    <div class="card-body">
+                        <div class="d-flex gap-2 mb-3">
+                            <input class="form-control" type="url" id="contractBaseUrl" value="\${mockUrl}" placeholder="Base URL of the service">
+                            <button class="btn btn-primary" onclick="runContractTest()">Run</button>
+                            <button class="btn btn-outline-secondary text-nowrap" onclick="runContractTest('junit')">JUnit XML</button>
+                        </div>
+                        <div id="contract-result"></div>
+                    </div>
+                </div>\`;
+                
+                // History of changes from the audit log, loaded separately so it can be filtered and paged
+                const auditActions = ['save', 'upload', 'upload-openapi', 'convert', 'update', 'restore', 'delete', 'revert', 'environment-save', 'environment-select', 'environment-delete', 'settings', 'overlay-save', 'overlay-delete', 'import', 'backup-delete', 'backup-pin', 'backup-unpin', 'edit'];
+                statusHtml += \`<div class="card mb-3">
+                    <div class="card-header">History</div>
+                    <div class="card-body">
+                        <div class="d-flex gap-2 mb-3">
+                            <select class="form-select" id="auditAction">
+                                <option value="">All changes</option>
+                                \${auditActions.map(action => \`<option value="\${action}">\${action}</option>\`).join('')}
+                            </select>
+                            <input class="form-control" type="text" id="auditActor" placeholder="Actor">
+                            <button class="btn btn-primary" onclick="loadAuditLog(0)">Filter</button>
+                        </div>
+                        <div id="audit-result"></div>
+                    </div>
+                </div>\`;
+                
+                // Automatic imports into any collection, shown when some are configured
+                const importResponse = await fetch('/api/import-sources');
+                const importData = importResponse.ok ? await importResponse.json() : { watchDir: null, sources: [] };
+                if (importData.watchDir || importData.sources.length > 0) {
+                    const importRows = importData.sources.map(source => ({ ...source, checkable: true }))
+                        .concat((importData.watchDir ? importData.watchDir.files : []).map(file => ({
+                            ...file,
+                            name: file.file,
+                            type: 'watch-dir',
+                            location: importData.watchDir.path
+                        })));
+                    const importBadge = status => ({ imported: 'success', unchanged: 'secondary', error: 'danger' }[status] || 'light text-dark');
+                    statusHtml += \`<div class="card mb-3">
+                        <div class="card-header">Import Sources</div>
+                        <div class="card-body">
+                            \${importData.watchDir ? \`<p>Watching <code>\${escapeHtml(importData.watchDir.path)}</code> for *.postman_collection.json files.</p>\` : ''}
+                            \${importRows.length === 0 ? '<p class="text-muted mb-0">Nothing imported yet.</p>' : \`<table class="table table-sm mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Source</th>
+                                        <th>Collection</th>
+                                        <th>Status</th>
+                                        <th>Last checked</th>
+                                        <th>Last imported</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>\${importRows.map(row => \`
+                                    <tr>
+                                        <td><strong>\${escapeHtml(row.name)}</strong> <span class="text-muted">(\${row.type})</span><br><small class="text-muted">\${escapeHtml(row.location)}</small></td>
+                                        <td>\${escapeHtml(row.collection || '')}</td>
+                                        <td><span class="badge bg-\${importBadge(row.status)}">\${row.status}</span>\${row.lastError ? \`<br><small class="text-danger">\${escapeHtml(row.lastError)}</small>\` : ''}</td>
+                                        <td>\${row.lastCheckedAt ? new Date(row.lastCheckedAt).toLocaleString() : ''}</td>
+                                        <td>\${row.lastChangedAt ? new Date(row.lastChangedAt).toLocaleString() : ''}</td>
+                                        <td>\${row.checkable ? \`<button class="btn btn-sm btn-outline-primary" onclick="checkImportSource('\${row.name}')">Check now</button>\` : ''}</td>
+                                    </tr>
+                                \`).join('')}</tbody>
+                            </table>\`}
+                        </div>
+                    </div>\`;
+                }
+                
+                document.getElementById('status-content').innerHTML = statusHtml;
+                if (document.getElementById('backup-result')) {
+                    await loadBackups(0);
+                }
+                await loadAuditLog(0);
+            } catch (error) {
+                console.error('Error refreshing status:', error);
+                document.getElementById('status-content').innerHTML = \`
+                    <div class="alert alert-danger">
+                        Error loading status: \${error.message}
+                    </div>
+                \`;
+            }
+        }
+        
+        // Poll an import source now
+        async function checkImportSource(name) {
+            try {
+                const response = await fetch(\`/api/import-sources/\${encodeURIComponent(name)}/check\`, {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to check import source');
+                }
+                
+                const source = await response.json();
+                showAlert(\`Import source "\${escapeHtml(source.name)}": \${source.status}\${source.lastError ? ' - ' + escapeHtml(source.lastError) : ''}\`, source.status === 'error' ? 'danger' : 'success');
+                await refreshStatus();
+            } catch (error) {
+                console.error('Error checking import source:', error);
+                showAlert('Error checking import source: ' + error.message, 'danger');
+            }
+        }
+        
+        // Compare two spec versions and show the changes
+        async function compareSpecs(from, to) {
+            const resultElement = document.getElementById('diff-result');
+            try {
+                document.getElementById('diffFrom').value = from;
+                document.getElementById('diffTo').value = to;
+                const query = \`from=\${encodeURIComponent(from)}&to=\${encodeURIComponent(to)}\`;
+                const response = await fetch(collectionUrl('diff') + '?format=json&' + query);
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to compare specs');
+                }
+                const diff = await response.json();
+                
+                let diffHtml = \`<p>
+                    \${diff.summary.total} change(s), <strong>\${diff.summary.breaking} breaking</strong>.
+                    <a href="\${collectionUrl('diff')}?format=markdown&\${query}" target="_blank">Markdown</a> |
+                    <a href="\${collectionUrl('diff')}?format=html&\${query}" target="_blank">HTML</a>
+                </p>\`;
+                if (diff.changes.length > 0) {
+                    diffHtml += \`<table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Impact</th>
+                                <th>Endpoint</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>\`;
+                    diff.changes.forEach(change => {
+                        diffHtml += \`
+                            <tr>
+                                <td><span class="badge bg-\${change.breaking ? 'danger' : 'secondary'}">\${change.breaking ? 'breaking' : 'non-breaking'}</span></td>
+                                <td><code>\${escapeHtml(change.endpoint)}</code></td>
+                                <td>\${change.action} \${change.category}: \${escapeHtml(change.message)}</td>
+                            </tr>
+                        \`;
+                    });
+                    diffHtml += \`</tbody></table>\`;
+                }
+                resultElement.innerHTML = diffHtml;
+            } catch (error) {
+                console.error('Error comparing specs:', error);
+                resultElement.innerHTML = \`<div class="alert alert-danger">Error comparing specs: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+        
+        // Replay the spec against a base URL and show the report, or download it as JUnit XML
+        async function runContractTest(format = 'json') {
+            const resultElement = document.getElementById('contract-result');
+            try {
+                resultElement.innerHTML = '<div class="spinner-border spinner-border-sm text-primary" role="status"></div> Running...';
+                const response = await fetch(collectionUrl('contract-test') + '?format=' + format, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ baseUrl: document.getElementById('contractBaseUrl').value.trim() })
+                });
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to run contract tests');
+                }
+                
+                if (format === 'junit') {
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(await response.blob());
+                    link.download = \`\${currentCollection}-contract-tests.xml\`;
+                    link.click();
+                    URL.revokeObjectURL(link.href);
+                    resultElement.innerHTML = '';
+                    return;
+                }
+                
+                const report = await response.json();
+                let reportHtml = \`<p>\${report.summary.passed} of \${report.summary.total} operation(s) passed in \${report.duration} ms.</p>\`;
+                if (report.results.length > 0) {
+                    reportHtml += \`<table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Result</th>
+                                <th>Operation</th>
+                                <th>Status</th>
+                                <th>Failures</th>
+                            </tr>
+                        </thead>
+                        <tbody>\`;
+                    report.results.forEach(result => {
+                        reportHtml += \`
+                            <tr>
+                                <td><span class="badge bg-\${result.passed ? 'success' : 'danger'}">\${result.passed ? 'pass' : 'fail'}</span></td>
+                                <td><code>\${escapeHtml(result.operation)}</code></td>
+                                <td>\${result.status === null ? '-' : result.status}</td>
+                                <td>\${result.failures.map(failure => escapeHtml(failure.message)).join('<br>')}</td>
+                            </tr>
+                        \`;
+                    });
+                    reportHtml += \`</tbody></table>\`;
+                }
+                resultElement.innerHTML = reportHtml;
+            } catch (error) {
+                console.error('Error running contract tests:', error);
+                resultElement.innerHTML = \`<div class="alert alert-danger">Error running contract tests: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+        
+        // Describe what an audit log entry changed in a few words
+        function describeAuditEntry(entry) {
+            if (entry.status === 'failed') {
+                return \`<span class="text-danger">Failed: \${escapeHtml(entry.error)}</span>\`;
+            }
+            const parts = [];
+            if (entry.created) {
+                parts.push('created the collection');
+            }
+            if (entry.backup) {
+                parts.push(\`from \${escapeHtml(entry.backup)}\`);
+            }
+            if (entry.environment) {
+                parts.push(\`environment \${escapeHtml(entry.environment)}\`);
+            }
+            if (entry.selected) {
+                parts.push(\`selected: \${escapeHtml(entry.selected.join(', ') || 'none')}\`);
+            }
+            if (entry.overlay) {
+                parts.push(\`overlay \${escapeHtml(entry.overlay)}\`);
+            }
+            if (entry.source) {
+                parts.push(\`from \${escapeHtml(entry.source)}\${entry.revision ? ' at ' + escapeHtml(entry.revision) : ''}\`);
+            }
+            if (entry.options) {
+                parts.push(\`options: \${escapeHtml(entry.options.join(', ') || 'defaults')}\`);
+            }
+            const summary = entry.summary;
+            if (summary && summary.requestsAdded !== undefined) {
+                parts.push(\`\${summary.requestsAdded} request(s) added, \${summary.requestsRemoved} removed, \${summary.requestsChanged} changed\`);
+            } else if (summary) {
+                parts.push(\`\${summary.total} spec change(s), \${summary.breaking} breaking\`);
+            }
+            
+            let html = parts.join('; ');
+            if (summary && summary.changes.length > 0) {
+                const items = summary.changes.map(change => \`<li>\${escapeHtml(change.request ? change.action + ' ' + change.request : change.endpoint + ': ' + change.message)}</li>\`);
+                html += \`<details><summary>Details</summary><ul class="mb-0">\${items.join('')}</ul></details>\`;
+            }
+            return html;
+        }
+        
+        // Load a page of the collection's audit log with the current filters
+        const AUDIT_PAGE_SIZE = 20;
+        async function loadAuditLog(offset) {
+            const resultElement = document.getElementById('audit-result');
+            try {
+                const params = new URLSearchParams({ collection: currentCollection, offset, limit: AUDIT_PAGE_SIZE });
+                const action = document.getElementById('auditAction').value;
+                const actor = document.getElementById('auditActor').value.trim();
+                if (action) {
+                    params.set('action', action);
+                }
+                if (actor) {
+                    params.set('actor', actor);
+                }
+                const response = await fetch('/api/audit?' + params.toString());
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to load history');
+                }
+                const audit = await response.json();
+                
+                if (audit.entries.length === 0) {
+                    resultElement.innerHTML = '<p class="mb-0">No changes recorded yet.</p>';
+                    return;
+                }
+                
+                let auditHtml = \`<table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Change</th>
+                            <th>Actor</th>
+                            <th>Source IP</th>
+                            <th>Summary</th>
+                        </tr>
+                    </thead>
+                    <tbody>\`;
+                audit.entries.forEach(entry => {
+                    auditHtml += \`
+                        <tr>
+                            <td>\${new Date(entry.timestamp).toLocaleString()}</td>
+                            <td>\${escapeHtml(entry.action)}</td>
+                            <td>\${escapeHtml(entry.actor)}\${entry.role ? \` (\${entry.role})\` : ''}</td>
+                            <td>\${escapeHtml(entry.ip || '-')}</td>
+                            <td>\${describeAuditEntry(entry)}</td>
+                        </tr>
+                    \`;
+                });
+                auditHtml += \`</tbody></table>
+                    <div class="d-flex justify-content-between align-items-center">
+                        <button class="btn btn-sm btn-outline-secondary" onclick="loadAuditLog(\${Math.max(0, offset - AUDIT_PAGE_SIZE)})" \${offset > 0 ? '' : 'disabled'}>Newer</button>
+                        <span>\${offset + 1}-\${offset + audit.entries.length}</span>
+                        <button class="btn btn-sm btn-outline-secondary" onclick="loadAuditLog(\${offset + AUDIT_PAGE_SIZE})" \${audit.hasMore ? '' : 'disabled'}>Older</button>
+                    </div>\`;
+                resultElement.innerHTML = auditHtml;
+            } catch (error) {
+                console.error('Error loading history:', error);
+                resultElement.innerHTML = \`<div class="alert alert-danger">Error loading history: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+        
+        // Show a page of backup files with their retention status
+        const BACKUP_PAGE_SIZE = 20;
+        async function loadBackups(offset) {
+            const resultElement = document.getElementById('backup-result');
+            try {
+                const response = await fetch(collectionUrl('backups') + \`?offset=\${offset}&limit=\${BACKUP_PAGE_SIZE}\`);
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to load backups');
+                }
+                const data = await response.json();
+                const retention = data.retention;
+                let backupsHtml = \`<p class="text-muted">Keeping the last \${retention.keepLast} of each kind and one a day for \${retention.keepDailyDays} days\${retention.maxTotalSize ? \`, up to \${formatSize(retention.maxTotalSize)} in total\` : ''}. Pinned backups are always kept.</p>\`;
+                
+                if (data.backups.length === 0) {
+                    resultElement.innerHTML = backupsHtml + '<p class="mb-0">No backups yet.</p>';
+                    return;
+                }
+                
+                backupsHtml += \`<table class="table table-striped">
+                    <thead>
+                        <tr>
+                            <th>Filename</th>
+                            <th>Created</th>
+                            <th>Size</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>\`;
+                data.backups.forEach(backup => {
+                    const filename = backup.filename;
+                    backupsHtml += \`
+                        <tr>
+                            <td>\${filename}\${backup.pinned ? ' <span class="badge bg-info">pinned</span>' : ''}</td>
+                            <td>\${new Date(backup.created).toLocaleString()}</td>
+                            <td>\${formatSize(backup.size)}</td>
+                            <td class="text-nowrap">
+                                <button class="btn btn-sm btn-warning" onclick="restoreBackup('\${filename}')">Restore</button>
+                                <button class="btn btn-sm btn-outline-secondary" onclick="previewBackup('\${filename}')">Preview</button>
+                                \${filename.startsWith('openapi-') ? \`<button class="btn btn-sm btn-outline-secondary" onclick="compareSpecs('\${filename}', 'current')">Compare</button>\` : ''}
+                                <a class="btn btn-sm btn-outline-secondary" href="\${collectionUrl(\`backups/\${filename}\`)}">Download</a>
+                                <button class="btn btn-sm btn-outline-info" onclick="pinBackup('\${filename}', \${!backup.pinned})">\${backup.pinned ? 'Unpin' : 'Pin'}</button>
+                                <button class="btn btn-sm btn-outline-danger" onclick="deleteBackupFile('\${filename}')" \${backup.pinned ? 'disabled' : ''}>Delete</button>
+                            </td>
+                        </tr>
+                    \`;
+                });
+                backupsHtml += \`</tbody></table>
+                    <div class="d-flex justify-content-between align-items-center">
+                        <button class="btn btn-sm btn-outline-secondary" onclick="loadBackups(\${Math.max(0, offset - BACKUP_PAGE_SIZE)})" \${offset > 0 ? '' : 'disabled'}>Newer</button>
+                        <span>\${offset + 1}-\${offset + data.backups.length} of \${data.total}</span>
+                        <button class="btn btn-sm btn-outline-secondary" onclick="loadBackups(\${offset + BACKUP_PAGE_SIZE})" \${offset + BACKUP_PAGE_SIZE < data.total ? '' : 'disabled'}>Older</button>
+                    </div>\`;
+                resultElement.innerHTML = backupsHtml;
+                resultElement.dataset.offset = offset;
+            } catch (error) {
+                console.error('Error loading backups:', error);
+                resultElement.innerHTML = \`<div class="alert alert-danger">Error loading backups: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+        
+        // Format a size in bytes for display
+        function formatSize(bytes) {
+            if (bytes >= 1024 * 1024) {
+                return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+            }
+            return bytes >= 1024 ? (bytes / 1024).toFixed(1) + ' KB' : bytes + ' B';
+        }
+        
+        // Show what a backup holds and what restoring it would change
+        async function previewBackup(filename) {
+            const previewElement = document.getElementById('backup-preview');
+            try {
+                const response = await fetch(collectionUrl(\`backups/\${filename}/preview\`));
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to preview backup');
+                }
+                const preview = await response.json();
+                const contents = preview.kind === 'openapi'
+                    ? \`\${escapeHtml(preview.title || 'Untitled')} \${escapeHtml(preview.version || '')}, \${preview.endpoints} endpoint(s)\`
+                    : \`\${escapeHtml(preview.title || 'Untitled')}, \${preview.requests} request(s)\`;
+                const changes = preview.restoreChanges.changes;
+                previewElement.innerHTML = \`<div class="alert alert-light border">
+                    <strong>\${escapeHtml(preview.filename)}</strong>: \${contents}, \${formatSize(preview.size)}.
+                    \${changes.length === 0 ? '<br>Restoring it would change nothing.' : \`<br>Restoring it would make \${changes.length} change(s):
+                    <ul class="mb-0">\${changes.map(change => \`<li>\${escapeHtml(change.request ? change.action + ' ' + change.request : change.endpoint + ': ' + change.message)}</li>\`).join('')}</ul>\`}
+                </div>\`;
+            } catch (error) {
+                console.error('Error previewing backup:', error);
+                previewElement.innerHTML = \`<div class="alert alert-danger">Error previewing backup: \${escapeHtml(error.message)}</div>\`;
+            }
+        }
+        
+        // Pin a backup so it is never pruned, or unpin it
+        async function pinBackup(filename, pinned) {
+            try {
+                const response = await fetch(collectionUrl(\`backups/\${filename}/pin\`), {
+                    method: pinned ? 'PUT' : 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to pin backup');
+                }
+                
+                showAlert(pinned ? 'Backup pinned successfully!' : 'Backup unpinned successfully!');
+                await loadBackups(Number(document.getElementById('backup-result').dataset.offset) || 0);
+            } catch (error) {
+                console.error('Error pinning backup:', error);
+                showAlert('Error pinning backup: ' + error.message, 'danger');
+            }
+        }
+        
+        // Delete a backup file
+        async function deleteBackupFile(filename) {
+            if (!confirm(\`Delete backup \${filename}?\`)) {
+                return;
+            }
+            try {
+                const response = await fetch(collectionUrl(\`backups/\${filename}\`), {
+                    method: 'DELETE'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to delete backup');
+                }
+                
+                showAlert('Backup deleted successfully!');
+                await loadBackups(Number(document.getElementById('backup-result').dataset.offset) || 0);
+            } catch (error) {
+                console.error('Error deleting backup:', error);
+                showAlert('Error deleting backup: ' + error.message, 'danger');
+            }
+        }
+        
+        // Put the collection back the way it was at a commit of the version history
+        async function revertToCommit(sha) {
+            if (!confirm(\`Revert collection "\${currentCollection}" to commit \${sha.slice(0, 7)}?\`)) {
+                return;
+            }
+            try {
+                const response = await fetch(collectionUrl(\`history/\${sha}/revert\`), {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to revert collection');
+                }
+                
+                showAlert('Collection reverted successfully!');
+                await refreshStatus();
+                await loadPostmanCollection();
+            } catch (error) {
+                console.error('Error reverting collection:', error);
+                showAlert('Error reverting collection: ' + error.message, 'danger');
+            }
+        }
+        
+        // Restore backup
+        async function restoreBackup(filename) {
+            try {
+                const response = await fetch(collectionUrl(\`restore/\${filename}\`), {
+                    method: 'POST'
+                });
+                
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(errorText || 'Failed to restore backup');
+                }
+                
+                showAlert('Backup restored successfully!');
+                
+                // Refresh status
+                await refreshStatus();
+                
+                // Reload editor content
+                await loadPostmanCollection();
+            } catch (error) {
+                console.error('Error restoring backup:', error);
+                showAlert('Error restoring backup: ' + error.message, 'danger');
+            }
+        }
+        
+        // Show who is signed in
+        async function loadCurrentUser() {
+            try {
+                const response = await fetch('/api/me');
+                if (!response.ok) {
+                    return;
+                }
+                const user = await response.json();
+                if (user.authEnabled) {
+                    document.getElementById('userInfo').innerHTML = \`
+                        <span class="me-2">\${escapeHtml(user.name)} (\${user.role})</span>
+                        <form action="/logout" method="post" class="d-inline">
+                            <button type="submit" class="btn btn-sm btn-outline-secondary">Log out</button>
+                        </form>
+                    \`;
+                }
+            } catch (error) {
+                console.error('Error loading current user:', error);
+            }
+        }
+        
+        // Load initial data
+        document.addEventListener('DOMContentLoaded', async () => {
+            loadCurrentUser();
+            await loadCollections();
+            switchCollection(currentCollection);
+            
+            // Set up tab change event
+            const triggerTabList = document.querySelectorAll('#myTab button');
+            triggerTabList.forEach(triggerEl => {
+                triggerEl.addEventListener('click', event => {
+                    const tabTarget = event.target.getAttribute('data-bs-target');
+                    if (tabTarget === '#status-tab-pane') {
+                        refreshStatus();
+                    }
+                    if (tabTarget === '#settings-tab-pane') {
+                        loadSettings();
+                    }
+                });
+            });
+        });
+    </script>
+</body>
+</html>
+`;
+
+const editorTabContent = `
+<div class="tab-pane fade show active" id="editor-tab-pane" role="tabpanel" aria-labelledby="editor-tab" tabindex="0">
+    <div class="card mb-3">
+        <div class="card-header d-flex justify-content-between align-items-center">
+            <span>Edit Postman Collection</span>
+            <div class="btn-group btn-group-sm" role="group">
+                <input type="radio" class="btn-check" name="editorMode" id="editorModeRaw" checked onchange="setEditorMode('raw')">
+                <label class="btn btn-outline-secondary" for="editorModeRaw">Raw JSON</label>
+                <input type="radio" class="btn-check" name="editorMode" id="editorModeStructured" onchange="setEditorMode('structured')">
+                <label class="btn btn-outline-secondary" for="editorModeStructured">Structured</label>
+            </div>
+        </div>
+        <div class="card-body">
+            <div id="rawEditorPane">
+                <div id="mergePanel" class="d-none mb-3"></div>
+                <div id="editor"></div>
+            </div>
+            <div id="structuredEditorPane" class="row d-none">
+                <div class="col-md-4">
+                    <div class="btn-group btn-group-sm mb-2" role="group">
+                        <button class="btn btn-outline-primary" onclick="addTreeItem('request')">Add Request</button>
+                        <button class="btn btn-outline-primary" onclick="addTreeItem('folder')">Add Folder</button>
+                        <button class="btn btn-outline-secondary" id="duplicateItemButton" onclick="duplicateTreeItem()" disabled>Duplicate</button>
+                        <button class="btn btn-outline-danger" id="deleteItemButton" onclick="deleteTreeItem()" disabled>Delete</button>
+                    </div>
+                    <div id="itemTree" ondragover="dragItemOver(event)" ondragleave="this.classList.remove('drop-target')" ondrop="dropItem(event)"></div>
+                </div>
+                <div class="col-md-8" id="itemForm" oninput="itemFormDirty = true" onchange="itemFormDirty = true"></div>
+            </div>
+            <div class="mt-3">
+                <span id="rawEditorButtons">
+                    <button class="btn btn-primary" onclick="saveCollection()">Save Collection</button>
+                    <button class="btn btn-outline-primary" onclick="validateCollection()">Validate</button>
+                    <button class="btn btn-secondary" onclick="loadPostmanCollection()">Reload</button>
+                </span>
+                <button class="btn btn-success" onclick="triggerConversion()">Convert to OpenAPI</button>
+                <a href="/docs/default/" id="docsLink" class="btn btn-info" target="_blank">View Swagger UI</a>
+                <a href="/docs/" class="btn btn-outline-info" target="_blank">All Collections</a>
+                <a href="/api/openapi?format=yaml" id="yamlLink" class="btn btn-outline-secondary" target="_blank">OpenAPI YAML</a>
+                <a href="/api/export" id="exportLink" class="btn btn-outline-secondary">Download Bundle</a>
+                <a href="/api/export/site" id="siteLink" class="btn btn-outline-secondary">Download Docs Site</a>
+            </div>
+        </div>
+    </div>
+</div>
+`;
+
+const uploadTabContent = `
+<div class="tab-pane fade" id="upload-tab-pane" role="tabpanel" aria-labelledby="upload-tab" tabindex="0">
+    <div id="uploadResult"></div>
+    <div class="card mb-3">
+        <div class="card-header">Upload Collection</div>
+        <div class="card-body">
+            <form id="uploadForm" action="/api/upload" method="post" enctype="multipart/form-data" onsubmit="submitUpload(event)">
+                <div class="mb-3">
+                    <label for="collectionFile" class="form-label">Postman, HAR, Insomnia or cURL File</label>
+                    <input class="form-control" type="file" id="collectionFile" name="collectionFile" accept=".json,.har,.txt,.sh,.curl" onchange="previewUpload()">
+                    <div class="form-text">Postman v2 and v1 collections, HAR 1.2 files, Insomnia v4 exports and lists of cURL commands are turned into a Postman v2.1 collection (max 50MB)</div>
+                </div>
+                <div class="mb-3">
+                    <label for="collectionText" class="form-label">Or paste cURL commands</label>
+                    <textarea class="form-control font-monospace" id="collectionText" name="collectionText" rows="4" placeholder="# List orders&#10;curl https://api.example.com/orders" oninput="schedulePreviewUpload()"></textarea>
+                    <div class="form-text">A # comment line above a command names the request</div>
+                </div>
+                <div id="uploadPreview"></div>
+                <button type="submit" class="btn btn-primary">Upload</button>
+            </form>
+        </div>
+    </div>
+    <div class="card mb-3">
+        <div class="card-header">Upload OpenAPI Spec</div>
+        <div class="card-body">
+            <form id="specUploadForm" action="/api/upload-openapi" method="post" enctype="multipart/form-data" onsubmit="submitUpload(event)">
+                <div class="mb-3">
+                    <label for="specFile" class="form-label">OpenAPI 3.x JSON or YAML File</label>
+                    <input class="form-control" type="file" id="specFile" name="specFile" accept=".json,.yaml,.yml">
+                    <div class="form-text">The spec is converted to a Postman v2.1 collection (folders from tags, example bodies from schemas) and replaces the current collection (max 50MB)</div>
+                </div>
+                <button type="submit" class="btn btn-primary">Upload</button>
+            </form>
+        </div>
+    </div>
+    <div class="card mb-3">
+        <div class="card-header">Environments</div>
+        <div class="card-body">
+            <form id="environmentUploadForm" class="mb-3" onsubmit="uploadEnvironment(event)">
+                <div class="mb-3">
+                    <label for="environmentFile" class="form-label">Postman Environment JSON File</label>
+                    <input class="form-control" type="file" id="environmentFile" name="environmentFile" accept=".json">
+                    <div class="form-text">Selected environments become servers in the spec, with their variables as server variables. Secret values are never written into the spec.</div>
+                </div>
+                <button type="submit" class="btn btn-primary">Upload</button>
+            </form>
+            <div id="environment-list"></div>
+        </div>
+    </div>
+</div>
+`;
+
+const statusTabContent = `
+<div class="tab-pane fade" id="status-tab-pane" role="tabpanel" aria-labelledby="status-tab" tabindex="0">
+    <div id="status-content">
+        <div class="d-flex justify-content-center">
+            <div class="spinner-border text-primary" role="status">
+                <span class="visually-hidden">Loading...</span>
+            </div>
+        </div>
+    </div>
+</div>
+`;
+
+const settingsTabContent = `
+<div class="tab-pane fade" id="settings-tab-pane" role="tabpanel" aria-labelledby="settings-tab" tabindex="0">
+    <div id="settingsResult"></div>
+    <div class="card mb-3">
+        <div class="card-header">Converter Settings</div>
+        <div class="card-body">
+            <div class="mb-3">
+                <label for="converterConfig" class="form-label">converter.config</label>
+                <textarea class="form-control font-monospace" id="converterConfig" rows="20" spellcheck="false"></textarea>
+                <div class="form-text">Options passed to postman-to-openapi: info, defaultTag, pathDepth, operationId (off, auto or brackets), servers, auth, externalDocs, folders, responseHeaders, replaceVars, additionalVars and disabledParams. tagMapping renames tags after the conversion and inferSchemas builds body schemas from the examples.</div>
+            </div>
+            <button class="btn btn-primary" onclick="saveSettings()">Save Settings</button>
+            <button class="btn btn-outline-secondary" onclick="resetSettings()">Reset to Defaults</button>
+        </div>
+    </div>
+    <div class="card mb-3">
+        <div class="card-header">Overlays</div>
+        <div class="card-body">
+            <form id="overlayUploadForm" class="mb-3" onsubmit="uploadOverlay(event)">
+                <div class="mb-3">
+                    <label for="overlayFile" class="form-label">OpenAPI Overlay JSON or YAML File</label>
+                    <input class="form-control" type="file" id="overlayFile" name="overlayFile" accept=".json,.yaml,.yml">
+                    <div class="form-text">Overlays are applied in file name order after every conversion, so descriptions, examples and security schemes added here survive regeneration.</div>
+                </div>
+                <button type="submit" class="btn btn-primary">Upload</button>
+            </form>
+            <div id="overlay-list"></div>
+        </div>
+    </div>
+</div>
+`;
+
+// Login page
+const getLoginHTML = (error, next) => `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Log in - API Endpoint Manager</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha1/dist/css/bootstrap.min.css" rel="stylesheet">
+    <style>
+        body { padding-top: 60px; }
+        .container { max-width: 400px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1 class="mb-4">API Endpoint Manager</h1>
+        ${error ? `<div class="alert alert-danger">${error}</div>` : ''}
+        <form action="/login" method="post">
+            <input type="hidden" name="next" value="${encodeURIComponent(next)}">
+            <div class="mb-3">
+                <label for="username" class="form-label">Username</label>
+                <input class="form-control" type="text" id="username" name="username" autocomplete="username" required autofocus>
+            </div>
+            <div class="mb-3">
+                <label for="password" class="form-label">Password</label>
+                <input class="form-control" type="password" id="password" name="password" autocomplete="current-password" required>
+            </div>
+            <button type="submit" class="btn btn-primary">Log in</button>
+        </form>
+    </div>
+</body>
+</html>
+`;
+
+// Only redirect to local paths after logging in
+function getSafeRedirect(next) {
+    let target;
+    try {
+        target = decodeURIComponent(String(next || ''));
+    } catch (error) {
+        return '/';
+    }
+    return target.startsWith('/') && !target.startsWith('//') ? target : '/';
+}
+
+app.get('/login', (req, res) => {
+    if (!auth.enabled) {
+        return res.redirect('/');
+    }
+    res.send(getLoginHTML(null, getSafeRedirect(req.query.next)));
+});
+
+app.post('/login', async (req, res) => {
+    try {
+        const user = await auth.login(req, req.body.username, req.body.password);
+        if (!user) {
+            return res.status(401).send(getLoginHTML('Invalid username or password', getSafeRedirect(req.body.next)));
+        }
+
+        // Viewers can only read the docs, so send them there instead of the editor
+        const next = getSafeRedirect(req.body.next);
+        res.redirect(next === '/' && !hasRole(user.role, 'editor') ? '/docs/' : next);
+    } catch (error) {
+        res.status(500).send(`Error logging in: ${error.message}`);
+    }
+});
+
+app.post('/logout', async (req, res) => {
+    await auth.logout(req);
+    res.redirect(auth.enabled ? '/login' : '/');
+});
+
+// The signed in user, for the web UI
+app.get('/api/me', auth.requireRole('viewer'), (req, res) => {
+    res.json({ name: req.user.name, role: req.user.role, authEnabled: auth.enabled });
+});
+
+// Root route
+app.get('/', auth.requireRole('editor'), (req, res) => {
+    const htmlContent = getBaseHTML(editorTabContent + uploadTabContent + statusTabContent + settingsTabContent);
+    res.send(htmlContent);
+});
+
+// API endpoints for UI
+app.get('/api/collections', auth.requireRole('editor'), (req, res) => {
+    try {
+        const list = Array.from(collections.values())
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(collection => ({
+                name: collection.name,
+                hasCollection: fs.existsSync(collection.postmanPath),
+                openapiUrl: collectionApiUrl(collection, 'openapi'),
+                docsUrl: `/docs/${collection.name}/`
+            }));
+        res.json(list);
+    } catch (error) {
+        res.status(500).send(`Error listing collections: ${error.message}`);
+    }
+});
+
+app.get(['/api/collection', '/api/collections/:name'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        if (fs.existsSync(req.collection.postmanPath)) {
+            // Sent as it is on disk, so the ETag is the hash of the content the client gets
+            const content = fs.readFileSync(req.collection.postmanPath, 'utf8');
+            JSON.parse(content);
+            res.set('ETag', contentEtag(content)).type('json').send(content);
+        } else {
+            res.status(404).send('Postman collection not found');
+        }
+    } catch (error) {
+        res.status(500).send(`Error reading collection: ${error.message}`);
+    }
+});
+
+// The ETag of a collection file or item: the SHA-256 of its content, quoted
+function contentEtag(content) {
+    return `"${sha256(content)}"`;
+}
+
+// Check an If-Match header against the current ETag, which is null when there is no current
+// version. "*" matches whatever is there, so it can both create and overwrite a collection.
+function ifMatchSatisfied(header, etag) {
+    if (header.trim() === '*') {
+        return true;
+    }
+    return etag !== null && header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// Make a backup of the current Postman collection file, if there is one. With git
+// versioning the previous version is already in the history.
+function backupPostmanCollection(collection) {
+    if (!gitHistory && fs.existsSync(collection.postmanPath)) {
+        backupCollectionFile(collection, 'postman', collection.postmanPath);
+    }
+}
+
+// Back up and replace a collection's Postman file, registering the collection if it is new.
+// The file is swapped in atomically under its lock, so a failed write leaves the previous
+// collection in place. `data` can also be a function that gets the current collection under
+// the lock and returns the new one, or null to leave the file as it is.
+// The change is recorded in the audit log as `action` by `actor`, with any extra `details`.
+// `clientId` identifies the browser page that made the change in the file-changed event.
+// Resolves to whether the file was written.
+async function writePostmanCollection(collection, data, actor, action, { clientId = null, details = {} } = {}) {
+    let previous;
+    let created;
+    await withFileLock(collection.postmanPath, () => {
+        previous = readJsonFile(collection.postmanPath);
+        created = !fs.existsSync(collection.postmanPath);
+        if (typeof data === 'function') {
+            data = data(previous);
+        }
+        if (!data) {
+            return;
+        }
+        backupPostmanCollection(collection);
+        writeFileAtomic(collection.postmanPath, JSON.stringify(data, null, 2));
+    });
+    if (!data) {
+        return false;
+    }
+    // New collections are registered once their file exists, so the watcher converts it when it is ready
+    const registered = registerCollection(collection.name);
+
+    const summary = summarizeCollectionChanges(previous, data);
+    const subject = {
+        save: `Save collection "${registered.name}"`,
+        upload: `Upload collection "${registered.name}"`,
+        'upload-openapi': `Generate collection "${registered.name}" from an uploaded OpenAPI spec`,
+        import: `Import collection "${registered.name}" from ${details.source}`,
+        edit: `Edit collection "${registered.name}": ${details.operation} "${details.itemName}"`
+    }[action];
+    registered.pendingActor = actor;
+    registered.pendingClientId = clientId;
+    const commit = await commitCollectionVersion(registered, `${subject}\n\n${describeSummary(summary)}`, actor);
+    recordAudit(registered, action, actor, { ...details, created, summary, commit });
+    return true;
+}
+
+// Import a collection from the watch directory or an import source, in any format the
+// importers know. Resolves to false when it is the same as the collection's current file;
+// invalid collections reject.
+async function importPostmanCollection(name, content, actor, details) {
+    const { collection: data, format } = importCollection(content);
+
+    const collection = collections.get(name) || { name, ...getCollectionPaths(name) };
+    const validation = validateWithEnvironments(collection, data);
+    if (!validation.valid) {
+        throw new Error(`Collection failed validation: ${validation.errors.map(error => `${error.pointer || '/'} ${error.message}`).join('; ')}`);
+    }
+    if (fs.existsSync(collection.postmanPath) && fs.readFileSync(collection.postmanPath, 'utf8') === JSON.stringify(data, null, 2)) {
+        return false;
+    }
+
+    await writePostmanCollection(collection, data, actor, 'import', { details: { ...details, format } });
+    console.log(`Imported collection "${name}" from ${details.source}`);
+    return true;
+}
+
+app.post(['/api/collection', '/api/collections/:name'], auth.requireRole('editor'), resolveCollection({ create: true }), async (req, res) => {
+    try {
+        const collection = req.collection;
+
+        // Replacing a collection needs the ETag of the version the change was made to, so
+        // nobody overwrites a change they have not seen
+        const ifMatch = req.get('If-Match');
+        if (!ifMatch && fs.existsSync(collection.postmanPath)) {
+            return res.status(428).send('Saving requires an If-Match header with the ETag from GET /api/collection, or "*" to overwrite the collection');
+        }
+
+        // Reject collections with errors before anything is written
+        const validation = checkPostmanCollection(res, req.body, collection);
+        if (!validation) {
+            return;
+        }
+
+        // Back up the current file and save the new collection, unless it changed meanwhile
+        let conflict = null;
+        await writePostmanCollection(collection, () => {
+            const content = fs.existsSync(collection.postmanPath) ? fs.readFileSync(collection.postmanPath, 'utf8') : null;
+            const etag = content === null ? null : contentEtag(content);
+            if (ifMatch && !ifMatchSatisfied(ifMatch, etag)) {
+                conflict = { etag, current: parseVersion(content) };
+                return null;
+            }
+            return req.body;
+        }, getAuditActor(req), 'save', { clientId: req.get('X-Client-Id') || null });
+
+        if (conflict) {
+            return res.status(409).json({
+                message: 'The collection was changed since it was loaded',
+                etag: conflict.etag,
+                current: conflict.current,
+                changes: summarizeCollectionChanges(req.body, conflict.current)
+            });
+        }
+        res.set('ETag', contentEtag(JSON.stringify(req.body, null, 2)));
+        res.json({ message: 'Collection saved successfully', warnings: validation.warnings });
+    } catch (error) {
+        res.status(500).send(`Error saving collection: ${error.message}`);
+    }
+});
+
+// Merge the changes made to `base` in `mine` with the changes made to the current collection
+// since then, for an editor whose save was rejected with 409. `resolutions` maps the paths
+// of conflicts to take from the current collection to "theirs". Nothing is saved.
+app.post(['/api/collection/merge', '/api/collections/:name/merge'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        const { base = null, mine, resolutions = {} } = req.body || {};
+        if (!mine || typeof mine !== 'object' || (base !== null && typeof base !== 'object') || typeof resolutions !== 'object') {
+            return res.status(400).send('Expected { base, mine, resolutions } with base and mine as collections');
+        }
+        if (!fs.existsSync(req.collection.postmanPath)) {
+            return res.status(404).send('Postman collection not found');
+        }
+
+        const content = fs.readFileSync(req.collection.postmanPath, 'utf8');
+        const current = JSON.parse(content);
+        const { merged, conflicts } = mergeJson(base, mine, current, resolutions);
+        res.json({
+            etag: contentEtag(content),
+            current,
+            merged,
+            conflicts,
+            theirs: summarizeCollectionChanges(base, current),
+            yours: summarizeCollectionChanges(base, mine)
+        });
+    } catch (error) {
+        res.status(500).send(`Error merging collection: ${error.message}`);
+    }
+});
+
+// Apply an edit of the structured editor to the collection file. The edit runs on the
+// current file under its lock, so edits to different items do not overwrite each other.
+// `edit` changes the copy of the collection it gets and returns the item it changed, or
+// null when the item does not exist. Invalid changes (RangeError) answer 400, an If-Match
+// header that does not match the item's ETag 409 and edits that leave the collection failing
+// validation 422; nothing is written then.
+async function editCollectionItems(req, res, operation, edit, status = 200) {
+    const collection = req.collection;
+    const ifMatch = req.get('If-Match');
+    const details = { operation };
+    let item = null;
+    let validation = null;
+    let conflict = null;
+    try {
+        await writePostmanCollection(collection, current => {
+            if (!current) {
+                return null;
+            }
+            const data = JSON.parse(JSON.stringify(current));
+            ensureItemIds(data);
+            const found = ifMatch && req.params.id ? findItem(data, req.params.id) : null;
+            if (found && !ifMatchSatisfied(ifMatch, contentEtag(JSON.stringify(found.item)))) {
+                conflict = found.item;
+                return null;
+            }
+            item = edit(data);
+            if (!item) {
+                return null;
+            }
+            details.item = item.id;
+            details.itemName = item.name;
+            validation = validateWithEnvironments(collection, data);
+            return validation.valid ? data : null;
+        }, getAuditActor(req), 'edit', { clientId: req.get('X-Client-Id') || null, details });
+
+        if (conflict) {
+            return res.status(409).json({ message: 'The item was changed since it was loaded', etag: contentEtag(JSON.stringify(conflict)), current: conflict });
+        }
+        if (!item) {
+            return res.status(404).send(`Item "${req.params.id}" not found`);
+        }
+        if (!validation.valid) {
+            return res.status(422).json({ message: 'Collection failed validation', errors: validation.errors, warnings: validation.warnings });
+        }
+        if (operation !== 'delete') {
+            res.set('ETag', contentEtag(JSON.stringify(item)));
+        }
+        res.status(status).json({ item, warnings: validation.warnings });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).send(error.message);
+        }
+        res.status(500).send(`Error editing collection: ${error.message}`);
+    }
+}
+
+// Read a collection with an id on every item. Items without one get the id their position
+// gives them, which is only saved by the first edit, so reading never changes the file.
+function readCollectionWithIds(collection) {
+    const data = readJsonFile(collection.postmanPath);
+    if (data) {
+        ensureItemIds(data);
+    }
+    return data;
+}
+
+// List the folders and requests of a collection as a tree
+app.get(['/api/collection/items', '/api/collections/:name/items'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        const data = readCollectionWithIds(req.collection);
+        if (!data) {
+            return res.status(404).send('Postman collection not found');
+        }
+        res.json({ items: listItems(data) });
+    } catch (error) {
+        res.status(500).send(`Error listing collection items: ${error.message}`);
+    }
+});
+
+// Get one folder or request with everything in it
+app.get(['/api/collection/items/:id', '/api/collections/:name/items/:id'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    const found = findItem(readCollectionWithIds(req.collection) || {}, req.params.id);
+    if (!found) {
+        return res.status(404).send(`Item "${req.params.id}" not found`);
+    }
+    res.set('ETag', contentEtag(JSON.stringify(found.item))).json(found.item);
+});
+
+// Add a request or folder: { item, parentId, index }
+app.post(['/api/collection/items', '/api/collections/:name/items'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    editCollectionItems(req, res, 'add', data => addItem(data, req.body || {}), 201);
+});
+
+// Change the name, description, request fields or saved examples of an item
+app.patch(['/api/collection/items/:id', '/api/collections/:name/items/:id'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    editCollectionItems(req, res, 'update', data => updateItem(data, req.params.id, req.body));
+});
+
+app.post(['/api/collection/items/:id/duplicate', '/api/collections/:name/items/:id/duplicate'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    editCollectionItems(req, res, 'duplicate', data => duplicateItem(data, req.params.id), 201);
+});
+
+// Move an item to another position or folder: { parentId, index }
+app.post(['/api/collection/items/:id/move', '/api/collections/:name/items/:id/move'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    editCollectionItems(req, res, 'move', data => moveItem(data, req.params.id, req.body || {}));
+});
+
+app.delete(['/api/collection/items/:id', '/api/collections/:name/items/:id'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    editCollectionItems(req, res, 'delete', data => removeItem(data, req.params.id));
+});
+
+// Validate and lint a collection without saving it
+app.post(['/api/collection/validate', '/api/collections/:name/validate'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    res.json(validateWithEnvironments(req.collection, req.body));
+});
+
+app.delete('/api/collections/:name', auth.requireRole('admin'), resolveCollection(), async (req, res) => {
+    try {
+        if (req.collection.name === DEFAULT_COLLECTION) {
+            return res.status(400).send('The default collection cannot be deleted');
+        }
+
+        await removeCollection(req.collection);
+        const actor = getAuditActor(req);
+        const commit = gitHistory ? await gitHistory.remove(req.collection.name, `Delete collection "${req.collection.name}"`, actor.actor) : null;
+        recordAudit(req.collection, 'delete', actor, { commit });
+        res.send('Collection deleted successfully');
+    } catch (error) {
+        res.status(500).send(`Error deleting collection: ${error.message}`);
+    }
+});
+
+// Validate a Postman collection against the variables of its environments
+function validateWithEnvironments(collection, data) {
+    const variables = [];
+    loadEnvironments(collection).forEach(environment => {
+        environment.values.forEach(value => variables.push(value.key));
+    });
+    return validatePostmanCollection(data, { variables });
+}
+
+// Validate a Postman collection and send a structured 422 response when it has errors.
+// Returns the validation result when the collection can be written, null otherwise.
+function checkPostmanCollection(res, data, collection) {
+    const validation = validateWithEnvironments(collection, data);
+    if (!validation.valid) {
+        res.status(422).json({
+            message: 'Collection failed validation',
+            errors: validation.errors,
+            warnings: validation.warnings
+        });
+        return null;
+    }
+    return validation;
+}
+
+// Respond to a successful upload: JSON for API clients, a redirect back to the UI for form posts
+function sendUploadResult(req, res, warnings, format) {
+    if (req.accepts(['html', 'json']) === 'json') {
+        return res.json({ message: 'Collection uploaded successfully', collection: req.collection.name, format, warnings });
+    }
+    res.redirect(`/?collection=${req.collection.name}&success=true#upload-tab-pane`);
+}
+
+// Import the collection of an upload request: the collectionFile upload or the
+// collectionText field, in any format the importers know. Sends a 400 or 422 response
+// and returns null when there is nothing that can be imported.
+function readImportedCollection(req, res) {
+    const content = req.file ? req.file.content : req.body && req.body.collectionText;
+    if (!content || !String(content).trim()) {
+        res.status(400).send('No collection file uploaded');
+        return null;
+    }
+    try {
+        return importCollection(content);
+    } catch (importError) {
+        res.status(422).json({
+            message: 'Collection could not be imported',
+            errors: [{ rule: 'import', message: importError.message, pointer: '' }],
+            warnings: []
+        });
+        return null;
+    }
+}
+
+// Postman v2 collections are saved as they are; Postman v1 collections, HAR files, Insomnia
+// exports and cURL commands are turned into a Postman v2.1 collection first
+app.post(['/api/upload', '/api/collections/:name/upload'], auth.requireRole('editor'), resolveCollection({ create: true }), importUpload.single('collectionFile'), async (req, res) => {
+    try {
+        const imported = readImportedCollection(req, res);
+        if (!imported) {
+            return;
+        }
+
+        const validation = checkPostmanCollection(res, imported.collection, req.collection);
+        if (!validation) {
+            return;
+        }
+
+        await writePostmanCollection(req.collection, imported.collection, getAuditActor(req), 'upload', { clientId: req.get('X-Client-Id') || null, details: { format: imported.format } });
+        sendUploadResult(req, res, validation.warnings, imported.format);
+    } catch (error) {
+        res.status(500).send(`Error uploading file: ${error.message}`);
+    }
+});
+
+// Show what an upload would import without saving it: the detected format, the requests
+// and the validation result
+app.post(['/api/upload/preview', '/api/collections/:name/upload/preview'], auth.requireRole('editor'), resolveCollection({ create: true }), importUpload.single('collectionFile'), (req, res) => {
+    try {
+        const imported = readImportedCollection(req, res);
+        if (!imported) {
+            return;
+        }
+
+        const requests = listRequests(imported.collection);
+        res.json({
+            format: imported.format,
+            formatLabel: IMPORT_FORMATS[imported.format],
+            name: imported.collection.info && imported.collection.info.name,
+            total: requests.length,
+            skipped: imported.skipped,
+            requests: requests.slice(0, UPLOAD_PREVIEW_LIMIT),
+            validation: validateWithEnvironments(req.collection, imported.collection)
+        });
+    } catch (error) {
+        res.status(500).send(`Error previewing upload: ${error.message}`);
+    }
+});
+
+// Generate the Postman collection from an uploaded OpenAPI spec
+app.post(['/api/upload-openapi', '/api/collections/:name/upload-openapi'], auth.requireRole('editor'), resolveCollection({ create: true }), specUpload.single('specFile'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).send('No OpenAPI spec file uploaded');
+        }
+
+        let postmanCollection;
+        try {
+            postmanCollection = await convertOpenAPIToPostman(req.file.content);
+        } catch (conversionError) {
+            return res.status(422).send(`Error converting OpenAPI spec: ${conversionError.message}`);
+        }
+
+        const validation = checkPostmanCollection(res, postmanCollection, req.collection);
+        if (!validation) {
+            return;
+        }
+
+        // Save as the collection's Postman file; the watcher picks it up and regenerates the spec
+        await writePostmanCollection(req.collection, postmanCollection, getAuditActor(req), 'upload-openapi', { clientId: req.get('X-Client-Id') || null });
+        sendUploadResult(req, res, validation.warnings, 'openapi');
+    } catch (error) {
+        res.status(500).send(`Error uploading OpenAPI spec: ${error.message}`);
+    }
+});
+
+// Regenerate the spec after a change that affects the conversion, if there is a collection to convert
+function reconvertCollection(collection, actor) {
+    if (fs.existsSync(collection.postmanPath)) {
+        queueConversion(collection, 'settings', actor);
+    }
+}
+
+// Environments: Postman environment files stored next to the collection. The selected
+// ones become the spec's servers, with their variables as server variables.
+app.get(['/api/environments', '/api/collections/:name/environments'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        res.json(loadEnvironments(req.collection).map(maskEnvironment));
+    } catch (error) {
+        res.status(500).send(`Error reading environments: ${error.message}`);
+    }
+});
+
+app.post(['/api/environments', '/api/collections/:name/environments'], auth.requireRole('editor'), resolveCollection(), upload.single('environmentFile'), (req, res) => {
+    try {
+        let environment;
+        try {
+            environment = parseEnvironment(req.file ? JSON.parse(req.file.content) : req.body);
+        } catch (parseError) {
+            return res.status(422).send(`Invalid environment: ${parseError.message}`);
+        }
+
+        // New environments are selected for the spec straight away
+        const slug = slugify(environment.name);
+        fs.mkdirSync(req.collection.environmentsDir, { recursive: true });
+        writeFileAtomic(path.join(req.collection.environmentsDir, `${slug}.postman_environment.json`), JSON.stringify(environment, null, 2));
+        const selection = readEnvironmentSelection(req.collection);
+        if (!selection.includes(slug)) {
+            writeEnvironmentSelection(req.collection, selection.concat(slug));
+        }
+
+        const actor = getAuditActor(req);
+        recordAudit(req.collection, 'environment-save', actor, { environment: slug });
+        reconvertCollection(req.collection, actor);
+        res.json({ message: 'Environment saved successfully', environment: slug });
+    } catch (error) {
+        res.status(500).send(`Error saving environment: ${error.message}`);
+    }
+});
+
+app.put(['/api/environments/selection', '/api/collections/:name/environments/selection'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        const selected = req.body && req.body.selected;
+        if (!Array.isArray(selected)) {
+            return res.status(400).send('Expected a JSON body with a "selected" array of environment names');
+        }
+
+        const available = loadEnvironments(req.collection).map(environment => environment.slug);
+        const unknown = selected.filter(slug => !available.includes(slug));
+        if (unknown.length > 0) {
+            return res.status(404).send(`Unknown environment(s): ${unknown.join(', ')}`);
+        }
+
+        writeEnvironmentSelection(req.collection, selected);
+        const actor = getAuditActor(req);
+        recordAudit(req.collection, 'environment-select', actor, { selected });
+        reconvertCollection(req.collection, actor);
+        res.json({ message: 'Environment selection saved successfully', selected });
+    } catch (error) {
+        res.status(500).send(`Error saving environment selection: ${error.message}`);
+    }
+});
+
+app.delete(['/api/environments/:env', '/api/collections/:name/environments/:env'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        const environment = loadEnvironments(req.collection).find(item => item.slug === req.params.env);
+        if (!environment) {
+            return res.status(404).send('Environment not found');
+        }
+
+        fs.unlinkSync(path.join(req.collection.environmentsDir, `${environment.slug}.postman_environment.json`));
+        writeEnvironmentSelection(req.collection, readEnvironmentSelection(req.collection).filter(slug => slug !== environment.slug));
+        const actor = getAuditActor(req);
+        recordAudit(req.collection, 'environment-delete', actor, { environment: environment.slug });
+        reconvertCollection(req.collection, actor);
+        res.send('Environment deleted successfully');
+    } catch (error) {
+        res.status(500).send(`Error deleting environment: ${error.message}`);
+    }
+});
+
+// Settings: the collection's converter.config, which holds the postman-to-openapi options,
+// and the OpenAPI overlays applied to every generated spec
+app.get(['/api/settings', '/api/collections/:name/settings'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        res.json({
+            converter: loadConverterConfig(req.collection.configPath),
+            defaults: DEFAULT_CONVERTER_CONFIG,
+            overlays: loadOverlays(req.collection.overlaysDir)
+        });
+    } catch (error) {
+        res.status(500).send(`Error reading settings: ${error.message}`);
+    }
+});
+
+app.put(['/api/settings', '/api/collections/:name/settings'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        const converter = req.body && req.body.converter;
+        if (!converter || typeof converter !== 'object' || Array.isArray(converter)) {
+            return res.status(400).send('Expected a JSON body with a "converter" object');
+        }
+
+        const errors = validateConverterConfig(converter);
+        if (errors.length > 0) {
+            return res.status(422).json({ message: 'Converter settings failed validation', errors });
+        }
+
+        writeFileAtomic(req.collection.configPath, JSON.stringify(converter, null, 2));
+        const actor = getAuditActor(req);
+        recordAudit(req.collection, 'settings', actor, { options: Object.keys(converter) });
+        reconvertCollection(req.collection, actor);
+        res.json({ message: 'Settings saved successfully', converter: loadConverterConfig(req.collection.configPath) });
+    } catch (error) {
+        res.status(500).send(`Error saving settings: ${error.message}`);
+    }
+});
+
+// Overlays are uploaded as a JSON or YAML file, or sent as JSON { name, overlay }
+app.post(['/api/settings/overlays', '/api/collections/:name/settings/overlays'], auth.requireRole('editor'), resolveCollection(), specUpload.single('overlayFile'), (req, res) => {
+    try {
+        let overlay;
+        let fileName;
+        let content;
+        if (req.file) {
+            const parsed = path.parse(req.file.originalname);
+            content = req.file.content;
+            fileName = `${slugify(parsed.name)}${parsed.ext.toLowerCase()}`;
+            try {
+                overlay = yaml.load(content);
+            } catch (parseError) {
+                return res.status(422).json({
+                    message: 'Overlay is not valid JSON or YAML',
+                    errors: [{ rule: 'overlay', message: parseError.reason || parseError.message, pointer: '' }]
+                });
+            }
+        } else {
+            overlay = req.body && req.body.overlay;
+            const name = (req.body && req.body.name) || (overlay && overlay.info && overlay.info.title);
+            fileName = `${slugify(name || 'overlay')}.json`;
+            content = JSON.stringify(overlay, null, 2);
+        }
+        if (!/^[a-z0-9]/.test(fileName)) {
+            return res.status(400).send('Overlay needs a name made of letters or digits');
+        }
+
+        const errors = validateOverlay(overlay);
+        if (errors.length > 0) {
+            return res.status(422).json({ message: 'Overlay failed validation', errors });
+        }
+
+        fs.mkdirSync(req.collection.overlaysDir, { recursive: true });
+        writeFileAtomic(path.join(req.collection.overlaysDir, fileName), content);
+        const actor = getAuditActor(req);
+        recordAudit(req.collection, 'overlay-save', actor, { overlay: fileName });
+        reconvertCollection(req.collection, actor);
+        res.json({ message: 'Overlay saved successfully', overlay: fileName });
+    } catch (error) {
+        res.status(500).send(`Error saving overlay: ${error.message}`);
+    }
+});
+
+app.delete(['/api/settings/overlays/:overlay', '/api/collections/:name/settings/overlays/:overlay'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        const overlay = loadOverlays(req.collection.overlaysDir).find(item => item.name === req.params.overlay);
+        if (!overlay) {
+            return res.status(404).send('Overlay not found');
+        }
+
+        fs.unlinkSync(path.join(req.collection.overlaysDir, overlay.name));
+        const actor = getAuditActor(req);
+        recordAudit(req.collection, 'overlay-delete', actor, { overlay: overlay.name });
+        reconvertCollection(req.collection, actor);
+        res.send('Overlay deleted successfully');
+    } catch (error) {
+        res.status(500).send(`Error deleting overlay: ${error.message}`);
+    }
+});
+
+// Backups of a collection, newest first. Filter with ?kind=openapi or postman and page
+// with offset and limit.
+app.get(['/api/backups', '/api/collections/:name/backups'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    try {
+        const { kind, offset, limit } = req.query;
+        res.json({ ...queryBackups(req.collection.backupDir, { kind, offset, limit }), retention: backupRetention });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).send(`Invalid backups query: ${error.message}`);
+        }
+        res.status(500).send(`Error getting backups: ${error.message}`);
+    }
+});
+
+// Middleware that checks the :filename of a backup route and sets req.backupPath, which
+// is always inside the collection's backup directory
+function resolveBackup(req, res, next) {
+    const backupPath = resolveBackupPath(req.collection.backupDir, req.params.filename);
+    if (!backupPath) {
+        return res.status(404).send('Backup file not found');
+    }
+    req.backupPath = backupPath;
+    next();
+}
+
+app.get(['/api/backups/:filename', '/api/collections/:name/backups/:filename'], auth.requireRole('editor'), resolveCollection(), resolveBackup, (req, res) => {
+    res.download(req.backupPath, `${req.collection.name}-${req.params.filename}`);
+});
+
+// What a backup holds and what restoring it would change
+app.get(['/api/backups/:filename/preview', '/api/collections/:name/backups/:filename/preview'], auth.requireRole('editor'), resolveCollection(), resolveBackup, (req, res) => {
+    try {
+        const backup = JSON.parse(fs.readFileSync(req.backupPath, 'utf8'));
+        const stats = fs.statSync(req.backupPath);
+        const preview = { filename: req.params.filename, size: stats.size };
+        if (req.params.filename.startsWith('openapi-')) {
+            const info = backup.info || {};
+            preview.kind = 'openapi';
+            preview.title = info.title || null;
+            preview.version = info.version || null;
+            preview.endpoints = summarizeSpecDiff(diffOpenAPI({}, backup)).endpointsAdded;
+            preview.restoreChanges = summarizeSpecDiff(diffOpenAPI(readJsonFile(req.collection.openapiPath) || {}, backup));
+        } else {
+            preview.kind = 'postman';
+            preview.title = (backup.info && backup.info.name) || null;
+            preview.requests = summarizeCollectionChanges(null, backup).requestsAdded;
+            preview.restoreChanges = summarizeCollectionChanges(readJsonFile(req.collection.postmanPath), backup);
+        }
+        res.json(preview);
+    } catch (error) {
+        res.status(500).send(`Error previewing backup: ${error.message}`);
+    }
+});
+
+app.delete(['/api/backups/:filename', '/api/collections/:name/backups/:filename'], auth.requireRole('admin'), resolveCollection(), resolveBackup, async (req, res) => {
+    try {
+        const backup = listBackups(req.collection.backupDir).find(item => item.filename === req.params.filename);
+        if (backup && backup.pinned) {
+            return res.status(409).send('Backup is pinned. Unpin it before deleting it.');
+        }
+        if (!await deleteBackup(req.collection.backupDir, req.params.filename)) {
+            return res.status(404).send('Backup file not found');
+        }
+        recordAudit(req.collection, 'backup-delete', getAuditActor(req), { backup: req.params.filename });
+        res.send('Backup deleted successfully');
+    } catch (error) {
+        res.status(500).send(`Error deleting backup: ${error.message}`);
+    }
+});
+
+// Pinned backups are never pruned
+app.put(['/api/backups/:filename/pin', '/api/collections/:name/backups/:filename/pin'], auth.requireRole('editor'), resolveCollection(), resolveBackup, async (req, res) => {
+    try {
+        await setPinned(req.collection.backupDir, req.params.filename, true);
+        recordAudit(req.collection, 'backup-pin', getAuditActor(req), { backup: req.params.filename });
+        res.json({ message: 'Backup pinned successfully', filename: req.params.filename, pinned: true });
+    } catch (error) {
+        res.status(500).send(`Error pinning backup: ${error.message}`);
+    }
+});
+
+app.delete(['/api/backups/:filename/pin', '/api/collections/:name/backups/:filename/pin'], auth.requireRole('editor'), resolveCollection(), resolveBackup, async (req, res) => {
+    try {
+        await setPinned(req.collection.backupDir, req.params.filename, false);
+        recordAudit(req.collection, 'backup-unpin', getAuditActor(req), { backup: req.params.filename });
+        res.json({ message: 'Backup unpinned successfully', filename: req.params.filename, pinned: false });
+    } catch (error) {
+        res.status(500).send(`Error unpinning backup: ${error.message}`);
+    }
+});
+
+// Backups are not kept with git versioning, the history is used instead
+function rejectWithGitHistory(req, res, next) {
+    if (gitHistory) {
+        return res.status(409).send('Backups are replaced by the git history. Use POST /api/history/:sha/revert instead.');
+    }
+    next();
+}
+
+app.post(['/api/restore/:filename', '/api/collections/:name/restore/:filename'], auth.requireRole('admin'), resolveCollection(), rejectWithGitHistory, resolveBackup, async (req, res) => {
+    try {
+        const collection = req.collection;
+        const filename = req.params.filename;
+        
+        // Only restore backups that still parse, so a damaged backup cannot replace the collection
+        const content = fs.readFileSync(req.backupPath, 'utf8');
+        const backup = parseVersion(content);
+        if (backup === null) {
+            return res.status(422).send('Backup file is not valid JSON');
+        }
+        
+        // A Postman backup must pass the same validation as a save before it is written back
+        if (filename.startsWith('postman-') && !checkPostmanCollection(res, backup, collection)) {
+            return;
+        }
+        
+        const actor = getAuditActor(req);
+        
+        // If it's an OpenAPI backup, restore to openapi.json
+        if (filename.startsWith('openapi-')) {
+            const previous = readJsonFile(collection.openapiPath) || {};
+            await withFileLock(collection.openapiPath, () => writeFileAtomic(collection.openapiPath, content));
+            collection.mock = null;
+            validateCollectionSpec(collection);
+            const summary = summarizeSpecDiff(diffOpenAPI(previous, readJsonFile(collection.openapiPath) || {}));
+            recordAudit(collection, 'restore', actor, { backup: filename, summary });
+            events.publish('backup-restored', collection.name, { file: 'openapi.json', backup: filename, actor: actor.actor });
+        }
+        // If it's a Postman backup, restore to postman_collection.json
+        else if (filename.startsWith('postman-')) {
+            const previous = readJsonFile(collection.postmanPath);
+            await withFileLock(collection.postmanPath, () => writeFileAtomic(collection.postmanPath, content));
+            collection.pendingActor = actor;
+            const summary = summarizeCollectionChanges(previous, readJsonFile(collection.postmanPath));
+            recordAudit(collection, 'restore', actor, { backup: filename, summary });
+            events.publish('backup-restored', collection.name, { file: 'postman_collection.json', backup: filename, actor: actor.actor });
+            // Trigger conversion after restoring Postman collection
+            queueConversion(collection, 'restore', actor);
+        }
+        
+        res.send('Backup restored successfully');
+    } catch (error) {
+        res.status(500).send(`Error restoring backup: ${error.message}`);
+    }
+});
 
-const uploadTabContent = `
-<div class="tab-pane fade" id="upload-tab-pane" role="tabpanel" aria-labelledby="upload-tab" tabindex="0">
-    <div class="card mb-3">
-        <div class="card-header">Upload Postman Collection</div>
-        <div class="card-body">
-            <form id="uploadForm" action="/api/upload" method="post" enctype="multipart/form-data">
-                <div class="mb-3">
-                    <label for="collectionFile" class="form-label">Postman Collection JSON File</label>
-                    <input class="form-control" type="file" id="collectionFile" name="collectionFile" accept=".json">
-                    <div class="form-text">Upload a Postman Collection JSON file (max 50MB)</div>
-                </div>
-                <button type="submit" class="btn btn-primary">Upload</button>
-            </form>
-        </div>
-    </div>
-</div>
-`;
+// Git version history of a collection. Only available with VERSIONING=git.
+function requireGitHistory(req, res, next) {
+    if (!gitHistory) {
+        return res.status(404).send('Git versioning is not enabled. Start the server with VERSIONING=git.');
+    }
+    next();
+}
 
-const statusTabContent = `
-<div class="tab-pane fade" id="status-tab-pane" role="tabpanel" aria-labelledby="status-tab" tabindex="0">
-    <div id="status-content">
-        <div class="d-flex justify-content-center">
-            <div class="spinner-border text-primary" role="status">
-                <span class="visually-hidden">Loading...</span>
-            </div>
-        </div>
-    </div>
-</div>
-`;
+// Parse a file read from the history, or null when it did not exist or is not valid JSON
+function parseVersion(content) {
+    try {
+        return content === null ? null : JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+}
 
-// Root route
-app.get('/', (req, res) => {
-    const htmlContent = getBaseHTML(editorTabContent + uploadTabContent + statusTabContent);
-    res.send(htmlContent);
+app.get(['/api/history', '/api/collections/:name/history'], auth.requireRole('editor'), requireGitHistory, resolveCollection(), async (req, res) => {
+    try {
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > 500) {
+            return res.status(400).send('"offset" must be a non-negative integer and "limit" an integer between 1 and 500');
+        }
+        res.json(await gitHistory.log(req.collection.name, { offset, limit }));
+    } catch (error) {
+        res.status(500).send(`Error reading history: ${error.message}`);
+    }
 });
 
-// API endpoints for UI
-app.get('/api/collection', (req, res) => {
+// A single version: the commit, the files it changed and what changed in the collection and
+// the spec compared to the version before. ?format=patch returns the git patch instead.
+app.get(['/api/history/:sha', '/api/collections/:name/history/:sha'], auth.requireRole('editor'), requireGitHistory, resolveCollection(), async (req, res) => {
     try {
-        if (fs.existsSync(POSTMAN_JSON_PATH)) {
-            const data = JSON.parse(fs.readFileSync(POSTMAN_JSON_PATH, 'utf8'));
-            res.json(data);
-        } else {
-            res.status(404).send('Postman collection not found');
+        const name = req.collection.name;
+        const commit = await gitHistory.show(name, req.params.sha);
+        if (!commit) {
+            return res.status(404).send(`Commit "${req.params.sha}" not found`);
+        }
+
+        if (String(req.query.format || '').toLowerCase() === 'patch') {
+            return res.type('text/plain').send(await gitHistory.patch(name, commit.sha));
         }
+
+        const read = async (revision, file) => parseVersion(await gitHistory.readFile(name, revision, file));
+        const [previousCollection, currentCollection, previousSpec, currentSpec] = await Promise.all([
+            read(`${commit.sha}^`, 'postman_collection.json'),
+            read(commit.sha, 'postman_collection.json'),
+            read(`${commit.sha}^`, 'openapi.json'),
+            read(commit.sha, 'openapi.json')
+        ]);
+        res.json({
+            ...commit,
+            collection: summarizeCollectionChanges(previousCollection, currentCollection),
+            spec: summarizeSpecDiff(diffOpenAPI(previousSpec || {}, currentSpec || {}))
+        });
     } catch (error) {
-        res.status(500).send(`Error reading collection: ${error.message}`);
+        res.status(500).send(`Error reading commit: ${error.message}`);
     }
 });
 
-app.post('/api/collection', (req, res) => {
+// Put the collection back the way it was at a commit. This is recorded as a new commit,
+// so the versions in between stay in the history.
+app.post(['/api/history/:sha/revert', '/api/collections/:name/history/:sha/revert'], auth.requireRole('admin'), requireGitHistory, resolveCollection(), async (req, res) => {
     try {
-        // Make a backup of the current file
-        if (fs.existsSync(POSTMAN_JSON_PATH)) {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = path.join(BACKUP_DIR, `postman-${timestamp}.json`);
-            fs.copyFileSync(POSTMAN_JSON_PATH, backupPath);
+        const collection = req.collection;
+        const sha = await gitHistory.resolveCommit(req.params.sha);
+        const content = sha ? await gitHistory.readFile(collection.name, sha, 'postman_collection.json') : null;
+        if (content === null) {
+            return res.status(404).send(`No version of the collection found at commit "${req.params.sha}"`);
         }
-        
-        // Save the new collection
-        fs.writeFileSync(POSTMAN_JSON_PATH, JSON.stringify(req.body, null, 2));
-        res.send('Collection saved successfully');
+
+        const actor = getAuditActor(req);
+        const previous = readJsonFile(collection.postmanPath);
+        await withFileLock(collection.postmanPath, () => writeFileAtomic(collection.postmanPath, content));
+        const summary = summarizeCollectionChanges(previous, parseVersion(content));
+        collection.pendingActor = actor;
+        const commit = await commitCollectionVersion(collection, `Revert collection "${collection.name}" to ${sha.slice(0, 7)}\n\n${describeSummary(summary)}`, actor);
+        recordAudit(collection, 'revert', actor, { revertedTo: sha, summary, commit });
+        events.publish('backup-restored', collection.name, { file: 'postman_collection.json', commit: sha, actor: actor.actor });
+
+        // Regenerate the spec from the reverted collection
+        queueConversion(collection, 'revert', actor);
+        res.json({ message: 'Collection reverted successfully', revertedTo: sha, commit });
     } catch (error) {
-        res.status(500).send(`Error saving collection: ${error.message}`);
+        res.status(500).send(`Error reverting collection: ${error.message}`);
     }
 });
 
-app.post('/api/upload', upload.single('collectionFile'), (req, res) => {
+// Calculate the SHA-256 hash of a string or buffer
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Pick the spec format from the ?format query, falling back to the Accept header.
+// Returns null for a format we cannot serve.
+function getRequestedSpecFormat(req) {
+    const format = String(req.query.format || '').toLowerCase();
+    if (format) {
+        if (format === 'json') return 'json';
+        if (format === 'yaml' || format === 'yml') return 'yaml';
+        return null;
+    }
+
+    const accepted = req.accepts(['application/json', 'application/yaml', 'application/x-yaml', 'text/yaml']);
+    return accepted && accepted !== 'application/json' ? 'yaml' : 'json';
+}
+
+// Serve OpenAPI JSON (or YAML) dynamically
+app.get(['/api/openapi', '/api/collections/:name/openapi'], auth.requireRole('viewer'), resolveCollection(), (req, res) => {
+    if (!fs.existsSync(req.collection.openapiPath)) {
+        return res.status(404).send('OpenAPI JSON not found. Please upload a valid Postman JSON.');
+    }
+
+    const format = getRequestedSpecFormat(req);
+    res.vary('Accept');
+    if (!format) {
+        return res.status(400).send('Unsupported format. Use "json" or "yaml".');
+    }
+    if (format === 'json') {
+        return res.sendFile(req.collection.openapiPath);
+    }
+
     try {
-        res.redirect('/?success=true#upload-tab-pane');
+        const spec = JSON.parse(fs.readFileSync(req.collection.openapiPath, 'utf8'));
+        res.type('application/yaml').send(yaml.dump(spec, { noRefs: true }));
     } catch (error) {
-        res.status(500).send(`Error uploading file: ${error.message}`);
+        res.status(500).send(`Error converting OpenAPI spec to YAML: ${error.message}`);
     }
 });
 
-app.get('/api/backups', (req, res) => {
+// Download the spec in both formats together with the source collection and a manifest
+app.get(['/api/export', '/api/collections/:name/export'], auth.requireRole('editor'), resolveCollection(), async (req, res) => {
+    const collection = req.collection;
     try {
-        const backupFiles = fs.readdirSync(BACKUP_DIR);
-        const backups = backupFiles
-            .filter(file => file.endsWith('.json'))
-            .map(file => {
-                const filePath = path.join(BACKUP_DIR, file);
-                const stats = fs.statSync(filePath);
-                return {
-                    filename: file,
-                    created: stats.mtime,
-                    size: stats.size
-                };
-            })
-            .sort((a, b) => new Date(b.created) - new Date(a.created));
-            
-        res.json(backups);
+        if (!fs.existsSync(collection.openapiPath)) {
+            return res.status(404).send('OpenAPI JSON not found. Please upload a valid Postman JSON.');
+        }
+
+        const specJson = fs.readFileSync(collection.openapiPath, 'utf8');
+        const files = {
+            'openapi.json': specJson,
+            'openapi.yaml': yaml.dump(JSON.parse(specJson), { noRefs: true })
+        };
+        if (fs.existsSync(collection.postmanPath)) {
+            files['postman_collection.json'] = fs.readFileSync(collection.postmanPath, 'utf8');
+        }
+
+        const manifest = {
+            collection: collection.name,
+            convertedAt: collection.lastConvertedAt || fs.statSync(collection.openapiPath).mtime.toISOString(),
+            exportedAt: new Date().toISOString(),
+            files: Object.keys(files).map(name => ({
+                name,
+                size: Buffer.byteLength(files[name]),
+                sha256: sha256(files[name])
+            }))
+        };
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('error', error => {
+            console.error('Error creating export archive:', error.message);
+            res.destroy(error);
+        });
+
+        res.attachment(`${collection.name}-openapi-bundle.zip`);
+        archive.pipe(res);
+        Object.keys(files).forEach(name => archive.append(files[name], { name }));
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+        await archive.finalize();
     } catch (error) {
-        res.status(500).send(`Error getting backups: ${error.message}`);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).send(`Error exporting collection: ${error.message}`);
+        }
     }
 });
 
-app.post('/api/restore/:filename', (req, res) => {
+// Download a static documentation site for the spec: Swagger UI with the spec embedded and
+// no external dependencies, plus the Markdown reference. Zipped by default, or with
+// ?format=html as one HTML page with the Swagger UI assets inlined.
+app.get(['/api/export/site', '/api/collections/:name/export/site'], auth.requireRole('editor'), resolveCollection(), async (req, res) => {
+    const collection = req.collection;
+    const format = req.query.format || 'zip';
+    if (!['zip', 'html'].includes(format)) {
+        return res.status(400).send('Unsupported format. Use "zip" or "html".');
+    }
     try {
-        const filename = req.params.filename;
-        const backupPath = path.join(BACKUP_DIR, filename);
-        
-        if (!fs.existsSync(backupPath)) {
-            return res.status(404).send('Backup file not found');
+        if (!fs.existsSync(collection.openapiPath)) {
+            return res.status(404).send('OpenAPI JSON not found. Please upload a valid Postman JSON.');
         }
-        
-        // If it's an OpenAPI backup, restore to openapi.json
-        if (filename.startsWith('openapi-')) {
-            fs.copyFileSync(backupPath, OPENAPI_JSON_PATH);
+
+        const spec = JSON.parse(fs.readFileSync(collection.openapiPath, 'utf8'));
+        const title = `${(spec.info && spec.info.title) || collection.name} - API documentation`;
+        if (format === 'html') {
+            res.attachment(`${collection.name}-docs.html`);
+            return res.type('html').send(renderSitePage(spec, { title, inline: true }));
         }
-        // If it's a Postman backup, restore to postman_collection.json
-        else if (filename.startsWith('postman-')) {
-            fs.copyFileSync(backupPath, POSTMAN_JSON_PATH);
-            // Trigger conversion after restoring Postman collection
-            convertPostmanToOpenAPI();
+
+        const files = buildStaticSite(spec, { title, reference: generateMarkdownReference(spec) });
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('error', error => {
+            console.error('Error creating site archive:', error.message);
+            res.destroy(error);
+        });
+
+        res.attachment(`${collection.name}-docs-site.zip`);
+        archive.pipe(res);
+        Object.keys(files).forEach(name => archive.append(files[name], { name }));
+        await archive.finalize();
+    } catch (error) {
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).send(`Error exporting documentation site: ${error.message}`);
+        }
+    }
+});
+
+// List the Markdown reference pages written by the last successful conversion
+app.get(['/api/reference', '/api/collections/:name/reference'], auth.requireRole('viewer'), resolveCollection(), (req, res) => {
+    const dir = req.collection.referenceDir;
+    const pages = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => REFERENCE_PAGE_REGEX.test(file)).sort() : [];
+    res.json({
+        pages: pages.map(file => ({
+            name: file,
+            size: fs.statSync(path.join(dir, file)).size,
+            url: collectionApiUrl(req.collection, `reference/${file}`)
+        }))
+    });
+});
+
+// Serve one Markdown reference page
+app.get(['/api/reference/:page', '/api/collections/:name/reference/:page'], auth.requireRole('viewer'), resolveCollection(), (req, res) => {
+    const pagePath = resolveInside(req.collection.referenceDir, req.params.page, REFERENCE_PAGE_REGEX);
+    if (!pagePath || !fs.existsSync(pagePath)) {
+        return res.status(404).send(`Reference page "${req.params.page}" not found`);
+    }
+    res.type('text/markdown').send(fs.readFileSync(pagePath, 'utf8'));
+});
+
+// Read a spec version: "current", the filename of an OpenAPI backup or, with git
+// versioning, a commit sha.
+// Resolves to null when there is no such version.
+async function readSpecVersion(collection, version) {
+    let specPath;
+    if (version === 'current') {
+        specPath = collection.openapiPath;
+    } else if (version.startsWith('openapi-')) {
+        specPath = resolveBackupPath(collection.backupDir, version);
+    } else if (gitHistory) {
+        const sha = await gitHistory.resolveCommit(version);
+        return sha ? parseVersion(await gitHistory.readFile(collection.name, sha, 'openapi.json')) : null;
+    }
+
+    if (!specPath || !fs.existsSync(specPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(specPath, 'utf8'));
+}
+
+// Compare two versions of the spec and report breaking and non-breaking changes
+app.get(['/api/diff', '/api/collections/:name/diff'], auth.requireRole('editor'), resolveCollection(), async (req, res) => {
+    const from = String(req.query.from || '');
+    const to = String(req.query.to || 'current');
+    if (!from) {
+        return res.status(400).send('The "from" query parameter is required');
+    }
+
+    try {
+        const oldSpec = await readSpecVersion(req.collection, from);
+        const newSpec = await readSpecVersion(req.collection, to);
+        if (!oldSpec || !newSpec) {
+            return res.status(404).send(`Spec version "${oldSpec ? to : from}" not found`);
+        }
+
+        const diff = diffOpenAPI(oldSpec, newSpec);
+        const options = { from, to, title: `${req.collection.name} API Changelog` };
+        const format = String(req.query.format || '').toLowerCase()
+            || { 'text/markdown': 'markdown', 'text/html': 'html' }[req.accepts(['application/json', 'text/markdown', 'text/html'])]
+            || 'json';
+
+        res.vary('Accept');
+        if (format === 'markdown' || format === 'md') {
+            res.type('text/markdown').send(diffToMarkdown(diff, options));
+        } else if (format === 'html') {
+            res.type('html').send(diffToHtml(diff, options));
+        } else if (format === 'json') {
+            res.json({ from, to, ...diff });
+        } else {
+            res.status(400).send('Unsupported format. Use "json", "markdown" or "html".');
         }
-        
-        res.send('Backup restored successfully');
     } catch (error) {
-        res.status(500).send(`Error restoring backup: ${error.message}`);
+        res.status(500).send(`Error comparing specs: ${error.message}`);
     }
 });
 
-// Serve OpenAPI JSON dynamically
-app.get('/api/openapi', (req, res) => {
-    if (fs.existsSync(OPENAPI_JSON_PATH)) {
-        res.sendFile(OPENAPI_JSON_PATH);
-    } else {
-        res.status(404).send('OpenAPI JSON not found. Please upload a valid Postman JSON.');
+// Validation results of the most recent conversion
+app.get(['/api/validation', '/api/collections/:name/validation'], auth.requireRole('editor'), resolveCollection(), (req, res) => {
+    if (!req.collection.validation) {
+        return res.status(404).send('No validation results yet. Trigger a conversion first.');
     }
+    res.json(req.collection.validation);
 });
 
 // Add an endpoint to manually trigger the conversion
-app.post('/api/update', async (req, res) => {
-    console.log('Manual update triggered');
-    const success = await convertPostmanToOpenAPI();
-    if (success) {
+app.post(['/api/update', '/api/collections/:name/update'], auth.requireRole('editor'), resolveCollection(), async (req, res) => {
+    console.log(`Manual update triggered for collection "${req.collection.name}"`);
+    const job = await queueConversion(req.collection, 'update', getAuditActor(req), 'update');
+    if (job.status === 'succeeded') {
         res.send('Conversion triggered successfully');
     } else {
         res.status(500).send('Error occurred during conversion. Check server logs.');
     }
 });
 
+// Conversion jobs, newest first, with what triggered them, how long they took, a hash of the
+// converted collection and their result. /api/jobs covers all collections unless one is picked
+// with ?collection=; ?status= and ?trigger= filter further.
+app.get(['/api/jobs', '/api/collections/:name/jobs'], auth.requireRole('editor'), (req, res) => {
+    try {
+        const { status, trigger, offset, limit } = req.query;
+        const collection = req.params.name || req.query.collection;
+        res.json({ queued: conversionQueue.length, ...conversionQueue.query({ collection, status, trigger, offset, limit }) });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).send(`Invalid job query: ${error.message}`);
+        }
+        res.status(500).send(`Error listing jobs: ${error.message}`);
+    }
+});
+
+app.get('/api/jobs/:id', auth.requireRole('editor'), (req, res) => {
+    const job = conversionQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).send(`Job "${req.params.id}" not found`);
+    }
+    res.json(job);
+});
+
+// Audit log of changes, newest first. /api/audit covers all collections unless one is
+// picked with ?collection=; the per-collection route also finds collections that were deleted.
+app.get(['/api/audit', '/api/collections/:name/audit'], auth.requireRole('editor'), (req, res) => {
+    try {
+        const { action, actor, since, until, offset, limit } = req.query;
+        const collection = req.params.name || req.query.collection;
+        res.json(auditLog.query({ collection, action, actor, since, until, offset, limit }));
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).send(`Invalid audit query: ${error.message}`);
+        }
+        res.status(500).send(`Error reading audit log: ${error.message}`);
+    }
+});
+
+// Server-Sent Events about file changes, conversions and restores. /api/events covers all
+// collections unless one is picked with ?collection=.
+app.get(['/api/events', '/api/collections/:name/events'], auth.requireRole('viewer'), (req, res) => {
+    const collection = req.params.name || req.query.collection || null;
+    if (collection && !COLLECTION_NAME_REGEX.test(collection)) {
+        return res.status(400).send('Invalid collection name. Use lowercase letters, digits, "-" and "_".');
+    }
+    events.subscribe(req, res, collection);
+});
+
+// Name of the collection a watched file is imported as, such as "payments" for
+// payments.postman_collection.json, or null when the file name makes no valid name
+function getWatchedCollectionName(file) {
+    const name = file
+        .replace(/\.postman_collection\.json$/, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^[-_]+/, '')
+        .slice(0, 64);
+    return COLLECTION_NAME_REGEX.test(name) ? name : null;
+}
+
+// Status of the files in the watch directory, keyed by file name
+const watchDirFiles = new Map();
+
+// Import a file from the watch directory, keeping its status for the Status tab
+async function importWatchedFile(filePath) {
+    const file = path.basename(filePath);
+    if (!file.endsWith('.postman_collection.json')) {
+        return;
+    }
+
+    const collection = getWatchedCollectionName(file);
+    const status = watchDirFiles.get(file) || { file, collection, lastChangedAt: null };
+    status.lastCheckedAt = new Date().toISOString();
+    try {
+        if (!collection) {
+            throw new Error('The file name does not make a valid collection name');
+        }
+        const changed = await importPostmanCollection(collection, fs.readFileSync(filePath, 'utf8'), WATCH_DIR_ACTOR, { source: file });
+        status.status = changed ? 'imported' : 'unchanged';
+        status.lastError = null;
+        if (changed) {
+            status.lastChangedAt = status.lastCheckedAt;
+        }
+    } catch (error) {
+        status.status = 'error';
+        status.lastError = error.message;
+        console.error(`Error importing ${filePath}:`, error.message);
+    }
+    watchDirFiles.set(file, status);
+}
+
+// Watch a directory for Postman collections. Files present at startup are imported too;
+// removing a file leaves its collection in place. Shared volumes such as NFS do not report
+// changes, so WATCH_DIR_POLLING=true polls them instead. Returns the watcher.
+function watchImportDirectory(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return chokidar.watch(dir, {
+        depth: 0,
+        usePolling: process.env.WATCH_DIR_POLLING === 'true',
+        awaitWriteFinish: {
+            stabilityThreshold: 2000,
+            pollInterval: 100
+        }
+    }).on('add', importWatchedFile)
+        .on('change', importWatchedFile)
+        .on('unlink', filePath => watchDirFiles.delete(path.basename(filePath)));
+}
+
+// Import sources from IMPORT_SOURCES_PATH: raw collection URLs and files in local git
+// checkouts, polled on their own intervals
+const importScheduler = createImportScheduler(loadImportSources(IMPORT_SOURCES_PATH), (source, content, details) => {
+    const actor = { actor: `import:${source.name}`, role: null, via: 'import-source', ip: null };
+    return importPostmanCollection(source.collection, content, actor, details);
+});
+
+// Status of the watch directory and the import sources
+app.get('/api/import-sources', auth.requireRole('editor'), (req, res) => {
+    res.json({
+        watchDir: WATCH_DIR ? { path: WATCH_DIR, files: Array.from(watchDirFiles.values()) } : null,
+        sources: importScheduler.list()
+    });
+});
+
+// Check an import source now instead of waiting for its next poll
+app.post('/api/import-sources/:source/check', auth.requireRole('editor'), async (req, res) => {
+    try {
+        const check = importScheduler.check(req.params.source);
+        if (!check) {
+            return res.status(404).send(`Import source "${req.params.source}" not found`);
+        }
+        res.json(await check);
+    } catch (error) {
+        res.status(500).send(`Error checking import source: ${error.message}`);
+    }
+});
+
+// Get the mock routes of a collection. They are rebuilt after every successful conversion
+// and read from the spec file when the spec was replaced some other way.
+function getCollectionMock(collection) {
+    if (!collection.mock) {
+        collection.mock = createMockRoutes(readJsonFile(collection.openapiPath) || {});
+    }
+    return collection.mock;
+}
+
+// Let frontends on other origins call the mock server, including CORS preflight requests
+function allowMockCors(req, res, next) {
+    res.set('Access-Control-Allow-Origin', '*');
+    if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+        res.set('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, PATCH, HEAD, OPTIONS');
+        res.set('Access-Control-Allow-Headers', req.get('Access-Control-Request-Headers') || '');
+        return res.sendStatus(204);
+    }
+    next();
+}
+
+// Mock server answering with the examples of the collection's spec, or values generated from
+// its schemas. /mock/... serves the default collection, /mocks/:name/... the others. Send
+// "Prefer: code=404" or "Prefer: example=<name>" to pick another response.
+const mockPaths = ['/mock', '/mock/*', `/mocks/:name(${COLLECTION_NAME_PATTERN})`, `/mocks/:name(${COLLECTION_NAME_PATTERN})/*`];
+
+app.all(mockPaths, allowMockCors, auth.requireRole('viewer'), resolveCollection(), (req, res) => {
+    try {
+        const response = createMockResponse(getCollectionMock(req.collection), {
+            method: req.method,
+            path: `/${req.params[0] || ''}`,
+            accepts: types => req.accepts(types),
+            prefer: req.get('Prefer')
+        });
+        res.status(response.status).set(response.headers);
+        if (response.body === undefined) {
+            return res.end();
+        }
+        res.send(response.body);
+    } catch (error) {
+        res.status(500).send(`Error building mock response: ${error.message}`);
+    }
+});
+
+// Check the options of a contract test run. Returns an error message, or null when they are valid.
+function checkContractTestOptions({ baseUrl, headers, methods, timeout }) {
+    if (typeof baseUrl !== 'string' || !/^https?:\/\/[^/]/i.test(baseUrl)) {
+        return '"baseUrl" must be an http or https URL';
+    }
+    if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(value => typeof value !== 'string'))) {
+        return '"headers" must be an object of header names and string values';
+    }
+    if (methods !== undefined && (!Array.isArray(methods) || methods.some(method => typeof method !== 'string'))) {
+        return '"methods" must be an array of HTTP methods';
+    }
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 1 || timeout > 60000)) {
+        return '"timeout" must be a number of milliseconds between 1 and 60000';
+    }
+    return null;
+}
+
+// Contract tests: replay every operation of the collection's spec against a running service,
+// using the spec's examples, and check the responses against it. The report is JSON, or JUnit
+// XML with ?format=junit or an XML Accept header. The mock server works as a target for CI.
+app.post(['/api/contract-test', '/api/collections/:name/contract-test'], auth.requireRole('editor'), resolveCollection(), async (req, res) => {
+    try {
+        const options = req.body || {};
+        const optionsError = checkContractTestOptions(options);
+        if (optionsError) {
+            return res.status(400).send(`Invalid contract test options: ${optionsError}`);
+        }
+        const format = String(req.query.format || '').toLowerCase() || (req.accepts(['json', 'xml']) === 'xml' ? 'junit' : 'json');
+        if (format !== 'json' && format !== 'junit') {
+            return res.status(400).send('Unsupported format. Use format=json or format=junit.');
+        }
+
+        const spec = readJsonFile(req.collection.openapiPath);
+        if (!spec || !spec.paths) {
+            return res.status(404).send('No OpenAPI spec to test yet. Trigger a conversion first.');
+        }
+
+        const report = await runContractTests(spec, {
+            baseUrl: options.baseUrl,
+            headers: options.headers,
+            methods: options.methods ? options.methods.map(method => method.toUpperCase()) : null,
+            timeout: options.timeout
+        });
+
+        res.vary('Accept');
+        if (format === 'junit') {
+            res.type('application/xml').send(toJUnitXml(report, { name: `${req.collection.name} contract tests` }));
+        } else {
+            res.json(report);
+        }
+    } catch (error) {
+        res.status(500).send(`Error running contract tests: ${error.message}`);
+    }
+});
+
+// Check that the OpenAPI file of a collection exists and parses, and that its last conversion succeeded
+function checkCollectionHealth(collection) {
+    const job = conversionQueue.lastFinished(collection.name);
+    const lastConversion = job ? { status: job.status, finishedAt: job.finishedAt, error: job.error } : null;
+    return { ...checkSpecHealth(collection, job), lastConversion };
+}
+
+function checkSpecHealth(collection, job) {
+    if (!fs.existsSync(collection.openapiPath)) {
+        return { status: 'error', code: 503, message: 'OpenAPI file does not exist' };
+    }
+    try {
+        JSON.parse(fs.readFileSync(collection.openapiPath, 'utf8'));
+    } catch (error) {
+        return { status: 'error', code: 500, message: 'OpenAPI file exists but is not valid JSON' };
+    }
+    if (job && job.status === 'failed') {
+        return { status: 'degraded', code: 200, message: `Last conversion failed: ${job.error}` };
+    }
+    if (collection.validation && collection.validation.errors.length > 0) {
+        return { status: 'degraded', code: 200, message: `OpenAPI document has ${collection.validation.errors.length} validation error(s)` };
+    }
+    return { status: 'ok', code: 200, message: 'Service is healthy' };
+}
+
 // Add a health check endpoint
 app.get('/health', (req, res) => {
-    if (fs.existsSync(OPENAPI_JSON_PATH)) {
-        try {
-            const data = JSON.parse(fs.readFileSync(OPENAPI_JSON_PATH, 'utf8'));
-            res.status(200).json({ status: 'ok', message: 'Service is healthy' });
-        } catch (error) {
-            res.status(500).json({ status: 'error', message: 'OpenAPI file exists but is not valid JSON' });
-        }
+    const results = {};
+    let code = 200;
+    collections.forEach((collection, name) => {
+        const { code: collectionCode, ...result } = checkCollectionHealth(collection);
+        results[name] = result;
+        code = Math.max(code, collectionCode);
+    });
+
+    const failing = Object.keys(results).filter(name => results[name].status !== 'ok');
+    if (failing.length === 0) {
+        res.status(code).json({ status: 'ok', message: 'Service is healthy', queuedConversions: conversionQueue.length, collections: results });
     } else {
-        res.status(503).json({ status: 'error', message: 'OpenAPI file does not exist' });
+        const status = failing.some(name => results[name].status === 'error') ? 'error' : 'degraded';
+        const message = failing.map(name => `${name}: ${results[name].message}`).join('; ');
+        res.status(code).json({ status, message, queuedConversions: conversionQueue.length, collections: results });
     }
 });
 
-// Serve Swagger UI
-app.use('/docs', swaggerUi.serve, swaggerUi.setup(null, { 
-    swaggerOptions: { 
-        url: '/api/openapi',
-        displayRequestDuration: true,
-        defaultModelsExpandDepth: -1 // Hide schemas section by default
+// Total size of the files in a directory, 0 when it does not exist
+function getDirectorySize(dir) {
+    if (!fs.existsSync(dir)) {
+        return 0;
     }
-}));
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .reduce((total, entry) => total + fs.statSync(path.join(dir, entry.name)).size, 0);
+}
 
-// Watch for changes in the Postman JSON file
-chokidar.watch(POSTMAN_JSON_PATH, {
-    persistent: true,
-    ignoreInitial: true,
-    awaitWriteFinish: {
-        stabilityThreshold: 2000,
-        pollInterval: 100
+// Prometheus metrics: conversion counts, failures and durations, the queue, the size of each
+// spec and of each backup directory. Like /health, this needs no credentials.
+app.get('/metrics', (req, res) => {
+    try {
+        [lastConversionTimestamp, lastConversionSuccess, specOperations, specPaths, backupDirectorySize].forEach(gauge => gauge.reset());
+        conversionQueueLength.set({}, conversionQueue.length);
+        collections.forEach((collection, name) => {
+            const job = conversionQueue.lastFinished(name);
+            if (job) {
+                lastConversionTimestamp.set({ collection: name }, Date.parse(job.finishedAt) / 1000);
+                lastConversionSuccess.set({ collection: name }, job.status === 'succeeded' ? 1 : 0);
+            }
+            const spec = readJsonFile(collection.openapiPath);
+            if (spec) {
+                specOperations.set({ collection: name }, getOperations(spec).size);
+                specPaths.set({ collection: name }, Object.keys(spec.paths || {}).length);
+            }
+            backupDirectorySize.set({ collection: name }, getDirectorySize(collection.backupDir));
+        });
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    } catch (error) {
+        res.status(500).send(`Error collecting metrics: ${error.message}`);
     }
-}).on('change', () => {
-    debouncedConvert();
 });
 
-// Initial conversion on startup
-if (fs.existsSync(POSTMAN_JSON_PATH)) {
-    convertPostmanToOpenAPI();
-} else {
-    console.warn('Postman JSON file not found at startup. Please place a valid file at:', POSTMAN_JSON_PATH);
-    // Create empty openapi.json to avoid issues
-    fs.writeFileSync(OPENAPI_JSON_PATH, '{}', 'utf8');
+// Build the API URL for a collection resource, keeping the original URLs for the default collection
+function collectionApiUrl(collection, resource) {
+    if (collection.name === DEFAULT_COLLECTION) {
+        return `/api/${resource}`;
+    }
+    return `/api/collections/${collection.name}/${resource}`;
+}
+
+// Script added to the Swagger UI pages: reload the spec that is shown whenever the server
+// regenerates or restores it, and say so in a short notice
+const DOCS_LIVE_RELOAD_SCRIPT = `
+(function () {
+    var source = new EventSource('/api/events');
+    function shownCollection() {
+        var match = /\\/api\\/collections\\/([^/]+)\\/openapi/.exec(window.ui.specSelectors.url() || '');
+        return match ? match[1] : 'default';
+    }
+    function notify(message) {
+        var notice = document.createElement('div');
+        notice.textContent = message;
+        notice.style.cssText = 'position:fixed;top:16px;right:16px;z-index:9999;padding:10px 16px;border-radius:4px;background:#49cc90;color:#fff;font-family:sans-serif;';
+        document.body.appendChild(notice);
+        setTimeout(function () { notice.remove(); }, 4000);
+    }
+    function reload(event) {
+        var data = JSON.parse(event.data);
+        if (!window.ui || data.collection !== shownCollection() || data.file === 'postman_collection.json') {
+            return;
+        }
+        window.ui.specActions.download(window.ui.specSelectors.url());
+        notify('The "' + data.collection + '" spec was updated');
+    }
+    source.addEventListener('conversion-succeeded', reload);
+    source.addEventListener('backup-restored', reload);
+})();
+`;
+
+// Whether a collection's spec gets inferred schemas. An invalid converter.config fails the
+// conversion, so it counts as off here.
+function infersSchemas(collection) {
+    try {
+        return loadConverterConfig(collection.configPath).inferSchemas;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Swagger UI options for a single collection, or for the index with a dropdown of all
+// collections. Inferred schemas are worth browsing, so their section is shown collapsed;
+// without them it is hidden. The index follows the collection it opens first.
+function getDocsOptions(collection) {
+    const swaggerOptions = { displayRequestDuration: true };
+
+    if (collection) {
+        const swaggerUrl = collectionApiUrl(collection, 'openapi');
+        swaggerOptions.defaultModelsExpandDepth = infersSchemas(collection) ? 0 : -1;
+        return { customSiteTitle: `${collection.name} - Swagger UI`, customJsStr: DOCS_LIVE_RELOAD_SCRIPT, swaggerUrl, swaggerOptions: { ...swaggerOptions, url: swaggerUrl } };
+    }
+
+    const sorted = Array.from(collections.values())
+        .sort((a, b) => (a.name === DEFAULT_COLLECTION ? -1 : b.name === DEFAULT_COLLECTION ? 1 : a.name.localeCompare(b.name)));
+    swaggerOptions.defaultModelsExpandDepth = infersSchemas(sorted[0]) ? 0 : -1;
+    swaggerOptions.urls = sorted.map(item => ({ url: collectionApiUrl(item, 'openapi'), name: item.name }));
+    return { explorer: true, customJsStr: DOCS_LIVE_RELOAD_SCRIPT, swaggerUrl: swaggerOptions.urls[0].url, swaggerOptions };
 }
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log(`Web UI available at http://localhost:${PORT}`);
-    console.log(`Swagger UI available at http://localhost:${PORT}/docs`);
-    console.log(`Manual update endpoint at http://localhost:${PORT}/api/update (POST)`);
-    console.log(`Health check endpoint at http://localhost:${PORT}/health`);
-    console.log('Watching Postman JSON file at:', POSTMAN_JSON_PATH);
+// Serve Swagger UI. The init script is generated per request because the set of
+// collections can change while the server is running.
+const docsPath = `/docs/:name(${COLLECTION_NAME_PATTERN})`;
+
+app.get(['/docs/swagger-ui-init.js', `${docsPath}/swagger-ui-init.js`], auth.requireRole('viewer'), (req, res, next) => {
+    const collection = req.params.name ? collections.get(req.params.name) : null;
+    if (req.params.name && !collection) {
+        return res.status(404).send(`Collection "${req.params.name}" not found`);
+    }
+    const [serveInit] = swaggerUi.serveFiles(null, getDocsOptions(collection));
+    serveInit(req, res, next);
+});
+
+app.use(docsPath, auth.requireRole('viewer'), swaggerUi.serve, resolveCollection(), (req, res) => {
+    res.send(swaggerUi.generateHTML(null, getDocsOptions(req.collection)));
+});
+
+app.use('/docs', auth.requireRole('viewer'), swaggerUi.serve, (req, res) => {
+    res.send(swaggerUi.generateHTML(null, getDocsOptions()));
 });
+
+let server = null;
+let watchDirWatcher = null;
+
+// Start the service: register the collections on disk, convert them, start the watchers and
+// import sources and listen on `port`. Requiring this file only sets up the routes, so tests
+// and the CLI decide when this happens. Returns the HTTP server.
+function start({ port = PORT } = {}) {
+    if (!auth.enabled) {
+        console.warn(`No auth config found at ${AUTH_CONFIG_PATH}. The editor and all APIs are open to everyone.`);
+    }
+    fs.mkdirSync(COLLECTIONS_DIR, { recursive: true });
+
+    // Register the default collection and any collections found on disk
+    registerCollection(DEFAULT_COLLECTION);
+    fs.readdirSync(COLLECTIONS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && COLLECTION_NAME_REGEX.test(entry.name) && entry.name !== DEFAULT_COLLECTION)
+        .forEach(entry => registerCollection(entry.name));
+
+    // Initial conversion on startup
+    collections.forEach(collection => {
+        if (fs.existsSync(collection.postmanPath)) {
+            queueConversion(collection, 'startup', STARTUP_ACTOR);
+        } else {
+            console.warn(`Postman JSON file for collection "${collection.name}" not found at startup. Please place a valid file at:`, collection.postmanPath);
+            // Create empty openapi.json to avoid issues
+            writeFileAtomic(collection.openapiPath, '{}');
+        }
+    });
+
+    // Start importing collections from the watch directory and the import sources
+    if (WATCH_DIR) {
+        watchDirWatcher = watchImportDirectory(WATCH_DIR);
+    }
+    importScheduler.start();
+
+    server = app.listen(port, () => {
+        console.log(`Server running at http://localhost:${port}`);
+        console.log(`Web UI available at http://localhost:${port}`);
+        console.log(`Swagger UI available at http://localhost:${port}/docs`);
+        console.log(`Manual update endpoint at http://localhost:${port}/api/update (POST)`);
+        console.log(`Health check endpoint at http://localhost:${port}/health`);
+        console.log(`Mock server at http://localhost:${port}/mock`);
+        if (WATCH_DIR) {
+            console.log(`Importing *.postman_collection.json files dropped into ${WATCH_DIR}`);
+        }
+        importScheduler.list().forEach(source => {
+            console.log(`Importing collection "${source.collection}" from ${source.location} every ${source.interval}s`);
+        });
+        collections.forEach(collection => {
+            console.log(`Watching Postman JSON file for collection "${collection.name}" at:`, collection.postmanPath);
+        });
+    });
+    return server;
+}
+
+// Stop the server, the import sources and the file watchers, including those of collections
+// registered by a save. Conversions that are already queued still finish.
+async function stop() {
+    importScheduler.stop();
+    const closing = [...collections.values()].map(collection => {
+        collection.debouncedConvert.cancel();
+        return collection.watcher.close();
+    });
+    if (watchDirWatcher) {
+        closing.push(watchDirWatcher.close());
+        watchDirWatcher = null;
+    }
+    if (server) {
+        closing.push(new Promise(resolve => server.close(resolve)));
+        server = null;
+    }
+    await Promise.all(closing);
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    app,
+    start,
+    stop
+};
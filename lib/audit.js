@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Summaries list at most this many individual changes; the counts always cover everything
+const MAX_SUMMARY_CHANGES = 50;
+
+// Entries returned by a single query
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Bytes read from the log at a time when looking for entries
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// Get the requests of a Postman collection keyed by their folder path and name
+function getRequests(collection) {
+    const requests = new Map();
+    const walk = (items, folders) => (Array.isArray(items) ? items : []).forEach(item => {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+        const segments = folders.concat(item.name || '(unnamed)');
+        if (Array.isArray(item.item)) {
+            walk(item.item, segments);
+            return;
+        }
+
+        // Requests with the same name in one folder are told apart by their position
+        let key = segments.join(' / ');
+        for (let occurrence = 2; requests.has(key); occurrence++) {
+            key = `${segments.join(' / ')} #${occurrence}`;
+        }
+        const method = item.request && typeof item.request === 'object' ? item.request.method || 'GET' : 'GET';
+        requests.set(key, {
+            method: String(method).toUpperCase(),
+            content: JSON.stringify({ request: item.request, response: item.response, event: item.event })
+        });
+    });
+    walk(collection && collection.item, []);
+    return requests;
+}
+
+// Summarize the structural changes between two versions of a Postman collection:
+// which requests were added, removed or changed. Either version can be null.
+function summarizeCollectionChanges(previous, current) {
+    const before = getRequests(previous);
+    const after = getRequests(current);
+    const changes = [];
+
+    after.forEach((request, key) => {
+        if (!before.has(key)) {
+            changes.push({ action: 'added', request: `${request.method} ${key}` });
+        } else if (before.get(key).content !== request.content) {
+            changes.push({ action: 'changed', request: `${request.method} ${key}` });
+        }
+    });
+    before.forEach((request, key) => {
+        if (!after.has(key)) {
+            changes.push({ action: 'removed', request: `${request.method} ${key}` });
+        }
+    });
+
+    const count = action => changes.filter(change => change.action === action).length;
+    return {
+        requestsAdded: count('added'),
+        requestsRemoved: count('removed'),
+        requestsChanged: count('changed'),
+        changes: changes.slice(0, MAX_SUMMARY_CHANGES)
+    };
+}
+
+// Summarize a diffOpenAPI result for the audit log
+function summarizeSpecDiff(diff) {
+    return {
+        ...diff.summary,
+        changes: diff.changes.slice(0, MAX_SUMMARY_CHANGES).map(change => ({
+            endpoint: change.endpoint,
+            message: `${change.action} ${change.category}: ${change.message}`,
+            breaking: change.breaking
+        }))
+    };
+}
+
+// Check whether an entry matches the query filters
+function matchesFilters(entry, filters) {
+    if (filters.collection && entry.collection !== filters.collection) {
+        return false;
+    }
+    if (filters.action && entry.action !== filters.action) {
+        return false;
+    }
+    if (filters.actor && entry.actor !== filters.actor) {
+        return false;
+    }
+    if (filters.since && entry.timestamp < filters.since) {
+        return false;
+    }
+    if (filters.until && entry.timestamp > filters.until) {
+        return false;
+    }
+    return true;
+}
+
+// Normalize a date filter to an ISO timestamp so entries can be compared as strings
+function parseDateFilter(value, name) {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new RangeError(`"${name}" must be a date or timestamp`);
+    }
+    return date.toISOString();
+}
+
+// Call `visit` with each line of a file, last line first, until it returns false. The file
+// is read backwards in chunks, so only the part up to the last line visited is read.
+function readLinesBackwards(filePath, visit) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return;
+        }
+        throw error;
+    }
+    try {
+        let position = fs.fstatSync(fd).size;
+        let rest = Buffer.alloc(0);
+        while (position > 0) {
+            const size = Math.min(READ_CHUNK_SIZE, position);
+            position -= size;
+            const chunk = Buffer.alloc(size);
+            fs.readSync(fd, chunk, 0, size, position);
+            // Newline bytes never occur inside multi-byte UTF-8 characters, so lines can be
+            // split before they are decoded
+            const buffer = Buffer.concat([chunk, rest]);
+            let end = buffer.length;
+            let newline = end > 0 ? buffer.lastIndexOf(0x0a, end - 1) : -1;
+            while (newline !== -1) {
+                if (visit(buffer.toString('utf8', newline + 1, end)) === false) {
+                    return;
+                }
+                end = newline;
+                newline = end > 0 ? buffer.lastIndexOf(0x0a, end - 1) : -1;
+            }
+            rest = buffer.subarray(0, end);
+        }
+        if (rest.length > 0) {
+            visit(rest.toString('utf8'));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Create an append-only audit log stored as JSON lines in the given file
+function createAuditLog(filePath) {
+    // Add an entry to the log. The id and timestamp are filled in here. The directory is
+    // created with the first entry.
+    function append(entry) {
+        const record = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry };
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+        return record;
+    }
+
+    // Find entries, newest first. Filters: collection, action, actor, since, until,
+    // offset and limit. The log is read from its end and only as far as the requested page
+    // and one more entry, which tells whether there are older ones (`hasMore`).
+    // Throws a RangeError for invalid filter values.
+    function query(filters = {}) {
+        const since = parseDateFilter(filters.since, 'since');
+        const until = parseDateFilter(filters.until, 'until');
+        const offset = filters.offset === undefined ? 0 : Number(filters.offset);
+        const limit = filters.limit === undefined ? DEFAULT_PAGE_SIZE : Number(filters.limit);
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new RangeError('"offset" must be a non-negative integer');
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new RangeError(`"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+
+        const entries = [];
+        readLinesBackwards(filePath, line => {
+            if (!line.trim()) {
+                return true;
+            }
+            try {
+                const entry = JSON.parse(line);
+                if (matchesFilters(entry, { ...filters, since, until })) {
+                    entries.push(entry);
+                }
+            } catch (error) {
+                // A line cut short by a crash should not hide the rest of the log
+            }
+            return entries.length <= offset + limit;
+        });
+
+        return { offset, limit, hasMore: entries.length > offset + limit, entries: entries.slice(offset, offset + limit) };
+    }
+
+    return { append, query };
+}
+
+module.exports = {
+    createAuditLog,
+    summarizeCollectionChanges,
+    summarizeSpecDiff
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const session = require('express-session');
+
+// Roles in increasing order of privilege; each role can do everything the previous ones can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Load the auth config file. Returns null when there is no config, which disables auth.
+function loadAuthConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        return null;
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const users = Array.isArray(config.users) ? config.users : [];
+    const apiKeys = Array.isArray(config.apiKeys) ? config.apiKeys : [];
+
+    users.forEach((user, index) => {
+        if (!user.username || !user.passwordHash || !ROLES.includes(user.role)) {
+            throw new Error(`Auth config: user ${index} needs a username, a passwordHash and one of the roles ${ROLES.join(', ')}`);
+        }
+    });
+    apiKeys.forEach((apiKey, index) => {
+        if (!apiKey.name || !/^[a-f0-9]{64}$/i.test(apiKey.keyHash || '') || !ROLES.includes(apiKey.role)) {
+            throw new Error(`Auth config: API key ${index} needs a name, a SHA-256 keyHash and one of the roles ${ROLES.join(', ')}`);
+        }
+    });
+
+    return { sessionSecret: config.sessionSecret, users, apiKeys };
+}
+
+// Check whether a role grants at least the required role
+function hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Read an API key from the X-API-Key header or an "Authorization: Bearer" header
+function getRequestApiKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) {
+        return header;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Set up authentication for the given config (or null for none). API keys are checked on
+// every request, users log in through a form and are kept in a session.
+function createAuth(config) {
+    const enabled = !!config;
+
+    if (enabled && !config.sessionSecret) {
+        console.warn('Auth config has no sessionSecret, sessions will not survive a restart.');
+    }
+
+    const sessionMiddleware = session({
+        name: 'apimanager.sid',
+        secret: (config && config.sessionSecret) || crypto.randomBytes(32).toString('hex'),
+        resave: false,
+        saveUninitialized: false,
+        cookie: { httpOnly: true, sameSite: 'lax' }
+    });
+
+    // Middleware that sets req.user from an API key or the session
+    function identify(req, res, next) {
+        if (!enabled) {
+            req.user = { name: 'anonymous', role: 'admin', via: 'none' };
+            return next();
+        }
+
+        const key = getRequestApiKey(req);
+        if (key) {
+            const keyHash = crypto.createHash('sha256').update(key).digest();
+            const apiKey = config.apiKeys.find(item => crypto.timingSafeEqual(Buffer.from(item.keyHash, 'hex'), keyHash));
+            if (!apiKey) {
+                return res.status(401).send('Invalid API key');
+            }
+            req.user = { name: apiKey.name, role: apiKey.role, via: 'api-key' };
+            return next();
+        }
+
+        sessionMiddleware(req, res, () => {
+            const username = req.session && req.session.username;
+            const user = username && config.users.find(item => item.username === username);
+            if (user) {
+                req.user = { name: user.username, role: user.role, via: 'session' };
+            }
+            next();
+        });
+    }
+
+    // Middleware factory that only lets users with at least the given role through
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user) {
+                // Send people using the web UI to the login form, API clients get a 401
+                if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+                    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+                }
+                return res.status(401).send('Authentication required');
+            }
+            if (!hasRole(req.user.role, role)) {
+                return res.status(403).send(`Forbidden: this action requires the ${role} role`);
+            }
+            next();
+        };
+    }
+
+    // Check a username and password and start a session. Resolves to the user or null.
+    async function login(req, username, password) {
+        const user = enabled && config.users.find(item => item.username === username);
+        if (!user || !(await bcrypt.compare(String(password || ''), user.passwordHash))) {
+            return null;
+        }
+
+        await new Promise((resolve, reject) => {
+            sessionMiddleware(req, req.res, () => {
+                req.session.regenerate(error => (error ? reject(error) : resolve()));
+            });
+        });
+        req.session.username = user.username;
+        return { name: user.username, role: user.role, via: 'session' };
+    }
+
+    // End the session of the current request, if there is one
+    function logout(req) {
+        return new Promise(resolve => {
+            if (!req.session) {
+                return resolve();
+            }
+            req.session.destroy(() => resolve());
+        });
+    }
+
+    return { enabled, identify, requireRole, login, logout };
+}
+
+module.exports = {
+    ROLES,
+    loadAuthConfig,
+    createAuth,
+    hasRole
+};
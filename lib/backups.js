@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveInside, writeFileAtomic, withFileLock } = require('./safe-storage');
+
+// Backups are named after the file they copy and the time they were made, for example
+// openapi-2024-01-31T09-30-00-000Z.json
+const BACKUP_NAME_REGEX = /^(openapi|postman)-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+const BACKUP_KINDS = ['openapi', 'postman'];
+
+// Names of the pinned backups are kept next to them
+const PINS_FILE = 'pins.json';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Read the retention policy from the environment. keepLast backups of each kind are kept,
+// plus the newest of each day for keepDailyDays days; maxTotalSize (bytes, 0 for none)
+// then caps the size of all unpinned backups of a collection.
+function loadRetentionPolicy(env = process.env) {
+    const read = (name, fallback) => {
+        const value = env[name] === undefined || env[name] === '' ? fallback : Number(env[name]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${name} must be a non-negative integer`);
+        }
+        return value;
+    };
+    return {
+        keepLast: read('BACKUP_KEEP_LAST', 20),
+        keepDailyDays: read('BACKUP_KEEP_DAILY_DAYS', 30),
+        maxTotalSize: read('BACKUP_MAX_SIZE_MB', 0) * 1024 * 1024
+    };
+}
+
+// Check that a name is a backup file name
+function isBackupName(filename) {
+    return BACKUP_NAME_REGEX.test(filename);
+}
+
+// Resolve the path of a backup confined to the backup directory, or null when the name is
+// not a backup name or there is no such backup
+function resolveBackupPath(dir, filename) {
+    const backupPath = resolveInside(dir, filename, BACKUP_NAME_REGEX);
+    return backupPath && fs.existsSync(backupPath) ? backupPath : null;
+}
+
+function readPins(dir) {
+    try {
+        const pins = JSON.parse(fs.readFileSync(path.join(dir, PINS_FILE), 'utf8'));
+        return Array.isArray(pins) ? pins : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Change the pins under the lock of the pins file. `update` gets the current pins and returns
+// the new ones, which are swapped in atomically so pruning never reads a partial file.
+async function updatePins(dir, update) {
+    const pinsPath = path.join(dir, PINS_FILE);
+    await withFileLock(pinsPath, () => {
+        writeFileAtomic(pinsPath, JSON.stringify(update(readPins(dir)).sort(), null, 2));
+    });
+}
+
+// List the backups in a directory, newest first: { filename, kind, created, size, pinned }
+function listBackups(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    const pins = readPins(dir);
+    return fs.readdirSync(dir)
+        .map(filename => ({ filename, match: BACKUP_NAME_REGEX.exec(filename) }))
+        .filter(({ match }) => match)
+        .map(({ filename, match }) => {
+            const [, kind, date, hours, minutes, seconds, milliseconds] = match;
+            return {
+                filename,
+                kind,
+                created: `${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`,
+                size: fs.statSync(path.join(dir, filename)).size,
+                pinned: pins.includes(filename)
+            };
+        })
+        .sort((a, b) => b.created.localeCompare(a.created));
+}
+
+// Get a page of backups, optionally of one kind. Throws a RangeError for invalid values.
+function queryBackups(dir, { kind, offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+    offset = Number(offset);
+    limit = Number(limit);
+    if (kind !== undefined && !BACKUP_KINDS.includes(kind)) {
+        throw new RangeError(`"kind" must be one of ${BACKUP_KINDS.join(', ')}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new RangeError('"offset" must be a non-negative integer');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new RangeError(`"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    const backups = listBackups(dir).filter(backup => !kind || backup.kind === kind);
+    return { total: backups.length, offset, limit, backups: backups.slice(offset, offset + limit) };
+}
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Copy a file to a new backup of the given kind. Returns the backup's file name, or null
+// when the newest backup of that kind already has the same content.
+function createBackup(dir, kind, sourcePath) {
+    fs.mkdirSync(dir, { recursive: true });
+    const latest = listBackups(dir).find(backup => backup.kind === kind);
+    if (latest && hashFile(path.join(dir, latest.filename)) === hashFile(sourcePath)) {
+        return null;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `${kind}-${timestamp}.json`;
+    fs.copyFileSync(sourcePath, path.join(dir, filename));
+    return filename;
+}
+
+// Delete the backups the retention policy does not keep. Pinned backups and the newest
+// backup of each kind are never deleted, so even a policy that keeps nothing leaves one
+// version to restore. Returns the names of the deleted files.
+function pruneBackups(dir, policy, now = new Date()) {
+    const backups = listBackups(dir);
+    const keep = new Set(backups.filter(backup => backup.pinned).map(backup => backup.filename));
+    const newest = new Set(BACKUP_KINDS.map(kind => backups.find(backup => backup.kind === kind)).filter(Boolean).map(backup => backup.filename));
+
+    BACKUP_KINDS.forEach(kind => {
+        const ofKind = backups.filter(backup => backup.kind === kind);
+        ofKind.slice(0, policy.keepLast).forEach(backup => keep.add(backup.filename));
+
+        // The newest backup of each of the last keepDailyDays days
+        const oldestDay = new Date(now.getTime() - policy.keepDailyDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const days = new Set();
+        ofKind.forEach(backup => {
+            const day = backup.created.slice(0, 10);
+            if (policy.keepDailyDays > 0 && day > oldestDay && !days.has(day)) {
+                days.add(day);
+                keep.add(backup.filename);
+            }
+        });
+    });
+
+    // Over the size cap, drop the oldest unpinned backups that would otherwise be kept
+    if (policy.maxTotalSize > 0) {
+        const kept = backups.filter(backup => keep.has(backup.filename) && !backup.pinned);
+        let totalSize = kept.reduce((sum, backup) => sum + backup.size, 0);
+        kept.reverse().forEach(backup => {
+            if (totalSize > policy.maxTotalSize) {
+                keep.delete(backup.filename);
+                totalSize -= backup.size;
+            }
+        });
+    }
+
+    const deleted = backups.filter(backup => !keep.has(backup.filename) && !newest.has(backup.filename)).map(backup => backup.filename);
+    deleted.forEach(filename => fs.unlinkSync(path.join(dir, filename)));
+    return deleted;
+}
+
+// Pin or unpin a backup. Resolves to false when there is no such backup.
+async function setPinned(dir, filename, pinned) {
+    if (!resolveBackupPath(dir, filename)) {
+        return false;
+    }
+    await updatePins(dir, pins => {
+        const others = pins.filter(pin => pin !== filename);
+        return pinned ? others.concat(filename) : others;
+    });
+    return true;
+}
+
+// Delete a backup, including its pin. Resolves to false when there is no such backup.
+async function deleteBackup(dir, filename) {
+    const backupPath = resolveBackupPath(dir, filename);
+    if (!backupPath) {
+        return false;
+    }
+    fs.unlinkSync(backupPath);
+    if (readPins(dir).includes(filename)) {
+        await updatePins(dir, pins => pins.filter(pin => pin !== filename));
+    }
+    return true;
+}
+
+module.exports = {
+    BACKUP_KINDS,
+    loadRetentionPolicy,
+    isBackupName,
+    resolveBackupPath,
+    listBackups,
+    queryBackups,
+    createBackup,
+    pruneBackups,
+    setPinned,
+    deleteBackup
+};
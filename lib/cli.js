@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const yaml = require('js-yaml');
+const { convertCollection } = require('./convert');
+const { loadConverterConfig } = require('./converter-config');
+const { parseEnvironment } = require('./environments');
+const { loadOverlays } = require('./overlay');
+const { validatePostmanCollection } = require('./validate-postman');
+const { validateOpenAPI } = require('./validate-openapi');
+const { diffOpenAPI, diffToMarkdown, diffToHtml } = require('./diff-openapi');
+
+// Exit codes: a check that fails (invalid input, validation errors, breaking changes) is 1,
+// so CI can tell it apart from a mistake in the command line or a missing file, which is 2
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: postman-to-swagger <command> [options]
+
+Commands:
+  convert <collection>      Convert a Postman collection to an OpenAPI spec
+    -o, --output <file>       Write the spec to a file instead of stdout (.yaml or .yml for YAML)
+    --format <json|yaml>      Format of the spec (default: from the output file name, else json)
+    --config <file>           Converter settings, as in converter.config
+    --overlays <dir>          Apply the overlays in this directory, in file name order
+    --environment <file>      Add a server for this Postman environment (can be repeated)
+  validate <file>           Validate a Postman collection or OpenAPI spec (JSON or YAML)
+    --strict                  Also fail on warnings
+    --format <text|json>      Report format (default: text)
+  diff <old> <new>          Compare two specs or collections; collections are converted first
+    --fail-on-breaking        Fail when there are breaking changes
+    --format <markdown|json|html>  Report format (default: markdown)
+  serve                     Start the server with the editor, the docs and the API
+    -p, --port <port>         Port to listen on (default: PORT or 3001)
+
+Exit codes: 0 success, 1 failed check (invalid document, failed conversion, breaking
+changes), 2 usage or input error.
+`;
+
+// Options of each command, in util.parseArgs form
+const COMMAND_OPTIONS = {
+    convert: {
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string' },
+        config: { type: 'string' },
+        overlays: { type: 'string' },
+        environment: { type: 'string', multiple: true }
+    },
+    validate: {
+        strict: { type: 'boolean' },
+        format: { type: 'string' }
+    },
+    diff: {
+        'fail-on-breaking': { type: 'boolean' },
+        format: { type: 'string' }
+    },
+    serve: {
+        port: { type: 'string', short: 'p' }
+    }
+};
+
+// Number of file arguments each command takes
+const COMMAND_ARGUMENTS = { convert: 1, validate: 1, diff: 2, serve: 0 };
+
+// Read a JSON or YAML document. Throws a RangeError when the file is missing or unreadable,
+// which is an input error rather than a failed check.
+function readDocument(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new RangeError(`Cannot read ${filePath}: ${error.message}`);
+    }
+    try {
+        return JSON.parse(content);
+    } catch (jsonError) {
+        try {
+            return yaml.load(content);
+        } catch (yamlError) {
+            throw new RangeError(`${filePath} is neither JSON nor YAML: ${yamlError.message}`);
+        }
+    }
+}
+
+// Postman collections exported through the Postman API are wrapped in { collection }
+function unwrapCollection(document) {
+    return document && typeof document === 'object' && document.collection && document.collection.info ? document.collection : document;
+}
+
+// Tell OpenAPI specs and Postman collections apart
+function isOpenAPIDocument(document) {
+    return Boolean(document) && typeof document === 'object' && (typeof document.openapi === 'string' || typeof document.swagger === 'string');
+}
+
+function checkFormat(format, formats) {
+    if (format !== undefined && !formats.includes(format)) {
+        throw new RangeError(`--format must be one of ${formats.join(', ')}`);
+    }
+}
+
+// Describe validation issues, one per line
+function formatIssues(issues, level) {
+    return issues.map(issue => `  ${level} ${issue.pointer || '/'}: ${issue.message} (${issue.rule})\n`).join('');
+}
+
+// Validate a Postman collection, reporting the issues to stderr. Returns the validation result.
+function checkCollection(collection, variables, filePath, io) {
+    const validation = validatePostmanCollection(collection, { variables });
+    if (validation.errors.length > 0 || validation.warnings.length > 0) {
+        io.stderr.write(`${filePath}:\n${formatIssues(validation.errors, 'error')}${formatIssues(validation.warnings, 'warning')}`);
+    }
+    return validation;
+}
+
+// Convert a Postman collection file with the given settings. Returns { spec, validation }
+// where validation is that of the collection; spec is null when the collection has errors.
+// `document` is the content of the file, when it has been read already.
+async function convertFile(filePath, options, io, document = readDocument(filePath)) {
+    const collection = unwrapCollection(document);
+    const environments = (options.environment || []).map(file => {
+        try {
+            return parseEnvironment(readDocument(file));
+        } catch (error) {
+            throw new RangeError(`Invalid environment ${file}: ${error.message}`);
+        }
+    });
+    const variables = [].concat(...environments.map(environment => environment.values.map(value => value.key)));
+    const validation = checkCollection(collection, variables, filePath, io);
+    if (!validation.valid) {
+        return { spec: null, validation };
+    }
+
+    let config;
+    let overlays;
+    try {
+        config = options.config ? loadConverterConfig(options.config) : {};
+        overlays = options.overlays ? loadOverlays(options.overlays) : [];
+    } catch (error) {
+        throw new RangeError(error.message);
+    }
+    const { spec, warnings } = await convertCollection(collection, { config, environments, overlays });
+    warnings.forEach(warning => io.stderr.write(`warning: ${warning}\n`));
+    return { spec, validation };
+}
+
+async function runConvert([collectionPath], options, io) {
+    const format = options.format || (options.output && /\.ya?ml$/i.test(options.output) ? 'yaml' : 'json');
+    checkFormat(format, ['json', 'yaml']);
+
+    const { spec } = await convertFile(collectionPath, options, io);
+    if (!spec) {
+        io.stderr.write(`${collectionPath} is not a valid Postman collection, nothing was converted\n`);
+        return EXIT_FAILED;
+    }
+
+    const content = format === 'yaml' ? yaml.dump(spec, { noRefs: true }) : `${JSON.stringify(spec, null, 2)}\n`;
+    if (options.output) {
+        fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+        fs.writeFileSync(options.output, content);
+        io.stderr.write(`Wrote ${options.output}\n`);
+    } else {
+        io.stdout.write(content);
+    }
+    return EXIT_OK;
+}
+
+async function runValidate([filePath], options, io) {
+    checkFormat(options.format, ['text', 'json']);
+    const document = unwrapCollection(readDocument(filePath));
+    const type = isOpenAPIDocument(document) ? 'openapi' : 'postman';
+    const validation = type === 'openapi' ? validateOpenAPI(document) : validatePostmanCollection(document);
+    const failed = validation.errors.length > 0 || (options.strict && validation.warnings.length > 0);
+
+    if (options.format === 'json') {
+        io.stdout.write(`${JSON.stringify({ file: filePath, type, ...validation }, null, 2)}\n`);
+    } else {
+        const kind = type === 'openapi' ? `OpenAPI ${validation.version || 'document'}` : `Postman collection ${validation.version || ''}`.trim();
+        io.stdout.write(`${filePath}: ${kind}, ${validation.errors.length} error(s), ${validation.warnings.length} warning(s)\n`);
+        io.stdout.write(formatIssues(validation.errors, 'error') + formatIssues(validation.warnings, 'warning'));
+    }
+    return failed ? EXIT_FAILED : EXIT_OK;
+}
+
+// Read a spec for a diff, converting it first when it is a Postman collection
+async function readSpec(filePath, io) {
+    const document = readDocument(filePath);
+    if (isOpenAPIDocument(document)) {
+        return document;
+    }
+    const { spec } = await convertFile(filePath, {}, io, document);
+    if (!spec) {
+        throw new RangeError(`${filePath} is neither an OpenAPI spec nor a valid Postman collection`);
+    }
+    return spec;
+}
+
+async function runDiff([oldPath, newPath], options, io) {
+    const format = options.format || 'markdown';
+    checkFormat(format, ['markdown', 'json', 'html']);
+
+    const diff = diffOpenAPI(await readSpec(oldPath, io), await readSpec(newPath, io));
+    const labels = { from: oldPath, to: newPath };
+    if (format === 'json') {
+        io.stdout.write(`${JSON.stringify(diff, null, 2)}\n`);
+    } else {
+        io.stdout.write(format === 'html' ? diffToHtml(diff, labels) : diffToMarkdown(diff, labels));
+    }
+
+    if (options['fail-on-breaking'] && diff.summary.breaking > 0) {
+        io.stderr.write(`${diff.summary.breaking} breaking change(s) from ${oldPath} to ${newPath}\n`);
+        return EXIT_FAILED;
+    }
+    return EXIT_OK;
+}
+
+// Start the server. It keeps the process running, so nothing is returned.
+function runServe(args, options) {
+    if (options.port !== undefined && (!/^\d+$/.test(options.port) || Number(options.port) < 1 || Number(options.port) > 65535)) {
+        throw new RangeError('--port must be a number from 1 to 65535');
+    }
+    require('../index').start(options.port === undefined ? {} : { port: Number(options.port) });
+    return null;
+}
+
+const COMMANDS = { convert: runConvert, validate: runValidate, diff: runDiff, serve: runServe };
+
+// Run the CLI with the arguments after the program name. Resolves to the exit code, or to
+// null for `serve`, which keeps running. Output goes to io.stdout and io.stderr.
+async function runCli(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const [command, ...rest] = argv;
+    if (!command || command === 'help' || command === '--help' || command === '-h') {
+        (command ? io.stdout : io.stderr).write(USAGE);
+        return command ? EXIT_OK : EXIT_USAGE;
+    }
+    if (!COMMANDS[command]) {
+        io.stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        const { values, positionals } = parseArgs({ args: rest, options: COMMAND_OPTIONS[command], allowPositionals: true });
+        if (positionals.length !== COMMAND_ARGUMENTS[command]) {
+            throw new RangeError(`${command} takes ${COMMAND_ARGUMENTS[command] || 'no'} file argument(s)`);
+        }
+        return await COMMANDS[command](positionals, values, io);
+    } catch (error) {
+        // parseArgs reports unknown and malformed options with ERR_PARSE_ARGS_* codes
+        if (error instanceof RangeError || String(error.code).startsWith('ERR_PARSE_ARGS_')) {
+            io.stderr.write(`${error.message}\n\nRun "postman-to-swagger help" for usage.\n`);
+            return EXIT_USAGE;
+        }
+        io.stderr.write(`Error: ${error.message}\n`);
+        return EXIT_FAILED;
+    }
+}
+
+module.exports = {
+    runCli
+};
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { toPostmanUrl } = require('./importers');
+
+// Fields of an item that PATCH can change. Folders have no request or saved examples.
+const ITEM_FIELDS = ['name', 'description', 'request', 'response'];
+const FOLDER_FIELDS = ['name', 'description'];
+
+// Fields of a request that PATCH can change; each one replaces the current value
+const REQUEST_FIELDS = ['method', 'url', 'header', 'body', 'auth', 'description'];
+
+// Folders have an `item` array, everything else is a request
+function isFolder(item) {
+    return Array.isArray(item.item);
+}
+
+// Walk the items of a collection depth first, calling fn(item, siblings, index, parent)
+function walkItems(items, fn, parent = null) {
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+        fn(item, items, index, parent);
+        if (isFolder(item)) {
+            walkItems(item.item, fn, item);
+        }
+    });
+}
+
+// A UUID-shaped id derived from the position of an item, e.g. "0/2" for the third item of
+// the first folder
+function positionId(position) {
+    const hash = crypto.createHash('sha256').update(`item:${position}`).digest('hex');
+    return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+}
+
+// Give every item without an id, or with an id used before, a new one so items can be
+// addressed by id. The new id follows from the item's position, so a collection gets the
+// same ids each time until they are saved. Returns the number of ids assigned.
+function ensureItemIds(collection) {
+    const seen = new Set();
+    let assigned = 0;
+    const assign = (items, prefix) => {
+        (Array.isArray(items) ? items : []).forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                return;
+            }
+            const position = `${prefix}${index}`;
+            if (typeof item.id !== 'string' || !item.id || seen.has(item.id)) {
+                item.id = positionId(position);
+                assigned++;
+            }
+            seen.add(item.id);
+            if (isFolder(item)) {
+                assign(item.item, `${position}/`);
+            }
+        });
+    };
+    assign(collection.item, '');
+    return assigned;
+}
+
+// Get the raw URL of a request, whether it is a string or a URL object
+function getRawUrl(request) {
+    const url = request && typeof request === 'object' ? request.url : request;
+    if (!url) {
+        return '';
+    }
+    return typeof url === 'string' ? url : url.raw || '';
+}
+
+// Describe the items of a collection as a tree for the editor:
+// { id, name, type, method, url, examples } for requests, { id, name, type, items } for folders
+function listItems(collection) {
+    const describe = items => (Array.isArray(items) ? items : []).filter(item => item && typeof item === 'object').map(item => {
+        if (isFolder(item)) {
+            return { id: item.id, name: item.name || '', type: 'folder', items: describe(item.item) };
+        }
+        const request = item.request && typeof item.request === 'object' ? item.request : {};
+        return {
+            id: item.id,
+            name: item.name || '',
+            type: 'request',
+            method: (request.method || 'GET').toUpperCase(),
+            url: getRawUrl(item.request),
+            examples: Array.isArray(item.response) ? item.response.length : 0
+        };
+    });
+    return describe(collection.item);
+}
+
+// Find an item by id. Returns { item, siblings, index, parent } or null.
+function findItem(collection, id) {
+    let found = null;
+    walkItems(collection.item, (item, siblings, index, parent) => {
+        if (!found && item.id === id) {
+            found = { item, siblings, index, parent };
+        }
+    });
+    return found;
+}
+
+// Get the item list of a folder, or of the collection when parentId is empty.
+// Throws a RangeError when there is no such folder.
+function getChildren(collection, parentId) {
+    if (!parentId) {
+        if (!Array.isArray(collection.item)) {
+            collection.item = [];
+        }
+        return collection.item;
+    }
+    const parent = findItem(collection, parentId);
+    if (!parent || !isFolder(parent.item)) {
+        throw new RangeError(`Folder "${parentId}" not found`);
+    }
+    return parent.item.item;
+}
+
+// Check that an insert position is an integer within a list of `length` items,
+// defaulting to its end
+function toInsertIndex(length, index) {
+    if (index === undefined || index === null) {
+        return length;
+    }
+    if (!Number.isInteger(index) || index < 0 || index > length) {
+        throw new RangeError(`index must be an integer from 0 to ${length}`);
+    }
+    return index;
+}
+
+// A changed URL string replaces the request's URL object, keeping the descriptions of the
+// path variables and query parameters that are still there
+function mergeUrl(previous, raw) {
+    if (typeof raw !== 'string' || !previous || typeof previous !== 'object') {
+        return raw;
+    }
+    if (raw === previous.raw) {
+        return previous;
+    }
+    const url = toPostmanUrl(raw);
+    const queryDescriptions = new Map((previous.query || []).filter(param => param && param.description).map(param => [param.key, param.description]));
+    (url.query || []).forEach(param => {
+        if (queryDescriptions.has(param.key)) {
+            param.description = queryDescriptions.get(param.key);
+        }
+    });
+    const variables = (previous.variable || []).filter(variable => variable && url.path.includes(`:${variable.key}`));
+    if (variables.length > 0) {
+        url.variable = variables;
+    }
+    return url;
+}
+
+// Apply changes to an item: each given field replaces the current one, request fields are
+// replaced one by one and null removes a field. Throws a RangeError for fields that cannot be changed.
+// Returns the item, or null when there is no such item.
+function updateItem(collection, id, changes) {
+    const found = findItem(collection, id);
+    if (!found) {
+        return null;
+    }
+    const { item } = found;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new RangeError('Changes must be an object');
+    }
+    const allowed = isFolder(item) ? FOLDER_FIELDS : ITEM_FIELDS;
+    const unknown = Object.keys(changes).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new RangeError(`Cannot change ${unknown.join(', ')} of ${isFolder(item) ? 'a folder' : 'a request'}`);
+    }
+    if ('name' in changes && (typeof changes.name !== 'string' || !changes.name.trim())) {
+        throw new RangeError('name must be a non-empty string');
+    }
+    if ('response' in changes && !Array.isArray(changes.response)) {
+        throw new RangeError('response must be an array of saved examples');
+    }
+
+    Object.keys(changes).forEach(key => {
+        if (key !== 'request') {
+            item[key] = changes[key];
+            if (item[key] === null) {
+                delete item[key];
+            }
+            return;
+        }
+        const request = changes.request;
+        if (!request || typeof request !== 'object' || Array.isArray(request)) {
+            throw new RangeError('request must be an object');
+        }
+        const unknownFields = Object.keys(request).filter(field => !REQUEST_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            throw new RangeError(`Cannot change ${unknownFields.join(', ')} of a request`);
+        }
+        const current = item.request && typeof item.request === 'object' ? item.request : { url: item.request };
+        item.request = { ...current };
+        REQUEST_FIELDS.filter(field => field in request).forEach(field => {
+            item.request[field] = field === 'url' ? mergeUrl(current.url, request.url) : request[field];
+            if (item.request[field] === null) {
+                delete item.request[field];
+            }
+        });
+    });
+    return item;
+}
+
+// Add an item to a folder, or to the collection without parentId, at `index` or at the end.
+// The item and everything in it gets new ids. Returns the added item.
+function addItem(collection, { parentId, index, item }) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new RangeError('item must be a request or folder object');
+    }
+    if (typeof item.name !== 'string' || !item.name.trim()) {
+        throw new RangeError('item.name must be a non-empty string');
+    }
+    const children = getChildren(collection, parentId);
+    const added = JSON.parse(JSON.stringify(item));
+    added.id = crypto.randomUUID();
+    walkItems(added.item, child => {
+        child.id = crypto.randomUUID();
+    });
+    children.splice(toInsertIndex(children.length, index), 0, added);
+    return added;
+}
+
+// Copy an item, with new ids, right after the original. Returns the copy or null when
+// there is no such item.
+function duplicateItem(collection, id) {
+    const found = findItem(collection, id);
+    if (!found) {
+        return null;
+    }
+    const copy = JSON.parse(JSON.stringify(found.item));
+    copy.id = crypto.randomUUID();
+    copy.name = `${found.item.name || ''} (copy)`.trim();
+    walkItems(copy.item, child => {
+        child.id = crypto.randomUUID();
+    });
+    found.siblings.splice(found.index + 1, 0, copy);
+    return copy;
+}
+
+// Move an item into a folder, or to the top level without parentId, at `index` or at the
+// end. The index is the position in the list after the item has been taken out.
+// Returns the item, or null when there is no such item.
+function moveItem(collection, id, { parentId, index } = {}) {
+    const found = findItem(collection, id);
+    if (!found) {
+        return null;
+    }
+    if (parentId && (parentId === id || findItem({ item: found.item.item }, parentId))) {
+        throw new RangeError('A folder cannot be moved into itself');
+    }
+    const children = getChildren(collection, parentId);
+    const position = toInsertIndex(children === found.siblings ? children.length - 1 : children.length, index);
+    found.siblings.splice(found.index, 1);
+    children.splice(position, 0, found.item);
+    return found.item;
+}
+
+// Remove an item and everything in it. Returns the removed item or null when there is no such item.
+function removeItem(collection, id) {
+    const found = findItem(collection, id);
+    if (!found) {
+        return null;
+    }
+    found.siblings.splice(found.index, 1);
+    return found.item;
+}
+
+module.exports = {
+    ensureItemIds,
+    listItems,
+    findItem,
+    updateItem,
+    addItem,
+    duplicateItem,
+    moveItem,
+    removeItem
+};
@@ -0,0 +1,319 @@
+const Ajv04 = require('ajv-draft-04');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { HTTP_METHODS, dereference } = require('./openapi-common');
+const { generateFromSchema } = require('./mock-server');
+
+// OpenAPI ignores header parameters with these names, they are described elsewhere
+const IGNORED_HEADER_PARAMETERS = ['accept', 'content-type', 'authorization'];
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Create the schema validators for a spec. OpenAPI 3.0 schemas follow draft-04 with a few
+// extensions, 3.1 schemas are JSON Schema 2020-12. Headers are strings on the wire, so
+// their validator coerces them to the schema's type.
+function createValidators(spec) {
+    const is31 = String(spec.openapi).startsWith('3.1');
+    const create = options => {
+        const ajv = is31
+            ? new Ajv2020({ allErrors: true, strict: false, logger: false, ...options })
+            : new Ajv04({ allErrors: true, strict: false, logger: false, ...options });
+        addFormats(ajv);
+        return ajv;
+    };
+    return {
+        is31,
+        body: { ajv: create({}), compiled: new WeakMap() },
+        header: { ajv: create({ coerceTypes: true }), compiled: new WeakMap() }
+    };
+}
+
+// Turn an OpenAPI 3.0 schema into plain JSON schema: "nullable" becomes a null type
+function toJsonSchema(node) {
+    if (Array.isArray(node)) {
+        return node.map(toJsonSchema);
+    }
+    if (!node || typeof node !== 'object') {
+        return node;
+    }
+
+    const schema = {};
+    Object.keys(node).forEach(key => {
+        schema[key] = toJsonSchema(node[key]);
+    });
+    if (schema.nullable === true) {
+        if (typeof schema.type === 'string') {
+            schema.type = [schema.type, 'null'];
+        }
+        if (Array.isArray(schema.enum) && !schema.enum.includes(null)) {
+            schema.enum = schema.enum.concat(null);
+        }
+    }
+    delete schema.nullable;
+    return schema;
+}
+
+// Compile a body or header schema of the spec, once per schema. Local $refs such as
+// "#/components/schemas/Pet" resolve because the spec's components are carried along at
+// the root of the compiled schema. Header values are wrapped in an object so they can be coerced.
+function compileSchema(spec, validators, kind, schema) {
+    const { ajv, compiled } = validators[kind];
+    if (!compiled.has(schema)) {
+        if (!validators.components) {
+            validators.components = validators.is31 ? spec.components || {} : toJsonSchema(spec.components || {});
+        }
+        const converted = validators.is31 ? schema : toJsonSchema(schema);
+        compiled.set(schema, ajv.compile({
+            allOf: [kind === 'header' ? { type: 'object', properties: { value: converted } } : converted],
+            components: validators.components
+        }));
+    }
+    return compiled.get(schema);
+}
+
+// Get the example value of a parameter or media type, or generate one from its schema
+function getExampleValue(spec, node) {
+    if (node.example !== undefined) {
+        return node.example;
+    }
+    const examples = node.examples || {};
+    const first = Object.keys(examples)[0];
+    if (first) {
+        return (dereference(spec, examples[first]) || {}).value;
+    }
+    return generateFromSchema(spec, node.schema);
+}
+
+// Build the request for an operation from its examples
+function buildRequest(spec, baseUrl, pathKey, method, pathItem, operation, extraHeaders) {
+    let urlPath = pathKey;
+    const query = new URLSearchParams();
+    const headers = {};
+
+    // Operation parameters override path-level parameters with the same name and location
+    const parameters = new Map();
+    (pathItem.parameters || []).concat(operation.parameters || []).forEach(item => {
+        const param = dereference(spec, item);
+        if (param && param.name) {
+            parameters.set(`${param.in}:${param.name}`, param);
+        }
+    });
+
+    parameters.forEach(param => {
+        const value = getExampleValue(spec, param);
+        const hasValue = value !== null && value !== undefined;
+        if (param.in === 'path') {
+            urlPath = urlPath.split(`{${param.name}}`).join(encodeURIComponent(String(hasValue ? value : '1')));
+        } else if (param.in === 'query' && hasValue && (param.required || param.example !== undefined || param.examples)) {
+            [].concat(value).forEach(item => query.append(param.name, typeof item === 'object' ? JSON.stringify(item) : String(item)));
+        } else if (param.in === 'header' && hasValue && !IGNORED_HEADER_PARAMETERS.includes(param.name.toLowerCase())) {
+            headers[param.name] = String(value);
+        }
+    });
+
+    let body;
+    const requestBody = dereference(spec, operation.requestBody);
+    const mediaTypes = Object.keys((requestBody && requestBody.content) || {});
+    if (mediaTypes.length > 0) {
+        const mediaType = mediaTypes.find(type => /json/.test(type)) || mediaTypes[0];
+        const value = getExampleValue(spec, requestBody.content[mediaType] || {});
+        if (value !== null && value !== undefined) {
+            body = typeof value === 'string' ? value : JSON.stringify(value);
+            headers['Content-Type'] = mediaType === '*/*' ? 'application/json' : mediaType;
+        }
+    }
+
+    const queryString = query.toString();
+    return {
+        method: method.toUpperCase(),
+        url: `${baseUrl.replace(/\/+$/, '')}${urlPath}${queryString ? `?${queryString}` : ''}`,
+        headers: { Accept: 'application/json, */*', ...headers, ...extraHeaders },
+        body
+    };
+}
+
+// Find the documented response for a status code: exact, then "4XX" style, then "default"
+function findResponse(operation, status) {
+    const responses = operation.responses || {};
+    const key = [String(status), `${String(status)[0]}XX`, `${String(status)[0]}xx`, 'default'].find(code => responses[code]);
+    return key ? responses[key] : null;
+}
+
+// Check whether a content type matches a documented media type such as "application/*"
+function mediaTypeMatches(contentType, mediaType) {
+    const [type, subtype] = contentType.split('/');
+    const [expectedType, expectedSubtype] = mediaType.toLowerCase().split(';')[0].trim().split('/');
+    return (expectedType === '*' || expectedType === type) && (expectedSubtype === '*' || expectedSubtype === subtype);
+}
+
+// Format Ajv errors as readable messages
+function formatSchemaErrors(errors, prefix) {
+    return errors
+        .filter(error => !['allOf', 'anyOf', 'oneOf', 'if'].includes(error.keyword))
+        .map(error => `${prefix}${error.instancePath || ''} ${error.message}`);
+}
+
+// Check a response against the documented responses of an operation. Returns a list of
+// { check, message } failures.
+function checkResponse(spec, validators, operation, status, responseHeaders, text) {
+    const failures = [];
+    const response = dereference(spec, findResponse(operation, status));
+    if (!response) {
+        const documented = Object.keys(operation.responses || {}).join(', ') || 'none';
+        failures.push({ check: 'status', message: `Status ${status} is not documented (documented: ${documented})` });
+        return failures;
+    }
+
+    Object.keys(response.headers || {}).forEach(name => {
+        const header = dereference(spec, response.headers[name]) || {};
+        const value = responseHeaders.get(name);
+        if (value === null) {
+            if (header.required) {
+                failures.push({ check: 'header', message: `Required header "${name}" is missing` });
+            }
+            return;
+        }
+        if (header.schema) {
+            const validate = compileSchema(spec, validators, 'header', header.schema);
+            if (!validate({ value })) {
+                const errors = validate.errors.map(error => ({ ...error, instancePath: error.instancePath.replace(/^\/value/, '') }));
+                formatSchemaErrors(errors, `Header "${name}"`).forEach(message => failures.push({ check: 'header', message }));
+            }
+        }
+    });
+
+    const mediaTypes = Object.keys(response.content || {});
+    if (mediaTypes.length === 0 || !text) {
+        return failures;
+    }
+
+    const contentType = (responseHeaders.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const mediaType = mediaTypes.find(type => mediaTypeMatches(contentType, type));
+    if (!mediaType) {
+        failures.push({ check: 'content-type', message: `Content type "${contentType || 'none'}" is not documented (documented: ${mediaTypes.join(', ')})` });
+        return failures;
+    }
+
+    // Bodies are only checked against the schema when they are JSON
+    const schema = (response.content[mediaType] || {}).schema;
+    if (schema && /[/+]json$/.test(contentType)) {
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            failures.push({ check: 'body', message: `Body is not valid JSON: ${error.message}` });
+            return failures;
+        }
+        const validate = compileSchema(spec, validators, 'body', schema);
+        if (!validate(body)) {
+            formatSchemaErrors(validate.errors, 'Body').forEach(message => failures.push({ check: 'body', message }));
+        }
+    }
+    return failures;
+}
+
+// Replay every operation of a spec against a running service, using the examples of the
+// spec for parameters and bodies, and check the responses against the spec. Operations run
+// one after the other. Options: baseUrl, headers sent with every request (such as auth),
+// methods to limit the run to, and the timeout per request in milliseconds.
+async function runContractTests(spec, { baseUrl, headers = {}, methods = null, timeout = DEFAULT_TIMEOUT }) {
+    const validators = createValidators(spec);
+    const startedAt = new Date();
+    const results = [];
+
+    const paths = spec && spec.paths && typeof spec.paths === 'object' ? spec.paths : {};
+    for (const pathKey of Object.keys(paths)) {
+        const pathItem = dereference(spec, paths[pathKey]) || {};
+        const pathMethods = HTTP_METHODS
+            .filter(method => pathItem[method])
+            .filter(method => !methods || methods.includes(method.toUpperCase()));
+
+        for (const method of pathMethods) {
+            const operation = pathItem[method];
+            const request = buildRequest(spec, baseUrl, pathKey, method, pathItem, operation, headers);
+            const result = {
+                operation: `${method.toUpperCase()} ${pathKey}`,
+                operationId: operation.operationId || null,
+                tag: (operation.tags || [])[0] || null,
+                url: request.url,
+                status: null,
+                duration: 0,
+                passed: false,
+                failures: []
+            };
+
+            const started = Date.now();
+            try {
+                const response = await fetch(request.url, {
+                    method: request.method,
+                    headers: request.headers,
+                    body: request.body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(timeout)
+                });
+                const text = request.method === 'HEAD' ? '' : await response.text();
+                result.status = response.status;
+                result.failures = checkResponse(spec, validators, operation, response.status, response.headers, text);
+            } catch (error) {
+                const message = error.name === 'TimeoutError' ? `No response within ${timeout} ms` : (error.cause && error.cause.message) || error.message;
+                result.failures.push({ check: 'request', message: `Request failed: ${message}` });
+            }
+            result.duration = Date.now() - started;
+            result.passed = result.failures.length === 0;
+            results.push(result);
+        }
+    }
+
+    const passed = results.filter(result => result.passed).length;
+    return {
+        baseUrl,
+        startedAt: startedAt.toISOString(),
+        duration: Date.now() - startedAt.getTime(),
+        summary: { total: results.length, passed, failed: results.length - passed },
+        results
+    };
+}
+
+// Escape text for use in XML content and attributes
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Render a contract test report as JUnit XML, one test case per operation
+function toJUnitXml(report, { name = 'Contract tests' } = {}) {
+    const seconds = ms => (ms / 1000).toFixed(3);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(name)}" tests="${report.summary.total}" failures="${report.summary.failed}" time="${seconds(report.duration)}">`,
+        `  <testsuite name="${escapeXml(name)}" tests="${report.summary.total}" failures="${report.summary.failed}" errors="0" skipped="0" timestamp="${report.startedAt}" time="${seconds(report.duration)}">`,
+        `    <properties><property name="baseUrl" value="${escapeXml(report.baseUrl)}"/></properties>`
+    ];
+    report.results.forEach(result => {
+        const testcase = `    <testcase classname="${escapeXml(result.tag || 'contract')}" name="${escapeXml(result.operation)}" time="${seconds(result.duration)}"`;
+        if (result.passed) {
+            lines.push(`${testcase}/>`);
+            return;
+        }
+        lines.push(`${testcase}>`);
+        lines.push(`      <failure message="${escapeXml(result.failures[0].message)}" type="${escapeXml(result.failures[0].check)}">${escapeXml(
+            [`${result.operation} -> ${result.url} (status ${result.status === null ? 'none' : result.status})`]
+                .concat(result.failures.map(failure => `[${failure.check}] ${failure.message}`))
+                .join('\n')
+        )}</failure>`);
+        lines.push('    </testcase>');
+    });
+    lines.push('  </testsuite>', '</testsuites>', '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    runContractTests,
+    toJUnitXml,
+    buildRequest,
+    getExampleValue
+};
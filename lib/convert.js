@@ -0,0 +1,49 @@
+const postmanToOpenAPI = require('@readme/postman-to-openapi');
+const yaml = require('js-yaml');
+const { DEFAULT_CONVERTER_CONFIG, toConverterOptions, applyTagMapping } = require('./converter-config');
+const { getBaseUrlTemplate, buildEnvironmentServers } = require('./environments');
+const { validateOverlay, applyOverlay } = require('./overlay');
+const { inferSpecSchemas } = require('./schema-inference');
+
+// Convert a parsed Postman collection to an OpenAPI spec and post-process it:
+// - `config` holds the converter settings of a converter.config, defaults filled in
+// - `environments` become the spec's servers when the collection has a {{variable}} base URL
+// - `overlays` ({ name, overlay }) are applied in order; an invalid one throws
+// Nothing is read from or written to disk. Returns { spec, warnings, inference } where warnings
+// are messages about settings that had no effect and inference counts the inferred schemas.
+async function convertCollection(postmanData, { config = {}, environments = [], overlays = [] } = {}) {
+    const converterConfig = { ...DEFAULT_CONVERTER_CONFIG, ...config };
+    const warnings = [];
+    let inference = null;
+
+    const output = await postmanToOpenAPI(JSON.stringify(postmanData), null, toConverterOptions(converterConfig));
+    // The converter writes YAML unless told otherwise, so accept both
+    const spec = output.trim().startsWith('openapi:') ? yaml.load(output) : JSON.parse(output);
+
+    if (environments.length > 0) {
+        const template = getBaseUrlTemplate(postmanData);
+        if (template) {
+            spec.servers = buildEnvironmentServers(template, environments);
+        } else {
+            warnings.push('Collection has no {{variable}} base URL, environments are not applied to servers');
+        }
+    }
+    applyTagMapping(spec, converterConfig.tagMapping);
+    if (converterConfig.inferSchemas) {
+        const result = inferSpecSchemas(spec);
+        inference = { inferred: result.inferred, components: result.components.length };
+    }
+    overlays.forEach(({ name, overlay }) => {
+        const errors = validateOverlay(overlay);
+        if (errors.length > 0) {
+            throw new Error(`Invalid overlay ${name}: ${errors.map(error => `${error.pointer || '/'} ${error.message}`).join('; ')}`);
+        }
+        applyOverlay(spec, overlay, name).forEach(warning => warnings.push(`Overlay warning: ${warning.message}`));
+    });
+
+    return { spec, warnings, inference };
+}
+
+module.exports = {
+    convertCollection
+};
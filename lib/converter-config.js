@@ -0,0 +1,181 @@
+const fs = require('fs');
+const Ajv = require('ajv');
+
+// Options used when a collection has no converter.config. All but inferSchemas match the
+// original behaviour.
+const DEFAULT_CONVERTER_CONFIG = {
+    info: {},
+    defaultTag: 'General',
+    pathDepth: 0,
+    operationId: 'off',
+    servers: [],
+    auth: {},
+    externalDocs: {},
+    folders: { concat: true, separator: ' > ' },
+    responseHeaders: true,
+    replaceVars: false,
+    additionalVars: {},
+    disabledParams: { includeQuery: false, includeHeader: false },
+    tagMapping: {},
+    inferSchemas: true
+};
+
+// Options applied by this service after the conversion rather than by postman-to-openapi
+const POST_PROCESSING_OPTIONS = ['tagMapping', 'inferSchemas'];
+
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+// Schema of converter.config. Most options are passed straight to postman-to-openapi,
+// tagMapping renames tags after the conversion and inferSchemas turns examples into schemas.
+const CONFIG_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        info: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                version: { type: 'string' },
+                termsOfService: { type: 'string' },
+                contact: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: { name: { type: 'string' }, url: { type: 'string' }, email: { type: 'string' } }
+                },
+                license: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: ['name'],
+                    properties: { name: { type: 'string' }, url: { type: 'string' } }
+                }
+            }
+        },
+        defaultTag: { type: 'string', minLength: 1 },
+        pathDepth: { type: 'integer', minimum: 0 },
+        operationId: { enum: ['off', 'auto', 'brackets'] },
+        servers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['url'],
+                properties: { url: { type: 'string', minLength: 1 }, description: { type: 'string' } }
+            }
+        },
+        auth: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['type', 'scheme'],
+                properties: {
+                    type: { const: 'http' },
+                    scheme: { enum: ['bearer', 'basic'] },
+                    bearerFormat: { type: 'string' },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        externalDocs: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { description: { type: 'string' }, url: { type: 'string' } }
+        },
+        folders: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { concat: { type: 'boolean' }, separator: { type: 'string' } }
+        },
+        responseHeaders: { type: 'boolean' },
+        replaceVars: { type: 'boolean' },
+        additionalVars: stringMap,
+        disabledParams: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { includeQuery: { type: 'boolean' }, includeHeader: { type: 'boolean' } }
+        },
+        tagMapping: stringMap,
+        inferSchemas: { type: 'boolean' }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(CONFIG_SCHEMA);
+
+// Check a converter config. Returns a list of { rule, message, pointer } errors.
+function validateConverterConfig(config) {
+    if (validateSchema(config)) {
+        return [];
+    }
+    return validateSchema.errors.map(error => {
+        const property = error.params.additionalProperty;
+        return {
+            rule: 'converter-config',
+            message: property ? `Unknown option "${property}"` : error.message,
+            pointer: error.instancePath
+        };
+    });
+}
+
+// Read a collection's converter.config, filling in the defaults. A missing file gives the
+// defaults; an invalid one throws, so a conversion never silently ignores the settings.
+function loadConverterConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        return { ...DEFAULT_CONVERTER_CONFIG };
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const errors = validateConverterConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid converter config ${configPath}: ${errors.map(error => `${error.pointer || '/'} ${error.message}`).join('; ')}`);
+    }
+    return { ...DEFAULT_CONVERTER_CONFIG, ...config };
+}
+
+// Turn a converter config into postman-to-openapi options. Empty objects and lists are
+// left out so the converter's own defaults apply, such as the collection name as title.
+function toConverterOptions(config) {
+    const options = { outputFormat: 'json' };
+    Object.keys(config).filter(key => !POST_PROCESSING_OPTIONS.includes(key)).forEach(key => {
+        const value = config[key];
+        const isEmpty = value && typeof value === 'object' && Object.keys(value).length === 0;
+        if (!isEmpty) {
+            options[key] = value;
+        }
+    });
+    return options;
+}
+
+// Rename tags of a generated spec, both on the operations and in the top-level tag list.
+// Tags mapped to the same name are merged.
+function applyTagMapping(spec, tagMapping) {
+    const rename = tag => (Object.prototype.hasOwnProperty.call(tagMapping, tag) ? tagMapping[tag] : tag);
+    if (Object.keys(tagMapping).length === 0) {
+        return;
+    }
+
+    Object.values(spec.paths || {}).forEach(pathItem => {
+        Object.values(pathItem || {}).forEach(operation => {
+            if (operation && Array.isArray(operation.tags)) {
+                operation.tags = Array.from(new Set(operation.tags.map(rename)));
+            }
+        });
+    });
+
+    if (Array.isArray(spec.tags)) {
+        const seen = new Set();
+        spec.tags = spec.tags
+            .map(tag => ({ ...tag, name: rename(tag.name) }))
+            .filter(tag => !seen.has(tag.name) && seen.add(tag.name));
+    }
+}
+
+module.exports = {
+    DEFAULT_CONVERTER_CONFIG,
+    validateConverterConfig,
+    loadConverterConfig,
+    toConverterOptions,
+    applyTagMapping
+};
@@ -0,0 +1,358 @@
+const { HTTP_METHODS, dereference } = require('./openapi-common');
+
+// Nested schemas are compared down to this depth, which also stops recursive schemas
+const MAX_SCHEMA_DEPTH = 10;
+
+// Get all operations of a spec keyed by "METHOD /path"
+function getOperations(spec) {
+    const operations = new Map();
+    const paths = spec && spec.paths && typeof spec.paths === 'object' ? spec.paths : {};
+    Object.keys(paths).forEach(pathKey => {
+        const pathItem = dereference(spec, paths[pathKey]) || {};
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            operations.set(`${method.toUpperCase()} ${pathKey}`, {
+                method: method.toUpperCase(),
+                path: pathKey,
+                operation: pathItem[method],
+                pathParameters: Array.isArray(pathItem.parameters) ? pathItem.parameters : []
+            });
+        });
+    });
+    return operations;
+}
+
+// Get the parameters of an operation keyed by "in:name", operation-level ones winning
+function getParameters(spec, entry) {
+    const parameters = new Map();
+    entry.pathParameters.concat(entry.operation.parameters || []).forEach(param => {
+        const resolved = dereference(spec, param);
+        if (resolved && resolved.name && resolved.in) {
+            parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+        }
+    });
+    return parameters;
+}
+
+// Describe the type of a schema for messages. Schemas without a type but with properties or
+// items are taken as objects and arrays; anything else without a type accepts any value.
+function describeType(schema) {
+    if (!schema) return 'none';
+    const type = Array.isArray(schema.type) ? schema.type.join('|') : schema.type;
+    if (!type) {
+        return schema.properties ? 'object' : schema.items ? 'array' : 'any';
+    }
+    return `${type}${schema.format ? ` (${schema.format})` : ''}`;
+}
+
+// Compare two schemas. Direction decides what breaks clients: in requests, new constraints
+// break; in responses, removing data or widening values breaks.
+function compareSchemas(context, oldSchema, newSchema, location, direction, depth = 0) {
+    const changes = [];
+    const oldResolved = dereference(context.oldSpec, oldSchema) || {};
+    const newResolved = dereference(context.newSpec, newSchema) || {};
+    if (depth > MAX_SCHEMA_DEPTH) {
+        return changes;
+    }
+
+    const oldType = describeType(oldResolved);
+    const newType = describeType(newResolved);
+    if (oldType !== newType) {
+        // Accepting any type is a relaxation in a request and breaks clients reading a response;
+        // giving an untyped schema a type is the other way around
+        let breaking = true;
+        if (newType === 'any') {
+            breaking = direction === 'response';
+        } else if (oldType === 'any') {
+            breaking = direction === 'request';
+        }
+        changes.push({ location, breaking, message: `type changed from ${oldType} to ${newType}` });
+        return changes;
+    }
+
+    // Enums
+    if (Array.isArray(oldResolved.enum) || Array.isArray(newResolved.enum)) {
+        const oldValues = (oldResolved.enum || []).map(value => JSON.stringify(value));
+        const newValues = (newResolved.enum || []).map(value => JSON.stringify(value));
+        const removed = oldValues.filter(value => !newValues.includes(value));
+        const added = newValues.filter(value => !oldValues.includes(value));
+        if (removed.length > 0) {
+            changes.push({ location, breaking: direction === 'request', message: `enum values removed: ${removed.join(', ')}` });
+        }
+        if (added.length > 0) {
+            changes.push({ location, breaking: direction === 'response', message: `enum values added: ${added.join(', ')}` });
+        }
+    }
+
+    // Object properties
+    const oldProperties = oldResolved.properties || {};
+    const newProperties = newResolved.properties || {};
+    const oldRequired = oldResolved.required || [];
+    const newRequired = newResolved.required || [];
+    const propertyLocation = name => (location ? `${location}.${name}` : name);
+
+    Object.keys(oldProperties).filter(name => !(name in newProperties)).forEach(name => {
+        changes.push({ location: propertyLocation(name), breaking: direction === 'response', message: 'property removed' });
+    });
+    Object.keys(newProperties).filter(name => !(name in oldProperties)).forEach(name => {
+        const required = newRequired.includes(name);
+        changes.push({
+            location: propertyLocation(name),
+            breaking: direction === 'request' && required,
+            message: required ? 'required property added' : 'property added'
+        });
+    });
+    Object.keys(newProperties).filter(name => name in oldProperties).forEach(name => {
+        if (direction === 'request' && newRequired.includes(name) && !oldRequired.includes(name)) {
+            changes.push({ location: propertyLocation(name), breaking: true, message: 'property became required' });
+        }
+        if (direction === 'response' && oldRequired.includes(name) && !newRequired.includes(name)) {
+            changes.push({ location: propertyLocation(name), breaking: true, message: 'property is no longer always present' });
+        }
+        changes.push(...compareSchemas(context, oldProperties[name], newProperties[name], propertyLocation(name), direction, depth + 1));
+    });
+
+    // Array items
+    if (oldResolved.items || newResolved.items) {
+        changes.push(...compareSchemas(context, oldResolved.items, newResolved.items, `${location}[]`, direction, depth + 1));
+    }
+
+    return changes;
+}
+
+// Get the first schema of each media type in a content map
+function getContentSchemas(content) {
+    const schemas = {};
+    Object.keys(content || {}).forEach(mediaType => {
+        schemas[mediaType] = (content[mediaType] || {}).schema;
+    });
+    return schemas;
+}
+
+// Compare the media types and schemas of two content maps
+function compareContent(context, oldContent, newContent, direction) {
+    const changes = [];
+    const oldSchemas = getContentSchemas(oldContent);
+    const newSchemas = getContentSchemas(newContent);
+
+    Object.keys(oldSchemas).filter(mediaType => !(mediaType in newSchemas)).forEach(mediaType => {
+        changes.push({ location: mediaType, breaking: true, message: `media type ${mediaType} removed` });
+    });
+    Object.keys(newSchemas).filter(mediaType => !(mediaType in oldSchemas)).forEach(mediaType => {
+        changes.push({ location: mediaType, breaking: false, message: `media type ${mediaType} added` });
+    });
+    Object.keys(newSchemas).filter(mediaType => mediaType in oldSchemas).forEach(mediaType => {
+        compareSchemas(context, oldSchemas[mediaType], newSchemas[mediaType], '', direction).forEach(change => {
+            changes.push({ ...change, location: change.location ? `${mediaType} ${change.location}` : mediaType });
+        });
+    });
+    return changes;
+}
+
+// Compare two operations with the same method and path
+function compareOperation(context, key, oldEntry, newEntry) {
+    const changes = [];
+    const add = (category, change) => changes.push({ category, action: 'changed', endpoint: key, ...change });
+
+    // Parameters
+    const oldParams = getParameters(context.oldSpec, oldEntry);
+    const newParams = getParameters(context.newSpec, newEntry);
+    oldParams.forEach((param, paramKey) => {
+        if (!newParams.has(paramKey)) {
+            changes.push({ category: 'parameter', action: 'removed', endpoint: key, location: paramKey, breaking: true, message: `${param.in} parameter "${param.name}" removed` });
+        }
+    });
+    newParams.forEach((param, paramKey) => {
+        const oldParam = oldParams.get(paramKey);
+        if (!oldParam) {
+            changes.push({
+                category: 'parameter',
+                action: 'added',
+                endpoint: key,
+                location: paramKey,
+                breaking: !!param.required,
+                message: `${param.required ? 'required' : 'optional'} ${param.in} parameter "${param.name}" added`
+            });
+            return;
+        }
+        if (param.required && !oldParam.required) {
+            add('parameter', { location: paramKey, breaking: true, message: `${param.in} parameter "${param.name}" became required` });
+        } else if (!param.required && oldParam.required) {
+            add('parameter', { location: paramKey, breaking: false, message: `${param.in} parameter "${param.name}" became optional` });
+        }
+        compareSchemas(context, oldParam.schema, param.schema, param.name, 'request').forEach(change => {
+            add('parameter', { ...change, location: paramKey, message: `${param.in} parameter "${change.location}" ${change.message}` });
+        });
+    });
+
+    // Request body
+    const oldBody = dereference(context.oldSpec, oldEntry.operation.requestBody);
+    const newBody = dereference(context.newSpec, newEntry.operation.requestBody);
+    if (oldBody && !newBody) {
+        changes.push({ category: 'requestBody', action: 'removed', endpoint: key, location: 'requestBody', breaking: true, message: 'request body removed' });
+    } else if (!oldBody && newBody) {
+        changes.push({
+            category: 'requestBody',
+            action: 'added',
+            endpoint: key,
+            location: 'requestBody',
+            breaking: !!newBody.required,
+            message: `${newBody.required ? 'required' : 'optional'} request body added`
+        });
+    } else if (oldBody && newBody) {
+        if (newBody.required && !oldBody.required) {
+            add('requestBody', { location: 'requestBody', breaking: true, message: 'request body became required' });
+        }
+        compareContent(context, oldBody.content, newBody.content, 'request').forEach(change => {
+            add('requestBody', { ...change, message: `request body ${change.location}: ${change.message}` });
+        });
+    }
+
+    // Responses
+    const oldResponses = oldEntry.operation.responses || {};
+    const newResponses = newEntry.operation.responses || {};
+    Object.keys(oldResponses).filter(code => !(code in newResponses)).forEach(code => {
+        changes.push({ category: 'response', action: 'removed', endpoint: key, location: code, breaking: true, message: `response ${code} removed` });
+    });
+    Object.keys(newResponses).filter(code => !(code in oldResponses)).forEach(code => {
+        changes.push({ category: 'response', action: 'added', endpoint: key, location: code, breaking: false, message: `response ${code} added` });
+    });
+    Object.keys(newResponses).filter(code => code in oldResponses).forEach(code => {
+        const oldResponse = dereference(context.oldSpec, oldResponses[code]) || {};
+        const newResponse = dereference(context.newSpec, newResponses[code]) || {};
+        compareContent(context, oldResponse.content, newResponse.content, 'response').forEach(change => {
+            add('response', { ...change, location: code, message: `response ${code} ${change.location}: ${change.message}` });
+        });
+    });
+
+    return changes;
+}
+
+// Compare two OpenAPI documents by meaning and classify every change as breaking or not
+function diffOpenAPI(oldSpec, newSpec) {
+    const context = { oldSpec, newSpec };
+    const oldOperations = getOperations(oldSpec);
+    const newOperations = getOperations(newSpec);
+    const changes = [];
+
+    oldOperations.forEach((entry, key) => {
+        if (!newOperations.has(key)) {
+            changes.push({ category: 'endpoint', action: 'removed', endpoint: key, location: '', breaking: true, message: 'endpoint removed' });
+        }
+    });
+    newOperations.forEach((entry, key) => {
+        if (!oldOperations.has(key)) {
+            changes.push({ category: 'endpoint', action: 'added', endpoint: key, location: '', breaking: false, message: 'endpoint added' });
+        } else {
+            changes.push(...compareOperation(context, key, oldOperations.get(key), entry));
+        }
+    });
+
+    const breaking = changes.filter(change => change.breaking).length;
+    return {
+        summary: {
+            total: changes.length,
+            breaking,
+            nonBreaking: changes.length - breaking,
+            endpointsAdded: changes.filter(change => change.category === 'endpoint' && change.action === 'added').length,
+            endpointsRemoved: changes.filter(change => change.category === 'endpoint' && change.action === 'removed').length
+        },
+        changes
+    };
+}
+
+// Group changes by endpoint, keeping the order in which endpoints first appear
+function groupByEndpoint(changes) {
+    const groups = new Map();
+    changes.forEach(change => {
+        if (!groups.has(change.endpoint)) {
+            groups.set(change.endpoint, []);
+        }
+        groups.get(change.endpoint).push(change);
+    });
+    return groups;
+}
+
+// Render a diff as a Markdown changelog
+function diffToMarkdown(diff, { from = 'previous', to = 'current', title = 'API Changelog' } = {}) {
+    const lines = [
+        `# ${title}`,
+        '',
+        `Changes from \`${from}\` to \`${to}\`: ${diff.summary.total} change(s), ${diff.summary.breaking} breaking.`,
+        ''
+    ];
+
+    if (diff.changes.length === 0) {
+        lines.push('No changes.', '');
+        return lines.join('\n');
+    }
+
+    [['Breaking changes', true], ['Non-breaking changes', false]].forEach(([heading, breaking]) => {
+        const groups = groupByEndpoint(diff.changes.filter(change => change.breaking === breaking));
+        if (groups.size === 0) {
+            return;
+        }
+        lines.push(`## ${heading}`, '');
+        groups.forEach((changes, endpoint) => {
+            lines.push(`### \`${endpoint}\``, '');
+            changes.forEach(change => lines.push(`- **${change.action}** ${change.category}: ${change.message}`));
+            lines.push('');
+        });
+    });
+
+    return lines.join('\n');
+}
+
+// Escape text for HTML output
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Render a diff as a standalone HTML page
+function diffToHtml(diff, { from = 'previous', to = 'current', title = 'API Changelog' } = {}) {
+    const rows = diff.changes.map(change => `
+            <tr class="${change.breaking ? 'breaking' : ''}">
+                <td>${change.breaking ? 'Breaking' : 'Non-breaking'}</td>
+                <td><code>${escapeHtml(change.endpoint)}</code></td>
+                <td>${escapeHtml(change.category)}</td>
+                <td>${escapeHtml(change.action)}</td>
+                <td>${escapeHtml(change.message)}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2rem; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #dee2e6; padding: 6px 10px; text-align: left; }
+        tr.breaking td:first-child { color: #dc3545; font-weight: bold; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>Changes from <code>${escapeHtml(from)}</code> to <code>${escapeHtml(to)}</code>: ${diff.summary.total} change(s), ${diff.summary.breaking} breaking.</p>
+    ${diff.changes.length === 0 ? '<p>No changes.</p>' : `<table>
+        <thead>
+            <tr><th>Impact</th><th>Endpoint</th><th>Category</th><th>Action</th><th>Change</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>`}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    getOperations,
+    diffOpenAPI,
+    diffToMarkdown,
+    diffToHtml
+};
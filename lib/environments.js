@@ -0,0 +1,131 @@
+const VARIABLE_REGEX = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// Turn an environment name into a file-name friendly slug
+function slugify(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 64);
+}
+
+// Check that data looks like a Postman environment export and normalize it.
+// Throws an error describing the problem otherwise.
+function parseEnvironment(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Environment must be a JSON object');
+    }
+    if (typeof data.name !== 'string' || !slugify(data.name)) {
+        throw new Error('Environment must have a name');
+    }
+    if (!Array.isArray(data.values)) {
+        throw new Error('Environment must have a "values" array');
+    }
+
+    data.values.forEach((value, index) => {
+        if (!value || typeof value !== 'object' || typeof value.key !== 'string' || !value.key) {
+            throw new Error(`Environment value ${index} must have a "key"`);
+        }
+    });
+
+    return {
+        id: data.id,
+        name: data.name,
+        values: data.values.map(value => ({
+            key: value.key,
+            value: value.value === undefined || value.value === null ? '' : value.value,
+            type: value.type || 'default',
+            enabled: value.enabled !== false
+        })),
+        _postman_variable_scope: 'environment'
+    };
+}
+
+// Copy of an environment that is safe to show: secret values are replaced
+function maskEnvironment(environment) {
+    return {
+        ...environment,
+        values: environment.values.map(value => (value.type === 'secret' ? { ...value, value: '' } : value))
+    };
+}
+
+// Get the URL of a request, whichever way the collection stores it
+function getRawUrl(request) {
+    const url = request && typeof request === 'object' ? request.url : request;
+    if (typeof url === 'string') {
+        return url;
+    }
+    if (url && typeof url === 'object') {
+        if (url.raw) {
+            return url.raw;
+        }
+        const host = [].concat(url.host || []).join('.');
+        return url.protocol ? `${url.protocol}://${host}` : host;
+    }
+    return '';
+}
+
+// Find the base URL template most requests in the collection share, such as "{{baseUrl}}"
+// or "https://{{host}}". Returns null when the requests do not use variables in their base URL.
+function getBaseUrlTemplate(collection) {
+    const counts = new Map();
+    const walk = items => (Array.isArray(items) ? items : []).forEach(item => {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+        if (Array.isArray(item.item)) {
+            walk(item.item);
+            return;
+        }
+
+        const match = /^((?:[a-z][a-z0-9+.-]*:\/\/)?[^/?#]*)/i.exec(getRawUrl(item.request));
+        const base = match ? match[1] : '';
+        if (base.includes('{{')) {
+            counts.set(base, (counts.get(base) || 0) + 1);
+        }
+    });
+    walk(collection && collection.item);
+
+    let template = null;
+    counts.forEach((count, base) => {
+        if (template === null || count > counts.get(template)) {
+            template = base;
+        }
+    });
+    return template;
+}
+
+// Build an OpenAPI server for every environment. The {{variables}} of the base URL
+// template become server variables with the environment's values as defaults.
+// Secret values are never written into the spec.
+function buildEnvironmentServers(template, environments) {
+    const names = Array.from(new Set(Array.from(template.matchAll(VARIABLE_REGEX), match => match[1])));
+
+    return environments.map(environment => {
+        const variables = {};
+        names.forEach(name => {
+            const value = environment.values.find(item => item.key === name && item.enabled);
+            if (!value) {
+                variables[name] = { default: '', description: `Not set in the "${environment.name}" environment` };
+            } else if (value.type === 'secret') {
+                variables[name] = { default: '', description: 'Secret value, not included in the spec' };
+            } else {
+                variables[name] = { default: String(value.value) };
+            }
+        });
+
+        return {
+            url: template.replace(VARIABLE_REGEX, '{$1}'),
+            description: environment.name,
+            ...(names.length > 0 ? { variables } : {})
+        };
+    });
+}
+
+module.exports = {
+    slugify,
+    parseEnvironment,
+    maskEnvironment,
+    getBaseUrlTemplate,
+    buildEnvironmentServers
+};
@@ -0,0 +1,59 @@
+// Event types sent to the clients of the event stream
+const EVENT_TYPES = ['file-changed', 'conversion-started', 'conversion-succeeded', 'conversion-failed', 'backup-restored'];
+
+// Publish collection events to Server-Sent Events clients. A client can be limited to the
+// events of one collection. A comment is sent every `heartbeatInterval` ms so proxies do
+// not close idle connections.
+function createEventStream({ heartbeatInterval = 25000 } = {}) {
+    const clients = new Set();
+    let lastId = 0;
+
+    const heartbeat = setInterval(() => {
+        clients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, heartbeatInterval);
+    heartbeat.unref();
+
+    // Start streaming events to a response until the client disconnects
+    function subscribe(req, res, collection = null) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        // Ask browsers to reconnect after 3 seconds when the connection drops
+        res.write('retry: 3000\n\n');
+
+        const client = { res, collection };
+        clients.add(client);
+        req.on('close', () => clients.delete(client));
+    }
+
+    // Send an event about a collection to every client that wants it
+    function publish(type, collection, data = {}) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type "${type}"`);
+        }
+        lastId += 1;
+        const event = { type, collection, timestamp: new Date().toISOString(), ...data };
+        const message = `id: ${lastId}\nevent: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+        clients.forEach(client => {
+            if (!client.collection || client.collection === collection) {
+                client.res.write(message);
+            }
+        });
+    }
+
+    return {
+        subscribe,
+        publish,
+        get clientCount() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    createEventStream
+};
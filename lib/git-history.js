@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { slugify } = require('./environments');
+
+// Separates the fields of `git log` output; it cannot appear in names or subjects
+const FIELD_SEPARATOR = '\x1f';
+const LOG_FORMAT = ['%H', '%an', '%aI', '%s'].join('%x1f');
+
+const SHA_REGEX = /^[0-9a-f]{4,40}$/i;
+
+// The author of a commit as `name <email>`. Actor names come from users and API keys, so the
+// characters that would end the name are dropped, line breaks become spaces and the email is
+// built from a slug.
+function formatAuthor(actor) {
+    const name = String(actor).replace(/[<>]/g, '').replace(/\s+/g, ' ').trim() || 'unknown';
+    return `${name} <${slugify(name) || 'unknown'}@api-endpoint-manager>`;
+}
+
+// Parse one line of `git log --format=LOG_FORMAT` output
+function parseLogLine(line) {
+    const [sha, author, date, subject] = line.split(FIELD_SEPARATOR);
+    return { sha, shortSha: sha.slice(0, 7), author, date, subject };
+}
+
+// Keep collection files in a local git repository, one directory per collection, and
+// optionally push every commit to a remote. Git runs in child processes, so the server is
+// not blocked while it works; every function resolves once git is done. Commits and
+// removals change the repository's index, so they run one after the other, and pushes
+// run one after the other in the background.
+function createGitHistory({ dir, remote = null, branch = 'main' }) {
+    const git = args => new Promise((resolve, reject) => {
+        execFile('git', args, { cwd: dir, encoding: 'utf8', maxBuffer: 100 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.stderr = stderr;
+                return reject(error);
+            }
+            resolve(stdout);
+        });
+    });
+
+    // Set up the repository once; everything else waits for it
+    async function setUp() {
+        fs.mkdirSync(dir, { recursive: true });
+        if (!fs.existsSync(path.join(dir, '.git'))) {
+            await git(['init', '--quiet']);
+            await git(['symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
+        }
+        // Commits carry the user as author; the committer is always the service
+        await git(['config', 'user.name', 'API Endpoint Manager']);
+        await git(['config', 'user.email', 'api-endpoint-manager@localhost']);
+        if (remote) {
+            const remotes = (await git(['remote'])).split('\n');
+            await git(remotes.includes('origin') ? ['remote', 'set-url', 'origin', remote] : ['remote', 'add', 'origin', remote]);
+        }
+    }
+    const ready = setUp();
+    ready.catch(error => console.error(`Error setting up the version history in ${dir}:`, (error.stderr || error.message).trim()));
+
+    // Run git once the repository is set up
+    const run = async args => {
+        await ready;
+        return git(args);
+    };
+
+    // Run a change of the repository after the ones before it, whether they failed or not
+    let changeQueue = Promise.resolve();
+    function queueChange(change) {
+        const result = changeQueue.then(() => ready).then(change);
+        changeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // Check whether the repository has any commits yet
+    async function hasCommits() {
+        try {
+            await run(['rev-parse', '--verify', '--quiet', 'HEAD']);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Resolve a full or abbreviated commit sha, or null when there is no such commit
+    async function resolveCommit(sha) {
+        if (!SHA_REGEX.test(String(sha))) {
+            return null;
+        }
+        try {
+            return (await run(['rev-parse', '--verify', '--quiet', `${sha}^{commit}`])).trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Push the branch to the remote. Resolves to false when the push fails.
+    let pushQueue = Promise.resolve(true);
+    function push() {
+        if (!remote) {
+            return Promise.resolve(false);
+        }
+        pushQueue = pushQueue.then(() => run(['push', '--quiet', 'origin', `HEAD:refs/heads/${branch}`]).then(() => true, error => {
+            console.error(`Error pushing version history to ${remote}:`, (error.stderr || error.message).trim());
+            return false;
+        }));
+        return pushQueue;
+    }
+
+    // Commit the staged changes of a collection directory. Resolves to the new sha, or
+    // null when nothing changed.
+    async function commitStaged(name, message, author) {
+        if (!(await git(['status', '--porcelain', '--', name])).trim()) {
+            return null;
+        }
+        await git(['commit', '--quiet', '--author', formatAuthor(author), '-m', message]);
+        push();
+        return (await git(['rev-parse', 'HEAD'])).trim();
+    }
+
+    // Commit the given files to the collection's directory. `files` maps the file name in
+    // the repository to its current path; missing files are removed. The files are read
+    // right away, so the commit holds them as they are now even when it has to wait.
+    function commit(name, files, message, author) {
+        const contents = {};
+        Object.keys(files).forEach(file => {
+            contents[file] = fs.existsSync(files[file]) ? fs.readFileSync(files[file]) : null;
+        });
+        return queueChange(async () => {
+            const collectionDir = path.join(dir, name);
+            fs.mkdirSync(collectionDir, { recursive: true });
+            Object.keys(contents).forEach(file => {
+                const target = path.join(collectionDir, file);
+                if (contents[file] !== null) {
+                    fs.writeFileSync(target, contents[file]);
+                } else if (fs.existsSync(target)) {
+                    fs.unlinkSync(target);
+                }
+            });
+            await git(['add', '--all', '--', name]);
+            return commitStaged(name, message, author);
+        });
+    }
+
+    // Remove a collection's directory from the repository
+    function remove(name, message, author) {
+        return queueChange(async () => {
+            await git(['rm', '-r', '--quiet', '--ignore-unmatch', '--', name]);
+            return commitStaged(name, message, author);
+        });
+    }
+
+    // List the commits that touched a collection, newest first
+    async function log(name, { offset = 0, limit = 50 } = {}) {
+        if (!(await hasCommits())) {
+            return { total: 0, offset, limit, commits: [] };
+        }
+        const [count, output] = await Promise.all([
+            run(['rev-list', '--count', 'HEAD', '--', name]),
+            run(['log', `--format=${LOG_FORMAT}`, `--skip=${offset}`, `--max-count=${limit}`, '--', name])
+        ]);
+        const commits = output.split('\n').filter(Boolean).map(parseLogLine);
+        return { total: Number(count.trim()), offset, limit, commits };
+    }
+
+    // Get a commit with its full message and the collection files it changed, or null
+    async function show(name, sha) {
+        const fullSha = await resolveCommit(sha);
+        if (!fullSha) {
+            return null;
+        }
+        const [output, changes] = await Promise.all([
+            run(['show', '--no-patch', `--format=${LOG_FORMAT}%n%b`, fullSha]),
+            run(['diff-tree', '--no-commit-id', '--name-status', '-r', '--root', fullSha, '--', name])
+        ]);
+        const [info, ...body] = output.split('\n');
+        const files = changes
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                const [status, file] = line.split('\t');
+                return { status, file: path.posix.relative(name, file) };
+            });
+        return { ...parseLogLine(info), body: body.join('\n').trim(), files };
+    }
+
+    // Get the patch of a commit, limited to the collection's files
+    async function patch(name, sha) {
+        const fullSha = await resolveCommit(sha);
+        return fullSha ? run(['show', '--format=', '--patch', fullSha, '--', name]) : null;
+    }
+
+    // Read a collection file as it was at a commit. `sha` can also be a revision such as
+    // "HEAD" or "<sha>^". Resolves to null when the file did not exist.
+    async function readFile(name, sha, file) {
+        try {
+            return await run(['show', `${sha}:${name}/${file}`]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return { commit, remove, log, show, patch, readFile, resolveCommit, push };
+}
+
+module.exports = {
+    createGitHistory
+};
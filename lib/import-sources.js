@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const Ajv = require('ajv');
+
+// How long a URL source may take to answer
+const FETCH_TIMEOUT = 30000;
+
+// Schema of the import sources file
+const SOURCES_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['sources'],
+    properties: {
+        sources: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'collection', 'type'],
+                properties: {
+                    name: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' },
+                    collection: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' },
+                    type: { enum: ['url', 'git'] },
+                    interval: { type: 'integer', minimum: 10 },
+                    url: { type: 'string', pattern: '^https?://' },
+                    headers: { type: 'object', additionalProperties: { type: 'string' } },
+                    repo: { type: 'string', minLength: 1 },
+                    path: { type: 'string', minLength: 1 },
+                    pull: { type: 'boolean' }
+                },
+                if: { properties: { type: { const: 'url' } } },
+                then: { required: ['url'] },
+                else: { required: ['repo', 'path'] }
+            }
+        }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateSources = ajv.compile(SOURCES_SCHEMA);
+
+// Read the import sources file. A missing file means no sources; an invalid one throws.
+// Intervals are in seconds and default to five minutes.
+function loadImportSources(configPath) {
+    if (!fs.existsSync(configPath)) {
+        return [];
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!validateSources(config)) {
+        const messages = validateSources.errors
+            .filter(error => error.keyword !== 'if')
+            .map(error => `${error.instancePath || '/'} ${error.message}`);
+        throw new Error(`Invalid import sources ${configPath}: ${messages.join('; ')}`);
+    }
+    const names = new Set();
+    config.sources.forEach(source => {
+        if (names.has(source.name)) {
+            throw new Error(`Invalid import sources ${configPath}: source "${source.name}" is defined twice`);
+        }
+        names.add(source.name);
+    });
+    return config.sources.map(source => ({ interval: 300, ...source }));
+}
+
+// Run git in a checkout and resolve to its output
+function git(repo, args) {
+    return new Promise((resolve, reject) => {
+        execFile('git', ['-C', repo, ...args], { encoding: 'utf8' }, (error, stdout, stderr) => {
+            if (error) {
+                return reject(new Error((stderr || error.message).trim()));
+            }
+            resolve(stdout.trim());
+        });
+    });
+}
+
+// Fetch a URL source. Resolves to { unchanged: true } when the server answers the stored
+// ETag with 304, or { content, etag }.
+async function fetchUrlSource(source, etag) {
+    const headers = { ...source.headers };
+    if (etag) {
+        headers['If-None-Match'] = etag;
+    }
+    const response = await fetch(source.url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    if (response.status === 304) {
+        return { unchanged: true };
+    }
+    if (!response.ok) {
+        throw new Error(`${source.url} answered ${response.status} ${response.statusText}`);
+    }
+    return { content: await response.text(), etag: response.headers.get('etag') };
+}
+
+// Read a file of a local git checkout, pulling first when the source asks for it.
+// Resolves to { content, revision }.
+async function readGitSource(source) {
+    const filePath = path.resolve(source.repo, source.path);
+    const relative = path.relative(path.resolve(source.repo), filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Path "${source.path}" is outside the checkout`);
+    }
+    if (source.pull) {
+        await git(source.repo, ['pull', '--ff-only', '--quiet']);
+    }
+    const revision = await git(source.repo, ['rev-parse', '--short', 'HEAD']);
+    return { content: fs.readFileSync(filePath, 'utf8'), revision };
+}
+
+// Poll import sources on their intervals. `onImport(source, content, details)` is called
+// when the content of a source changed and returns whether the collection changed; when
+// it throws, the source is marked as failed with the error.
+function createImportScheduler(sources, onImport) {
+    const states = new Map(sources.map(source => [source.name, {
+        source,
+        status: 'pending',
+        lastCheckedAt: null,
+        lastChangedAt: null,
+        lastError: null,
+        revision: null,
+        etag: null,
+        hash: null,
+        running: null,
+        timer: null
+    }]));
+
+    // Check one source now. Checks of the same source do not overlap.
+    function check(name) {
+        const state = states.get(name);
+        if (!state) {
+            return null;
+        }
+        if (!state.running) {
+            state.running = runCheck(state).finally(() => {
+                state.running = null;
+            });
+        }
+        return state.running;
+    }
+
+    async function runCheck(state) {
+        const { source } = state;
+        try {
+            const result = source.type === 'url' ? await fetchUrlSource(source, state.etag) : await readGitSource(source);
+            state.lastCheckedAt = new Date().toISOString();
+            state.lastError = null;
+            if (result.unchanged) {
+                state.status = 'unchanged';
+                return describe(state);
+            }
+
+            const hash = crypto.createHash('sha256').update(result.content).digest('hex');
+            state.revision = result.revision || null;
+            if (hash === state.hash) {
+                state.status = 'unchanged';
+                state.etag = result.etag || state.etag;
+                return describe(state);
+            }
+
+            const changed = await onImport(source, result.content, { source: source.name, revision: state.revision });
+            // Only remember the ETag and hash once the content was imported, so a failed
+            // import is retried on the next check
+            state.etag = result.etag || null;
+            state.hash = hash;
+            state.status = changed ? 'imported' : 'unchanged';
+            if (changed) {
+                state.lastChangedAt = state.lastCheckedAt;
+            }
+        } catch (error) {
+            state.lastCheckedAt = new Date().toISOString();
+            state.status = 'error';
+            state.lastError = error.message;
+            console.error(`Error importing from source "${source.name}":`, error.message);
+        }
+        return describe(state);
+    }
+
+    // Public view of a source's state. Headers are left out as they often hold credentials.
+    function describe(state) {
+        const { source } = state;
+        return {
+            name: source.name,
+            collection: source.collection,
+            type: source.type,
+            location: source.type === 'url' ? source.url : path.join(source.repo, source.path),
+            interval: source.interval,
+            status: state.status,
+            lastCheckedAt: state.lastCheckedAt,
+            lastChangedAt: state.lastChangedAt,
+            lastError: state.lastError,
+            revision: state.revision
+        };
+    }
+
+    // Check every source now and then on its interval
+    function start() {
+        states.forEach((state, name) => {
+            check(name);
+            state.timer = setInterval(() => check(name), state.source.interval * 1000);
+            state.timer.unref();
+        });
+    }
+
+    function stop() {
+        states.forEach(state => clearInterval(state.timer));
+    }
+
+    function list() {
+        return Array.from(states.values()).map(describe);
+    }
+
+    return { start, stop, check, list };
+}
+
+module.exports = {
+    loadImportSources,
+    createImportScheduler
+};
@@ -0,0 +1,654 @@
+// Importers turn other API formats into Postman v2.1 collections, so everything after the
+// import (validation, conversion, the editor) only deals with one model
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Formats the importers understand, with the label shown in the UI
+const IMPORT_FORMATS = {
+    'postman-v2': 'Postman v2 collection',
+    'postman-v1': 'Postman v1 collection',
+    har: 'HAR 1.2',
+    insomnia: 'Insomnia v4 export',
+    curl: 'cURL commands'
+};
+
+// Headers browsers and curl add by themselves, which do not describe the API
+const NOISE_HEADERS = new Set([
+    'accept-encoding', 'accept-language', 'cache-control', 'connection', 'content-length', 'cookie', 'dnt',
+    'host', 'origin', 'pragma', 'referer', 'te', 'upgrade-insecure-requests', 'user-agent'
+]);
+
+// Browser HAR files also record pages, scripts and images; only API calls are imported
+const API_RESOURCE_TYPES = ['xhr', 'fetch'];
+const ASSET_MIME_TYPE = /^(image|font|audio|video)\/|^text\/(css|html|javascript)|javascript/;
+
+function isNoiseHeader(name) {
+    const lower = name.toLowerCase();
+    return NOISE_HEADERS.has(lower) || lower.startsWith('sec-') || lower.startsWith(':');
+}
+
+function decode(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (error) {
+        return value;
+    }
+}
+
+// Split a query string into Postman key/value pairs
+function parseQuery(search) {
+    return search.split('&').filter(Boolean).map(pair => {
+        const index = pair.indexOf('=');
+        return index < 0
+            ? { key: decode(pair), value: null }
+            : { key: decode(pair.slice(0, index)), value: decode(pair.slice(index + 1)) };
+    });
+}
+
+// Parse a URL into a Postman URL object. {{variables}} are kept as they are, which the
+// WHATWG URL parser would not allow in the host.
+function toPostmanUrl(raw) {
+    const trimmed = String(raw || '').trim();
+    const [, protocol, authority, pathname, search] = /^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/?#]*)([^?#]*)(?:\?([^#]*))?/i.exec(trimmed);
+    const url = { raw: trimmed };
+    if (protocol) {
+        url.protocol = protocol;
+    }
+    const portMatch = /^(.*):(\d+)$/.exec(authority);
+    url.host = (portMatch ? portMatch[1] : authority).split('.').filter(Boolean);
+    if (portMatch) {
+        url.port = portMatch[2];
+    }
+    url.path = pathname.split('/').filter(Boolean);
+    if (search) {
+        url.query = parseQuery(search);
+    }
+    return url;
+}
+
+// Name a request after its method and path, as a HAR entry or cURL command has no name
+function describeRequest(method, url) {
+    return `${method} /${url.path.join('/')}`;
+}
+
+function getHeader(headers, name) {
+    const header = headers.find(item => item.key.toLowerCase() === name);
+    return header ? header.value : null;
+}
+
+// Language hint Postman uses to highlight raw bodies
+function getBodyLanguage(contentType) {
+    if (/json/i.test(contentType || '')) return 'json';
+    if (/xml/i.test(contentType || '')) return 'xml';
+    if (/html/i.test(contentType || '')) return 'html';
+    if (/javascript/i.test(contentType || '')) return 'javascript';
+    return 'text';
+}
+
+// Build a Postman request body from raw text, form fields or url-encoded fields
+function toPostmanBody({ contentType, text, params }) {
+    if (/^application\/x-www-form-urlencoded/i.test(contentType || '')) {
+        return { mode: 'urlencoded', urlencoded: params || parseQuery(text || '').map(param => ({ key: param.key, value: param.value || '' })) };
+    }
+    if (/^multipart\/form-data/i.test(contentType || '') && params) {
+        return { mode: 'formdata', formdata: params.map(param => ({ ...param, type: 'text' })) };
+    }
+    if (text === undefined || text === null || text === '') {
+        return undefined;
+    }
+    return { mode: 'raw', raw: text, options: { raw: { language: getBodyLanguage(contentType) } } };
+}
+
+// Replace the Authorization header of captured traffic by auth with a variable, so
+// tokens from the capture never end up in the collection
+function extractAuth(headers) {
+    const authorization = getHeader(headers, 'authorization');
+    if (authorization === null) {
+        return { headers, auth: undefined };
+    }
+    const remaining = headers.filter(header => header.key.toLowerCase() !== 'authorization');
+    const auth = /^bearer\s/i.test(authorization)
+        ? { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] }
+        : { type: 'apikey', apikey: [{ key: 'key', value: 'Authorization', type: 'string' }, { key: 'value', value: '{{authorization}}', type: 'string' }, { key: 'in', value: 'header', type: 'string' }] };
+    return { headers: remaining, auth };
+}
+
+function createCollection(name, items, extra = {}) {
+    return {
+        info: { name, schema: POSTMAN_SCHEMA },
+        item: items,
+        ...extra
+    };
+}
+
+// HAR 1.2: every API call becomes a request, and calls to the same method and path are
+// merged into one request with each response as an example
+function fromHar(har, { name } = {}) {
+    const entries = Array.isArray(har.log.entries) ? har.log.entries : [];
+    const requests = new Map();
+    let skipped = 0;
+
+    entries.forEach(entry => {
+        const response = entry.response || {};
+        const mimeType = (response.content && response.content.mimeType) || '';
+        const isApiCall = entry._resourceType ? API_RESOURCE_TYPES.includes(entry._resourceType) : !ASSET_MIME_TYPE.test(mimeType);
+        if (!entry.request || !entry.request.url || !isApiCall) {
+            skipped += 1;
+            return;
+        }
+
+        const method = String(entry.request.method || 'GET').toUpperCase();
+        const url = toPostmanUrl(entry.request.url);
+        const allHeaders = (entry.request.headers || [])
+            .filter(header => !isNoiseHeader(header.name))
+            .map(header => ({ key: header.name, value: String(header.value) }));
+        const { headers, auth } = extractAuth(allHeaders);
+        const postData = entry.request.postData || {};
+        const request = {
+            method,
+            header: headers,
+            url,
+            body: toPostmanBody({
+                contentType: postData.mimeType,
+                text: postData.text,
+                params: Array.isArray(postData.params) && postData.params.length > 0
+                    ? postData.params.map(param => ({ key: param.name, value: param.value || '' }))
+                    : null
+            }),
+            auth
+        };
+
+        const content = response.content || {};
+        const body = content.encoding === 'base64' ? Buffer.from(content.text || '', 'base64').toString('utf8') : content.text;
+        const example = {
+            name: `${response.status} ${response.statusText || ''}`.trim(),
+            originalRequest: request,
+            status: response.statusText || '',
+            code: response.status,
+            header: (response.headers || [])
+                .filter(header => header.name.toLowerCase() === 'content-type')
+                .map(header => ({ key: header.name, value: String(header.value) })),
+            body: body || '',
+            _postman_previewlanguage: getBodyLanguage(mimeType)
+        };
+
+        const key = `${method} ${url.raw.split('?')[0]}`;
+        if (requests.has(key)) {
+            const existing = requests.get(key);
+            if (response.status && !existing.response.some(item => item.code === response.status)) {
+                existing.response.push(example);
+            }
+            return;
+        }
+        requests.set(key, { name: describeRequest(method, url), request, response: response.status ? [example] : [] });
+    });
+
+    // Browsers record the page URL as the title, so the collection is named after the API host instead
+    const items = Array.from(requests.values());
+    const host = items.length > 0 ? items[0].request.url.host.join('.') : '';
+    return { collection: createCollection(name || host || 'HAR import', items), skipped };
+}
+
+// Insomnia writes variables as {{ _.name }}
+function fromInsomniaTemplate(value) {
+    return typeof value === 'string' ? value.replace(/\{\{\s*_\.([\w.-]+)\s*\}\}/g, '{{$1}}') : value;
+}
+
+function fromInsomniaAuth(authentication) {
+    if (!authentication || authentication.disabled) {
+        return undefined;
+    }
+    if (authentication.type === 'bearer') {
+        return { type: 'bearer', bearer: [{ key: 'token', value: fromInsomniaTemplate(authentication.token || ''), type: 'string' }] };
+    }
+    if (authentication.type === 'basic') {
+        return {
+            type: 'basic',
+            basic: [
+                { key: 'username', value: fromInsomniaTemplate(authentication.username || ''), type: 'string' },
+                { key: 'password', value: fromInsomniaTemplate(authentication.password || ''), type: 'string' }
+            ]
+        };
+    }
+    return undefined;
+}
+
+// Insomnia v4 export: request groups become folders and the base environment of the
+// workspace becomes collection variables
+function fromInsomnia(exported, { name } = {}) {
+    const resources = exported.resources.filter(resource => resource && typeof resource === 'object');
+    const children = parentId => resources
+        .filter(resource => resource.parentId === parentId)
+        .sort((a, b) => (a.metaSortKey || 0) - (b.metaSortKey || 0));
+    let skipped = 0;
+
+    const toItem = resource => {
+        if (resource._type === 'request_group') {
+            return { name: resource.name, item: children(resource._id).map(toItem).filter(Boolean), description: resource.description || undefined };
+        }
+        if (resource._type !== 'request') {
+            return null;
+        }
+
+        const header = (resource.headers || [])
+            .filter(item => item.name && !item.disabled)
+            .map(item => ({ key: item.name, value: fromInsomniaTemplate(String(item.value || '')) }));
+        const url = toPostmanUrl(fromInsomniaTemplate(resource.url || ''));
+        const parameters = (resource.parameters || []).filter(param => param.name && !param.disabled);
+        if (parameters.length > 0) {
+            url.query = (url.query || []).concat(parameters.map(param => ({ key: param.name, value: fromInsomniaTemplate(param.value || '') })));
+            url.raw += `${url.raw.includes('?') ? '&' : '?'}${parameters.map(param => `${param.name}=${fromInsomniaTemplate(param.value || '')}`).join('&')}`;
+        }
+        const body = resource.body || {};
+        const contentType = body.mimeType || getHeader(header, 'content-type');
+        return {
+            name: resource.name || describeRequest(String(resource.method || 'GET').toUpperCase(), url),
+            request: {
+                method: String(resource.method || 'GET').toUpperCase(),
+                header,
+                url,
+                body: toPostmanBody({
+                    contentType,
+                    text: fromInsomniaTemplate(body.text),
+                    params: Array.isArray(body.params)
+                        ? body.params.filter(param => !param.disabled).map(param => ({ key: param.name, value: fromInsomniaTemplate(param.value || '') }))
+                        : null
+                }),
+                auth: fromInsomniaAuth(resource.authentication),
+                description: resource.description || undefined
+            },
+            response: []
+        };
+    };
+
+    const workspaces = resources.filter(resource => resource._type === 'workspace');
+    const roots = workspaces.length > 0 ? workspaces.map(workspace => workspace._id) : [...new Set(resources.map(resource => resource.parentId))];
+    const items = [];
+    roots.forEach(root => children(root).forEach(resource => {
+        const item = toItem(resource);
+        if (item) {
+            items.push(item);
+        } else if (!['environment', 'cookie_jar', 'api_spec'].includes(resource._type)) {
+            skipped += 1;
+        }
+    }));
+
+    // The base environment of a workspace holds the variables every sub-environment shares
+    const variable = [];
+    resources
+        .filter(resource => resource._type === 'environment' && roots.includes(resource.parentId))
+        .forEach(environment => Object.entries(environment.data || {}).forEach(([key, value]) => {
+            if (['string', 'number', 'boolean'].includes(typeof value) && !variable.some(item => item.key === key)) {
+                variable.push({ key, value: String(value) });
+            }
+        }));
+
+    const workspaceName = workspaces[0] && workspaces[0].name;
+    return { collection: createCollection(name || workspaceName || 'Insomnia import', items, variable.length > 0 ? { variable } : {}), skipped };
+}
+
+// Split a shell command into words, handling quotes, backslash escapes and the $'...'
+// strings of "Copy as cURL (bash)"
+function tokenizeShell(command) {
+    const tokens = [];
+    let current = null;
+    let index = 0;
+    const append = text => {
+        current = (current || '') + text;
+    };
+
+    while (index < command.length) {
+        const char = command[index];
+        if (/\s/.test(char)) {
+            if (current !== null) {
+                tokens.push(current);
+                current = null;
+            }
+            index += 1;
+        } else if (char === '\'') {
+            const end = command.indexOf('\'', index + 1);
+            if (end < 0) throw new Error('Unterminated single quote');
+            append(command.slice(index + 1, end));
+            index = end + 1;
+        } else if (char === '$' && command[index + 1] === '\'') {
+            let text = '';
+            index += 2;
+            while (index < command.length && command[index] !== '\'') {
+                if (command[index] === '\\' && index + 1 < command.length) {
+                    const escaped = command[index + 1];
+                    const simple = { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"' };
+                    if (escaped === 'u' || escaped === 'x') {
+                        const digits = /^[0-9a-fA-F]+/.exec(command.slice(index + 2, index + (escaped === 'u' ? 6 : 4)));
+                        text += digits ? String.fromCharCode(parseInt(digits[0], 16)) : escaped;
+                        index += 2 + (digits ? digits[0].length : 0);
+                        continue;
+                    }
+                    text += simple[escaped] !== undefined ? simple[escaped] : escaped;
+                    index += 2;
+                } else {
+                    text += command[index];
+                    index += 1;
+                }
+            }
+            if (index >= command.length) throw new Error('Unterminated $\' quote');
+            append(text);
+            index += 1;
+        } else if (char === '"') {
+            let text = '';
+            index += 1;
+            while (index < command.length && command[index] !== '"') {
+                if (command[index] === '\\' && '"\\$`'.includes(command[index + 1])) {
+                    index += 1;
+                }
+                text += command[index];
+                index += 1;
+            }
+            if (index >= command.length) throw new Error('Unterminated double quote');
+            append(text);
+            index += 1;
+        } else if (char === '\\' && index + 1 < command.length) {
+            append(command[index + 1]);
+            index += 2;
+        } else {
+            append(char);
+            index += 1;
+        }
+    }
+    if (current !== null) {
+        tokens.push(current);
+    }
+    return tokens;
+}
+
+// curl options that take a value, by short and long name
+const CURL_VALUE_OPTIONS = {
+    '-X': 'request', '--request': 'request',
+    '-H': 'header', '--header': 'header',
+    '-d': 'data', '--data': 'data', '--data-raw': 'data', '--data-binary': 'data', '--data-ascii': 'data', '--data-urlencode': 'data', '--json': 'json',
+    '-F': 'form', '--form': 'form', '--form-string': 'form',
+    '-u': 'user', '--user': 'user',
+    '--url': 'url',
+    '-A': 'ignore', '--user-agent': 'ignore', '-b': 'ignore', '--cookie': 'ignore', '-e': 'ignore', '--referer': 'ignore',
+    '-o': 'ignore', '--output': 'ignore', '-m': 'ignore', '--max-time': 'ignore', '--connect-timeout': 'ignore',
+    '-x': 'ignore', '--proxy': 'ignore', '-c': 'ignore', '--cookie-jar': 'ignore', '--retry': 'ignore',
+    '-w': 'ignore', '--write-out': 'ignore', '--cacert': 'ignore', '--cert': 'ignore', '-E': 'ignore', '--key': 'ignore',
+    '-T': 'ignore', '--upload-file': 'ignore', '-r': 'ignore', '--range': 'ignore', '--resolve': 'ignore'
+};
+
+// Turn the words of one curl command into a Postman request item
+function fromCurlCommand(tokens, name) {
+    let method = null;
+    let url = null;
+    let getMode = false;
+    const headers = [];
+    const data = [];
+    const form = [];
+    let auth;
+
+    for (let index = 1; index < tokens.length; index++) {
+        const token = tokens[index];
+        let option = token;
+        let value = null;
+        if (/^--[^=]+=/.test(token)) {
+            [option, value] = [token.slice(0, token.indexOf('=')), token.slice(token.indexOf('=') + 1)];
+        } else if (/^-[A-Za-z]./.test(token) && CURL_VALUE_OPTIONS[token.slice(0, 2)]) {
+            [option, value] = [token.slice(0, 2), token.slice(2)];
+        }
+
+        const kind = CURL_VALUE_OPTIONS[option];
+        if (kind) {
+            if (value === null) {
+                index += 1;
+                if (index >= tokens.length) throw new Error(`Option ${option} needs a value`);
+                value = tokens[index];
+            }
+            if (kind === 'request') method = value.toUpperCase();
+            if (kind === 'header') {
+                const separator = value.indexOf(':');
+                if (separator > 0) headers.push({ key: value.slice(0, separator).trim(), value: value.slice(separator + 1).trim() });
+            }
+            if (kind === 'data') data.push(value);
+            if (kind === 'json') {
+                data.push(value);
+                headers.push({ key: 'Content-Type', value: 'application/json' });
+            }
+            if (kind === 'form') {
+                const separator = value.indexOf('=');
+                form.push({ key: separator < 0 ? value : value.slice(0, separator), value: separator < 0 ? '' : value.slice(separator + 1) });
+            }
+            // The password of -u user:password is replaced by a variable, like captured tokens
+            if (kind === 'user') {
+                const separator = value.indexOf(':');
+                auth = {
+                    type: 'basic',
+                    basic: [
+                        { key: 'username', value: separator < 0 ? value : value.slice(0, separator), type: 'string' },
+                        { key: 'password', value: separator < 0 ? '' : '{{password}}', type: 'string' }
+                    ]
+                };
+            }
+            if (kind === 'url') url = value;
+        } else if (option === '-G' || option === '--get') {
+            getMode = true;
+        } else if (option === '-I' || option === '--head') {
+            method = 'HEAD';
+        } else if (!option.startsWith('-') && url === null) {
+            url = option;
+        }
+        // Any other option is a flag such as --compressed or -sSL
+    }
+
+    if (!url) {
+        throw new Error('curl command has no URL');
+    }
+
+    const contentHeaders = headers.filter(header => !isNoiseHeader(header.key));
+    const { headers: header, auth: headerAuth } = extractAuth(contentHeaders);
+    const body = data.join('&');
+    let postmanUrl = toPostmanUrl(url);
+    if (getMode && body) {
+        postmanUrl = toPostmanUrl(`${url}${url.includes('?') ? '&' : '?'}${body}`);
+    }
+    const requestMethod = method || (!getMode && (data.length > 0 || form.length > 0) ? 'POST' : 'GET');
+    const contentType = getHeader(header, 'content-type') || (form.length > 0 ? 'multipart/form-data' : 'application/x-www-form-urlencoded');
+
+    return {
+        name: name || describeRequest(requestMethod, postmanUrl),
+        request: {
+            method: requestMethod,
+            header,
+            url: postmanUrl,
+            body: getMode ? undefined : toPostmanBody({ contentType, text: body, params: form.length > 0 ? form : null }),
+            auth: auth || headerAuth
+        },
+        response: []
+    };
+}
+
+// A list of curl commands. Lines may be continued with a backslash (or ^ from Windows),
+// and a # comment right above a command names the request.
+function fromCurl(text, { name } = {}) {
+    const lines = text.replace(/\r\n/g, '\n').replace(/[\\^]\n/g, ' ').split('\n');
+    const items = [];
+    let comment = null;
+    lines.forEach(line => {
+        const trimmed = line.trim().replace(/^\$\s+/, '');
+        if (trimmed.startsWith('#')) {
+            comment = trimmed.replace(/^#+\s*/, '') || null;
+        } else if (/^curl\s/.test(trimmed)) {
+            items.push(fromCurlCommand(tokenizeShell(trimmed), comment));
+            comment = null;
+        } else if (trimmed) {
+            throw new Error(`Expected a curl command, got "${trimmed.slice(0, 40)}"`);
+        }
+    });
+    return { collection: createCollection(name || 'cURL import', items), skipped: 0 };
+}
+
+// Postman v1 headers are one "Key: value" per line
+function fromPostmanV1Headers(request) {
+    if (Array.isArray(request.headerData) && request.headerData.length > 0) {
+        return request.headerData.filter(header => header.key).map(header => ({ key: header.key, value: String(header.value || '') }));
+    }
+    return String(request.headers || '').split('\n').map(line => {
+        const separator = line.indexOf(':');
+        return separator > 0 ? { key: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() } : null;
+    }).filter(Boolean);
+}
+
+function fromPostmanV1Request(request) {
+    const header = fromPostmanV1Headers(request);
+    const params = Array.isArray(request.data) ? request.data.filter(param => param && param.key && param.enabled !== false) : [];
+    let body;
+    if (request.dataMode === 'raw') {
+        body = toPostmanBody({ contentType: getHeader(header, 'content-type'), text: request.rawModeData });
+    } else if (request.dataMode === 'urlencoded' && params.length > 0) {
+        body = { mode: 'urlencoded', urlencoded: params.map(param => ({ key: param.key, value: String(param.value || '') })) };
+    } else if (request.dataMode === 'params' && params.length > 0) {
+        body = { mode: 'formdata', formdata: params.map(param => ({ key: param.key, value: String(param.value || ''), type: param.type === 'file' ? 'file' : 'text' })) };
+    }
+
+    const postmanRequest = {
+        method: String(request.method || 'GET').toUpperCase(),
+        header,
+        url: toPostmanUrl(request.url),
+        body,
+        description: request.description || undefined
+    };
+    return {
+        name: request.name || describeRequest(postmanRequest.method, postmanRequest.url),
+        request: postmanRequest,
+        response: (request.responses || []).map(response => {
+            const code = response.responseCode ? response.responseCode.code : response.code;
+            return {
+                name: response.name || String(code || 'Example'),
+                originalRequest: postmanRequest,
+                status: response.responseCode ? response.responseCode.name : response.status || '',
+                code,
+                header: Array.isArray(response.headers) ? response.headers.map(item => ({ key: item.key || item.name, value: String(item.value) })) : [],
+                body: response.text || ''
+            };
+        })
+    };
+}
+
+// Legacy Postman v1 collection: requests referenced from the collection and folder order
+// lists. Requests no folder mentions are added at the top level.
+function fromPostmanV1(collection, { name } = {}) {
+    const requests = new Map(collection.requests.filter(request => request && request.id).map(request => [request.id, request]));
+    const folders = new Map((collection.folders || []).filter(folder => folder && folder.id).map(folder => [folder.id, folder]));
+    const used = new Set();
+
+    const toFolderItems = (order, folderOrder) => {
+        const items = [];
+        (folderOrder || []).forEach(id => {
+            const folder = folders.get(id);
+            if (folder && !used.has(id)) {
+                used.add(id);
+                items.push({ name: folder.name, description: folder.description || undefined, item: toFolderItems(folder.order, folder.folders_order) });
+            }
+        });
+        (order || []).forEach(id => {
+            if (requests.has(id) && !used.has(id)) {
+                used.add(id);
+                items.push(fromPostmanV1Request(requests.get(id)));
+            }
+        });
+        return items;
+    };
+
+    // Old exports have no folders_order; their folders all sit at the top level
+    const nested = new Set((collection.folders || []).flatMap(folder => folder.folders_order || []));
+    const topFolders = collection.folders_order || (collection.folders || []).map(folder => folder.id).filter(id => !nested.has(id));
+    const items = toFolderItems(collection.order, topFolders);
+    collection.requests.forEach(request => {
+        if (request && request.id && !used.has(request.id)) {
+            used.add(request.id);
+            items.push(fromPostmanV1Request(request));
+        }
+    });
+
+    const imported = createCollection(name || collection.name || 'Postman v1 import', items);
+    imported.info.description = collection.description || undefined;
+    return { collection: imported, skipped: 0 };
+}
+
+// Find the format of imported content. Returns { format, data } with the parsed JSON,
+// or the text for cURL commands. Content in no known format throws.
+function detectFormat(content) {
+    const text = String(content).replace(/^\uFEFF/, '');
+    const start = text.trimStart();
+    if (/^(\$\s+)?curl\s/.test(start) || /^#[^\n]*\n\s*(\$\s+)?curl\s/.test(start)) {
+        return { format: 'curl', data: text };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Content is not JSON or cURL commands: ${error.message}`);
+    }
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        if (data.info && Array.isArray(data.item)) {
+            return { format: 'postman-v2', data };
+        }
+        if (data.log && Array.isArray(data.log.entries)) {
+            return { format: 'har', data };
+        }
+        if (data._type === 'export' && Array.isArray(data.resources)) {
+            if (data.__export_format !== 4) {
+                throw new Error(`Only Insomnia v4 exports are supported, got format ${data.__export_format}`);
+            }
+            return { format: 'insomnia', data };
+        }
+        if (Array.isArray(data.requests) && (Array.isArray(data.order) || Array.isArray(data.folders))) {
+            return { format: 'postman-v1', data };
+        }
+    }
+    throw new Error('Unrecognised format. Expected a Postman v1 or v2 collection, a HAR 1.2 file, an Insomnia v4 export or cURL commands.');
+}
+
+// Drop the undefined values the importers leave for missing bodies, auth and descriptions
+function stripUndefined(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Import content in any supported format as a Postman collection. Returns
+// { format, collection, skipped } where skipped counts entries that were left out, such as
+// the images and scripts of a HAR file. `name` overrides the collection name.
+function importCollection(content, { name } = {}) {
+    const { format, data } = detectFormat(content);
+    if (format === 'postman-v2') {
+        return { format, collection: data, skipped: 0 };
+    }
+    const importer = { 'postman-v1': fromPostmanV1, har: fromHar, insomnia: fromInsomnia, curl: fromCurl }[format];
+    const { collection, skipped } = importer(data, { name });
+    return { format, collection: stripUndefined(collection), skipped };
+}
+
+// List the requests of a collection for a preview: { folder, name, method, url }
+function listRequests(collection) {
+    const requests = [];
+    const walk = (items, folders) => (Array.isArray(items) ? items : []).forEach(item => {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+        if (Array.isArray(item.item)) {
+            walk(item.item, folders.concat(item.name || '(unnamed)'));
+            return;
+        }
+        const request = item.request && typeof item.request === 'object' ? item.request : { url: item.request };
+        const url = request.url && typeof request.url === 'object' ? request.url.raw : request.url;
+        requests.push({ folder: folders.join(' / '), name: item.name || '(unnamed)', method: String(request.method || 'GET').toUpperCase(), url: url || '' });
+    });
+    walk(collection && collection.item, []);
+    return requests;
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    detectFormat,
+    importCollection,
+    listRequests,
+    toPostmanUrl
+};
@@ -0,0 +1,29 @@
+// The conversion pipeline as a library, for scripts and CI jobs that do not run the server.
+// Requiring it has no side effects: nothing is watched, written or listened on.
+const { convertCollection } = require('./convert');
+const { DEFAULT_CONVERTER_CONFIG, validateConverterConfig, loadConverterConfig } = require('./converter-config');
+const { parseEnvironment } = require('./environments');
+const { validateOverlay, applyOverlay, loadOverlays } = require('./overlay');
+const { validatePostmanCollection } = require('./validate-postman');
+const { validateOpenAPI } = require('./validate-openapi');
+const { diffOpenAPI, diffToMarkdown, diffToHtml } = require('./diff-openapi');
+const { generateMarkdownReference } = require('./markdown-reference');
+const { runCli } = require('./cli');
+
+module.exports = {
+    convertCollection,
+    DEFAULT_CONVERTER_CONFIG,
+    validateConverterConfig,
+    loadConverterConfig,
+    parseEnvironment,
+    validateOverlay,
+    applyOverlay,
+    loadOverlays,
+    validatePostmanCollection,
+    validateOpenAPI,
+    diffOpenAPI,
+    diffToMarkdown,
+    diffToHtml,
+    generateMarkdownReference,
+    runCli
+};
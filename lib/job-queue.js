@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+// Number of finished jobs kept when no limit is given
+const DEFAULT_HISTORY_LIMIT = 500;
+
+// Page size of job queries
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// Run jobs one at a time, in the order they were queued. A job queued for a collection that
+// already has a job waiting is merged into that job instead of running twice; the waiting
+// job then runs with the details of the latest request.
+// `run(job, details)` resolves to { success, inputHash, result, error }; when it throws, the job
+// fails with the error. `onFinish(job)` is called with every finished job.
+function createJobQueue(run, { historyLimit = DEFAULT_HISTORY_LIMIT, onFinish = () => {} } = {}) {
+    const waiting = [];
+    const history = [];
+    let running = null;
+
+    // Queue a job for a collection. Details are { trigger, actor, action }, plus anything `run` needs.
+    // Returns a promise of the finished job record.
+    function enqueue(collection, details = {}) {
+        const queued = waiting.find(entry => entry.job.collection === collection);
+        if (queued) {
+            queued.job.mergedTriggers.push(queued.job.trigger);
+            queued.details = details;
+            Object.assign(queued.job, { trigger: details.trigger || null, actor: details.actor || null, action: details.action || null });
+            return queued.promise;
+        }
+
+        const entry = {
+            details,
+            job: {
+                id: crypto.randomUUID(),
+                collection,
+                trigger: details.trigger || null,
+                actor: details.actor || null,
+                action: details.action || null,
+                mergedTriggers: [],
+                status: 'queued',
+                queuedAt: new Date().toISOString(),
+                startedAt: null,
+                finishedAt: null,
+                durationMs: null,
+                inputHash: null,
+                result: null,
+                error: null
+            }
+        };
+        entry.promise = new Promise(resolve => {
+            entry.resolve = resolve;
+        });
+        waiting.push(entry);
+        history.unshift(entry.job);
+        next();
+        return entry.promise;
+    }
+
+    // Start the next job unless one is running
+    function next() {
+        if (running || waiting.length === 0) {
+            return;
+        }
+        running = waiting.shift();
+        execute(running).finally(() => {
+            running = null;
+            next();
+        });
+    }
+
+    async function execute(entry) {
+        const { job } = entry;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        const started = process.hrtime.bigint();
+        try {
+            const outcome = await run(job, entry.details) || {};
+            job.status = outcome.success ? 'succeeded' : 'failed';
+            job.inputHash = outcome.inputHash || null;
+            job.result = outcome.result || null;
+            job.error = outcome.success ? null : outcome.error || 'Job failed';
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        }
+        job.durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+        job.finishedAt = new Date().toISOString();
+        trimHistory();
+        try {
+            onFinish(job);
+        } catch (error) {
+            console.error('Error recording finished job:', error.message);
+        }
+        entry.resolve(job);
+    }
+
+    // Forget the oldest finished jobs beyond the history limit
+    function trimHistory() {
+        for (let index = history.length - 1; index >= 0 && history.length > historyLimit; index--) {
+            if (history[index].finishedAt) {
+                history.splice(index, 1);
+            }
+        }
+    }
+
+    function get(id) {
+        return history.find(job => job.id === id) || null;
+    }
+
+    // Find jobs, newest first. Filters: collection, status, trigger, offset and limit.
+    // Throws a RangeError for invalid filter values.
+    function query(filters = {}) {
+        const offset = filters.offset === undefined ? 0 : Number(filters.offset);
+        const limit = filters.limit === undefined ? DEFAULT_PAGE_SIZE : Number(filters.limit);
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new RangeError('"offset" must be a non-negative integer');
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new RangeError(`"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        if (filters.status && !JOB_STATUSES.includes(filters.status)) {
+            throw new RangeError(`"status" must be one of ${JOB_STATUSES.join(', ')}`);
+        }
+
+        const jobs = history.filter(job => (!filters.collection || job.collection === filters.collection)
+            && (!filters.status || job.status === filters.status)
+            && (!filters.trigger || job.trigger === filters.trigger));
+        return { total: jobs.length, offset, limit, jobs: jobs.slice(offset, offset + limit) };
+    }
+
+    // The most recent finished job of a collection, or null
+    function lastFinished(collection) {
+        return history.find(job => job.collection === collection && job.finishedAt) || null;
+    }
+
+    return {
+        enqueue,
+        get,
+        query,
+        lastFinished,
+        get length() {
+            return waiting.length + (running ? 1 : 0);
+        }
+    };
+}
+
+module.exports = {
+    JOB_STATUSES,
+    createJobQueue
+};
@@ -0,0 +1,103 @@
+const { isDeepStrictEqual } = require('util');
+
+// Array elements are matched by the first of these fields that identifies every element
+const ARRAY_KEY_FIELDS = ['id', 'key', 'name'];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Find the field that identifies the elements of the arrays: every element is an object
+// with a unique string value for it in each array. Returns null when there is none.
+function getArrayKeyField(arrays) {
+    return ARRAY_KEY_FIELDS.find(field => arrays.every(array => {
+        const values = array.map(element => (isPlainObject(element) ? element[field] : undefined));
+        return values.every(value => typeof value === 'string') && new Set(values).size === values.length;
+    })) || null;
+}
+
+// Escape an object key for a JSON pointer
+function escapeKey(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Order the elements of a merged array: the order of the side that reordered them, with the
+// elements the other side added after the element that precedes them there
+function mergeOrder(baseKeys, mineKeys, theirsKeys) {
+    const mineReordered = !isDeepStrictEqual(mineKeys.filter(key => baseKeys.includes(key)), baseKeys.filter(key => mineKeys.includes(key)));
+    const [primary, secondary] = mineReordered ? [mineKeys, theirsKeys] : [theirsKeys, mineKeys];
+    const order = primary.slice();
+    secondary.forEach((key, index) => {
+        if (!order.includes(key)) {
+            const previous = secondary.slice(0, index).reverse().find(other => order.includes(other));
+            order.splice(previous === undefined ? 0 : order.indexOf(previous) + 1, 0, key);
+        }
+    });
+    return order;
+}
+
+function mergeValue(base, mine, theirs, context) {
+    if (isDeepStrictEqual(mine, theirs)) {
+        return mine;
+    }
+    if (isDeepStrictEqual(base, mine)) {
+        return theirs;
+    }
+    if (isDeepStrictEqual(base, theirs)) {
+        return mine;
+    }
+
+    if (isPlainObject(mine) && isPlainObject(theirs)) {
+        const baseObject = isPlainObject(base) ? base : {};
+        const merged = {};
+        Object.keys(mine).concat(Object.keys(theirs).filter(key => !(key in mine))).forEach(key => {
+            const value = mergeValue(baseObject[key], mine[key], theirs[key], {
+                ...context,
+                path: `${context.path}/${escapeKey(key)}`,
+                location: context.location.concat(key)
+            });
+            if (value !== undefined) {
+                merged[key] = value;
+            }
+        });
+        return merged;
+    }
+
+    if (Array.isArray(mine) && Array.isArray(theirs)) {
+        const baseArray = Array.isArray(base) ? base : [];
+        const field = getArrayKeyField([baseArray, mine, theirs]);
+        if (field) {
+            const byKey = array => new Map(array.map(element => [element[field], element]));
+            const [baseMap, mineMap, theirsMap] = [byKey(baseArray), byKey(mine), byKey(theirs)];
+            const order = mergeOrder(Array.from(baseMap.keys()), Array.from(mineMap.keys()), Array.from(theirsMap.keys()));
+            return order.map(key => {
+                const element = mineMap.get(key) || theirsMap.get(key) || baseMap.get(key);
+                return mergeValue(baseMap.get(key), mineMap.get(key), theirsMap.get(key), {
+                    ...context,
+                    path: `${context.path}/[${field}=${escapeKey(key)}]`,
+                    location: context.location.concat(typeof element.name === 'string' ? `"${element.name}"` : `${field} ${key}`)
+                });
+            }).filter(value => value !== undefined);
+        }
+    }
+
+    // Both sides changed the same value: keep mine unless the conflict is resolved as theirs
+    const conflict = { path: context.path, location: context.location.join(' > ') || '(document)', base, mine, theirs };
+    context.conflicts.push(conflict);
+    return context.resolutions[context.path] === 'theirs' ? theirs : mine;
+}
+
+// Merge two versions of a JSON document that were both changed from `base`. Changes made on
+// one side are taken; objects are merged key by key and arrays of objects element by element,
+// matching elements by their id, key or name. Values changed on both sides are conflicts,
+// which keep `mine` unless `resolutions` maps their path to "theirs".
+// Returns { merged, conflicts } where each conflict is { path, location, base, mine, theirs }.
+function mergeJson(base, mine, theirs, resolutions = {}) {
+    const conflicts = [];
+    const merged = mergeValue(base, mine, theirs, { path: '', location: [], conflicts, resolutions });
+    return { merged, conflicts };
+}
+
+module.exports = {
+    mergeJson
+};
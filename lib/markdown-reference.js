@@ -0,0 +1,222 @@
+const { HTTP_METHODS, dereference } = require('./openapi-common');
+const { generateFromSchema } = require('./mock-server');
+const { buildRequest, getExampleValue } = require('./contract-test');
+const { slugify } = require('./environments');
+
+// Operations without a tag are listed on a page of their own
+const UNTAGGED = 'Other';
+
+// Used for example requests when the spec does not name a server
+const EXAMPLE_BASE_URL = 'https://api.example.com';
+
+// Get a description as trimmed text; hand-edited specs do not always have strings there
+function toText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// Escape text for a Markdown table cell
+function escapeCell(text) {
+    return toText(text)
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, ' ');
+}
+
+// Quote a value for a shell command
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+// Put a value in a fenced code block, pretty-printing anything that is not a string
+function codeBlock(value, language) {
+    let text = value;
+    if (typeof value !== 'string') {
+        text = JSON.stringify(value, null, 2);
+    } else if (language === 'json') {
+        try {
+            text = JSON.stringify(JSON.parse(value), null, 2);
+        } catch (error) {
+            language = '';
+        }
+    }
+    return ['```' + language, text, '```'];
+}
+
+// Describe the type of a schema in a few words, such as "array of string"
+function describeType(spec, node) {
+    const schema = dereference(spec, node);
+    if (!schema || typeof schema !== 'object') {
+        return '';
+    }
+    const type = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    if (type === 'array') {
+        const items = describeType(spec, schema.items);
+        return items ? `array of ${items}` : 'array';
+    }
+    if (!type && node.$ref) {
+        return node.$ref.split('/').pop();
+    }
+    return [type || (schema.properties ? 'object' : ''), schema.format ? `(${schema.format})` : ''].filter(Boolean).join(' ');
+}
+
+// Get the base URL for example requests: the first server, with its variables filled in
+function getBaseUrl(spec) {
+    const server = (spec.servers || [])[0];
+    if (!server || !server.url) {
+        return EXAMPLE_BASE_URL;
+    }
+    const variables = server.variables || {};
+    const url = server.url.replace(/\{([^{}]+)\}/g, (match, name) => (variables[name] ? variables[name].default : match));
+    return /^https?:\/\//.test(url) ? url : `${EXAMPLE_BASE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+// Write the request as a curl command
+function formatCurl(request) {
+    const lines = [`curl -X ${request.method} ${shellQuote(request.url)}`];
+    Object.keys(request.headers).forEach(name => lines.push(`  -H ${shellQuote(`${name}: ${request.headers[name]}`)}`));
+    if (request.body !== undefined) {
+        lines.push(`  --data-raw ${shellQuote(request.body)}`);
+    }
+    return lines.join(' \\\n');
+}
+
+// Collect the parameters of an operation; operation parameters override path-level ones
+function getParameters(spec, pathItem, operation) {
+    const parameters = new Map();
+    (pathItem.parameters || []).concat(operation.parameters || []).forEach(item => {
+        const param = dereference(spec, item);
+        if (param && param.name) {
+            parameters.set(`${param.in}:${param.name}`, param);
+        }
+    });
+    return Array.from(parameters.values());
+}
+
+// Get the example of a response's media type: its example, its first named example or a generated one
+function getResponseExample(spec, media) {
+    const examples = media.examples || {};
+    const first = Object.keys(examples)[0];
+    if (media.example === undefined && first) {
+        return (dereference(spec, examples[first]) || {}).value;
+    }
+    return media.example !== undefined ? media.example : generateFromSchema(spec, media.schema);
+}
+
+// Render one operation as a Markdown section
+function renderOperation(spec, baseUrl, pathKey, method, pathItem, operation) {
+    const lines = [`## ${operation.summary || `${method.toUpperCase()} ${pathKey}`}`, '', `\`${method.toUpperCase()} ${pathKey}\``, ''];
+    if (operation.deprecated) {
+        lines.push('> **Deprecated**', '');
+    }
+    if (operation.description) {
+        lines.push(toText(operation.description), '');
+    }
+
+    const parameters = getParameters(spec, pathItem, operation);
+    if (parameters.length > 0) {
+        lines.push('### Parameters', '', '| Name | In | Type | Required | Description |', '| --- | --- | --- | --- | --- |');
+        parameters.forEach(param => {
+            lines.push(`| \`${escapeCell(param.name)}\` | ${param.in} | ${escapeCell(describeType(spec, param.schema))} | ${param.required ? 'yes' : 'no'} | ${escapeCell(param.description)} |`);
+        });
+        lines.push('');
+    }
+
+    const requestBody = dereference(spec, operation.requestBody);
+    const mediaTypes = Object.keys((requestBody && requestBody.content) || {});
+    if (mediaTypes.length > 0) {
+        const mediaType = mediaTypes.find(type => /json/.test(type)) || mediaTypes[0];
+        const example = getExampleValue(spec, requestBody.content[mediaType] || {});
+        lines.push('### Request body', '', `\`${mediaType}\`${requestBody.required ? ' (required)' : ''}`, '');
+        if (requestBody.description) {
+            lines.push(toText(requestBody.description), '');
+        }
+        if (example !== null && example !== undefined) {
+            lines.push(...codeBlock(example, /json/.test(mediaType) ? 'json' : ''), '');
+        }
+    }
+
+    lines.push('### Example request', '', ...codeBlock(formatCurl(buildRequest(spec, baseUrl, pathKey, method, pathItem, operation, {})), 'bash'), '');
+
+    const responses = operation.responses || {};
+    if (Object.keys(responses).length > 0) {
+        lines.push('### Responses', '');
+        Object.keys(responses).sort().forEach(code => {
+            const response = dereference(spec, responses[code]) || {};
+            const description = toText(response.description);
+            lines.push(`#### ${code}${description ? ` - ${description}` : ''}`, '');
+            const content = response.content || {};
+            const mediaType = Object.keys(content).find(type => /json/.test(type)) || Object.keys(content)[0];
+            if (mediaType) {
+                const example = getResponseExample(spec, content[mediaType] || {});
+                if (example !== null && example !== undefined) {
+                    lines.push(`\`${mediaType}\``, '', ...codeBlock(example, /json/.test(mediaType) ? 'json' : ''), '');
+                }
+            }
+        });
+    }
+    return lines;
+}
+
+// Generate the Markdown reference of a spec: an index page and one page per tag, listing
+// each endpoint with its parameters, an example request and its responses.
+// Returns a map of file name to page content.
+function generateMarkdownReference(spec) {
+    const baseUrl = getBaseUrl(spec);
+    const groups = new Map();
+    (spec.tags || []).forEach(tag => groups.set(tag.name, { tag, operations: [] }));
+
+    Object.keys(spec.paths || {}).forEach(pathKey => {
+        const pathItem = dereference(spec, spec.paths[pathKey]) || {};
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            const operation = pathItem[method];
+            const name = (operation.tags || [])[0] || UNTAGGED;
+            if (!groups.has(name)) {
+                groups.set(name, { tag: { name }, operations: [] });
+            }
+            groups.get(name).operations.push({ pathKey, method, pathItem, operation });
+        });
+    });
+
+    const info = spec.info || {};
+    const files = {};
+    const index = [`# ${info.title || 'API reference'}`, ''];
+    if (info.version) {
+        index.push(`Version ${info.version}`, '');
+    }
+    if (info.description) {
+        index.push(toText(info.description), '');
+    }
+    index.push(`Base URL: \`${baseUrl}\``, '');
+
+    groups.forEach(({ tag, operations }) => {
+        if (operations.length === 0) {
+            return;
+        }
+        // Tags that slugify to the same name, or to "index", get a number
+        const slug = slugify(tag.name) || 'tag';
+        let filename = `${slug}.md`;
+        for (let count = 2; filename === 'index.md' || files[filename]; count++) {
+            filename = `${slug}-${count}.md`;
+        }
+
+        const page = [`# ${tag.name}`, ''];
+        if (tag.description) {
+            page.push(toText(tag.description), '');
+        }
+        operations.forEach(item => {
+            page.push(...renderOperation(spec, baseUrl, item.pathKey, item.method, item.pathItem, item.operation));
+        });
+        files[filename] = page.join('\n');
+
+        index.push(`## [${tag.name}](${filename})`, '');
+        operations.forEach(({ pathKey, method, operation }) => {
+            index.push(`- \`${method.toUpperCase()} ${pathKey}\`${operation.summary ? ` - ${operation.summary}` : ''}`);
+        });
+        index.push('');
+    });
+
+    return { 'index.md': index.join('\n'), ...files };
+}
+
+module.exports = {
+    generateMarkdownReference
+};
@@ -0,0 +1,112 @@
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Escape a label value for the Prometheus text format
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Collect counters, gauges and histograms and render them in the Prometheus text
+// exposition format. Samples are kept per combination of label values.
+function createMetricsRegistry() {
+    const metrics = new Map();
+
+    function register(name, help, type, extra = {}) {
+        if (metrics.has(name)) {
+            throw new Error(`Metric "${name}" is already registered`);
+        }
+        const metric = { name, help, type, samples: new Map(), ...extra };
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    // Get the sample of a metric for a set of labels, creating it with `initial` when missing
+    function getSample(metric, labels, initial) {
+        const id = JSON.stringify(labels);
+        if (!metric.samples.has(id)) {
+            metric.samples.set(id, { labels, ...initial() });
+        }
+        return metric.samples.get(id);
+    }
+
+    function counter(name, help) {
+        const metric = register(name, help, 'counter');
+        return {
+            inc(labels = {}, value = 1) {
+                getSample(metric, labels, () => ({ value: 0 })).value += value;
+            }
+        };
+    }
+
+    // Gauges are usually set right before rendering, so they can be cleared of labels that are gone
+    function gauge(name, help) {
+        const metric = register(name, help, 'gauge');
+        return {
+            set(labels, value) {
+                getSample(metric, labels, () => ({ value: 0 })).value = value;
+            },
+            reset() {
+                metric.samples.clear();
+            }
+        };
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const metric = register(name, help, 'histogram', { buckets: buckets.slice().sort((a, b) => a - b) });
+        return {
+            observe(labels, value) {
+                const sample = getSample(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+                metric.buckets.forEach((bound, index) => {
+                    if (value <= bound) {
+                        sample.counts[index]++;
+                    }
+                });
+                sample.sum += value;
+                sample.count++;
+            }
+        };
+    }
+
+    function renderMetric(metric) {
+        const lines = [`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${metric.name} ${metric.type}`];
+        metric.samples.forEach(sample => {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+                return;
+            }
+            metric.buckets.forEach((bound, index) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: bound })} ${sample.counts[index]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+        });
+        return lines.join('\n');
+    }
+
+    // Render all metrics in the text exposition format, version 0.0.4
+    function render() {
+        return Array.from(metrics.values()).map(renderMetric).join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+    createMetricsRegistry
+};
@@ -0,0 +1,296 @@
+const { HTTP_METHODS, dereference } = require('./openapi-common');
+
+// Headers that describe the connection rather than the response, which the mock cannot copy
+const HOP_BY_HOP_HEADERS = ['connection', 'content-length', 'keep-alive', 'transfer-encoding'];
+
+// Generated values stop at this depth, which also stops recursive schemas
+const MAX_SCHEMA_DEPTH = 8;
+
+// Example values for string formats
+const FORMAT_EXAMPLES = {
+    'date-time': '2024-01-01T00:00:00Z',
+    date: '2024-01-01',
+    time: '00:00:00',
+    email: 'user@example.com',
+    uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+    uri: 'https://example.com',
+    url: 'https://example.com',
+    hostname: 'example.com',
+    ipv4: '192.0.2.1',
+    ipv6: '2001:db8::1',
+    byte: 'U3dhZ2dlciByb2Nrcw==',
+    password: 'password'
+};
+
+// Escape a literal path segment for use in a regular expression
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Get the path prefixes of the spec's servers, such as "/v1" for "https://api.example.com/v1"
+function getServerBasePaths(spec) {
+    const basePaths = new Set();
+    (Array.isArray(spec.servers) ? spec.servers : []).forEach(server => {
+        const url = String((server && server.url) || '').replace(/\{[^}]*\}/g, 'x');
+        const match = /^(?:[a-z][a-z0-9+.-]*:\/\/[^/]*)?(\/[^?#]*)?/i.exec(url);
+        const basePath = match && match[1] ? match[1].replace(/\/+$/, '') : '';
+        if (basePath) {
+            basePaths.add(basePath);
+        }
+    });
+    return Array.from(basePaths);
+}
+
+// Build the routes of a mock server from an OpenAPI document. Paths with fewer template
+// parameters come first, so /users/me wins over /users/{id}.
+function createMockRoutes(spec) {
+    const routes = [];
+    const paths = spec && spec.paths && typeof spec.paths === 'object' ? spec.paths : {};
+    Object.keys(paths).forEach(pathKey => {
+        const pathItem = dereference(spec, paths[pathKey]) || {};
+        const paramNames = [];
+        const pattern = pathKey.split('/').map(segment => segment.split(/(\{[^}]+\})/).map(part => {
+            const param = /^\{([^}]+)\}$/.exec(part);
+            if (param) {
+                paramNames.push(param[1]);
+                return '([^/]+)';
+            }
+            return escapeRegex(part);
+        }).join('')).join('/');
+
+        const operations = {};
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            operations[method.toUpperCase()] = pathItem[method];
+        });
+        routes.push({ path: pathKey, regex: new RegExp(`^${pattern}/?$`), paramNames, operations });
+    });
+    routes.sort((a, b) => a.paramNames.length - b.paramNames.length);
+
+    return { spec, basePaths: getServerBasePaths(spec), routes };
+}
+
+// Find the route for a request path, also trying the path without a server base path.
+// Returns null when no route matches.
+function matchRoute(mock, requestPath) {
+    const candidates = [requestPath].concat(mock.basePaths
+        .filter(basePath => requestPath === basePath || requestPath.startsWith(`${basePath}/`))
+        .map(basePath => requestPath.slice(basePath.length) || '/'));
+
+    for (const candidate of candidates) {
+        for (const route of mock.routes) {
+            if (route.regex.test(candidate)) {
+                return route;
+            }
+        }
+    }
+    return null;
+}
+
+// Parse a Prefer header such as "code=404, example=not-found" into { code, example }
+function parsePreferHeader(header) {
+    const preferences = {};
+    String(header || '').split(/[,;]/).forEach(part => {
+        const match = /^\s*([a-z-]+)\s*=\s*"?([^"]*)"?\s*$/i.exec(part);
+        if (match) {
+            preferences[match[1].toLowerCase()] = match[2];
+        }
+    });
+    return preferences;
+}
+
+// Merge the members of an allOf into one schema
+function mergeAllOf(spec, schemas) {
+    return schemas.reduce((merged, item) => {
+        const schema = dereference(spec, item) || {};
+        return {
+            ...merged,
+            ...schema,
+            properties: { ...merged.properties, ...schema.properties },
+            required: (merged.required || []).concat(schema.required || [])
+        };
+    }, { properties: {} });
+}
+
+// Generate an example value from a JSON schema. `refs` holds the $refs being expanded,
+// so a recursive schema ends in null instead of repeating itself.
+function generateFromSchema(spec, node, depth = 0, refs = []) {
+    if (node && typeof node.$ref === 'string') {
+        if (refs.includes(node.$ref)) {
+            return null;
+        }
+        refs = refs.concat(node.$ref);
+    }
+    let schema = dereference(spec, node);
+    if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) {
+        return null;
+    }
+    if (schema.example !== undefined) {
+        return schema.example;
+    }
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+        return schema.examples[0];
+    }
+    if (schema.default !== undefined) {
+        return schema.default;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum[0];
+    }
+    if (Array.isArray(schema.allOf)) {
+        schema = mergeAllOf(spec, schema.allOf);
+    }
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives) && alternatives.length > 0) {
+        return generateFromSchema(spec, alternatives[0], depth + 1, refs);
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type.find(item => item !== 'null') : schema.type;
+    switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+        case 'object': {
+            const value = {};
+            Object.keys(schema.properties || {}).forEach(key => {
+                const property = schema.properties[key];
+                if (!(dereference(spec, property) || {}).writeOnly) {
+                    value[key] = generateFromSchema(spec, property, depth + 1, refs);
+                }
+            });
+            return value;
+        }
+        case 'array':
+            return schema.items ? [generateFromSchema(spec, schema.items, depth + 1, refs)] : [];
+        case 'integer':
+        case 'number':
+            return schema.minimum !== undefined ? schema.minimum : 0;
+        case 'boolean':
+            return true;
+        case 'string':
+            return FORMAT_EXAMPLES[schema.format] || 'string';
+        default:
+            return null;
+    }
+}
+
+// Pick the response to send for an operation: the preferred status code, or else the
+// first 2xx, "default" or whatever is defined. A preferred status code that is not declared
+// is answered with the "default" response. Returns [statusKey, response] or null.
+function selectStatus(spec, operation, preferredCode) {
+    const responses = operation.responses || {};
+    const codes = Object.keys(responses);
+    let code;
+    if (preferredCode) {
+        code = codes.find(key => key === preferredCode) || codes.find(key => key.toUpperCase() === `${preferredCode[0]}XX`);
+        if (!code && responses.default && /^[1-5]\d\d$/.test(preferredCode)) {
+            return [preferredCode, dereference(spec, responses.default) || {}];
+        }
+        if (!code) {
+            return null;
+        }
+    } else {
+        code = codes.filter(key => /^2/.test(key)).sort()[0] || codes.find(key => key === 'default') || codes.sort()[0];
+    }
+    return code ? [code, dereference(spec, responses[code]) || {}] : ['204', {}];
+}
+
+// Get the numeric HTTP status for a response key such as "200", "2XX" or "default"
+function toStatusCode(key) {
+    if (/^\d{3}$/.test(key)) {
+        return Number(key);
+    }
+    if (/^[1-5]XX$/i.test(key)) {
+        return Number(key[0]) * 100;
+    }
+    return 200;
+}
+
+// Pick the media type of a response that best matches the Accept header
+function selectMediaType(content, accepts) {
+    const mediaTypes = Object.keys(content || {});
+    if (mediaTypes.length === 0) {
+        return null;
+    }
+    const concreteTypes = mediaTypes.filter(type => type !== '*/*');
+    const preferred = concreteTypes.length > 0 ? accepts(concreteTypes) : false;
+    return preferred || mediaTypes.find(type => /json/.test(type)) || mediaTypes[0];
+}
+
+// Get the body of a response: a named example, the media type's example, the first of its
+// examples or a value generated from its schema. Returns { body } or null for an unknown example.
+function selectBody(spec, media, exampleName) {
+    const examples = media.examples || {};
+    if (exampleName) {
+        return examples[exampleName] ? { body: (dereference(spec, examples[exampleName]) || {}).value } : null;
+    }
+    if (media.example !== undefined) {
+        return { body: media.example };
+    }
+    const first = Object.keys(examples)[0];
+    if (first) {
+        return { body: (dereference(spec, examples[first]) || {}).value };
+    }
+    return { body: generateFromSchema(spec, media.schema) };
+}
+
+// Build the mock response for a request. `request` has method, path, accepts(types) and
+// prefer (the Prefer header). Returns { status, headers, body } where body is a string or
+// undefined; errors of the mock itself are reported with a JSON message.
+function createMockResponse(mock, request) {
+    const error = (status, message, headers = {}) => ({
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ message })
+    });
+
+    const route = matchRoute(mock, request.path);
+    if (!route) {
+        return error(404, `No mock operation for ${request.method} ${request.path}`);
+    }
+    const operation = route.operations[request.method] || (request.method === 'HEAD' && route.operations.GET);
+    if (!operation) {
+        return error(405, `${request.method} is not defined for ${route.path}`, { Allow: Object.keys(route.operations).join(', ') });
+    }
+
+    const preferences = parsePreferHeader(request.prefer);
+    const selected = selectStatus(mock.spec, operation, preferences.code);
+    if (!selected) {
+        return error(400, `No ${preferences.code} response defined for ${request.method} ${route.path}`);
+    }
+    const [statusKey, response] = selected;
+
+    // Response headers declared in the spec get their example values
+    const headers = {};
+    Object.keys(response.headers || {}).forEach(name => {
+        const header = dereference(mock.spec, response.headers[name]) || {};
+        const value = header.example !== undefined ? header.example : generateFromSchema(mock.spec, header.schema);
+        if (value !== null && value !== undefined && !HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) {
+            headers[name] = String(value);
+        }
+    });
+
+    const mediaType = selectMediaType(response.content, request.accepts);
+    let body;
+    if (mediaType) {
+        const media = response.content[mediaType] || {};
+        const selectedBody = selectBody(mock.spec, media, preferences.example);
+        if (!selectedBody) {
+            const names = Object.keys(media.examples || {});
+            const available = names.length > 0 ? `available examples: ${names.join(', ')}` : 'it has no named examples';
+            return error(400, `No example named "${preferences.example}" for the ${statusKey} response of ${request.method} ${route.path}; ${available}`);
+        }
+        body = selectedBody.body;
+        const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+        if (!contentTypeHeader) {
+            headers['Content-Type'] = mediaType === '*/*' ? 'application/json' : mediaType;
+        }
+        if (body !== undefined && body !== null && typeof body !== 'string') {
+            body = JSON.stringify(body, null, 2);
+        }
+    }
+
+    return { status: toStatusCode(statusKey), headers, body: body === null ? undefined : body };
+}
+
+module.exports = {
+    createMockRoutes,
+    createMockResponse,
+    generateFromSchema
+};
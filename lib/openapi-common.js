@@ -0,0 +1,35 @@
+// HTTP methods that can hold an operation in an OpenAPI path item
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Resolve a local JSON pointer (such as "#/components/schemas/Pet") against a document
+function resolvePointer(doc, ref) {
+    const segments = ref.replace(/^#/, '').split('/').slice(1)
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let node = doc;
+    for (const segment of segments) {
+        if (node === null || typeof node !== 'object' || !(segment in node)) {
+            return undefined;
+        }
+        node = node[segment];
+    }
+    return node;
+}
+
+// Follow local $refs until we reach an actual object. Returns undefined when a $ref does not
+// resolve; a $ref cycle stops at the object that closes it.
+function dereference(spec, node) {
+    let current = node;
+    const seen = new Set();
+    while (current && typeof current.$ref === 'string' && current.$ref.startsWith('#') && !seen.has(current.$ref)) {
+        seen.add(current.$ref);
+        current = resolvePointer(spec, current.$ref);
+    }
+    return current;
+}
+
+module.exports = {
+    HTTP_METHODS,
+    resolvePointer,
+    dereference
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { JSONPath } = require('jsonpath-plus');
+
+// Check that a document is an OpenAPI Overlay (https://spec.openapis.org/overlay/v1.0.0.html).
+// Returns a list of { rule, message, pointer } errors, empty when it is valid.
+function validateOverlay(overlay) {
+    const errors = [];
+    const error = (message, pointer) => errors.push({ rule: 'overlay', message, pointer });
+
+    if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+        error('Overlay must be an object', '');
+        return errors;
+    }
+    if (typeof overlay.overlay !== 'string' || !overlay.overlay.startsWith('1.')) {
+        error('"overlay" must be the version of the Overlay specification, such as "1.0.0"', '/overlay');
+    }
+    if (!overlay.info || typeof overlay.info.title !== 'string' || typeof overlay.info.version !== 'string') {
+        error('"info" must have a title and a version', '/info');
+    }
+    if (!Array.isArray(overlay.actions) || overlay.actions.length === 0) {
+        error('"actions" must be a non-empty array', '/actions');
+        return errors;
+    }
+
+    overlay.actions.forEach((action, index) => {
+        const pointer = `/actions/${index}`;
+        if (!action || typeof action !== 'object') {
+            error('Action must be an object', pointer);
+            return;
+        }
+        if (typeof action.target !== 'string' || !action.target.startsWith('$')) {
+            error('"target" must be a JSONPath expression starting with "$"', `${pointer}/target`);
+        } else {
+            try {
+                // Filter expressions are only parsed when they meet a value, so give them some
+                JSONPath({ path: action.target, json: { x: { y: [{}] } } });
+            } catch (pathError) {
+                error(`"target" is not a valid JSONPath expression: ${pathError.message}`, `${pointer}/target`);
+            }
+        }
+        if (action.update === undefined && action.remove !== true) {
+            error('Action must have an "update" or "remove: true"', pointer);
+        }
+    });
+    return errors;
+}
+
+// Merge an update into a target as the Overlay specification describes: objects are merged
+// recursively, arrays get the update appended and anything else is replaced
+function mergeUpdate(target, update) {
+    if (Array.isArray(target)) {
+        return target.concat(update);
+    }
+    if (target && typeof target === 'object' && update && typeof update === 'object' && !Array.isArray(update)) {
+        const merged = { ...target };
+        Object.keys(update).forEach(key => {
+            merged[key] = key in target ? mergeUpdate(target[key], update[key]) : update[key];
+        });
+        return merged;
+    }
+    return update;
+}
+
+// Apply the actions of an overlay to a spec, in place and in order. Returns warnings for
+// actions whose target matched nothing.
+function applyOverlay(spec, overlay, name = 'overlay') {
+    const warnings = [];
+    overlay.actions.forEach((action, index) => {
+        const matches = JSONPath({ path: action.target, json: spec, resultType: 'all' });
+        if (matches.length === 0) {
+            warnings.push({ rule: 'overlay-target', message: `${name}: target "${action.target}" matched nothing`, pointer: `/actions/${index}/target` });
+            return;
+        }
+
+        if (action.remove === true) {
+            // Remove from the end so array indexes of the remaining matches stay valid
+            matches.reverse().forEach(match => {
+                if (Array.isArray(match.parent)) {
+                    match.parent.splice(match.parentProperty, 1);
+                } else if (match.parent) {
+                    delete match.parent[match.parentProperty];
+                }
+            });
+            return;
+        }
+
+        matches.forEach(match => {
+            if (match.parent) {
+                match.parent[match.parentProperty] = mergeUpdate(match.value, action.update);
+            } else {
+                // The target is the document itself
+                Object.assign(spec, mergeUpdate(spec, action.update));
+            }
+        });
+    });
+    return warnings;
+}
+
+// Read the overlay documents (JSON or YAML) of a directory, in file name order:
+// [{ name, overlay }]. A missing directory has no overlays.
+function loadOverlays(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => /\.(json|ya?ml)$/i.test(file))
+        .sort()
+        .map(file => ({
+            name: file,
+            overlay: yaml.load(fs.readFileSync(path.join(dir, file), 'utf8'))
+        }));
+}
+
+module.exports = {
+    validateOverlay,
+    applyOverlay,
+    loadOverlays
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const lockfile = require('proper-lockfile');
+const multer = require('multer');
+
+// Resolve a user-supplied file name inside a directory. Returns null unless the name
+// matches `pattern` (an anchored allowlist), resolves to a file directly inside the
+// directory and is not a symbolic link.
+function resolveInside(dir, name, pattern) {
+    if (typeof name !== 'string' || !pattern.test(name)) {
+        return null;
+    }
+    const root = path.resolve(dir);
+    const resolved = path.resolve(root, name);
+    if (path.dirname(resolved) !== root) {
+        return null;
+    }
+    try {
+        if (fs.lstatSync(resolved).isSymbolicLink()) {
+            return null;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+    return resolved;
+}
+
+// Errors of a rename over a file that cannot be replaced, such as a single-file bind mount
+const RENAME_REPLACE_ERRORS = ['EBUSY', 'EXDEV'];
+
+// Write a file atomically. The content goes to a temporary file next to it, which is
+// flushed and renamed over the target, so readers see either the old or the new file.
+// When anything fails the target is left untouched. Targets that cannot be renamed over
+// are written in place instead, once the content is safely on disk in the temporary file.
+function writeFileAtomic(filePath, content) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    let fd = null;
+    try {
+        fd = fs.openSync(tempPath, 'wx', 0o644);
+        fs.writeFileSync(fd, content);
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+        try {
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            if (!RENAME_REPLACE_ERRORS.includes(error.code)) {
+                throw error;
+            }
+            writeFileInPlace(filePath, content);
+            fs.rmSync(tempPath, { force: true });
+        }
+    } catch (error) {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+// Overwrite a file through its existing inode and flush it
+function writeFileInPlace(filePath, content) {
+    const fd = fs.openSync(filePath, 'w');
+    try {
+        fs.writeFileSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Run `fn` while holding the proper-lockfile lock of a file, which does not need to exist yet
+async function withFileLock(filePath, fn) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const release = await lockfile.lock(filePath, { retries: 5, realpath: false });
+    try {
+        return await fn();
+    } finally {
+        await release();
+    }
+}
+
+// Guess the format of uploaded content from the bytes themselves: 'json' for a JSON
+// object or array, 'yaml' for other text and null for empty, binary or non-UTF-8 content
+function sniffContentFormat(buffer) {
+    if (buffer.includes(0)) {
+        return null;
+    }
+    const text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) {
+        return null;
+    }
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start === '') {
+        return null;
+    }
+    return start.startsWith('{') || start.startsWith('[') ? 'json' : 'yaml';
+}
+
+// Multer storage engine that streams files to random names in `dir`. Unlike multer's disk
+// storage it also removes the partial file when the request breaks off mid-upload.
+function createTempStorage(dir) {
+    return {
+        _handleFile(req, file, cb) {
+            const filename = `${crypto.randomBytes(16).toString('hex')}.upload`;
+            const tempPath = path.join(dir, filename);
+            fs.mkdir(dir, { recursive: true }, mkdirError => {
+                if (mkdirError) {
+                    return cb(mkdirError);
+                }
+                const output = fs.createWriteStream(tempPath, { flags: 'wx', mode: 0o600 });
+                pipeline(file.stream, output, error => {
+                    if (error) {
+                        return fs.rm(tempPath, { force: true }, () => cb(error));
+                    }
+                    cb(null, { destination: dir, filename, path: tempPath, size: output.bytesWritten });
+                });
+            });
+        },
+        _removeFile(req, file, cb) {
+            fs.rm(file.path, { force: true }, cb);
+        }
+    };
+}
+
+// Single file uploads. Files are streamed to random names in `dir`, never next to a
+// collection, and need one of `extensions`. Their content must sniff as one of `formats`;
+// accepted files get req.file.content (without a byte order mark) and req.file.format.
+// The temporary file is removed once the response has been sent.
+function createUploader({ dir, extensions, formats, maxSize = 50 * 1024 * 1024 }) {
+    const uploader = multer({
+        storage: createTempStorage(dir),
+        limits: { fileSize: maxSize, files: 1 },
+        fileFilter: (req, file, cb) => {
+            // Browsers send a part without a file name for a file input that was left empty
+            if (!file.originalname) {
+                return cb(null, false);
+            }
+            if (!extensions.includes(path.extname(file.originalname).toLowerCase())) {
+                return cb(new Error(`Only ${extensions.join(', ')} files are allowed`), false);
+            }
+            cb(null, true);
+        }
+    });
+
+    function single(field) {
+        const receive = uploader.single(field);
+        return (req, res, next) => {
+            res.on('close', () => {
+                if (req.file) {
+                    fs.rm(req.file.path, { force: true }, () => {});
+                }
+            });
+            receive(req, res, error => {
+                if (error && error.syscall) {
+                    return next(error);
+                }
+                if (error) {
+                    // Size limits, unexpected fields, the extension check and malformed multipart bodies
+                    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).send(`Invalid upload: ${error.message}`);
+                }
+                if (!req.file) {
+                    return next();
+                }
+
+                const buffer = fs.readFileSync(req.file.path);
+                const format = sniffContentFormat(buffer);
+                if (!formats.includes(format)) {
+                    return res.status(422).json({
+                        message: 'Upload failed validation',
+                        errors: [{
+                            rule: 'upload',
+                            message: format ? `File content is not ${formats.map(item => item.toUpperCase()).join(' or ')}` : 'File is empty, binary or not UTF-8 text',
+                            pointer: ''
+                        }],
+                        warnings: []
+                    });
+                }
+                req.file.format = format;
+                req.file.content = buffer.toString('utf8').replace(/^\uFEFF/, '');
+                next();
+            });
+        };
+    }
+
+    return { single };
+}
+
+module.exports = {
+    resolveInside,
+    writeFileAtomic,
+    withFileLock,
+    sniffContentFormat,
+    createUploader
+};
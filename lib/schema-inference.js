@@ -0,0 +1,351 @@
+const { HTTP_METHODS, dereference } = require('./openapi-common');
+
+// String formats recognised in examples, checked in order
+const STRING_FORMATS = [
+    ['date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i],
+    ['date', /^\d{4}-\d{2}-\d{2}$/],
+    ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+    ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+    ['uri', /^https?:\/\/[^\s]+$/i]
+];
+
+// Objects with fewer properties than this are not worth a named schema
+const MIN_SHARED_PROPERTIES = 2;
+
+// Get the JSON type of a value, telling integers from other numbers
+function kindOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+// Get the format of a string, or null when it has none we recognise
+function detectFormat(value) {
+    const match = STRING_FORMATS.find(([, regex]) => regex.test(value));
+    return match ? match[0] : null;
+}
+
+// Allow null for a schema, in the style of the spec's OpenAPI version
+function makeNullable(schema, openapi31) {
+    if (!openapi31) {
+        return { ...schema, nullable: true };
+    }
+    if (schema.type) {
+        return { ...schema, type: [schema.type, 'null'] };
+    }
+    if (schema.oneOf) {
+        return { oneOf: schema.oneOf.concat({ type: 'null' }) };
+    }
+    return { type: 'null' };
+}
+
+// Infer the schema of samples that all have the same JSON type
+function inferKind(kind, samples, openapi31) {
+    switch (kind) {
+        case 'object': {
+            const keys = [];
+            samples.forEach(sample => Object.keys(sample).forEach(key => {
+                if (!keys.includes(key)) {
+                    keys.push(key);
+                }
+            }));
+            const schema = { type: 'object' };
+            if (keys.length === 0) {
+                return schema;
+            }
+            schema.properties = {};
+            keys.forEach(key => {
+                const values = samples.filter(sample => key in sample).map(sample => sample[key]);
+                schema.properties[key] = inferSchema(values, { openapi31 });
+            });
+            // Fields present in every example are required
+            const required = keys.filter(key => samples.every(sample => key in sample));
+            if (required.length > 0) {
+                schema.required = required;
+            }
+            return schema;
+        }
+        case 'array': {
+            const items = [].concat(...samples);
+            return { type: 'array', items: items.length > 0 ? inferSchema(items, { openapi31 }) : {} };
+        }
+        case 'string': {
+            const formats = Array.from(new Set(samples.map(detectFormat)));
+            return formats.length === 1 && formats[0] ? { type: 'string', format: formats[0] } : { type: 'string' };
+        }
+        default:
+            return { type: kind };
+    }
+}
+
+// Infer a JSON schema that all the sample values match. Samples of different types give
+// a oneOf; integers mixed with other numbers are numbers.
+function inferSchema(samples, { openapi31 = false } = {}) {
+    const byKind = {};
+    samples.forEach(sample => {
+        const kind = kindOf(sample);
+        byKind[kind] = (byKind[kind] || []).concat([sample]);
+    });
+    if (byKind.integer && byKind.number) {
+        byKind.number = byKind.number.concat(byKind.integer);
+        delete byKind.integer;
+    }
+    const nullable = Boolean(byKind.null);
+    delete byKind.null;
+
+    const schemas = Object.keys(byKind).map(kind => inferKind(kind, byKind[kind], openapi31));
+    let schema = {};
+    if (schemas.length === 1) {
+        schema = schemas[0];
+    } else if (schemas.length > 1) {
+        schema = { oneOf: schemas };
+    }
+    return nullable ? makeNullable(schema, openapi31) : schema;
+}
+
+// Check whether a media type carries JSON bodies
+function isJsonMediaType(mediaType) {
+    return /[/+]json\b/i.test(mediaType) || mediaType === '*/*';
+}
+
+// Parse an example body. JSON strings are parsed; anything that is not JSON gives undefined.
+function parseExampleBody(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Get the example bodies of a media type object: its example, its named examples and an
+// example left on the schema by the converter
+function getExampleBodies(spec, media) {
+    const values = [];
+    if (media.example !== undefined) {
+        values.push(media.example);
+    }
+    Object.values(media.examples || {}).forEach(example => {
+        const resolved = dereference(spec, example);
+        if (resolved && resolved.value !== undefined) {
+            values.push(resolved.value);
+        }
+    });
+    if (media.schema && media.schema.example !== undefined) {
+        values.push(media.schema.example);
+    }
+    return values.map(parseExampleBody).filter(value => value !== undefined);
+}
+
+// Check whether a schema says nothing about the body's structure, such as a bare
+// `type: object`, so an inferred schema can replace it
+function isBareSchema(schema) {
+    if (!schema) {
+        return true;
+    }
+    const structural = ['$ref', 'properties', 'additionalProperties', 'items', 'allOf', 'oneOf', 'anyOf', 'enum'];
+    return !structural.some(key => schema[key] !== undefined) && [undefined, 'object', 'string'].includes(schema.type);
+}
+
+// Get the JSON media type a response declares in a Content-Type header example, if any
+function getDeclaredJsonType(spec, response) {
+    const name = Object.keys(response.headers || {}).find(header => header.toLowerCase() === 'content-type');
+    if (!name) {
+        return null;
+    }
+    const header = dereference(spec, response.headers[name]) || {};
+    const value = header.example !== undefined ? header.example : header.schema && header.schema.example;
+    const mediaType = String(value || '').split(';')[0].trim().toLowerCase();
+    return isJsonMediaType(mediaType) && mediaType !== '*/*' ? mediaType : null;
+}
+
+// postman-to-openapi files JSON responses saved without a language as text/plain, with the
+// real type only in the Content-Type header. Move such bodies to the declared JSON type.
+function moveDeclaredJsonContent(spec, response) {
+    const jsonType = getDeclaredJsonType(spec, response);
+    if (!jsonType || !response.content || response.content[jsonType]) {
+        return;
+    }
+    const textType = Object.keys(response.content).find(mediaType => /^text\/plain\b/i.test(mediaType));
+    const media = textType && response.content[textType];
+    const bodies = media ? getExampleBodies(spec, media) : [];
+    if (bodies.length > 0 && bodies.every(body => body !== null && typeof body === 'object')) {
+        response.content[jsonType] = media;
+        delete response.content[textType];
+    }
+}
+
+// Turn a name such as "user_address" or "list users" into "UserAddress"
+function toSchemaName(name) {
+    const words = String(name).replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    const pascal = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[A-Z]/.test(pascal) ? pascal : `Schema${pascal}`;
+}
+
+// Guess the name of one item of a list property, such as "User" for "users"
+function singularize(name) {
+    if (/ies$/i.test(name)) {
+        return name.slice(0, -3) + 'y';
+    }
+    if (/[^s]s$/i.test(name)) {
+        return name.slice(0, -1);
+    }
+    return `${name}Item`;
+}
+
+// Count the object schemas in an inferred schema by their content, keeping the names the
+// places they appear in suggest. Names from property names win over names of operations.
+function collectShapes(schema, hint, fromProperty, shapes) {
+    if (!schema || typeof schema !== 'object') {
+        return;
+    }
+    if (schema.type === 'object' && Object.keys(schema.properties || {}).length >= MIN_SHARED_PROPERTIES) {
+        const key = JSON.stringify(schema);
+        const shape = shapes.get(key) || { count: 0, hints: [] };
+        shape.count += 1;
+        shape.hints.push({ hint, fromProperty });
+        shapes.set(key, shape);
+    }
+    Object.keys(schema.properties || {}).forEach(property => collectShapes(schema.properties[property], property, true, shapes));
+    if (schema.items) {
+        collectShapes(schema.items, singularize(hint), fromProperty, shapes);
+    }
+    (schema.oneOf || []).forEach(member => collectShapes(member, hint, fromProperty, shapes));
+}
+
+// Replace the shared shapes inside a schema with $refs. The root itself is kept when
+// `keepRoot` is set, which is how the component definitions are written.
+function replaceShapes(schema, refs, keepRoot = false) {
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    const ref = refs.get(JSON.stringify(schema));
+    if (ref && !keepRoot) {
+        return { $ref: ref };
+    }
+    const replaced = { ...schema };
+    if (schema.properties) {
+        replaced.properties = {};
+        Object.keys(schema.properties).forEach(property => {
+            replaced.properties[property] = replaceShapes(schema.properties[property], refs);
+        });
+    }
+    if (schema.items) {
+        replaced.items = replaceShapes(schema.items, refs);
+    }
+    if (schema.oneOf) {
+        replaced.oneOf = schema.oneOf.map(member => replaceShapes(member, refs));
+    }
+    return replaced;
+}
+
+// Move object shapes used more than once into components/schemas. Returns a map from
+// shape content to its $ref; names already taken by other schemas get a number.
+function extractSharedShapes(spec, bodies) {
+    const shapes = new Map();
+    bodies.forEach(body => collectShapes(body.schema, body.name, false, shapes));
+
+    spec.components = spec.components || {};
+    spec.components.schemas = spec.components.schemas || {};
+    const schemas = spec.components.schemas;
+    const refs = new Map();
+    const created = [];
+    shapes.forEach((shape, key) => {
+        if (shape.count < 2) {
+            return;
+        }
+        const preferred = shape.hints.find(item => item.fromProperty) || shape.hints[0];
+        const baseName = toSchemaName(preferred.hint);
+        let name = baseName;
+        for (let index = 2; schemas[name] && JSON.stringify(schemas[name]) !== key; index++) {
+            name = `${baseName}${index}`;
+        }
+        refs.set(key, `#/components/schemas/${name}`);
+        if (!schemas[name]) {
+            created.push(name);
+            schemas[name] = JSON.parse(key);
+        }
+    });
+    created.forEach(name => {
+        schemas[name] = replaceShapes(schemas[name], refs, true);
+    });
+    if (Object.keys(schemas).length === 0) {
+        delete spec.components.schemas;
+    }
+    if (Object.keys(spec.components).length === 0) {
+        delete spec.components;
+    }
+    return { refs, created };
+}
+
+// Infer JSON schemas for the request and response bodies of a spec from their examples,
+// in place. Examples of the same operation and status are merged; bodies that already have
+// a real schema are left alone. Returns { inferred, components } with the number of bodies
+// given a schema and the names of the shared schemas that were created.
+function inferSpecSchemas(spec) {
+    const openapi31 = String(spec.openapi || '').startsWith('3.1');
+    const bodies = [];
+
+    // Infer one schema from all JSON bodies of a request body or response and give it to
+    // each of its media types that has no schema of its own
+    const addBody = (holder, name) => {
+        const content = holder && holder.content;
+        if (!content || typeof content !== 'object') {
+            return;
+        }
+        const mediaTypes = Object.keys(content).filter(isJsonMediaType);
+        const samples = [].concat(...mediaTypes.map(mediaType => getExampleBodies(spec, content[mediaType] || {})));
+        const targets = mediaTypes.filter(mediaType => isBareSchema((content[mediaType] || {}).schema));
+        if (samples.length === 0 || targets.length === 0) {
+            return;
+        }
+        const schema = inferSchema(samples, { openapi31 });
+        targets.forEach(mediaType => {
+            const media = content[mediaType] || {};
+            // Keep the example next to the schema, as parsed JSON rather than a string
+            const example = media.example !== undefined ? media.example : media.schema && media.schema.example;
+            const parsed = parseExampleBody(example);
+            content[mediaType] = { ...media, schema };
+            if (parsed !== undefined) {
+                content[mediaType].example = parsed;
+            }
+            bodies.push({ media: content[mediaType], schema, name });
+        });
+    };
+
+    Object.keys(spec.paths || {}).forEach(pathKey => {
+        const pathItem = spec.paths[pathKey] || {};
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            const operation = pathItem[method];
+            const operationName = operation.operationId || operation.summary || `${method} ${pathKey}`;
+            addBody(dereference(spec, operation.requestBody), `${operationName} request`);
+            Object.keys(operation.responses || {}).forEach(status => {
+                const response = dereference(spec, operation.responses[status]);
+                if (response) {
+                    moveDeclaredJsonContent(spec, response);
+                    addBody(response, `${operationName} response`);
+                }
+            });
+        });
+    });
+
+    const { refs, created } = extractSharedShapes(spec, bodies);
+    bodies.forEach(body => {
+        body.media.schema = replaceShapes(body.schema, refs);
+    });
+    return { inferred: bodies.length, components: created };
+}
+
+module.exports = {
+    inferSchema,
+    inferSpecSchemas
+};
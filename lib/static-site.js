@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const swaggerUiDist = require('swagger-ui-dist');
+
+// Files of swagger-ui-dist the site needs, copied to its assets directory
+const ASSET_FILES = ['swagger-ui.css', 'swagger-ui-bundle.js', 'favicon-16x16.png', 'favicon-32x32.png', 'LICENSE', 'NOTICE'];
+
+// Starts Swagger UI with the spec embedded in the page. The validator badge would call
+// validator.swagger.io, so it is turned off to keep the site working without internet access.
+const INIT_SCRIPT = `window.onload = function () {
+    window.ui = SwaggerUIBundle({
+        spec: JSON.parse(document.getElementById('openapi-spec').textContent),
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        validatorUrl: null,
+        displayRequestDuration: true,
+        defaultModelsExpandDepth: 0,
+        presets: [SwaggerUIBundle.presets.apis],
+        layout: 'BaseLayout'
+    });
+};`;
+
+// Escape text for HTML content and attribute values
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Read a Swagger UI asset
+function readAsset(name) {
+    return fs.readFileSync(path.join(swaggerUiDist.getAbsoluteFSPath(), name));
+}
+
+// Keep a script from closing the <script> element it is inlined into
+function escapeScript(text) {
+    return text.replace(/<\/script/gi, '<\\/script');
+}
+
+// Render the documentation page for a spec. With `inline` the stylesheet and script are
+// included in the page, so the page is a single file; otherwise they are loaded from assets/.
+function renderSitePage(spec, { title, inline = false }) {
+    // "<" is escaped so no value in the spec can end the script element
+    const specJson = JSON.stringify(spec).replace(/</g, '\\u003c');
+    const pageTitle = escapeHtml(title || (spec.info && spec.info.title) || 'API documentation');
+    const head = inline
+        ? [`<style>${readAsset('swagger-ui.css').toString('utf8').replace(/<\/style/gi, '<\\/style')}</style>`]
+        : [
+            '<link rel="stylesheet" href="assets/swagger-ui.css">',
+            '<link rel="icon" type="image/png" href="assets/favicon-32x32.png" sizes="32x32">',
+            '<link rel="icon" type="image/png" href="assets/favicon-16x16.png" sizes="16x16">'
+        ];
+    const bundle = inline
+        ? `<script>${escapeScript(readAsset('swagger-ui-bundle.js').toString('utf8'))}</script>`
+        : '<script src="assets/swagger-ui-bundle.js"></script>';
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${pageTitle}</title>`,
+        ...head,
+        '<style>html { box-sizing: border-box; overflow-y: scroll; } body { margin: 0; background: #fafafa; }</style>',
+        '</head>',
+        '<body>',
+        '<div id="swagger-ui"></div>',
+        `<script id="openapi-spec" type="application/json">${specJson}</script>`,
+        bundle,
+        `<script>${INIT_SCRIPT}</script>`,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// Build a static documentation site for a spec that can be hosted anywhere, without
+// internet access: the Swagger UI page with the spec embedded, the Swagger UI assets,
+// the spec itself and the Markdown reference pages in `reference`.
+// Returns a map of file path to content.
+function buildStaticSite(spec, { title, reference = {} } = {}) {
+    const files = {
+        'index.html': renderSitePage(spec, { title }),
+        'openapi.json': JSON.stringify(spec, null, 2)
+    };
+    ASSET_FILES.forEach(name => {
+        files[`assets/${name}`] = readAsset(name);
+    });
+    Object.keys(reference).forEach(name => {
+        files[`reference/${name}`] = reference[name];
+    });
+    return files;
+}
+
+module.exports = {
+    renderSitePage,
+    buildStaticSite
+};
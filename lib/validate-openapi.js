@@ -0,0 +1,208 @@
+const Ajv04 = require('ajv-draft-04');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { openapiV3, openapiV31 } = require('@apidevtools/openapi-schemas');
+const { HTTP_METHODS, resolvePointer, dereference } = require('./openapi-common');
+
+const RESPONSE_CODE_REGEX = /^([1-5][0-9][0-9]|[1-5]XX|default)$/;
+
+// The OpenAPI meta-schemas are fairly large, so compile them only when first needed
+const schemaValidators = {};
+
+function getSchemaValidator(version) {
+    if (!schemaValidators[version]) {
+        const ajv = version === '3.1'
+            ? new Ajv2020({ allErrors: true, strict: false, validateFormats: false })
+            : new Ajv04({ allErrors: true, strict: false, validateFormats: false });
+        addFormats(ajv);
+        schemaValidators[version] = ajv.compile(version === '3.1' ? withStaticSchemaRefs(openapiV31) : openapiV3);
+    }
+    return schemaValidators[version];
+}
+
+// Ajv resolves the `$dynamicRef: "#meta"` of the 3.1 meta-schema to whatever object holds the
+// reference, which makes every Schema Object fail. The anchor only requires an object or a
+// boolean, so point the references at it statically.
+function withStaticSchemaRefs(node) {
+    if (Array.isArray(node)) {
+        return node.map(withStaticSchemaRefs);
+    }
+    if (node === null || typeof node !== 'object') {
+        return node;
+    }
+    const copy = {};
+    Object.keys(node).forEach(key => {
+        if (key === '$dynamicRef' && node[key] === '#meta') {
+            copy.$ref = '#/$defs/schema';
+        } else {
+            copy[key] = withStaticSchemaRefs(node[key]);
+        }
+    });
+    return copy;
+}
+
+// Escape a single JSON pointer segment (RFC 6901)
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Build a JSON pointer from a list of segments
+function toPointer(segments) {
+    return segments.map(segment => `/${escapePointer(segment)}`).join('');
+}
+
+// Check the document against the official OpenAPI JSON schema
+function checkSchema(spec, version, issues) {
+    const validate = getSchemaValidator(version);
+    if (validate(spec)) {
+        return;
+    }
+
+    // The meta-schemas describe most objects as "Reference or X", so every mistake also fails the
+    // Reference branch and the oneOf/if around it. Drop those and keep one message per location.
+    const seen = new Set();
+    validate.errors.filter(error => {
+        if (['oneOf', 'anyOf', 'if', 'then', 'else'].includes(error.keyword)) {
+            return false;
+        }
+        return !(error.keyword === 'required' && error.params.missingProperty === '$ref');
+    }).forEach(error => {
+        const message = error.params && error.params.additionalProperty
+            ? `${error.message}: "${error.params.additionalProperty}"`
+            : error.message;
+        const key = `${error.instancePath} ${message}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            issues.errors.push({ rule: 'schema', message, pointer: error.instancePath });
+        }
+    });
+}
+
+// Report $refs that do not point anywhere in the document
+function checkRefs(spec, issues) {
+    const walk = (node, segments) => {
+        if (Array.isArray(node)) {
+            node.forEach((child, index) => walk(child, segments.concat(index)));
+            return;
+        }
+        if (node === null || typeof node !== 'object') {
+            return;
+        }
+
+        if (typeof node.$ref === 'string') {
+            const pointer = toPointer(segments.concat('$ref'));
+            if (!node.$ref.startsWith('#')) {
+                issues.warnings.push({ rule: 'external-ref', message: `External reference "${node.$ref}" is not checked`, pointer });
+            } else if (resolvePointer(spec, node.$ref) === undefined) {
+                issues.errors.push({ rule: 'unresolved-ref', message: `Reference "${node.$ref}" cannot be resolved`, pointer });
+            }
+        }
+
+        Object.keys(node).forEach(key => walk(node[key], segments.concat(key)));
+    };
+
+    walk(spec, []);
+}
+
+// Check operation ids, path parameters and response codes of every operation
+function checkOperations(spec, issues) {
+    const operationIds = new Map();
+    const paths = spec.paths && typeof spec.paths === 'object' ? spec.paths : {};
+
+    Object.keys(paths).forEach(pathKey => {
+        const pathItem = paths[pathKey];
+        if (!pathItem || typeof pathItem !== 'object') {
+            return;
+        }
+
+        const templateParams = (pathKey.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+        const pathLevelParams = Array.isArray(pathItem.parameters) ? pathItem.parameters : [];
+
+        HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+            const operation = pathItem[method];
+            const operationSegments = ['paths', pathKey, method];
+
+            // Duplicate operationIds
+            if (operation.operationId) {
+                const pointer = toPointer(operationSegments.concat('operationId'));
+                if (operationIds.has(operation.operationId)) {
+                    issues.errors.push({
+                        rule: 'duplicate-operation-id',
+                        message: `operationId "${operation.operationId}" is already used at ${operationIds.get(operation.operationId)}`,
+                        pointer
+                    });
+                } else {
+                    operationIds.set(operation.operationId, pointer);
+                }
+            }
+
+            // Path parameters must match the path template
+            const operationParams = Array.isArray(operation.parameters) ? operation.parameters : [];
+            const declaredPathParams = pathLevelParams.concat(operationParams)
+                .map(param => dereference(spec, param))
+                .filter(param => param && param.in === 'path')
+                .map(param => param.name);
+
+            templateParams.filter(name => !declaredPathParams.includes(name)).forEach(name => {
+                issues.errors.push({
+                    rule: 'missing-path-parameter',
+                    message: `Path parameter "${name}" is not defined in parameters`,
+                    pointer: toPointer(operationSegments)
+                });
+            });
+            declaredPathParams.filter(name => !templateParams.includes(name)).forEach(name => {
+                issues.errors.push({
+                    rule: 'unknown-path-parameter',
+                    message: `Path parameter "${name}" does not appear in the path "${pathKey}"`,
+                    pointer: toPointer(operationSegments.concat('parameters'))
+                });
+            });
+
+            // Response codes
+            const responses = operation.responses && typeof operation.responses === 'object' ? operation.responses : {};
+            Object.keys(responses).filter(code => !RESPONSE_CODE_REGEX.test(code)).forEach(code => {
+                issues.errors.push({
+                    rule: 'invalid-response-code',
+                    message: `"${code}" is not a valid HTTP response code`,
+                    pointer: toPointer(operationSegments.concat('responses', code))
+                });
+            });
+            if (Object.keys(responses).length === 0) {
+                issues.warnings.push({
+                    rule: 'no-responses',
+                    message: 'Operation does not define any responses',
+                    pointer: toPointer(operationSegments)
+                });
+            }
+        });
+    });
+}
+
+// Validate an OpenAPI 3.0 or 3.1 document. Every issue is reported as
+// { rule, message, pointer } where pointer is a JSON pointer into the document.
+function validateOpenAPI(spec) {
+    const issues = { errors: [], warnings: [] };
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        issues.errors.push({ rule: 'document', message: 'OpenAPI document must be an object', pointer: '' });
+        return { valid: false, version: null, ...issues };
+    }
+
+    const match = /^3\.([01])\.\d+/.exec(String(spec.openapi || ''));
+    if (!match) {
+        issues.errors.push({ rule: 'version', message: `Unsupported OpenAPI version "${spec.openapi}", expected 3.0.x or 3.1.x`, pointer: '/openapi' });
+        return { valid: false, version: spec.openapi || null, ...issues };
+    }
+
+    const version = `3.${match[1]}`;
+    checkSchema(spec, version, issues);
+    checkRefs(spec, issues);
+    checkOperations(spec, issues);
+
+    return { valid: issues.errors.length === 0, version, ...issues };
+}
+
+module.exports = {
+    validateOpenAPI,
+    toPointer
+};
@@ -0,0 +1,348 @@
+const Ajv = require('ajv');
+const { toPointer } = require('./validate-openapi');
+
+const SCHEMA_VERSIONS = {
+    '2.0': /\/v2\.0\.\d+\//,
+    '2.1': /\/v2\.1\.\d+\//
+};
+
+const AUTH_TYPES = ['apikey', 'awsv4', 'basic', 'bearer', 'digest', 'edgegrid', 'hawk', 'noauth', 'oauth1', 'oauth2', 'ntlm', 'jwt', 'asap', 'akamai'];
+
+// Build a JSON schema for a Postman collection. This is a condensed version of the official
+// v2.0.0/v2.1.0 schemas that covers the parts the converter relies on. The two versions
+// differ mainly in how auth parameters are stored.
+function buildCollectionSchema(version) {
+    const description = { type: ['string', 'object', 'null'], properties: { content: { type: 'string' } } };
+    const variable = {
+        type: 'object',
+        properties: {
+            key: { type: 'string' },
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string' },
+            disabled: { type: 'boolean' },
+            description
+        }
+    };
+    const header = {
+        type: ['string', 'array', 'null'],
+        items: {
+            type: ['object', 'string'],
+            required: ['key', 'value'],
+            properties: {
+                key: { type: 'string' },
+                value: { type: 'string' },
+                disabled: { type: 'boolean' },
+                description
+            }
+        }
+    };
+    const auth = {
+        type: ['object', 'null'],
+        required: ['type'],
+        properties: {
+            type: { type: 'string', enum: AUTH_TYPES },
+            noauth: {}
+        },
+        additionalProperties: version === '2.1'
+            ? { type: 'array', items: { type: 'object', required: ['key'], properties: { key: { type: 'string' }, type: { type: 'string' } } } }
+            : { type: 'object' }
+    };
+    const url = {
+        type: ['string', 'object'],
+        properties: {
+            raw: { type: 'string' },
+            protocol: { type: 'string' },
+            host: { type: ['string', 'array'], items: { type: 'string' } },
+            path: { type: ['string', 'array'], items: { type: ['string', 'object'] } },
+            port: { type: 'string' },
+            query: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        key: { type: ['string', 'null'] },
+                        value: { type: ['string', 'null'] },
+                        disabled: { type: 'boolean' },
+                        description
+                    }
+                }
+            },
+            hash: { type: 'string' },
+            variable: { type: 'array', items: variable }
+        }
+    };
+    const event = {
+        type: 'object',
+        required: ['listen'],
+        properties: {
+            listen: { type: 'string' },
+            script: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string' },
+                    exec: { type: ['string', 'array'], items: { type: 'string' } }
+                }
+            },
+            disabled: { type: 'boolean' }
+        }
+    };
+    const request = {
+        type: ['string', 'object'],
+        properties: {
+            url,
+            auth,
+            method: { type: 'string' },
+            description,
+            header,
+            body: {
+                type: ['object', 'null'],
+                properties: {
+                    mode: { type: 'string', enum: ['raw', 'urlencoded', 'formdata', 'file', 'graphql'] },
+                    raw: { type: 'string' },
+                    urlencoded: { type: 'array' },
+                    formdata: { type: 'array' },
+                    file: { type: 'object' },
+                    graphql: { type: 'object' },
+                    options: { type: 'object' },
+                    disabled: { type: 'boolean' }
+                }
+            }
+        }
+    };
+    const response = {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            originalRequest: request,
+            header: { type: ['string', 'array', 'null'], items: header.items },
+            cookie: { type: 'array' },
+            body: { type: ['string', 'null'] },
+            status: { type: 'string' },
+            code: { type: 'integer' }
+        }
+    };
+
+    return {
+        type: 'object',
+        required: ['info', 'item'],
+        definitions: {
+            // Folders (item groups) have an `item` array, requests have a `request`
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    if: { required: ['item'] },
+                    then: {
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            description,
+                            variable: { type: 'array', items: variable },
+                            item: { $ref: '#/definitions/items' },
+                            event: { type: 'array', items: event },
+                            auth
+                        }
+                    },
+                    else: {
+                        required: ['request'],
+                        properties: {
+                            id: { type: 'string' },
+                            name: { type: 'string' },
+                            description,
+                            variable: { type: 'array', items: variable },
+                            event: { type: 'array', items: event },
+                            request,
+                            response: { type: 'array', items: response }
+                        }
+                    }
+                }
+            }
+        },
+        properties: {
+            info: {
+                type: 'object',
+                required: ['name', 'schema'],
+                properties: {
+                    name: { type: 'string' },
+                    _postman_id: { type: 'string' },
+                    schema: { type: 'string' },
+                    description
+                }
+            },
+            item: { $ref: '#/definitions/items' },
+            event: { type: 'array', items: event },
+            variable: { type: 'array', items: variable },
+            auth
+        }
+    };
+}
+
+// Compile one validator per schema version, on first use
+const ajv = new Ajv({ allErrors: true, strict: false });
+const schemaValidators = {};
+
+function getSchemaValidator(version) {
+    if (!schemaValidators[version]) {
+        schemaValidators[version] = ajv.compile(buildCollectionSchema(version));
+    }
+    return schemaValidators[version];
+}
+
+// Check the collection against the Postman collection schema of its version
+function checkSchema(collection, version, issues) {
+    const validate = getSchemaValidator(version);
+    if (validate(collection)) {
+        return;
+    }
+
+    const seen = new Set();
+    validate.errors.filter(error => error.keyword !== 'if').forEach(error => {
+        const key = `${error.instancePath} ${error.message}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            issues.errors.push({ rule: 'schema', message: error.message, pointer: error.instancePath });
+        }
+    });
+}
+
+// Get the host part of a request URL, or an empty string when it has none
+function getUrlHost(url) {
+    if (url && typeof url === 'object' && url.host) {
+        return [].concat(url.host).join('.');
+    }
+
+    const raw = typeof url === 'string' ? url : (url && url.raw) || '';
+    return raw.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split(/[/?#]/)[0];
+}
+
+// Find the names of all variables set from pre-request and test scripts
+function collectScriptVariables(node, names) {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectScriptVariables(child, names));
+    } else if (node && typeof node === 'object') {
+        if (Array.isArray(node.event)) {
+            node.event.forEach(event => {
+                const exec = event && event.script ? [].concat(event.script.exec || []).join('\n') : '';
+                const setter = /\.set\(\s*['"`]([^'"`]+)['"`]/g;
+                let match;
+                while ((match = setter.exec(exec)) !== null) {
+                    names.add(match[1]);
+                }
+            });
+        }
+        collectScriptVariables(node.item, names);
+    }
+    return names;
+}
+
+// Report every {{variable}} used in a request that is not defined anywhere
+function checkVariables(request, segments, definedVariables, issues) {
+    const undefinedNames = new Set();
+    const walk = node => {
+        if (typeof node === 'string') {
+            const usage = /\{\{([^{}]+)\}\}/g;
+            let match;
+            while ((match = usage.exec(node)) !== null) {
+                const name = match[1].trim();
+                // Names starting with $ are Postman's dynamic variables, such as {{$guid}}
+                if (!name.startsWith('$') && !definedVariables.has(name)) {
+                    undefinedNames.add(name);
+                }
+            }
+        } else if (node && typeof node === 'object') {
+            Object.values(node).forEach(walk);
+        }
+    };
+    walk(request);
+
+    undefinedNames.forEach(name => {
+        issues.warnings.push({
+            rule: 'undefined-variable',
+            message: `Variable "{{${name}}}" is not defined in the collection or its environments`,
+            pointer: toPointer(segments.concat('request'))
+        });
+    });
+}
+
+// Lint the items of a collection or folder, recursing into sub-folders
+function lintItems(items, segments, definedVariables, issues) {
+    if (!Array.isArray(items)) {
+        return;
+    }
+
+    const requestNames = new Map();
+    items.forEach((item, index) => {
+        if (!item || typeof item !== 'object') {
+            return;
+        }
+        const itemSegments = segments.concat('item', index);
+
+        if (Array.isArray(item.item)) {
+            const folderVariables = new Set(definedVariables);
+            (item.variable || []).forEach(variable => variable && variable.key && folderVariables.add(variable.key));
+            lintItems(item.item, itemSegments, folderVariables, issues);
+            return;
+        }
+
+        // Requests without a name cannot be turned into an operation summary
+        const name = typeof item.name === 'string' ? item.name.trim() : '';
+        if (!name) {
+            issues.errors.push({ rule: 'missing-name', message: 'Request has no name', pointer: toPointer(itemSegments) });
+        } else if (requestNames.has(name)) {
+            issues.warnings.push({
+                rule: 'duplicate-name',
+                message: `Request name "${name}" is already used in this folder at ${requestNames.get(name)}`,
+                pointer: toPointer(itemSegments.concat('name'))
+            });
+        } else {
+            requestNames.set(name, toPointer(itemSegments));
+        }
+
+        const request = item.request;
+        const url = request && typeof request === 'object' ? request.url : request;
+        if (!url || (typeof url === 'object' && !url.raw && !url.host && !url.path)) {
+            issues.warnings.push({ rule: 'missing-url', message: 'Request has no URL and will be skipped', pointer: toPointer(itemSegments.concat('request')) });
+        } else if (!getUrlHost(url)) {
+            issues.errors.push({ rule: 'missing-host', message: 'Request URL has no host', pointer: toPointer(itemSegments.concat('request', 'url')) });
+        }
+
+        checkVariables(request, itemSegments, definedVariables, issues);
+    });
+}
+
+// Validate and lint a Postman v2.0/v2.1 collection. Every issue is reported as
+// { rule, message, pointer } where pointer is a JSON pointer into the collection.
+// `variables` lists names defined outside the collection, such as in environments.
+function validatePostmanCollection(collection, { variables = [] } = {}) {
+    const issues = { errors: [], warnings: [] };
+
+    if (!collection || typeof collection !== 'object' || Array.isArray(collection)) {
+        issues.errors.push({ rule: 'document', message: 'Postman collection must be an object', pointer: '' });
+        return { valid: false, version: null, ...issues };
+    }
+
+    const schemaUrl = collection.info && typeof collection.info.schema === 'string' ? collection.info.schema : '';
+    const version = Object.keys(SCHEMA_VERSIONS).find(key => SCHEMA_VERSIONS[key].test(schemaUrl));
+    if (!version) {
+        issues.errors.push({
+            rule: 'version',
+            message: 'info.schema must reference the Postman v2.0.0 or v2.1.0 collection schema',
+            pointer: '/info/schema'
+        });
+        return { valid: false, version: null, ...issues };
+    }
+
+    checkSchema(collection, version, issues);
+    if (issues.errors.length === 0) {
+        const definedVariables = collectScriptVariables(collection, new Set(variables));
+        (collection.variable || []).forEach(variable => variable && variable.key && definedVariables.add(variable.key));
+        lintItems(collection.item, [], definedVariables, issues);
+    }
+
+    return { valid: issues.errors.length === 0, version, ...issues };
+}
+
+module.exports = {
+    validatePostmanCollection
+};
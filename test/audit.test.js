@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, summarizeCollectionChanges } = require('../lib/audit');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('append creates the log and fills in the id and timestamp', () => {
+    const logPath = path.join(dir, 'append', 'audit.jsonl');
+    const auditLog = createAuditLog(logPath);
+    assert.deepStrictEqual(auditLog.query(), { offset: 0, limit: 50, hasMore: false, entries: [] });
+
+    const record = auditLog.append({ collection: 'shop', action: 'save', actor: 'alice' });
+    assert.match(record.id, /^[0-9a-f-]{36}$/);
+    assert.ok(!isNaN(Date.parse(record.timestamp)));
+    assert.deepStrictEqual(fs.readFileSync(logPath, 'utf8'), `${JSON.stringify(record)}\n`);
+});
+
+test('query filters entries and returns them newest first', () => {
+    const logPath = path.join(dir, 'filters.jsonl');
+    const entries = [
+        { timestamp: '2024-01-01T10:00:00.000Z', collection: 'shop', action: 'save', actor: 'alice' },
+        { timestamp: '2024-01-02T10:00:00.000Z', collection: 'shop', action: 'convert', actor: 'watcher' },
+        { timestamp: '2024-01-03T10:00:00.000Z', collection: 'users', action: 'save', actor: 'bob' },
+        { timestamp: '2024-01-04T10:00:00.000Z', collection: 'shop', action: 'save', actor: 'bob' }
+    ];
+    // The last line was cut short by a crash
+    fs.writeFileSync(logPath, `${entries.map(entry => JSON.stringify(entry)).join('\n')}\n{"timestamp":"2024-01-05`);
+    const auditLog = createAuditLog(logPath);
+    const actorsOf = filters => auditLog.query(filters).entries.map(entry => `${entry.collection}/${entry.actor}`);
+
+    assert.deepStrictEqual(actorsOf(), ['shop/bob', 'users/bob', 'shop/watcher', 'shop/alice']);
+    assert.deepStrictEqual(actorsOf({ collection: 'shop', action: 'save' }), ['shop/bob', 'shop/alice']);
+    assert.deepStrictEqual(actorsOf({ actor: 'bob' }), ['shop/bob', 'users/bob']);
+    assert.deepStrictEqual(actorsOf({ since: '2024-01-02', until: '2024-01-03T12:00:00Z' }), ['users/bob', 'shop/watcher']);
+
+    assert.throws(() => auditLog.query({ since: 'yesterday' }), { name: 'RangeError', message: '"since" must be a date or timestamp' });
+    assert.throws(() => auditLog.query({ offset: '-1' }), RangeError);
+    assert.throws(() => auditLog.query({ limit: '501' }), RangeError);
+});
+
+test('query pages through logs larger than a read chunk and tells whether there are older entries', () => {
+    const logPath = path.join(dir, 'paging.jsonl');
+    const auditLog = createAuditLog(logPath);
+    // Multi-byte names make chunk boundaries fall inside characters
+    const lines = [];
+    for (let index = 0; index < 1500; index++) {
+        lines.push(JSON.stringify({ id: String(index), collection: index % 3 === 0 ? 'shop' : 'users', actor: `Jürgen ☕ ${index}` }));
+    }
+    fs.writeFileSync(logPath, `${lines.join('\n')}\n`);
+
+    const first = auditLog.query({ limit: '2' });
+    assert.deepStrictEqual(first.entries.map(entry => entry.id), ['1499', '1498']);
+    assert.strictEqual(first.hasMore, true);
+
+    const shop = auditLog.query({ collection: 'shop', offset: '490', limit: '20' });
+    assert.deepStrictEqual(shop.entries.map(entry => entry.id), ['27', '24', '21', '18', '15', '12', '9', '6', '3', '0']);
+    assert.strictEqual(shop.hasMore, false);
+    assert.strictEqual(shop.entries[0].actor, 'Jürgen ☕ 27');
+
+    const all = [];
+    for (let offset = 0, page; !page || page.hasMore; offset += 500) {
+        page = auditLog.query({ offset, limit: 500 });
+        all.push(...page.entries);
+    }
+    assert.deepStrictEqual(all.map(entry => entry.actor), lines.map(line => JSON.parse(line).actor).reverse());
+});
+
+test('summarizeCollectionChanges lists added, removed and changed requests', () => {
+    const request = (name, url, method = 'GET') => ({ name, request: { method, url } });
+    const previous = { item: [request('List orders', '/orders'), { name: 'Users', item: [request('Get user', '/users/1')] }] };
+    const current = { item: [request('List orders', '/orders?page=1'), request('Create order', '/orders', 'post')] };
+    assert.deepStrictEqual(summarizeCollectionChanges(previous, current), {
+        requestsAdded: 1,
+        requestsRemoved: 1,
+        requestsChanged: 1,
+        changes: [
+            { action: 'changed', request: 'GET List orders' },
+            { action: 'added', request: 'POST Create order' },
+            { action: 'removed', request: 'GET Users / Get user' }
+        ]
+    });
+    assert.strictEqual(summarizeCollectionChanges(null, previous).requestsAdded, 2);
+});
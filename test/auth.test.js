@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const { loadAuthConfig, createAuth, hasRole } = require('../lib/auth');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+const CONFIG = {
+    sessionSecret: 'test-secret',
+    users: [{ username: 'erin', passwordHash: bcrypt.hashSync('erin-password', 4), role: 'editor' }],
+    apiKeys: [
+        { name: 'ci', keyHash: sha256('viewer-key'), role: 'viewer' },
+        { name: 'ops', keyHash: sha256('admin-key'), role: 'admin' }
+    ]
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+
+// An app with one route per role, answering with the user it sees
+function createApp(config) {
+    const auth = createAuth(config);
+    const app = express();
+    app.use(express.json());
+    app.use(auth.identify);
+    app.post('/login', async (req, res) => {
+        const user = await auth.login(req, req.body.username, req.body.password);
+        return user ? res.json(user) : res.status(401).send('Invalid username or password');
+    });
+    ['viewer', 'editor', 'admin'].forEach(role => {
+        app.get(`/${role}`, auth.requireRole(role), (req, res) => res.json(req.user));
+    });
+    return app;
+}
+
+let server;
+let openServer;
+let baseUrl;
+let openUrl;
+
+// Listen on a free port and resolve to the base URL
+function listen(app) {
+    return new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve([listening, `http://127.0.0.1:${listening.address().port}`]));
+    });
+}
+
+test.before(async () => {
+    [server, baseUrl] = await listen(createApp(CONFIG));
+    [openServer, openUrl] = await listen(createApp(null));
+});
+
+test.after(() => {
+    server.close();
+    openServer.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('roles grant everything the roles below them can do', () => {
+    assert.strictEqual(hasRole('admin', 'viewer'), true);
+    assert.strictEqual(hasRole('editor', 'editor'), true);
+    assert.strictEqual(hasRole('editor', 'admin'), false);
+    assert.strictEqual(hasRole('viewer', 'editor'), false);
+    assert.strictEqual(hasRole(undefined, 'viewer'), false);
+});
+
+test('loadAuthConfig disables auth without a file and rejects incomplete users and keys', () => {
+    assert.strictEqual(loadAuthConfig(path.join(dir, 'missing.json')), null);
+
+    const write = config => {
+        const configPath = path.join(dir, 'auth.config.json');
+        fs.writeFileSync(configPath, JSON.stringify(config));
+        return configPath;
+    };
+    assert.deepStrictEqual(loadAuthConfig(write(CONFIG)).apiKeys.map(apiKey => apiKey.name), ['ci', 'ops']);
+    assert.throws(() => loadAuthConfig(write({ users: [{ username: 'x', passwordHash: 'y', role: 'owner' }] })), /user 0 needs/);
+    assert.throws(() => loadAuthConfig(write({ apiKeys: [{ name: 'ci', keyHash: 'plain-key', role: 'viewer' }] })), /API key 0 needs/);
+});
+
+test('without a config everyone is an admin', async () => {
+    const response = await fetch(`${openUrl}/admin`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { name: 'anonymous', role: 'admin', via: 'none' });
+});
+
+test('API keys are accepted in X-API-Key and Authorization headers and limited to their role', async () => {
+    const viewer = await fetch(`${baseUrl}/viewer`, { headers: { 'X-API-Key': 'viewer-key' } });
+    assert.deepStrictEqual(await viewer.json(), { name: 'ci', role: 'viewer', via: 'api-key' });
+
+    const forbidden = await fetch(`${baseUrl}/editor`, { headers: { Authorization: 'Bearer viewer-key' } });
+    assert.strictEqual(forbidden.status, 403);
+    assert.match(await forbidden.text(), /requires the editor role/);
+
+    assert.strictEqual((await fetch(`${baseUrl}/admin`, { headers: { Authorization: 'Bearer admin-key' } })).status, 200);
+    assert.strictEqual((await fetch(`${baseUrl}/viewer`, { headers: { 'X-API-Key': 'wrong-key' } })).status, 401);
+});
+
+test('anonymous requests get a 401, or a redirect to the login form for pages', async () => {
+    assert.strictEqual((await fetch(`${baseUrl}/viewer`, { headers: { Accept: 'application/json' } })).status, 401);
+
+    const page = await fetch(`${baseUrl}/viewer?tab=docs`, { headers: { Accept: 'text/html' }, redirect: 'manual' });
+    assert.strictEqual(page.status, 302);
+    assert.strictEqual(page.headers.get('location'), `/login?next=${encodeURIComponent('/viewer?tab=docs')}`);
+});
+
+test('users log in with their password and keep their role in the session', async () => {
+    const login = password => fetch(`${baseUrl}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'erin', password })
+    });
+    assert.strictEqual((await login('wrong-password')).status, 401);
+
+    const response = await login('erin-password');
+    assert.strictEqual(response.status, 200);
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+
+    const editor = await fetch(`${baseUrl}/editor`, { headers: { Cookie: cookie } });
+    assert.deepStrictEqual(await editor.json(), { name: 'erin', role: 'editor', via: 'session' });
+    assert.strictEqual((await fetch(`${baseUrl}/admin`, { headers: { Cookie: cookie } })).status, 403);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveBackupPath, setPinned, deleteBackup, listBackups, pruneBackups } = require('../lib/backups');
+
+const BACKUP = 'openapi-2024-01-31T09-30-00-000Z.json';
+
+const tempDirs = [];
+
+// A collection directory with a backup and a live collection file next to the backups
+function makeCollectionDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-test-'));
+    tempDirs.push(dir);
+    const backupDir = path.join(dir, 'backups');
+    fs.mkdirSync(backupDir);
+    fs.writeFileSync(path.join(backupDir, BACKUP), '{"openapi":"3.0.0"}');
+    fs.writeFileSync(path.join(dir, 'postman_collection.json'), '{"info":{}}');
+    return backupDir;
+}
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const TRAVERSAL_NAMES = [
+    '../postman_collection.json',
+    `../backups/${BACKUP}`,
+    `./${BACKUP}`,
+    `${BACKUP}/../../postman_collection.json`,
+    '..%2Fpostman_collection.json',
+    `openapi-2024-01-31T09-30-00-000Z.json\0`,
+    'openapi-../../postman_collection.json',
+    'pins.json',
+    '/etc/passwd'
+];
+
+test('resolveBackupPath finds existing backups', () => {
+    const backupDir = makeCollectionDir();
+    assert.strictEqual(resolveBackupPath(backupDir, BACKUP), path.join(backupDir, BACKUP));
+    assert.strictEqual(resolveBackupPath(backupDir, 'postman-2024-01-31T09-30-00-000Z.json'), null);
+});
+
+test('resolveBackupPath rejects traversal and non-backup names', () => {
+    const backupDir = makeCollectionDir();
+    TRAVERSAL_NAMES.forEach(name => assert.strictEqual(resolveBackupPath(backupDir, name), null, name));
+});
+
+test('deleteBackup and setPinned never touch files outside the backups', async () => {
+    const backupDir = makeCollectionDir();
+    const collectionPath = path.join(backupDir, '..', 'postman_collection.json');
+    for (const name of TRAVERSAL_NAMES) {
+        assert.strictEqual(await deleteBackup(backupDir, name), false, name);
+        assert.strictEqual(await setPinned(backupDir, name, true), false, name);
+    }
+    assert.ok(fs.existsSync(collectionPath));
+    assert.ok(fs.existsSync(path.join(backupDir, BACKUP)));
+    assert.strictEqual(fs.existsSync(path.join(backupDir, 'pins.json')), false);
+});
+
+test('deleteBackup removes a backup and its pin', async () => {
+    const backupDir = makeCollectionDir();
+    assert.strictEqual(await setPinned(backupDir, BACKUP, true), true);
+    assert.strictEqual(listBackups(backupDir)[0].pinned, true);
+    assert.strictEqual(await deleteBackup(backupDir, BACKUP), true);
+    assert.deepStrictEqual(listBackups(backupDir), []);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(backupDir, 'pins.json'), 'utf8')), []);
+});
+
+test('concurrent pins are all kept', async () => {
+    const backupDir = makeCollectionDir();
+    const others = ['postman-2024-01-31T09-30-00-000Z.json', 'openapi-2024-02-01T09-30-00-000Z.json'];
+    others.forEach(name => fs.writeFileSync(path.join(backupDir, name), '{}'));
+    await Promise.all([BACKUP, ...others].map(name => setPinned(backupDir, name, true)));
+    assert.strictEqual(listBackups(backupDir).filter(backup => backup.pinned).length, 3);
+    assert.deepStrictEqual(fs.readdirSync(backupDir).filter(name => name.startsWith('.') || name.endsWith('.lock')), []);
+});
+
+test('pruneBackups keeps the newest backup of each kind whatever the policy', async () => {
+    const backupDir = makeCollectionDir();
+    const names = ['openapi-2024-02-01T09-30-00-000Z.json', 'postman-2024-01-30T09-30-00-000Z.json', 'postman-2024-02-01T09-30-00-000Z.json'];
+    names.forEach(name => fs.writeFileSync(path.join(backupDir, name), '{"padding":"xxxxxxxxxx"}'));
+    await setPinned(backupDir, 'postman-2024-01-30T09-30-00-000Z.json', true);
+
+    const deleted = pruneBackups(backupDir, { keepLast: 0, keepDailyDays: 0, maxTotalSize: 1 }, new Date('2024-02-02T00:00:00Z'));
+    assert.deepStrictEqual(deleted, [BACKUP]);
+    assert.deepStrictEqual(listBackups(backupDir).map(backup => backup.filename), [names[0], names[2], names[1]]);
+});
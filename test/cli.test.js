@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { runCli } = require('../lib/cli');
+
+const COLLECTION = {
+    info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+    item: [
+        { name: 'Get order', request: { method: 'GET', url: '{{baseUrl}}/orders/1' } },
+        { name: 'Create order', request: { method: 'POST', url: '{{baseUrl}}/orders' } }
+    ]
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+}
+
+// Run the CLI, collecting what it writes
+async function run(...args) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: text => { output.stdout += text; } },
+        stderr: { write: text => { output.stderr += text; } }
+    };
+    output.code = await runCli(args, io);
+    return output;
+}
+
+test('convert writes YAML for a .yaml output and applies environments and overlays', async () => {
+    const collectionPath = writeFile('shop.postman_collection.json', COLLECTION);
+    const environmentPath = writeFile('prod.json', { name: 'Production', values: [{ key: 'baseUrl', value: 'https://api.shop.com' }] });
+    fs.mkdirSync(path.join(dir, 'overlays'));
+    fs.writeFileSync(path.join(dir, 'overlays', 'info.yaml'), 'overlay: 1.0.0\ninfo: { title: Info, version: 1.0.0 }\nactions:\n  - target: $.info\n    update: { description: Orders API }\n');
+    const output = path.join(dir, 'out', 'spec.yaml');
+
+    const result = await run('convert', collectionPath, '-o', output, '--environment', environmentPath, '--overlays', path.join(dir, 'overlays'));
+    assert.strictEqual(result.code, 0, result.stderr);
+    const spec = yaml.load(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(spec.info.description, 'Orders API');
+    assert.deepStrictEqual(spec.servers.map(server => server.description), ['Production']);
+    assert.deepStrictEqual(Object.keys(spec.paths).sort(), ['/orders', '/orders/1']);
+});
+
+test('convert fails without writing anything for an invalid collection', async () => {
+    const output = path.join(dir, 'invalid.json');
+    const result = await run('convert', writeFile('invalid.postman_collection.json', { info: { name: 'x' }, item: [] }), '-o', output);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /info\.schema/);
+    assert.strictEqual(fs.existsSync(output), false);
+});
+
+test('validate checks collections and specs and fails on warnings with --strict', async () => {
+    const collectionPath = writeFile('validate.postman_collection.json', COLLECTION);
+    const lenient = await run('validate', collectionPath);
+    assert.strictEqual(lenient.code, 0);
+    assert.match(lenient.stdout, /Postman collection 2\.1, 0 error\(s\), 2 warning\(s\)/);
+    assert.strictEqual((await run('validate', collectionPath, '--strict')).code, 1);
+
+    const specPath = writeFile('spec.yaml', 'openapi: 3.0.0\ninfo: { title: Shop }\npaths: {}\n');
+    const report = await run('validate', specPath, '--format', 'json');
+    assert.strictEqual(report.code, 1);
+    assert.strictEqual(JSON.parse(report.stdout).type, 'openapi');
+});
+
+test('diff converts collections and fails on breaking changes when asked', async () => {
+    const oldPath = writeFile('old.postman_collection.json', COLLECTION);
+    const newPath = writeFile('new.postman_collection.json', { ...COLLECTION, item: COLLECTION.item.slice(0, 1) });
+
+    const report = await run('diff', oldPath, newPath);
+    assert.strictEqual(report.code, 0);
+    assert.match(report.stdout, /1 change\(s\), 1 breaking/);
+
+    const gated = await run('diff', oldPath, newPath, '--fail-on-breaking', '--format', 'json');
+    assert.strictEqual(gated.code, 1);
+    assert.strictEqual(JSON.parse(gated.stdout).summary.endpointsRemoved, 1);
+    assert.strictEqual((await run('diff', newPath, oldPath, '--fail-on-breaking')).code, 0);
+});
+
+test('usage and input errors exit with 2', async () => {
+    assert.strictEqual((await run()).code, 2);
+    assert.strictEqual((await run('publish')).code, 2);
+    assert.strictEqual((await run('diff', 'only-one.json')).code, 2);
+    assert.strictEqual((await run('validate', path.join(dir, 'missing.json'))).code, 2);
+    assert.strictEqual((await run('convert', path.join(dir, 'shop.postman_collection.json'), '--format', 'xml')).code, 2);
+    assert.strictEqual((await run('convert', path.join(dir, 'shop.postman_collection.json'), '--watch')).code, 2);
+    assert.strictEqual((await run('help')).code, 0);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ensureItemIds, listItems, findItem, updateItem, addItem, duplicateItem, moveItem, removeItem } = require('../lib/collection-items');
+
+// Orders folder with two requests, and a health check at the top level
+function makeCollection() {
+    return {
+        info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+        item: [
+            {
+                id: 'orders',
+                name: 'Orders',
+                item: [
+                    {
+                        id: 'get-order',
+                        name: 'Get order',
+                        request: {
+                            method: 'GET',
+                            url: {
+                                raw: 'https://api.shop.com/orders/:id?expand=items',
+                                host: ['api', 'shop', 'com'],
+                                path: ['orders', ':id'],
+                                query: [{ key: 'expand', value: 'items', description: 'Related objects' }],
+                                variable: [{ key: 'id', value: '1', description: 'Order id' }]
+                            }
+                        },
+                        response: []
+                    },
+                    { id: 'create-order', name: 'Create order', request: { method: 'POST', url: 'https://api.shop.com/orders' } }
+                ]
+            },
+            { id: 'health', name: 'Health', request: { method: 'GET', url: 'https://api.shop.com/health' } }
+        ]
+    };
+}
+
+const names = items => items.map(item => item.name);
+
+test('ensureItemIds gives items without an id or with a repeated id a new one', () => {
+    const collection = makeCollection();
+    collection.item[0].item[1].id = 'get-order';
+    delete collection.item[1].id;
+    assert.strictEqual(ensureItemIds(collection), 2);
+    const ids = [collection.item[0].id, ...collection.item[0].item.map(item => item.id), collection.item[1].id];
+    assert.strictEqual(new Set(ids).size, 4);
+    assert.strictEqual(ensureItemIds(collection), 0);
+});
+
+test('ensureItemIds gives the same ids to the same collection', () => {
+    const withoutIds = () => {
+        const collection = makeCollection();
+        delete collection.item[0].id;
+        delete collection.item[0].item[0].id;
+        return collection;
+    };
+    const first = withoutIds();
+    const second = withoutIds();
+    ensureItemIds(first);
+    ensureItemIds(second);
+    assert.deepStrictEqual(second, first);
+    assert.notStrictEqual(first.item[0].id, first.item[0].item[0].id);
+});
+
+test('listItems describes the tree', () => {
+    assert.deepStrictEqual(listItems(makeCollection()), [
+        {
+            id: 'orders',
+            name: 'Orders',
+            type: 'folder',
+            items: [
+                { id: 'get-order', name: 'Get order', type: 'request', method: 'GET', url: 'https://api.shop.com/orders/:id?expand=items', examples: 0 },
+                { id: 'create-order', name: 'Create order', type: 'request', method: 'POST', url: 'https://api.shop.com/orders', examples: 0 }
+            ]
+        },
+        { id: 'health', name: 'Health', type: 'request', method: 'GET', url: 'https://api.shop.com/health', examples: 0 }
+    ]);
+});
+
+test('updateItem replaces the given fields and keeps descriptions of a changed URL', () => {
+    const collection = makeCollection();
+    const item = updateItem(collection, 'get-order', {
+        name: 'Fetch order',
+        request: { url: 'https://api.shop.com/v2/orders/:id?expand=items&page=1', header: [{ key: 'Accept', value: 'application/json' }] }
+    });
+    assert.strictEqual(item.name, 'Fetch order');
+    assert.strictEqual(item.request.method, 'GET');
+    assert.deepStrictEqual(item.request.url.path, ['v2', 'orders', ':id']);
+    assert.strictEqual(item.request.url.query[0].description, 'Related objects');
+    assert.deepStrictEqual(item.request.url.variable, [{ key: 'id', value: '1', description: 'Order id' }]);
+    assert.deepStrictEqual(item.request.header, [{ key: 'Accept', value: 'application/json' }]);
+
+    assert.strictEqual(updateItem(collection, 'create-order', { request: { body: null } }).request.body, undefined);
+    assert.strictEqual(updateItem(collection, 'missing', { name: 'x' }), null);
+});
+
+test('updateItem rejects fields that cannot be changed', () => {
+    const collection = makeCollection();
+    assert.throws(() => updateItem(collection, 'orders', { request: {} }), RangeError);
+    assert.throws(() => updateItem(collection, 'health', { item: [] }), RangeError);
+    assert.throws(() => updateItem(collection, 'health', { name: ' ' }), RangeError);
+    assert.throws(() => updateItem(collection, 'health', { request: { script: '' } }), RangeError);
+});
+
+test('addItem and duplicateItem insert items with new ids', () => {
+    const collection = makeCollection();
+    const added = addItem(collection, { parentId: 'orders', index: 0, item: { id: 'health', name: 'List orders', request: { method: 'GET', url: 'https://api.shop.com/orders' } } });
+    assert.notStrictEqual(added.id, 'health');
+    assert.deepStrictEqual(names(collection.item[0].item), ['List orders', 'Get order', 'Create order']);
+
+    const copy = duplicateItem(collection, 'orders');
+    assert.strictEqual(copy.name, 'Orders (copy)');
+    assert.deepStrictEqual(names(collection.item), ['Orders', 'Orders (copy)', 'Health']);
+    assert.ok(copy.item.every(item => !findItem(makeCollection(), item.id)));
+
+    assert.throws(() => addItem(collection, { parentId: 'health', item: { name: 'x', request: {} } }), /not found/);
+    assert.throws(() => addItem(collection, { index: 9, item: { name: 'x', request: {} } }), /index must be/);
+});
+
+test('moveItem moves items between folders and refuses to move a folder into itself', () => {
+    const collection = makeCollection();
+    moveItem(collection, 'health', { parentId: 'orders', index: 1 });
+    assert.deepStrictEqual(names(collection.item[0].item), ['Get order', 'Health', 'Create order']);
+    moveItem(collection, 'get-order', { parentId: 'orders', index: 2 });
+    assert.deepStrictEqual(names(collection.item[0].item), ['Health', 'Create order', 'Get order']);
+    moveItem(collection, 'create-order', {});
+    assert.deepStrictEqual(names(collection.item), ['Orders', 'Create order']);
+
+    assert.throws(() => moveItem(collection, 'orders', { parentId: 'orders' }), /into itself/);
+    assert.throws(() => moveItem(collection, 'health', { parentId: 'orders', index: 3 }), /index must be/);
+    assert.deepStrictEqual(names(collection.item[0].item), ['Health', 'Get order']);
+});
+
+test('removeItem removes an item and everything in it', () => {
+    const collection = makeCollection();
+    assert.strictEqual(removeItem(collection, 'orders').name, 'Orders');
+    assert.deepStrictEqual(names(collection.item), ['Health']);
+    assert.strictEqual(findItem(collection, 'get-order'), null);
+    assert.strictEqual(removeItem(collection, 'orders'), null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server keeps its files where these point, so set them before it is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collection-save-test-'));
+process.env.COLLECTIONS_DIR = path.join(dir, 'collections');
+process.env.AUDIT_LOG_PATH = path.join(dir, 'audit', 'audit.jsonl');
+process.env.AUTH_CONFIG_PATH = path.join(dir, 'auth.config.json');
+process.env.IMPORT_SOURCES_PATH = path.join(dir, 'import-sources.json');
+delete process.env.VERSIONING;
+delete process.env.WATCH_DIR;
+const { app, stop } = require('../index');
+
+const collectionPath = path.join(dir, 'collections', 'shop', 'postman_collection.json');
+const SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const collection = (name, description) => ({
+    info: { name, schema: SCHEMA, description },
+    item: [{ name: 'Get order', request: { method: 'GET', url: 'https://api.shop.com/orders/1' } }]
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    server.close();
+    await stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Renames over the collection file fail as they do when it is a single-file bind mount
+const renameSync = fs.renameSync;
+test.before(() => {
+    fs.renameSync = (from, to) => {
+        if (to === collectionPath) {
+            throw Object.assign(new Error(`EBUSY: resource busy or locked, rename '${from}' -> '${to}'`), { code: 'EBUSY' });
+        }
+        return renameSync(from, to);
+    };
+});
+test.after(() => {
+    fs.renameSync = renameSync;
+});
+
+function post(route, body, headers = {}) {
+    return fetch(`${baseUrl}/api/collections/shop${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+test('saves with If-Match and merges conflicting saves when the file cannot be renamed over', async () => {
+    let response = await post('', collection('Shop'), { 'If-Match': '*' });
+    assert.strictEqual(response.status, 200, await response.text());
+    const etag = response.headers.get('etag');
+    assert.strictEqual(fs.readFileSync(collectionPath, 'utf8'), JSON.stringify(collection('Shop'), null, 2));
+
+    assert.strictEqual((await post('', collection('Shop', 'Orders'))).status, 428);
+
+    response = await post('', collection('Shop', 'Orders'), { 'If-Match': etag });
+    assert.strictEqual(response.status, 200, await response.text());
+
+    // A second editor still has the first version loaded
+    response = await post('', collection('Shop API'), { 'If-Match': etag });
+    assert.strictEqual(response.status, 409);
+
+    response = await post('/merge', { base: collection('Shop'), mine: collection('Shop API') });
+    const merge = await response.json();
+    assert.deepStrictEqual(merge.conflicts, []);
+    assert.deepStrictEqual(merge.merged.info, { name: 'Shop API', schema: SCHEMA, description: 'Orders' });
+
+    response = await post('', merge.merged, { 'If-Match': merge.etag });
+    assert.strictEqual(response.status, 200, await response.text());
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(collectionPath, 'utf8')).info, merge.merged.info);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(collectionPath)).filter(file => file.endsWith('.tmp')), []);
+});
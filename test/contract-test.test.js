@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { runContractTests, toJUnitXml } = require('../lib/contract-test');
+
+const SPEC = {
+    openapi: '3.0.0',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: {
+        '/pets': {
+            get: {
+                tags: ['pets'],
+                parameters: [
+                    { name: 'limit', in: 'query', required: true, schema: { type: 'integer', example: 10 } },
+                    { name: 'cursor', in: 'query', schema: { type: 'string' } }
+                ],
+                responses: { 200: { description: 'OK', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } } } }
+            },
+            post: {
+                requestBody: { content: { 'application/json': { example: { name: 'Rex' } } } },
+                responses: { 201: { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } } }
+            }
+        },
+        '/pets/{id}': {
+            parameters: [{ name: 'id', in: 'path', required: true, example: 7 }],
+            get: {
+                responses: {
+                    200: {
+                        description: 'OK',
+                        headers: { 'X-Request-Id': { required: true, schema: { type: 'string' } }, 'X-Remaining': { schema: { type: 'integer' } } },
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                    }
+                }
+            },
+            delete: { responses: { 204: { description: 'Deleted' }, '4XX': { description: 'Error', content: { 'application/json': {} } } } }
+        }
+    },
+    components: {
+        schemas: {
+            Pet: { type: 'object', required: ['id', 'name'], properties: { id: { type: 'integer' }, name: { type: 'string' }, tag: { type: 'string', nullable: true } } }
+        }
+    }
+};
+
+// A service that gets some of the contract wrong on purpose
+const requests = [];
+const service = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, body, headers: req.headers });
+        const json = (status, value, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(value));
+        };
+        if (req.method === 'GET' && req.url === '/pets?limit=10') {
+            return json(200, [{ id: 1, name: 'Rex', tag: null }]);
+        }
+        if (req.method === 'POST' && req.url === '/pets') {
+            return json(201, { id: 'one', name: JSON.parse(body).name });
+        }
+        if (req.method === 'GET' && req.url === '/pets/7') {
+            return json(200, { id: 7, name: 'Rex' }, { 'X-Remaining': 'many' });
+        }
+        res.writeHead(418, { 'Content-Type': 'text/plain' });
+        res.end('I am a teapot');
+    });
+});
+
+let baseUrl;
+let report;
+
+test.before(async () => {
+    await new Promise(resolve => service.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${service.address().port}`;
+    report = await runContractTests(SPEC, { baseUrl: `${baseUrl}/`, headers: { Authorization: 'Bearer secret' } });
+});
+
+test.after(() => service.close());
+
+// The failure messages of an operation's result
+const failuresOf = operation => report.results.find(result => result.operation === operation).failures.map(failure => `[${failure.check}] ${failure.message}`);
+
+test('calls every operation once with the examples of the spec', () => {
+    assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url}`), ['GET /pets?limit=10', 'POST /pets', 'GET /pets/7', 'DELETE /pets/7']);
+    assert.strictEqual(requests[1].body, '{"name":"Rex"}');
+    assert.strictEqual(requests[1].headers['content-type'], 'application/json');
+    assert.ok(requests.every(request => request.headers.authorization === 'Bearer secret'));
+});
+
+test('checks the status, headers and body of each response against the spec', () => {
+    assert.deepStrictEqual(report.summary, { total: 4, passed: 1, failed: 3 });
+    assert.deepStrictEqual(failuresOf('GET /pets'), []);
+    assert.deepStrictEqual(failuresOf('POST /pets'), ['[body] Body/id must be integer']);
+    assert.deepStrictEqual(failuresOf('GET /pets/{id}'), ['[header] Required header "X-Request-Id" is missing', '[header] Header "X-Remaining" must be integer']);
+    assert.deepStrictEqual(failuresOf('DELETE /pets/{id}'), ['[content-type] Content type "text/plain" is not documented (documented: application/json)']);
+});
+
+test('reports services that cannot be reached', async () => {
+    const unreachable = await runContractTests(SPEC, { baseUrl: 'http://127.0.0.1:9', methods: ['DELETE'], timeout: 2000 });
+    assert.deepStrictEqual(unreachable.summary, { total: 1, passed: 0, failed: 1 });
+    assert.match(unreachable.results[0].failures[0].message, /^Request failed: /);
+});
+
+test('renders the report as JUnit XML', () => {
+    const xml = toJUnitXml(report, { name: 'Pets & co' });
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Pets &amp; co" tests="4" failures="3"/);
+    assert.match(xml, /<testcase classname="pets" name="GET \/pets" time="\d+\.\d{3}"\/>/);
+    assert.match(xml, /<testcase classname="contract" name="POST \/pets" time="\d+\.\d{3}">\n {6}<failure message="Body\/id must be integer" type="body">POST \/pets -&gt; http:\/\/127\.0\.0\.1:\d+\/pets \(status 201\)\n\[body\] Body\/id must be integer<\/failure>/);
+    assert.strictEqual((xml.match(/<testcase /g) || []).length, 4);
+    assert.strictEqual((xml.match(/<failure /g) || []).length, 3);
+});
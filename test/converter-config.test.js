@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONVERTER_CONFIG, validateConverterConfig, loadConverterConfig, toConverterOptions, applyTagMapping } = require('../lib/converter-config');
+
+test('validateConverterConfig accepts the defaults and reports unknown and invalid options', () => {
+    assert.deepStrictEqual(validateConverterConfig(DEFAULT_CONVERTER_CONFIG), []);
+    assert.deepStrictEqual(validateConverterConfig({ operationId: 'auto', servers: [{ url: 'https://api.shop.com' }], tagMapping: { General: 'Orders' } }), []);
+
+    assert.deepStrictEqual(validateConverterConfig({ pathDepht: 1 }), [{ rule: 'converter-config', message: 'Unknown option "pathDepht"', pointer: '' }]);
+    assert.deepStrictEqual(validateConverterConfig({
+        pathDepth: -1,
+        operationId: 'always',
+        servers: [{ description: 'No URL' }],
+        auth: { token: { type: 'apiKey', scheme: 'bearer' } },
+        tagMapping: { General: 1 }
+    }).map(error => error.pointer), ['/pathDepth', '/operationId', '/servers/0', '/auth/token/type', '/tagMapping/General']);
+});
+
+test('loadConverterConfig fills in the defaults and throws for invalid files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'converter-config-test-'));
+    try {
+        const configPath = path.join(dir, 'converter.config');
+        assert.deepStrictEqual(loadConverterConfig(configPath), DEFAULT_CONVERTER_CONFIG);
+
+        fs.writeFileSync(configPath, JSON.stringify({ defaultTag: 'Orders' }));
+        assert.deepStrictEqual(loadConverterConfig(configPath), { ...DEFAULT_CONVERTER_CONFIG, defaultTag: 'Orders' });
+
+        fs.writeFileSync(configPath, JSON.stringify({ defaultTag: '' }));
+        assert.throws(() => loadConverterConfig(configPath), /Invalid converter config .*\/defaultTag must NOT have fewer than 1 characters/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('toConverterOptions leaves out empty settings and those applied after the conversion', () => {
+    const options = toConverterOptions({ ...DEFAULT_CONVERTER_CONFIG, info: { title: 'Shop' }, tagMapping: { General: 'Orders' } });
+    assert.deepStrictEqual(options.info, { title: 'Shop' });
+    assert.strictEqual(options.outputFormat, 'json');
+    ['servers', 'auth', 'externalDocs', 'additionalVars', 'tagMapping', 'inferSchemas'].forEach(key => assert.ok(!(key in options), key));
+});
+
+test('applyTagMapping renames and merges tags on operations and in the tag list', () => {
+    const spec = {
+        tags: [{ name: 'General' }, { name: 'Orders', description: 'Orders' }, { name: 'Users' }],
+        paths: { '/orders': { get: { tags: ['General', 'Orders'] }, parameters: [] } }
+    };
+    applyTagMapping(spec, { General: 'Orders', Users: 'Customers' });
+    assert.deepStrictEqual(spec.paths['/orders'].get.tags, ['Orders']);
+    assert.deepStrictEqual(spec.tags, [{ name: 'Orders' }, { name: 'Customers' }]);
+});
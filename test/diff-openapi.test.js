@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffOpenAPI, diffToMarkdown } = require('../lib/diff-openapi');
+
+// A spec with one operation built from the given parts
+function makeSpec({ parameters = [], requestBody, responseSchema = { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } } = {}) {
+    const operation = {
+        parameters,
+        responses: { 200: { description: 'OK', content: { 'application/json': { schema: responseSchema } } } }
+    };
+    if (requestBody) {
+        operation.requestBody = requestBody;
+    }
+    return { openapi: '3.0.0', info: { title: 'Shop', version: '1.0.0' }, paths: { '/orders': { post: operation } } };
+}
+
+const jsonBody = (schema, required = false) => ({ required, content: { 'application/json': { schema } } });
+
+// Describe the changes of a diff as [breaking, message] pairs
+const describe = diff => diff.changes.map(change => [change.breaking, change.message]);
+
+test('classifies added and removed endpoints', () => {
+    const oldSpec = makeSpec();
+    const newSpec = makeSpec();
+    newSpec.paths['/orders/{id}'] = { get: { responses: { 200: { description: 'OK' } } } };
+    delete newSpec.paths['/orders'];
+
+    const diff = diffOpenAPI(oldSpec, newSpec);
+    assert.deepStrictEqual(describe(diff), [[true, 'endpoint removed'], [false, 'endpoint added']]);
+    assert.deepStrictEqual(diff.summary, { total: 2, breaking: 1, nonBreaking: 1, endpointsAdded: 1, endpointsRemoved: 1 });
+});
+
+test('new constraints on requests break clients, relaxed ones do not', () => {
+    const param = (required, schema = { type: 'string' }) => ({ name: 'page', in: 'query', required, schema });
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ parameters: [param(false)] }), makeSpec({ parameters: [param(true)] }))),
+        [[true, 'query parameter "page" became required']]);
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ parameters: [param(true)] }), makeSpec({ parameters: [param(false)] }))),
+        [[false, 'query parameter "page" became optional']]);
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec(), makeSpec({ parameters: [param(true)] }))),
+        [[true, 'required query parameter "page" added']]);
+
+    const oldBody = jsonBody({ type: 'object', properties: { status: { type: 'string', enum: ['open', 'paid'] } } });
+    const newBody = jsonBody({ type: 'object', properties: { status: { type: 'string', enum: ['open'] }, note: { type: 'string' } }, required: ['note'] });
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ requestBody: oldBody }), makeSpec({ requestBody: newBody }))), [
+        [true, 'request body application/json note: required property added'],
+        [true, 'request body application/json status: enum values removed: "paid"']
+    ]);
+});
+
+test('removing data from responses breaks clients, adding it does not', () => {
+    const oldSchema = { type: 'object', properties: { id: { type: 'string' }, total: { type: 'number' } }, required: ['id', 'total'] };
+    const newSchema = { type: 'object', properties: { id: { type: 'string' }, currency: { type: 'string' } }, required: ['id'] };
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ responseSchema: oldSchema }), makeSpec({ responseSchema: newSchema }))), [
+        [true, 'response 200 application/json total: property removed'],
+        [false, 'response 200 application/json currency: property added']
+    ]);
+});
+
+test('type changes to and from untyped schemas depend on the direction', () => {
+    const param = schema => ({ name: 'q', in: 'query', schema });
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ parameters: [param({})] }), makeSpec({ parameters: [param({ type: 'string' })] }))),
+        [[true, 'query parameter "q" type changed from any to string']]);
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ parameters: [param({ type: 'string' })] }), makeSpec({ parameters: [param({})] }))),
+        [[false, 'query parameter "q" type changed from string to any']]);
+
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ requestBody: jsonBody({}) }), makeSpec({ requestBody: jsonBody({ type: 'string' }) }))),
+        [[true, 'request body application/json: type changed from any to string']]);
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ responseSchema: {} }), makeSpec({ responseSchema: { type: 'string' } }))),
+        [[false, 'response 200 application/json: type changed from any to string']]);
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ responseSchema: { type: 'string' } }), makeSpec({ responseSchema: {} }))),
+        [[true, 'response 200 application/json: type changed from string to any']]);
+    assert.deepStrictEqual(describe(diffOpenAPI(makeSpec({ responseSchema: { type: 'string' } }), makeSpec({ responseSchema: { type: 'integer' } }))),
+        [[true, 'response 200 application/json: type changed from string to integer']]);
+});
+
+test('schemas without a type but with properties compare as objects', () => {
+    const untyped = { properties: { id: { type: 'string' } } };
+    const typed = { type: 'object', properties: { id: { type: 'string' } } };
+    assert.deepStrictEqual(diffOpenAPI(makeSpec({ requestBody: jsonBody(untyped) }), makeSpec({ requestBody: jsonBody(typed) })).changes, []);
+});
+
+test('follows $refs into components', () => {
+    const withRef = properties => ({
+        ...makeSpec({ responseSchema: { $ref: '#/components/schemas/Order' } }),
+        components: { schemas: { Order: { type: 'object', properties } } }
+    });
+    assert.deepStrictEqual(describe(diffOpenAPI(withRef({ id: { type: 'string' } }), withRef({ id: { type: 'integer' } }))),
+        [[true, 'response 200 application/json id: type changed from string to integer']]);
+});
+
+test('renders a Markdown changelog grouped by impact', () => {
+    const markdown = diffToMarkdown(diffOpenAPI(makeSpec(), { ...makeSpec(), paths: {} }), { from: 'v1', to: 'v2' });
+    assert.match(markdown, /Changes from `v1` to `v2`: 1 change\(s\), 1 breaking\./);
+    assert.match(markdown, /## Breaking changes\n\n### `POST \/orders`\n\n- \*\*removed\*\* endpoint: endpoint removed/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { slugify, parseEnvironment, maskEnvironment, getBaseUrlTemplate, buildEnvironmentServers } = require('../lib/environments');
+
+const PRODUCTION = parseEnvironment({
+    name: 'Production',
+    values: [
+        { key: 'host', value: 'api.shop.com' },
+        { key: 'version', value: 2 },
+        { key: 'apiKey', value: 'sk_live_123', type: 'secret' },
+        { key: 'tenant', value: 'acme', type: 'secret' },
+        { key: 'region', value: 'eu', enabled: false }
+    ]
+});
+
+test('buildEnvironmentServers maps {{variables}} to server variables and blanks secret values', () => {
+    const servers = buildEnvironmentServers('https://{{tenant}}.{{ host }}/v{{version}}/{{region}}', [PRODUCTION]);
+    assert.deepStrictEqual(servers, [{
+        url: 'https://{tenant}.{host}/v{version}/{region}',
+        description: 'Production',
+        variables: {
+            tenant: { default: '', description: 'Secret value, not included in the spec' },
+            host: { default: 'api.shop.com' },
+            version: { default: '2' },
+            region: { default: '', description: 'Not set in the "Production" environment' }
+        }
+    }]);
+    assert.ok(!JSON.stringify(servers).includes('acme'));
+    assert.ok(!JSON.stringify(servers).includes('sk_live_123'));
+});
+
+test('buildEnvironmentServers gives every environment a server and leaves out variables when there are none', () => {
+    const staging = parseEnvironment({ name: 'Staging', values: [{ key: 'host', value: 'staging.shop.com' }] });
+    assert.deepStrictEqual(buildEnvironmentServers('https://{{host}}', [PRODUCTION, staging]).map(server => [server.description, server.variables.host.default]), [
+        ['Production', 'api.shop.com'],
+        ['Staging', 'staging.shop.com']
+    ]);
+    assert.deepStrictEqual(buildEnvironmentServers('https://api.shop.com', [staging]), [{ url: 'https://api.shop.com', description: 'Staging' }]);
+});
+
+test('maskEnvironment blanks secret values only', () => {
+    const masked = maskEnvironment(PRODUCTION);
+    assert.deepStrictEqual(masked.values.map(value => [value.key, value.value]), [['host', 'api.shop.com'], ['version', 2], ['apiKey', ''], ['tenant', ''], ['region', 'eu']]);
+    assert.strictEqual(PRODUCTION.values[2].value, 'sk_live_123');
+});
+
+test('parseEnvironment normalizes values and rejects what is not an environment', () => {
+    assert.deepStrictEqual(parseEnvironment({ id: 'e1', name: 'Local', values: [{ key: 'host', value: null }] }), {
+        id: 'e1',
+        name: 'Local',
+        values: [{ key: 'host', value: '', type: 'default', enabled: true }],
+        _postman_variable_scope: 'environment'
+    });
+    assert.throws(() => parseEnvironment([]), /must be a JSON object/);
+    assert.throws(() => parseEnvironment({ name: '!!!', values: [] }), /must have a name/);
+    assert.throws(() => parseEnvironment({ name: 'Local' }), /"values" array/);
+    assert.throws(() => parseEnvironment({ name: 'Local', values: [{ value: 'x' }] }), /value 0 must have a "key"/);
+    assert.strictEqual(slugify('  Production (EU) '), 'production-eu');
+});
+
+test('getBaseUrlTemplate finds the base URL most requests share', () => {
+    const request = url => ({ name: url, request: { method: 'GET', url } });
+    assert.strictEqual(getBaseUrlTemplate({
+        item: [
+            request('{{baseUrl}}/orders'),
+            { name: 'Users', item: [request({ raw: '{{baseUrl}}/users' }), request('https://{{host}}/health')] },
+            request('https://api.shop.com/status')
+        ]
+    }), '{{baseUrl}}');
+    assert.strictEqual(getBaseUrlTemplate({ item: [request('https://api.shop.com/orders')] }), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createEventStream } = require('../lib/events');
+
+// A client connection: the request emits 'close' when it goes away, the response collects what is written
+function connect(events, collection) {
+    const req = new EventEmitter();
+    const res = {
+        status: null,
+        headers: null,
+        chunks: [],
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.chunks.push(chunk);
+        }
+    };
+    events.subscribe(req, res, collection);
+    return { req, res };
+}
+
+// The events a client received, without the retry hint and heartbeats
+function received(client) {
+    return client.res.chunks.filter(chunk => chunk.startsWith('id: ')).map(chunk => {
+        const [, id, type, data] = /^id: (\d+)\nevent: ([a-z-]+)\ndata: (.*)\n\n$/.exec(chunk);
+        const { timestamp, ...event } = JSON.parse(data);
+        assert.ok(!isNaN(Date.parse(timestamp)));
+        return { id: Number(id), type, ...event };
+    });
+}
+
+test('subscribers get the events of their collection until they disconnect', () => {
+    const events = createEventStream();
+    const all = connect(events);
+    const shop = connect(events, 'shop');
+    assert.strictEqual(events.clientCount, 2);
+    assert.strictEqual(all.res.status, 200);
+    assert.strictEqual(all.res.headers['Content-Type'], 'text/event-stream');
+    assert.deepStrictEqual(all.res.chunks, ['retry: 3000\n\n']);
+
+    events.publish('conversion-started', 'shop', { trigger: 'watcher' });
+    events.publish('file-changed', 'users', { file: 'postman_collection.json' });
+    shop.req.emit('close');
+    assert.strictEqual(events.clientCount, 1);
+    events.publish('conversion-succeeded', 'shop');
+
+    assert.deepStrictEqual(received(shop), [{ id: 1, type: 'conversion-started', collection: 'shop', trigger: 'watcher' }]);
+    assert.deepStrictEqual(received(all), [
+        { id: 1, type: 'conversion-started', collection: 'shop', trigger: 'watcher' },
+        { id: 2, type: 'file-changed', collection: 'users', file: 'postman_collection.json' },
+        { id: 3, type: 'conversion-succeeded', collection: 'shop' }
+    ]);
+});
+
+test('publish rejects unknown event types', () => {
+    const events = createEventStream();
+    const client = connect(events);
+    assert.throws(() => events.publish('spec-deleted', 'shop'), /Unknown event type "spec-deleted"/);
+    assert.deepStrictEqual(received(client), []);
+});
+
+test('idle clients get heartbeats', async () => {
+    const events = createEventStream({ heartbeatInterval: 10 });
+    const client = connect(events);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(client.res.chunks.filter(chunk => chunk === ': heartbeat\n\n').length >= 1);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createGitHistory } = require('../lib/git-history');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-history-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const repoDir = path.join(dir, 'history');
+const collectionPath = path.join(dir, 'postman_collection.json');
+const history = createGitHistory({ dir: repoDir });
+
+// Save a new version of the collection file and commit it
+function commitVersion(content, message, author) {
+    fs.writeFileSync(collectionPath, content);
+    return history.commit('shop', { 'postman_collection.json': collectionPath }, message, author);
+}
+
+test('commits collection files and lists them per collection', async () => {
+    const sha = await commitVersion('{"v":1}', 'Save collection "shop"', 'alice');
+    assert.strictEqual(await commitVersion('{"v":1}', 'Nothing changed', 'alice'), null);
+    assert.deepStrictEqual((await history.log('shop')).commits.map(commit => [commit.sha, commit.author, commit.subject]), [[sha, 'alice', 'Save collection "shop"']]);
+    assert.strictEqual(await history.readFile('shop', sha, 'postman_collection.json'), '{"v":1}');
+    assert.deepStrictEqual((await history.show('shop', sha.slice(0, 7))).files, [{ status: 'A', file: 'postman_collection.json' }]);
+});
+
+test('strips what would break the author out of actor names', async () => {
+    const sha = await commitVersion('{"v":2}', 'Edit collection "shop"', 'Eve <root@example.com>\nCo-authored-by: Mallory');
+    const author = execFileSync('git', ['log', '-1', '--format=%an|%ae', sha], { cwd: repoDir, encoding: 'utf8' }).trim();
+    assert.strictEqual(author, 'Eve root@example.com Co-authored-by: Mallory|eve-root-example-com-co-authored-by-mallory@api-endpoint-manager');
+
+    await commitVersion('{"v":3}', 'Edit collection "shop"', '<>');
+    assert.strictEqual((await history.log('shop', { limit: 1 })).commits[0].author, 'unknown');
+});
+
+test('runs commits one after the other, each with the files as they were when it was asked for', async () => {
+    const shas = await Promise.all([4, 5, 6].map(version => commitVersion(`{"v":${version}}`, `Save version ${version}`, 'alice')));
+    assert.strictEqual(new Set(shas).size, 3);
+    const contents = await Promise.all(shas.map(sha => history.readFile('shop', sha, 'postman_collection.json')));
+    assert.deepStrictEqual(contents, ['{"v":4}', '{"v":5}', '{"v":6}']);
+    assert.deepStrictEqual((await history.log('shop', { limit: 3 })).commits.map(commit => commit.subject), ['Save version 6', 'Save version 5', 'Save version 4']);
+});
+
+test('resolves unknown commits and files to null', async () => {
+    assert.strictEqual(await history.resolveCommit('not-a-sha'), null);
+    assert.strictEqual(await history.resolveCommit('0000000'), null);
+    assert.strictEqual(await history.show('shop', 'deadbeef'), null);
+    assert.strictEqual(await history.patch('shop', 'deadbeef'), null);
+    assert.strictEqual(await history.readFile('shop', 'HEAD', 'openapi.json'), null);
+    const [latest] = (await history.log('shop', { limit: 1 })).commits;
+    assert.match(await history.patch('shop', latest.sha), /^-\{"v":5\}\n.*\n\+\{"v":6\}$/m);
+});
+
+test('removes a collection with a commit of its own', async () => {
+    const sha = await history.remove('shop', 'Delete collection "shop"', 'admin');
+    assert.deepStrictEqual((await history.show('shop', sha)).files, [{ status: 'D', file: 'postman_collection.json' }]);
+    assert.strictEqual(await history.remove('shop', 'Delete it again', 'admin'), null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync } = require('child_process');
+const { loadImportSources, createImportScheduler } = require('../lib/import-sources');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-sources-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write an import sources file and load it
+function load(config) {
+    const configPath = path.join(dir, 'import-sources.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return loadImportSources(configPath);
+}
+
+test('loadImportSources fills in the interval and throws for invalid files', () => {
+    assert.deepStrictEqual(loadImportSources(path.join(dir, 'missing.json')), []);
+    assert.deepStrictEqual(load({ sources: [{ name: 'shop', collection: 'shop', type: 'url', url: 'https://shop.com/collection.json' }] }), [
+        { interval: 300, name: 'shop', collection: 'shop', type: 'url', url: 'https://shop.com/collection.json' }
+    ]);
+
+    assert.throws(() => load({ sources: [{ name: 'shop', collection: 'shop', type: 'git', repo: '/srv/shop' }] }), /Invalid import sources .*\/sources\/0 must have required property 'path'/);
+    assert.throws(() => load({ sources: [{ name: 'shop', collection: 'shop', type: 'url', url: 'ftp://shop.com', interval: 1 }] }), /\/sources\/0\/interval must be >= 10; \/sources\/0\/url must match pattern/);
+    const source = { name: 'shop', collection: 'shop', type: 'url', url: 'https://shop.com' };
+    assert.throws(() => load({ sources: [source, source] }), /source "shop" is defined twice/);
+});
+
+// A server for a URL source that answers If-None-Match with 304
+let content = '{"v":1}';
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    if (req.url !== '/collection.json') {
+        res.writeHead(404);
+        return res.end();
+    }
+    const etag = `"${content.length}-${content}"`;
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        return res.end();
+    }
+    res.writeHead(200, { ETag: etag });
+    res.end(content);
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+test.after(() => server.close());
+
+test('the scheduler imports URL sources when their content changed', async () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const imports = [];
+    const scheduler = createImportScheduler([
+        { name: 'shop', collection: 'shop', type: 'url', url: `${baseUrl}/collection.json`, headers: { Authorization: 'Bearer secret' }, interval: 300 },
+        { name: 'gone', collection: 'shop', type: 'url', url: `${baseUrl}/gone.json`, interval: 300 }
+    ], async (source, body, details) => {
+        imports.push([body, details]);
+        return true;
+    });
+
+    let state = await scheduler.check('shop');
+    assert.strictEqual(state.status, 'imported');
+    assert.strictEqual(state.lastChangedAt, state.lastCheckedAt);
+    assert.deepStrictEqual(imports, [['{"v":1}', { source: 'shop', revision: null }]]);
+    assert.strictEqual(requests[0].authorization, 'Bearer secret');
+    assert.ok(!('headers' in state));
+
+    state = await scheduler.check('shop');
+    assert.strictEqual(state.status, 'unchanged');
+    assert.strictEqual(requests[1]['if-none-match'], '"7-{"v":1}"');
+
+    content = '{"v":2}';
+    assert.strictEqual((await scheduler.check('shop')).status, 'imported');
+    assert.deepStrictEqual(imports.map(([body]) => body), ['{"v":1}', '{"v":2}']);
+
+    const gone = await scheduler.check('gone');
+    assert.strictEqual(gone.status, 'error');
+    assert.match(gone.lastError, /gone\.json answered 404 Not Found/);
+    assert.strictEqual(scheduler.check('unknown'), null);
+    assert.deepStrictEqual(scheduler.list().map(source => [source.name, source.status]), [['shop', 'imported'], ['gone', 'error']]);
+});
+
+test('the scheduler retries imports that failed and does not run checks of a source side by side', async () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    let calls = 0;
+    const scheduler = createImportScheduler([{ name: 'shop', collection: 'shop', type: 'url', url: `${baseUrl}/collection.json`, interval: 300 }], async () => {
+        calls += 1;
+        if (calls === 1) {
+            throw new Error('Collection is invalid');
+        }
+        return false;
+    });
+
+    const failed = await scheduler.check('shop');
+    assert.strictEqual(failed.status, 'error');
+    assert.strictEqual(failed.lastError, 'Collection is invalid');
+
+    const first = scheduler.check('shop');
+    assert.strictEqual(scheduler.check('shop'), first);
+    const state = await first;
+    assert.strictEqual(state.status, 'unchanged');
+    assert.strictEqual(state.lastError, null);
+    assert.strictEqual(state.lastChangedAt, null);
+    assert.strictEqual(calls, 2);
+});
+
+test('the scheduler reads git sources at their revision and keeps them inside the checkout', async () => {
+    const repo = path.join(dir, 'repo');
+    fs.mkdirSync(repo);
+    const run = (...args) => execFileSync('git', ['-C', repo, ...args], { encoding: 'utf8' }).trim();
+    run('init', '--quiet');
+    fs.writeFileSync(path.join(repo, 'collection.json'), '{"v":1}');
+    run('add', '-A');
+    run('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-m', 'Add collection');
+
+    const imports = [];
+    const scheduler = createImportScheduler([
+        { name: 'repo', collection: 'shop', type: 'git', repo, path: 'collection.json', interval: 300 },
+        { name: 'outside', collection: 'shop', type: 'git', repo, path: '../import-sources.json', interval: 300 }
+    ], async (source, body, details) => {
+        imports.push([body, details]);
+        return true;
+    });
+
+    const state = await scheduler.check('repo');
+    assert.strictEqual(state.status, 'imported');
+    assert.strictEqual(state.location, path.join(repo, 'collection.json'));
+    assert.deepStrictEqual(imports, [['{"v":1}', { source: 'repo', revision: run('rev-parse', '--short', 'HEAD') }]]);
+    assert.strictEqual((await scheduler.check('repo')).status, 'unchanged');
+
+    const outside = await scheduler.check('outside');
+    assert.strictEqual(outside.status, 'error');
+    assert.strictEqual(outside.lastError, 'Path "../import-sources.json" is outside the checkout');
+});
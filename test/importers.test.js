@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectFormat, importCollection, listRequests } = require('../lib/importers');
+const { validatePostmanCollection } = require('../lib/validate-postman');
+
+// Every importer has to produce a collection the validator accepts
+function importValid(content, variables = []) {
+    const imported = importCollection(typeof content === 'string' ? content : JSON.stringify(content));
+    const validation = validatePostmanCollection(imported.collection, { variables });
+    assert.deepStrictEqual(validation.errors, []);
+    return imported;
+}
+
+test('detects each supported format', () => {
+    assert.strictEqual(detectFormat('{"info":{"name":"x"},"item":[]}').format, 'postman-v2');
+    assert.strictEqual(detectFormat('{"id":"1","name":"x","order":[],"requests":[]}').format, 'postman-v1');
+    assert.strictEqual(detectFormat('{"log":{"version":"1.2","entries":[]}}').format, 'har');
+    assert.strictEqual(detectFormat('{"_type":"export","__export_format":4,"resources":[]}').format, 'insomnia');
+    assert.strictEqual(detectFormat('# Health\ncurl https://api.example.com/health').format, 'curl');
+    assert.strictEqual(detectFormat('$ curl https://api.example.com/health').format, 'curl');
+});
+
+test('rejects content in unknown formats', () => {
+    assert.throws(() => importCollection('hello'), /not JSON or cURL commands/);
+    assert.throws(() => importCollection('{"a":1}'), /Unrecognised format/);
+    assert.throws(() => importCollection('{"_type":"export","__export_format":3,"resources":[]}'), /Insomnia v4/);
+    assert.throws(() => importCollection('curl \'https://api.example.com'), /Unterminated/);
+    assert.throws(() => importCollection('curl https://api.example.com\nrm -rf /'), /Expected a curl command/);
+});
+
+test('imports API calls from a HAR file and merges repeated calls', () => {
+    const entry = (method, url, status, extra = {}) => ({
+        request: { method, url, headers: [{ name: 'Authorization', value: 'Bearer secret' }, { name: 'User-Agent', value: 'x' }] },
+        response: { status, statusText: 'OK', headers: [], content: { mimeType: 'application/json', text: '{"id":1}' } },
+        ...extra
+    });
+    const { format, collection, skipped } = importValid({
+        log: {
+            version: '1.2',
+            entries: [
+                entry('GET', 'https://shop.example.com/', 200, { _resourceType: 'document' }),
+                entry('GET', 'https://api.example.com/orders?page=1', 200, { _resourceType: 'fetch' }),
+                entry('GET', 'https://api.example.com/orders?page=2', 404, { _resourceType: 'xhr' })
+            ]
+        }
+    }, ['token']);
+
+    assert.strictEqual(format, 'har');
+    assert.strictEqual(skipped, 1);
+    assert.strictEqual(collection.info.name, 'api.example.com');
+    assert.strictEqual(collection.item.length, 1);
+    assert.deepStrictEqual(collection.item[0].response.map(response => response.code), [200, 404]);
+    assert.deepStrictEqual(collection.item[0].request.header, []);
+    assert.ok(!JSON.stringify(collection).includes('secret'));
+});
+
+test('imports an Insomnia export with folders and base environment variables', () => {
+    const { collection } = importValid({
+        _type: 'export',
+        __export_format: 4,
+        resources: [
+            { _id: 'wrk_1', _type: 'workspace', parentId: null, name: 'Billing' },
+            { _id: 'env_1', _type: 'environment', parentId: 'wrk_1', data: { baseUrl: 'https://billing.example.com' } },
+            { _id: 'fld_1', _type: 'request_group', parentId: 'wrk_1', name: 'Invoices' },
+            { _id: 'req_1', _type: 'request', parentId: 'fld_1', name: 'Create invoice', method: 'POST', url: '{{ _.baseUrl }}/invoices', body: { mimeType: 'application/json', text: '{"amount":1}' } }
+        ]
+    });
+
+    assert.strictEqual(collection.info.name, 'Billing');
+    assert.deepStrictEqual(collection.variable, [{ key: 'baseUrl', value: 'https://billing.example.com' }]);
+    assert.deepStrictEqual(listRequests(collection), [{ folder: 'Invoices', name: 'Create invoice', method: 'POST', url: '{{baseUrl}}/invoices' }]);
+    assert.strictEqual(collection.item[0].item[0].request.body.options.raw.language, 'json');
+});
+
+test('imports a list of cURL commands', () => {
+    const { collection } = importValid([
+        '# Create user',
+        'curl -X POST https://api.example.com/users \\',
+        '  -H "Content-Type: application/json" \\',
+        '  --data-raw $\'{"name":"Ann\\\'s"}\'',
+        'curl -u admin:secret -G https://api.example.com/search -d q=test',
+        'curl https://api.example.com/form -d \'a=1&b=two\''
+    ].join('\n'), ['password']);
+
+    const [create, search, form] = collection.item;
+    assert.strictEqual(create.name, 'Create user');
+    assert.strictEqual(create.request.body.raw, '{"name":"Ann\'s"}');
+    assert.strictEqual(search.request.method, 'GET');
+    assert.strictEqual(search.request.url.raw, 'https://api.example.com/search?q=test');
+    assert.deepStrictEqual(search.request.auth.basic.map(item => item.value), ['admin', '{{password}}']);
+    assert.strictEqual(form.request.method, 'POST');
+    assert.deepStrictEqual(form.request.body.urlencoded, [{ key: 'a', value: '1' }, { key: 'b', value: 'two' }]);
+});
+
+test('imports a Postman v1 collection with folders and examples', () => {
+    const { collection } = importValid({
+        id: 'c1',
+        name: 'Legacy',
+        order: ['r2'],
+        folders: [{ id: 'f1', name: 'Things', order: ['r1'] }],
+        requests: [
+            {
+                id: 'r1',
+                name: 'Get thing',
+                url: 'https://legacy.example.com/things/1',
+                method: 'GET',
+                headers: 'Accept: application/json\n',
+                responses: [{ name: 'ok', responseCode: { code: 200, name: 'OK' }, text: '{"id":1}' }]
+            },
+            { id: 'r2', name: 'Login', url: 'https://legacy.example.com/login', method: 'POST', dataMode: 'urlencoded', data: [{ key: 'user', value: 'u' }] },
+            { id: 'r3', name: 'Orphan', url: 'https://legacy.example.com/orphan', method: 'DELETE' }
+        ]
+    });
+
+    assert.deepStrictEqual(listRequests(collection).map(request => `${request.folder}|${request.name}`), ['Things|Get thing', '|Login', '|Orphan']);
+    assert.deepStrictEqual(collection.item[0].item[0].request.header, [{ key: 'Accept', value: 'application/json' }]);
+    assert.strictEqual(collection.item[0].item[0].response[0].code, 200);
+});
+
+test('keeps Postman v2 collections as they are', () => {
+    const original = {
+        info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+        item: [{ name: 'Get order', request: { method: 'GET', url: 'https://api.shop.com/orders/1' } }]
+    };
+    const { format, collection } = importValid(original);
+    assert.strictEqual(format, 'postman-v2');
+    assert.deepStrictEqual(collection, original);
+});
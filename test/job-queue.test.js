@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJobQueue } = require('../lib/job-queue');
+
+// A job runner that finishes each job when told to, recording the order jobs ran in
+function makeRunner() {
+    const started = [];
+    const pending = [];
+    const run = job => new Promise(resolve => {
+        started.push(`${job.collection}:${job.trigger}`);
+        pending.push(resolve);
+    });
+    const finishNext = async outcome => {
+        while (pending.length === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        pending.shift()(outcome);
+    };
+    return { run, started, finishNext };
+}
+
+test('runs one job at a time and merges requests for a collection that is already waiting', async () => {
+    const runner = makeRunner();
+    const queue = createJobQueue(runner.run);
+
+    const first = queue.enqueue('shop', { trigger: 'startup', actor: 'system', action: 'convert' });
+    const second = queue.enqueue('shop', { trigger: 'watcher', actor: 'watcher', action: 'convert' });
+    const third = queue.enqueue('shop', { trigger: 'update', actor: 'alice', action: 'update' });
+    const other = queue.enqueue('users', { trigger: 'watcher' });
+    assert.strictEqual(second, third);
+    assert.strictEqual(queue.length, 3);
+    assert.deepStrictEqual(runner.started, ['shop:startup']);
+
+    await runner.finishNext({ success: true, inputHash: 'abc', result: { operations: 2 } });
+    await runner.finishNext({ success: false, error: 'Invalid collection' });
+    await runner.finishNext({ success: true });
+    const [firstJob, mergedJob] = await Promise.all([first, second, other]);
+
+    assert.deepStrictEqual(runner.started, ['shop:startup', 'shop:update', 'users:watcher']);
+    assert.strictEqual(firstJob.status, 'succeeded');
+    assert.strictEqual(firstJob.inputHash, 'abc');
+    assert.deepStrictEqual(firstJob.result, { operations: 2 });
+    assert.ok(firstJob.durationMs >= 0);
+    assert.deepStrictEqual([mergedJob.status, mergedJob.error, mergedJob.actor], ['failed', 'Invalid collection', 'alice']);
+    assert.deepStrictEqual(mergedJob.mergedTriggers, ['watcher']);
+    assert.strictEqual(queue.length, 0);
+    assert.strictEqual(queue.lastFinished('shop'), mergedJob);
+});
+
+test('records a job that throws as failed and keeps running later jobs', async () => {
+    const queue = createJobQueue(job => {
+        if (job.trigger === 'restore') {
+            throw new Error('Lock is held');
+        }
+        return { success: true };
+    });
+    const failed = await queue.enqueue('shop', { trigger: 'restore' });
+    assert.deepStrictEqual([failed.status, failed.error], ['failed', 'Lock is held']);
+    assert.strictEqual((await queue.enqueue('shop', { trigger: 'update' })).status, 'succeeded');
+});
+
+test('query filters and pages the history, newest first, and forgets jobs beyond the limit', async () => {
+    const finished = [];
+    const queue = createJobQueue(job => ({ success: job.trigger !== 'watcher' }), { historyLimit: 3, onFinish: job => finished.push(job.id) });
+    for (const [collection, trigger] of [['shop', 'startup'], ['users', 'startup'], ['shop', 'watcher'], ['shop', 'update']]) {
+        await queue.enqueue(collection, { trigger });
+    }
+
+    assert.strictEqual(finished.length, 4);
+    assert.strictEqual(queue.get(finished[0]), null);
+    assert.deepStrictEqual(queue.query().jobs.map(job => job.trigger), ['update', 'watcher', 'startup']);
+    assert.deepStrictEqual(queue.query({ collection: 'shop', status: 'failed' }).jobs.map(job => job.id), [finished[2]]);
+    assert.deepStrictEqual(queue.query({ trigger: 'startup' }).total, 1);
+    assert.deepStrictEqual(queue.query({ offset: '1', limit: '1' }).jobs.map(job => job.id), [finished[2]]);
+    assert.throws(() => queue.query({ limit: '0' }), RangeError);
+    assert.throws(() => queue.query({ status: 'done' }), RangeError);
+});
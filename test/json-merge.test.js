@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeJson } = require('../lib/json-merge');
+
+const BASE = {
+    info: { name: 'Shop' },
+    item: [
+        { id: 'a', name: 'Get order', request: { method: 'GET', url: 'https://api.shop.com/orders/1', header: [{ key: 'Accept', value: 'application/json' }] } },
+        { id: 'b', name: 'Create order', request: { method: 'POST', url: 'https://api.shop.com/orders' } },
+        { id: 'c', name: 'Health', request: { method: 'GET', url: 'https://api.shop.com/health' } }
+    ]
+};
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('merges changes to different requests and fields without conflicts', () => {
+    const mine = copy(BASE);
+    mine.item[0].request.header.push({ key: 'X-Trace', value: '1' });
+    mine.item.push({ id: 'd', name: 'Delete order', request: { method: 'DELETE', url: 'https://api.shop.com/orders/1' } });
+    const theirs = copy(BASE);
+    theirs.info.description = 'Orders API';
+    theirs.item[1].name = 'Place order';
+    theirs.item.splice(2, 1);
+
+    const { merged, conflicts } = mergeJson(BASE, mine, theirs);
+    assert.deepStrictEqual(conflicts, []);
+    assert.strictEqual(merged.info.description, 'Orders API');
+    assert.deepStrictEqual(merged.item.map(item => item.name), ['Get order', 'Place order', 'Delete order']);
+    assert.deepStrictEqual(merged.item[0].request.header.map(header => header.key), ['Accept', 'X-Trace']);
+});
+
+test('keeps the order of the side that reordered and places added items after their neighbour', () => {
+    const mine = copy(BASE);
+    mine.item.reverse();
+    const theirs = copy(BASE);
+    theirs.item.splice(1, 0, { id: 'e', name: 'List orders', request: { method: 'GET', url: 'https://api.shop.com/orders' } });
+
+    const { merged } = mergeJson(BASE, mine, theirs);
+    assert.deepStrictEqual(merged.item.map(item => item.id), ['c', 'b', 'a', 'e']);
+});
+
+test('reports values changed on both sides and resolves them as asked', () => {
+    const mine = copy(BASE);
+    mine.item[0].request.url = 'https://api.shop.com/v2/orders/1';
+    mine.item[2].request.method = 'HEAD';
+    const theirs = copy(BASE);
+    theirs.item[0].request.url = 'https://api.shop.com/orders/:id';
+    theirs.item.splice(2, 1);
+
+    const { merged, conflicts } = mergeJson(BASE, mine, theirs);
+    assert.deepStrictEqual(conflicts.map(conflict => [conflict.path, conflict.location]), [
+        ['/item/[id=a]/request/url', 'item > "Get order" > request > url'],
+        ['/item/[id=c]', 'item > "Health"']
+    ]);
+    assert.strictEqual(conflicts[1].theirs, undefined);
+    assert.strictEqual(merged.item[0].request.url, 'https://api.shop.com/v2/orders/1');
+    assert.strictEqual(merged.item.length, 3);
+
+    const resolved = mergeJson(BASE, mine, theirs, { '/item/[id=a]/request/url': 'theirs', '/item/[id=c]': 'theirs' }).merged;
+    assert.strictEqual(resolved.item[0].request.url, 'https://api.shop.com/orders/:id');
+    assert.deepStrictEqual(resolved.item.map(item => item.id), ['a', 'b']);
+});
+
+test('treats arrays without identifying fields as single values', () => {
+    const base = { tags: ['a', 'b'] };
+    const { merged, conflicts } = mergeJson(base, { tags: ['a', 'b', 'c'] }, { tags: ['b'] });
+    assert.deepStrictEqual(merged.tags, ['a', 'b', 'c']);
+    assert.deepStrictEqual(conflicts.map(conflict => conflict.path), ['/tags']);
+});
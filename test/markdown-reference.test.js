@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateMarkdownReference } = require('../lib/markdown-reference');
+
+const SPEC = {
+    openapi: '3.0.0',
+    info: { title: 'Shop', version: '1.0.0' },
+    servers: [{ url: 'https://{region}.shop.example.com/v1', variables: { region: { default: 'eu' } } }],
+    tags: [{ name: 'Orders', description: 'Placing and tracking orders' }, { name: 'Unused' }],
+    paths: {
+        '/orders/{id}': {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', example: 7 } }],
+            get: {
+                tags: ['Orders'],
+                summary: 'Get order',
+                parameters: [{ name: 'expand', in: 'query', description: 'Related | objects', schema: { type: 'array', items: { type: 'string' } } }],
+                responses: {
+                    200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } } },
+                    404: { description: 'Not found' }
+                }
+            }
+        },
+        '/orders': {
+            post: {
+                tags: ['Orders'],
+                summary: 'Create order',
+                requestBody: { required: true, content: { 'application/json': { example: { item: 'book' } } } },
+                responses: { 201: { description: 'Created', content: { 'application/json': { example: { id: 1 } } } } }
+            }
+        },
+        '/health': {
+            get: { responses: { 200: { description: 'Healthy' } } }
+        }
+    },
+    components: {
+        schemas: {
+            Order: { type: 'object', properties: { id: { type: 'integer', example: 7 }, status: { type: 'string', enum: ['open'] } } }
+        }
+    }
+};
+
+test('writes an index and one page per tag that has operations', () => {
+    const pages = generateMarkdownReference(SPEC);
+    assert.deepStrictEqual(Object.keys(pages), ['index.md', 'orders.md', 'other.md']);
+    assert.match(pages['index.md'], /^# Shop\n/);
+    assert.match(pages['index.md'], /Base URL: `https:\/\/eu\.shop\.example\.com\/v1`/);
+    assert.match(pages['index.md'], /## \[Orders\]\(orders\.md\)\n\n- `GET \/orders\/\{id\}` - Get order\n- `POST \/orders` - Create order/);
+    assert.match(pages['other.md'], /`GET \/health`/);
+});
+
+test('lists parameters, example requests and responses of each endpoint', () => {
+    const page = generateMarkdownReference(SPEC)['orders.md'];
+    assert.match(page, /\| `id` \| path \| integer \| yes \|  \|/);
+    assert.match(page, /\| `expand` \| query \| array of string \| no \| Related \\\| objects \|/);
+    assert.match(page, /curl -X GET 'https:\/\/eu\.shop\.example\.com\/v1\/orders\/7'/);
+    assert.match(page, /#### 200 - OK\n\n`application\/json`\n\n```json\n\{\n {2}"id": 7,\n {2}"status": "open"\n\}\n```/);
+    assert.match(page, /#### 404 - Not found/);
+    assert.match(page, /### Request body\n\n`application\/json` \(required\)/);
+    assert.match(page, /--data-raw '\{"item":"book"\}'/);
+});
+
+test('gives tags with the same slug pages of their own', () => {
+    const spec = {
+        openapi: '3.0.0',
+        info: { title: 'x' },
+        paths: {
+            '/a': { get: { tags: ['Index'], responses: {} } },
+            '/b': { get: { tags: ['Pets!'], responses: {} } },
+            '/c': { get: { tags: ['pets'], responses: {} } }
+        }
+    };
+    assert.deepStrictEqual(Object.keys(generateMarkdownReference(spec)), ['index.md', 'index-2.md', 'pets.md', 'pets-2.md']);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetricsRegistry } = require('../lib/metrics');
+
+test('renders counters, gauges and histograms in the Prometheus text format', () => {
+    const metrics = createMetricsRegistry();
+    const total = metrics.counter('conversions_total', 'Conversions run');
+    const size = metrics.gauge('backup_bytes', 'Backup size');
+    const duration = metrics.histogram('duration_seconds', 'Conversion time', [1, 0.5]);
+
+    total.inc({ collection: 'shop', trigger: 'watcher' });
+    total.inc({ collection: 'shop', trigger: 'watcher' });
+    total.inc({ collection: 'say "hi"\\' });
+    size.set({ collection: 'shop' }, 2048);
+    duration.observe({ collection: 'shop' }, 0.75);
+    duration.observe({ collection: 'shop' }, 0.25);
+
+    assert.strictEqual(metrics.render(), [
+        '# HELP conversions_total Conversions run',
+        '# TYPE conversions_total counter',
+        'conversions_total{collection="shop",trigger="watcher"} 2',
+        'conversions_total{collection="say \\"hi\\"\\\\"} 1',
+        '# HELP backup_bytes Backup size',
+        '# TYPE backup_bytes gauge',
+        'backup_bytes{collection="shop"} 2048',
+        '# HELP duration_seconds Conversion time',
+        '# TYPE duration_seconds histogram',
+        'duration_seconds_bucket{collection="shop",le="0.5"} 1',
+        'duration_seconds_bucket{collection="shop",le="1"} 2',
+        'duration_seconds_bucket{collection="shop",le="+Inf"} 2',
+        'duration_seconds_sum{collection="shop"} 1',
+        'duration_seconds_count{collection="shop"} 2',
+        ''
+    ].join('\n'));
+
+    size.reset();
+    assert.ok(!metrics.render().includes('backup_bytes{'));
+    assert.throws(() => metrics.counter('backup_bytes', 'Again'), /already registered/);
+});
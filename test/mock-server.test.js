@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMockRoutes, createMockResponse, generateFromSchema } = require('../lib/mock-server');
+
+const SPEC = {
+    openapi: '3.0.0',
+    info: { title: 'Users', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+        '/users/{id}': {
+            get: {
+                responses: {
+                    200: {
+                        description: 'OK',
+                        headers: { 'X-Rate-Limit': { schema: { type: 'integer', minimum: 100 } } },
+                        content: {
+                            'application/json': {
+                                schema: { $ref: '#/components/schemas/User' },
+                                examples: {
+                                    admin: { value: { id: 1, role: 'admin' } },
+                                    guest: { $ref: '#/components/examples/Guest' }
+                                }
+                            }
+                        }
+                    },
+                    404: { description: 'Not found', content: { 'application/json': { example: { message: 'No such user' } } } }
+                }
+            },
+            delete: { responses: { 204: { description: 'Deleted' }, default: { description: 'Error', content: { 'application/json': { example: { message: 'Something went wrong' } } } } } }
+        },
+        '/users/me': {
+            get: { responses: { 200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string', format: 'email' } } } } } }
+        }
+    },
+    components: {
+        schemas: {
+            User: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    email: { type: 'string', format: 'email' },
+                    password: { type: 'string', writeOnly: true },
+                    manager: { $ref: '#/components/schemas/User' }
+                }
+            }
+        },
+        examples: { Guest: { value: { id: 2, role: 'guest' } } }
+    }
+};
+
+const mock = createMockRoutes(SPEC);
+
+// Send a request to the mock; the client accepts whatever the operation offers
+function request(method, path, prefer) {
+    return createMockResponse(mock, { method, path, prefer, accepts: types => types[0] });
+}
+
+test('answers with the first named example and the documented headers', () => {
+    const response = request('GET', '/users/42');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.headers, { 'X-Rate-Limit': '100', 'Content-Type': 'application/json' });
+    assert.deepStrictEqual(JSON.parse(response.body), { id: 1, role: 'admin' });
+});
+
+test('matches literal paths before templates and with the server base path', () => {
+    assert.strictEqual(request('GET', '/users/me').body, 'user@example.com');
+    assert.strictEqual(request('GET', '/v1/users/me').body, 'user@example.com');
+    assert.strictEqual(request('DELETE', '/v1/users/42').status, 204);
+    assert.strictEqual(request('DELETE', '/v1/users/42').body, undefined);
+});
+
+test('Prefer picks the status code and the named example', () => {
+    const notFound = request('GET', '/users/42', 'code=404');
+    assert.strictEqual(notFound.status, 404);
+    assert.deepStrictEqual(JSON.parse(notFound.body), { message: 'No such user' });
+
+    assert.deepStrictEqual(JSON.parse(request('GET', '/users/42', 'example=guest').body), { id: 2, role: 'guest' });
+    assert.deepStrictEqual(JSON.parse(request('GET', '/users/42', 'code=200, example="admin"').body), { id: 1, role: 'admin' });
+});
+
+test('Prefer: code= falls back to the default response for status codes that are not declared', () => {
+    const conflict = request('DELETE', '/users/42', 'code=409');
+    assert.strictEqual(conflict.status, 409);
+    assert.deepStrictEqual(JSON.parse(conflict.body), { message: 'Something went wrong' });
+    assert.strictEqual(request('DELETE', '/users/42', 'code=conflict').status, 400);
+});
+
+test('unknown preferences, paths and methods are errors of the mock', () => {
+    const unknownExample = request('GET', '/users/42', 'example=owner');
+    assert.strictEqual(unknownExample.status, 400);
+    assert.strictEqual(JSON.parse(unknownExample.body).message, 'No example named "owner" for the 200 response of GET /users/{id}; available examples: admin, guest');
+    const noNamedExamples = request('GET', '/users/42', 'code=404; example=missing');
+    assert.strictEqual(noNamedExamples.status, 400);
+    assert.match(JSON.parse(noNamedExamples.body).message, /No example named "missing" .*; it has no named examples$/);
+    assert.strictEqual(request('GET', '/users/42', 'code=500').status, 400);
+    assert.strictEqual(request('GET', '/orders').status, 404);
+
+    const notAllowed = request('POST', '/users/42');
+    assert.strictEqual(notAllowed.status, 405);
+    assert.strictEqual(notAllowed.headers.Allow, 'GET, DELETE');
+});
+
+test('generates values from schemas, leaving out write-only properties and stopping at recursion', () => {
+    assert.deepStrictEqual(generateFromSchema(SPEC, { $ref: '#/components/schemas/User' }), {
+        id: 0,
+        email: 'user@example.com',
+        manager: null
+    });
+    assert.deepStrictEqual(generateFromSchema(SPEC, { type: 'array', items: { type: 'string', enum: ['open', 'paid'] } }), ['open']);
+    assert.deepStrictEqual(generateFromSchema(SPEC, { allOf: [{ properties: { a: { type: 'boolean' } } }, { properties: { b: { type: 'number', default: 5 } } }] }), { a: true, b: 5 });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateOverlay, applyOverlay, loadOverlays } = require('../lib/overlay');
+
+const makeOverlay = actions => ({ overlay: '1.0.0', info: { title: 'Docs', version: '1.0.0' }, actions });
+
+// A spec with two operations to apply overlays to
+function makeSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Shop', version: '1.0.0' },
+        tags: [{ name: 'Orders' }],
+        paths: {
+            '/orders': {
+                get: { tags: ['Orders'], parameters: [{ name: 'page', in: 'query' }], responses: {} },
+                post: { tags: ['Orders'], 'x-internal': true, responses: {} }
+            }
+        }
+    };
+}
+
+test('validateOverlay reports what is missing or invalid, with pointers', () => {
+    assert.deepStrictEqual(validateOverlay(makeOverlay([{ target: '$.info', update: { description: 'Orders' } }])), []);
+    assert.deepStrictEqual(validateOverlay([]).map(error => error.message), ['Overlay must be an object']);
+    assert.deepStrictEqual(validateOverlay({ overlay: '2.0.0', actions: [] }).map(error => error.pointer), ['/overlay', '/info', '/actions']);
+    assert.deepStrictEqual(validateOverlay(makeOverlay([
+        { target: 'info', update: {} },
+        { target: '$[?(@.x ===)]', update: {} },
+        { target: '$.info' },
+        'remove'
+    ])).map(error => error.pointer), ['/actions/0/target', '/actions/1/target', '/actions/2', '/actions/3']);
+});
+
+test('applyOverlay merges updates, appends to arrays and removes matches in order', () => {
+    const spec = makeSpec();
+    const warnings = applyOverlay(spec, makeOverlay([
+        { target: '$.info', update: { description: 'Orders API', title: 'Shop API' } },
+        { target: '$.paths.*.get.parameters', update: { name: 'size', in: 'query' } },
+        { target: '$.paths.*[?(@["x-internal"])]', remove: true },
+        { target: '$.components', update: {} }
+    ]), 'docs.yaml');
+
+    assert.deepStrictEqual(spec.info, { title: 'Shop API', version: '1.0.0', description: 'Orders API' });
+    assert.deepStrictEqual(spec.paths['/orders'].get.parameters.map(parameter => parameter.name), ['page', 'size']);
+    assert.deepStrictEqual(Object.keys(spec.paths['/orders']), ['get']);
+    assert.deepStrictEqual(warnings, [{ rule: 'overlay-target', message: 'docs.yaml: target "$.components" matched nothing', pointer: '/actions/3/target' }]);
+});
+
+test('applyOverlay can update the document itself', () => {
+    const spec = makeSpec();
+    applyOverlay(spec, makeOverlay([{ target: '$', update: { externalDocs: { url: 'https://docs.shop.com' }, info: { version: '2.0.0' } } }]));
+    assert.deepStrictEqual(spec.externalDocs, { url: 'https://docs.shop.com' });
+    assert.deepStrictEqual(spec.info, { title: 'Shop', version: '2.0.0' });
+});
+
+test('loadOverlays reads JSON and YAML files in name order, whatever the extension case', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overlay-test-'));
+    try {
+        assert.deepStrictEqual(loadOverlays(path.join(dir, 'missing')), []);
+        fs.writeFileSync(path.join(dir, '2-servers.YAML'), 'overlay: 1.0.0\nactions: []\n');
+        fs.writeFileSync(path.join(dir, '1-info.json'), '{"overlay":"1.0.0"}');
+        fs.writeFileSync(path.join(dir, '3-notes.txt'), 'not an overlay');
+        assert.deepStrictEqual(loadOverlays(dir), [
+            { name: '1-info.json', overlay: { overlay: '1.0.0' } },
+            { name: '2-servers.YAML', overlay: { overlay: '1.0.0', actions: [] } }
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const lockfile = require('proper-lockfile');
+const { resolveInside, writeFileAtomic, withFileLock, sniffContentFormat } = require('../lib/safe-storage');
+
+const NAME_REGEX = /^[a-z]+\.json$/;
+
+const tempDirs = [];
+
+function makeTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-storage-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('resolveInside resolves allowlisted names inside the directory', () => {
+    const dir = makeTempDir();
+    assert.strictEqual(resolveInside(dir, 'spec.json', NAME_REGEX), path.join(dir, 'spec.json'));
+});
+
+test('resolveInside rejects traversal and names outside the allowlist', () => {
+    const dir = makeTempDir();
+    const names = [
+        '../spec.json',
+        '..\\spec.json',
+        '/etc/passwd',
+        'sub/spec.json',
+        '..',
+        '',
+        'spec.json\0.png',
+        '%2e%2e%2fspec.json'
+    ];
+    names.forEach(name => {
+        assert.strictEqual(resolveInside(dir, name, NAME_REGEX), null, name);
+    });
+    assert.strictEqual(resolveInside(dir, undefined, NAME_REGEX), null);
+});
+
+test('resolveInside never leaves the directory, even with a permissive pattern', () => {
+    const dir = makeTempDir();
+    ['../x', '../../etc/passwd', '/etc/passwd', 'a/../../x', '.', '..'].forEach(name => {
+        assert.strictEqual(resolveInside(dir, name, /^.*$/), null, name);
+    });
+});
+
+test('resolveInside rejects symbolic links', () => {
+    const dir = makeTempDir();
+    const outside = path.join(makeTempDir(), 'secret.json');
+    fs.writeFileSync(outside, '{}');
+    fs.symlinkSync(outside, path.join(dir, 'link.json'));
+    assert.strictEqual(resolveInside(dir, 'link.json', NAME_REGEX), null);
+});
+
+test('writeFileAtomic replaces the file and leaves no temporary files', () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'collection.json');
+    fs.writeFileSync(filePath, 'old');
+    writeFileAtomic(filePath, 'new');
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'new');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['collection.json']);
+});
+
+test('writeFileAtomic leaves the previous file untouched when the write fails', () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'collection.json');
+    fs.writeFileSync(filePath, 'old');
+    assert.throws(() => writeFileAtomic(filePath, 42));
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'old');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['collection.json']);
+});
+
+// Make renames fail with `code` while `fn` runs, as they do over a single-file bind mount
+function withFailingRename(code, fn) {
+    const renameSync = fs.renameSync;
+    fs.renameSync = () => {
+        throw Object.assign(new Error(`${code}: rename failed`), { code });
+    };
+    try {
+        return fn();
+    } finally {
+        fs.renameSync = renameSync;
+    }
+}
+
+test('writeFileAtomic writes targets that cannot be renamed over in place', () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'collection.json');
+    fs.writeFileSync(filePath, 'the old content');
+    const inode = fs.statSync(filePath).ino;
+    ['EBUSY', 'EXDEV'].forEach(code => {
+        withFailingRename(code, () => writeFileAtomic(filePath, `new ${code}`));
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), `new ${code}`);
+        assert.strictEqual(fs.statSync(filePath).ino, inode);
+        assert.deepStrictEqual(fs.readdirSync(dir), ['collection.json']);
+    });
+});
+
+test('writeFileAtomic leaves the previous file untouched when the rename fails otherwise', () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'collection.json');
+    fs.writeFileSync(filePath, 'old');
+    assert.throws(() => withFailingRename('EACCES', () => writeFileAtomic(filePath, 'new')), /EACCES/);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'old');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['collection.json']);
+});
+
+test('withFileLock holds the lock while running and releases it after an error', async () => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'postman_collection.json');
+    await assert.rejects(withFileLock(filePath, async () => {
+        assert.strictEqual(await lockfile.check(filePath, { realpath: false }), true);
+        throw new Error('write failed');
+    }), /write failed/);
+    assert.strictEqual(await lockfile.check(filePath, { realpath: false }), false);
+});
+
+test('sniffContentFormat tells JSON, YAML and other content apart', () => {
+    assert.strictEqual(sniffContentFormat(Buffer.from('  {"info": {}}')), 'json');
+    assert.strictEqual(sniffContentFormat(Buffer.from('\uFEFF[1]')), 'json');
+    assert.strictEqual(sniffContentFormat(Buffer.from('openapi: 3.0.0\n')), 'yaml');
+    assert.strictEqual(sniffContentFormat(Buffer.from('')), null);
+    assert.strictEqual(sniffContentFormat(Buffer.from(' \n\t')), null);
+    assert.strictEqual(sniffContentFormat(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00])), null);
+    assert.strictEqual(sniffContentFormat(Buffer.from([0x7b, 0xff, 0xfe, 0x7d])), null);
+});
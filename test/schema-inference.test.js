@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { inferSchema, inferSpecSchemas } = require('../lib/schema-inference');
+
+test('inferSchema merges samples, marking fields found in all of them as required', () => {
+    assert.deepStrictEqual(inferSchema([
+        { id: 1, email: 'ann@example.com', tags: ['a'] },
+        { id: 2.5, email: 'bob@example.com', tags: [], note: null }
+    ]), {
+        type: 'object',
+        properties: {
+            id: { type: 'number' },
+            email: { type: 'string', format: 'email' },
+            tags: { type: 'array', items: { type: 'string' } },
+            note: { nullable: true }
+        },
+        required: ['id', 'email', 'tags']
+    });
+});
+
+test('inferSchema detects string formats only when all samples agree', () => {
+    assert.deepStrictEqual(inferSchema(['2024-01-31T09:30:00Z']), { type: 'string', format: 'date-time' });
+    assert.deepStrictEqual(inferSchema(['2024-01-31']), { type: 'string', format: 'date' });
+    assert.deepStrictEqual(inferSchema(['3fa85f64-5717-4562-b3fc-2c963f66afa6']), { type: 'string', format: 'uuid' });
+    assert.deepStrictEqual(inferSchema(['https://shop.com']), { type: 'string', format: 'uri' });
+    assert.deepStrictEqual(inferSchema(['2024-01-31', 'soon']), { type: 'string' });
+});
+
+test('inferSchema gives mixed types a oneOf and nulls in the style of the OpenAPI version', () => {
+    assert.deepStrictEqual(inferSchema([1, 'one']), { oneOf: [{ type: 'integer' }, { type: 'string' }] });
+    assert.deepStrictEqual(inferSchema([1, null]), { type: 'integer', nullable: true });
+    assert.deepStrictEqual(inferSchema([1, null], { openapi31: true }), { type: ['integer', 'null'] });
+    assert.deepStrictEqual(inferSchema([1, 'one', null], { openapi31: true }), { oneOf: [{ type: 'integer' }, { type: 'string' }, { type: 'null' }] });
+});
+
+// A spec as postman-to-openapi writes it: examples, but only bare schemas
+function makeSpec() {
+    const user = id => ({ id, name: 'Ann', address: { street: 'Main St 1', city: 'Nairobi' } });
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Users', version: '1.0.0' },
+        paths: {
+            '/users': {
+                get: {
+                    summary: 'List users',
+                    responses: {
+                        200: {
+                            description: 'OK',
+                            headers: { 'Content-Type': { schema: { type: 'string', example: 'application/json; charset=utf-8' } } },
+                            content: { 'text/plain': { schema: { type: 'string' }, example: JSON.stringify({ users: [user(1), user(2)] }) } }
+                        }
+                    }
+                },
+                post: {
+                    summary: 'Create user',
+                    requestBody: { content: { 'application/json': { schema: { type: 'object', example: JSON.stringify(user(3)) } } } },
+                    responses: { 201: { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Created' } } } } }
+                }
+            }
+        },
+        components: { schemas: { Created: { type: 'object', properties: { id: { type: 'integer' } } } } }
+    };
+}
+
+test('inferSpecSchemas gives bare bodies a schema and moves shared shapes to components', () => {
+    const spec = makeSpec();
+    assert.deepStrictEqual(inferSpecSchemas(spec), { inferred: 2, components: ['User', 'Address'] });
+
+    const list = spec.paths['/users'].get.responses[200].content;
+    assert.deepStrictEqual(Object.keys(list), ['application/json']);
+    assert.deepStrictEqual(list['application/json'].schema, {
+        type: 'object',
+        properties: { users: { type: 'array', items: { $ref: '#/components/schemas/User' } } },
+        required: ['users']
+    });
+    assert.strictEqual(list['application/json'].example.users.length, 2);
+
+    const create = spec.paths['/users'].post;
+    assert.deepStrictEqual(create.requestBody.content['application/json'].schema, { $ref: '#/components/schemas/User' });
+    assert.deepStrictEqual(create.requestBody.content['application/json'].example.id, 3);
+    assert.deepStrictEqual(create.responses[201].content['application/json'].schema, { $ref: '#/components/schemas/Created' });
+
+    assert.deepStrictEqual(spec.components.schemas.User.properties.address, { $ref: '#/components/schemas/Address' });
+    assert.deepStrictEqual(spec.components.schemas.Address.required, ['street', 'city']);
+});
+
+test('inferSpecSchemas leaves specs without JSON examples as they are', () => {
+    const spec = { openapi: '3.1.0', paths: { '/health': { get: { responses: { 200: { description: 'OK', content: { 'text/plain': { example: 'ok' } } } } } } } };
+    const before = JSON.stringify(spec);
+    assert.deepStrictEqual(inferSpecSchemas(spec), { inferred: 0, components: [] });
+    assert.strictEqual(JSON.stringify(spec), before);
+});
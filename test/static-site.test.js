@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderSitePage, buildStaticSite } = require('../lib/static-site');
+
+const SPEC = {
+    openapi: '3.0.0',
+    info: { title: 'Shop', version: '1.0.0', description: 'Use <b>tags</b> & examples' },
+    paths: {
+        '/orders': { get: { summary: 'List orders', responses: { 200: { description: 'OK', content: { 'application/json': { example: [{ note: '</script>' }] } } } } } }
+    }
+};
+
+// The spec embedded in a page, as Swagger UI reads it
+function embeddedSpec(html) {
+    const [, json] = /<script id="openapi-spec" type="application\/json">(.*)<\/script>/.exec(html);
+    return JSON.parse(json);
+}
+
+test('builds the page, the spec, the Swagger UI assets and the reference pages', () => {
+    const files = buildStaticSite(SPEC, { reference: { 'index.md': '# Shop\n', 'orders.md': '# Orders\n' } });
+    assert.deepStrictEqual(Object.keys(files).sort(), [
+        'assets/LICENSE',
+        'assets/NOTICE',
+        'assets/favicon-16x16.png',
+        'assets/favicon-32x32.png',
+        'assets/swagger-ui-bundle.js',
+        'assets/swagger-ui.css',
+        'index.html',
+        'openapi.json',
+        'reference/index.md',
+        'reference/orders.md'
+    ]);
+    assert.ok(Buffer.isBuffer(files['assets/swagger-ui-bundle.js']) && files['assets/swagger-ui-bundle.js'].length > 0);
+    assert.deepStrictEqual(JSON.parse(files['openapi.json']), SPEC);
+    assert.strictEqual(files['reference/orders.md'], '# Orders\n');
+    assert.deepStrictEqual(Object.keys(buildStaticSite(SPEC)).filter(name => name.startsWith('reference/')), []);
+});
+
+test('embeds the spec so it reads back unchanged and cannot end the script element', () => {
+    const html = buildStaticSite(SPEC)['index.html'];
+    assert.deepStrictEqual(embeddedSpec(html), SPEC);
+    assert.strictEqual(html.match(/<\/script>/g).length, 3);
+    assert.match(html, /<title>Shop<\/title>/);
+    assert.match(html, /<link rel="stylesheet" href="assets\/swagger-ui.css">/);
+    assert.match(html, /<script src="assets\/swagger-ui-bundle.js"><\/script>/);
+});
+
+test('loads nothing from other hosts', () => {
+    const spec = { ...SPEC, info: { title: '</script><script>alert(1)</script>', version: '1' } };
+    const html = renderSitePage(spec, {});
+    assert.doesNotMatch(html, /(src|href)="(https?:)?\/\//);
+    assert.match(html, /validatorUrl: null/);
+    assert.match(html, /<title>&lt;\/script&gt;&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/title>/);
+
+    const inline = renderSitePage(spec, { title: 'Shop docs', inline: true });
+    assert.doesNotMatch(inline, /<(script|link)[^>]+(src|href)=/);
+    assert.match(inline, /<title>Shop docs<\/title>/);
+    assert.deepStrictEqual(embeddedSpec(inline), spec);
+});
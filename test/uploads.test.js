@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server keeps its files where these point, so set them before it is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+const uploadDir = path.join(dir, 'uploads');
+process.env.COLLECTIONS_DIR = path.join(dir, 'collections');
+process.env.UPLOAD_TMP_DIR = uploadDir;
+process.env.UPLOAD_MAX_SIZE_MB = '1';
+process.env.AUDIT_LOG_PATH = path.join(dir, 'audit', 'audit.jsonl');
+process.env.AUTH_CONFIG_PATH = path.join(dir, 'auth.config.json');
+process.env.IMPORT_SOURCES_PATH = path.join(dir, 'import-sources.json');
+delete process.env.VERSIONING;
+delete process.env.WATCH_DIR;
+const { app, stop } = require('../index');
+
+const collectionDir = path.join(dir, 'collections', 'shop');
+const collectionPath = path.join(collectionDir, 'postman_collection.json');
+const SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const collection = name => ({ info: { name, schema: SCHEMA }, item: [{ name: 'Get order', request: { method: 'GET', url: 'https://api.shop.com/orders/1' } }] });
+const PREVIOUS_COLLECTION = JSON.stringify(collection('Previous'), null, 2);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    server.close();
+    await stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+    fs.mkdirSync(collectionDir, { recursive: true });
+    fs.writeFileSync(collectionPath, PREVIOUS_COLLECTION);
+});
+
+function post(route, field, content, filename) {
+    const form = new FormData();
+    form.append(field, new Blob([content]), filename);
+    return fetch(`${baseUrl}/api/collections/shop/${route}`, { method: 'POST', headers: { Accept: 'application/json' }, body: form });
+}
+
+// Temporary files are removed once the response is sent
+async function assertUploadsCleanedUp() {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir) : [], []);
+}
+
+// A rejected upload answers with `status` and leaves the collection file byte for byte as it was
+async function assertRejected(response, status) {
+    assert.strictEqual(response.status, status, await response.text());
+    assert.strictEqual(fs.readFileSync(collectionPath, 'utf8'), PREVIOUS_COLLECTION);
+    await assertUploadsCleanedUp();
+}
+
+test('accepts a collection upload', async () => {
+    const response = await post('upload', 'collectionFile', `﻿${JSON.stringify(collection('New'))}`, 'collection.json');
+    assert.strictEqual(response.status, 200);
+    const result = await response.json();
+    assert.strictEqual(result.collection, 'shop');
+    assert.strictEqual(JSON.parse(fs.readFileSync(collectionPath, 'utf8')).info.name, 'New');
+    await assertUploadsCleanedUp();
+});
+
+test('rejects files with another extension', async () => {
+    await assertRejected(await post('upload', 'collectionFile', '{}', 'collection.exe'), 400);
+});
+
+test('rejects path traversal in the uploaded file name without writing outside the upload directory', async () => {
+    await assertRejected(await post('upload', 'collectionFile', '{}', '../../postman_collection.exe'), 400);
+    const response = await post('upload', 'collectionFile', JSON.stringify(collection('Traversal')), '../postman_collection.json');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['audit', 'collections', 'uploads']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'collections')), ['shop']);
+    await assertUploadsCleanedUp();
+});
+
+test('rejects binary content with a JSON extension', async () => {
+    await assertRejected(await post('upload', 'collectionFile', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]), 'collection.json'), 422);
+});
+
+test('rejects empty files', async () => {
+    await assertRejected(await post('upload', 'collectionFile', '', 'collection.json'), 422);
+});
+
+test('rejects text that is not a collection', async () => {
+    await assertRejected(await post('upload', 'collectionFile', 'openapi: 3.0.0', 'collection.json'), 422);
+});
+
+test('rejects truncated JSON', async () => {
+    await assertRejected(await post('upload', 'collectionFile', '{"info": {"name": ', 'collection.json'), 422);
+});
+
+test('rejects collections that fail validation', async () => {
+    const response = await post('upload', 'collectionFile', JSON.stringify({ info: { name: 'No schema' }, item: [] }), 'collection.json');
+    assert.strictEqual(response.status, 422);
+    assert.ok((await response.clone().json()).errors.length > 0);
+    await assertRejected(response, 422);
+});
+
+test('rejects files over the size limit', async () => {
+    await assertRejected(await post('upload', 'collectionFile', `{"padding":"${'x'.repeat(1024 * 1024)}"}`, 'collection.json'), 413);
+});
+
+test('rejects files sent in an unexpected field', async () => {
+    await assertRejected(await post('upload', 'otherFile', '{}', 'collection.json'), 400);
+});
+
+test('rejects malformed multipart bodies', async () => {
+    const response = await fetch(`${baseUrl}/api/collections/shop/upload`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'multipart/form-data; boundary=xyz' },
+        body: '--xyz\r\nContent-Disposition: form-data; name="collectionFile"; filename="collection.json"\r\n\r\n{"info":'
+    });
+    await assertRejected(response, 400);
+});
+
+test('generates the collection from a YAML OpenAPI spec', async () => {
+    const spec = 'openapi: 3.0.0\ninfo: { title: Orders, version: 1.0.0 }\nservers: [{ url: "https://api.shop.com" }]\npaths:\n  /orders:\n    get:\n      responses: { "200": { description: OK } }\n';
+    const response = await post('upload-openapi', 'specFile', spec, 'spec.yaml');
+    assert.strictEqual(response.status, 200, await response.clone().text());
+    assert.strictEqual((await response.json()).format, 'openapi');
+    assert.strictEqual(JSON.parse(fs.readFileSync(collectionPath, 'utf8')).info.name, 'Orders');
+    await assertUploadsCleanedUp();
+});
+
+test('rejects OpenAPI specs that cannot be converted or are too large', async () => {
+    await assertRejected(await post('upload-openapi', 'specFile', 'openapi: [', 'spec.yaml'), 422);
+    await assertRejected(await post('upload-openapi', 'specFile', 'just text', 'spec.yaml'), 422);
+    await assertRejected(await post('upload-openapi', 'specFile', `openapi: 3.0.0\ndescription: ${'x'.repeat(1024 * 1024)}\n`, 'spec.yaml'), 413);
+    await assertRejected(await post('upload-openapi', 'specFile', '{}', 'spec.txt'), 400);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateOpenAPI } = require('../lib/validate-openapi');
+
+// A valid spec with a templated path; each test breaks one thing in a copy of it
+function makeSpec(openapi = '3.0.3') {
+    return {
+        openapi,
+        info: { title: 'Shop', version: '1.0.0' },
+        paths: {
+            '/orders/{orderId}': {
+                parameters: [{ $ref: '#/components/parameters/OrderId' }],
+                get: {
+                    operationId: 'getOrder',
+                    responses: {
+                        200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } } },
+                        '4XX': { description: 'Client error' },
+                        default: { description: 'Error' }
+                    }
+                },
+                delete: { operationId: 'deleteOrder', responses: { 204: { description: 'Deleted' } } }
+            }
+        },
+        components: {
+            parameters: { OrderId: { name: 'orderId', in: 'path', required: true, schema: { type: 'string' } } },
+            schemas: { Order: { type: 'object', properties: { id: { type: 'string' } } } }
+        }
+    };
+}
+
+// The issues of one rule in a validation result
+function issuesOf(result, rule) {
+    return result.errors.concat(result.warnings).filter(issue => issue.rule === rule).map(issue => [issue.message, issue.pointer]);
+}
+
+test('accepts valid 3.0 and 3.1 documents', () => {
+    assert.deepStrictEqual(validateOpenAPI(makeSpec()), { valid: true, version: '3.0', errors: [], warnings: [] });
+    assert.deepStrictEqual(validateOpenAPI(makeSpec('3.1.0')), { valid: true, version: '3.1', errors: [], warnings: [] });
+});
+
+test('rejects documents that are not objects or not OpenAPI 3.0/3.1', () => {
+    assert.deepStrictEqual(validateOpenAPI(null).errors, [{ rule: 'document', message: 'OpenAPI document must be an object', pointer: '' }]);
+    assert.deepStrictEqual(validateOpenAPI({ swagger: '2.0' }), {
+        valid: false,
+        version: null,
+        errors: [{ rule: 'version', message: 'Unsupported OpenAPI version "undefined", expected 3.0.x or 3.1.x', pointer: '/openapi' }],
+        warnings: []
+    });
+});
+
+test('checks the document against the OpenAPI meta-schema', () => {
+    const spec = makeSpec();
+    delete spec.info.version;
+    spec.paths['/orders/{orderId}'].get.summry = 'Get an order';
+    const result = validateOpenAPI(spec);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(issuesOf(result, 'schema'), [
+        ["must have required property 'version'", '/info'],
+        ['must NOT have additional properties: "summry"', '/paths/~1orders~1{orderId}/get']
+    ]);
+});
+
+test('reports $refs that do not resolve and warns about external ones', () => {
+    const spec = makeSpec();
+    spec.paths['/orders/{orderId}'].get.responses[200].content['application/json'].schema = { $ref: '#/components/schemas/Ordr' };
+    spec.components.schemas.Order.properties.customer = { $ref: 'customer.yaml#/Customer' };
+    const result = validateOpenAPI(spec);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(issuesOf(result, 'unresolved-ref'), [
+        ['Reference "#/components/schemas/Ordr" cannot be resolved', '/paths/~1orders~1{orderId}/get/responses/200/content/application~1json/schema/$ref']
+    ]);
+    assert.deepStrictEqual(issuesOf(result, 'external-ref'), [
+        ['External reference "customer.yaml#/Customer" is not checked', '/components/schemas/Order/properties/customer/$ref']
+    ]);
+});
+
+test('reports operationIds used more than once', () => {
+    const spec = makeSpec();
+    spec.paths['/orders/{orderId}'].delete.operationId = 'getOrder';
+    assert.deepStrictEqual(issuesOf(validateOpenAPI(spec), 'duplicate-operation-id'), [
+        ['operationId "getOrder" is already used at /paths/~1orders~1{orderId}/get/operationId', '/paths/~1orders~1{orderId}/delete/operationId']
+    ]);
+});
+
+test('reports path parameters missing from the parameters or from the path', () => {
+    const spec = makeSpec();
+    spec.paths['/orders/{orderId}/items/{itemId}'] = spec.paths['/orders/{orderId}'];
+    delete spec.paths['/orders/{orderId}'];
+    spec.paths['/orders/{orderId}/items/{itemId}'].delete.parameters = [{ name: 'lineId', in: 'path', required: true, schema: { type: 'string' } }];
+    const result = validateOpenAPI(spec);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(issuesOf(result, 'missing-path-parameter'), [
+        ['Path parameter "itemId" is not defined in parameters', '/paths/~1orders~1{orderId}~1items~1{itemId}/get'],
+        ['Path parameter "itemId" is not defined in parameters', '/paths/~1orders~1{orderId}~1items~1{itemId}/delete']
+    ]);
+    assert.deepStrictEqual(issuesOf(result, 'unknown-path-parameter'), [
+        ['Path parameter "lineId" does not appear in the path "/orders/{orderId}/items/{itemId}"', '/paths/~1orders~1{orderId}~1items~1{itemId}/delete/parameters']
+    ]);
+});
+
+test('reports invalid response codes and warns about operations without responses', () => {
+    const spec = makeSpec('3.1.0');
+    spec.paths['/orders/{orderId}'].get.responses['2xx'] = { description: 'OK' };
+    spec.paths['/orders/{orderId}'].delete.responses = {};
+    const result = validateOpenAPI(spec);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(issuesOf(result, 'invalid-response-code'), [
+        ['"2xx" is not a valid HTTP response code', '/paths/~1orders~1{orderId}/get/responses/2xx']
+    ]);
+    assert.deepStrictEqual(issuesOf(result, 'no-responses'), [
+        ['Operation does not define any responses', '/paths/~1orders~1{orderId}/delete']
+    ]);
+});
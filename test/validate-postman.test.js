@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validatePostmanCollection } = require('../lib/validate-postman');
+
+const SCHEMA_V21 = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const SCHEMA_V20 = 'https://schema.getpostman.com/json/collection/v2.0.0/collection.json';
+
+const makeCollection = (item, extra = {}) => ({ info: { name: 'Shop', schema: SCHEMA_V21 }, item, ...extra });
+const request = (name, url) => ({ name, request: { method: 'GET', url } });
+
+// The rules and pointers of a result's errors or warnings
+const rulesOf = issues => issues.map(issue => [issue.rule, issue.pointer]);
+
+test('accepts v2.0 and v2.1 collections, including relative {{baseUrl}} URLs', () => {
+    const result = validatePostmanCollection(makeCollection([
+        request('List orders', '{{baseUrl}}/orders'),
+        request('Get order', { raw: '{{baseUrl}}/orders/1', host: ['{{baseUrl}}'], path: ['orders', '1'] })
+    ], { variable: [{ key: 'baseUrl', value: 'https://api.shop.com' }] }));
+    assert.deepStrictEqual(result, { valid: true, version: '2.1', errors: [], warnings: [] });
+
+    const v20 = validatePostmanCollection({ info: { name: 'Shop', schema: SCHEMA_V20 }, item: [request('List orders', 'https://api.shop.com/orders')] });
+    assert.strictEqual(v20.version, '2.0');
+    assert.strictEqual(v20.valid, true);
+});
+
+test('document and version are errors that stop the validation', () => {
+    assert.deepStrictEqual(rulesOf(validatePostmanCollection([]).errors), [['document', '']]);
+    const result = validatePostmanCollection({ info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v1.0.0/collection.json' }, item: [] });
+    assert.deepStrictEqual(result.valid, false);
+    assert.deepStrictEqual(rulesOf(result.errors), [['version', '/info/schema']]);
+});
+
+test('schema errors are reported with pointers and skip the lint rules', () => {
+    const result = validatePostmanCollection({
+        info: { schema: SCHEMA_V21 },
+        item: [{ name: 'Create order', request: { method: 'POST', url: '/orders', body: { mode: 'xml' } } }]
+    });
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(rulesOf(result.errors), [['schema', '/info'], ['schema', '/item/0/request/body/mode']]);
+    assert.deepStrictEqual(result.warnings, []);
+});
+
+test('missing-name and missing-host are errors', () => {
+    const result = validatePostmanCollection(makeCollection([
+        request(' ', 'https://api.shop.com/orders'),
+        request('Get order', '/orders/1'),
+        { name: 'Orders', item: [request('List orders', { path: ['orders'], query: [] })] }
+    ]));
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(rulesOf(result.errors), [['missing-name', '/item/0'], ['missing-host', '/item/1/request/url'], ['missing-host', '/item/2/item/0/request/url']]);
+    assert.deepStrictEqual(result.warnings, []);
+});
+
+test('duplicate-name, missing-url and undefined-variable are warnings', () => {
+    const result = validatePostmanCollection(makeCollection([
+        request('Get order', 'https://api.shop.com/orders/{{orderId}}'),
+        request('Get order', 'https://api.shop.com/orders/1'),
+        { name: 'No URL', request: { method: 'GET', url: { raw: '' } } },
+        { name: 'Orders', item: [request('Get order', 'https://api.shop.com/orders/2')] }
+    ]));
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(rulesOf(result.warnings), [
+        ['undefined-variable', '/item/0/request'],
+        ['duplicate-name', '/item/1/name'],
+        ['missing-url', '/item/2/request']
+    ]);
+    assert.strictEqual(result.warnings[0].message, 'Variable "{{orderId}}" is not defined in the collection or its environments');
+});
+
+test('variables can come from folders, scripts, environments and Postman itself', () => {
+    const result = validatePostmanCollection(makeCollection([
+        {
+            name: 'Orders',
+            variable: [{ key: 'orderId', value: '1' }],
+            item: [request('Get order', '{{host}}/orders/{{orderId}}?token={{token}}&nonce={{$guid}}')]
+        },
+        request('Get user', '{{host}}/users/{{orderId}}')
+    ], { event: [{ listen: 'prerequest', script: { exec: ['pm.environment.set("token", "secret");'] } }] }), { variables: ['host'] });
+    assert.deepStrictEqual(rulesOf(result.warnings), [['undefined-variable', '/item/1/request']]);
+    assert.match(result.warnings[0].message, /"\{\{orderId\}\}"/);
+});